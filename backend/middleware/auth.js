@@ -1,6 +1,13 @@
 // Middleware to check if user is authenticated
 const isAuthenticated = (req, res, next) => {
   if (req.isAuthenticated()) {
+    // Accounts flagged for a password reset may only use the auth routes until they change it
+    if (req.user.mustChangePassword && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
+        error: 'Password Change Required',
+        message: 'You must change your password before continuing'
+      });
+    }
     return next();
   }
   
@@ -84,6 +91,10 @@ const canAccessResource = (req, res, next) => {
   next();
 };
 
+// Helper to check if user may perform an action on a trial (owner, admin or team role)
+const canAccessTrial = (user, trial, permission = 'view') =>
+  trial.getPermissions(user).includes(permission);
+
 module.exports = {
   isAuthenticated,
   isNotAuthenticated,
@@ -91,5 +102,6 @@ module.exports = {
   isAdmin,
   isAdminOrCoordinator,
   attachUser,
-  canAccessResource
+  canAccessResource,
+  canAccessTrial
 };
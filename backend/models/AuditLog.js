@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Trial fields tracked in the change log
+const TRACKED_FIELDS = [
+  'trialName',
+  'trialId',
+  'description',
+  'principalInvestigator',
+  'sponsor',
+  'phase',
+  'status',
+  'startDate',
+  'endDate',
+  'estimatedEnrollment',
+  'actualEnrollment',
+  'primaryEndpoint',
+  'secondaryEndpoints',
+  'inclusionCriteria',
+  'exclusionCriteria',
+  'studyLocations',
+  'therapeuticArea',
+  'drugName',
+  'team',
+  'deletedAt',
+  'deletedBy',
+  'deletionReason'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  trialId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['create', 'update', 'transition', 'amendment', 'delete', 'restore', 'purge'],
+      message: 'Action must be one of: create, update, transition, amendment, delete, restore, purge'
+    }
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason for change cannot exceed 500 characters']
+  },
+  // Set on 'amendment' entries: the approved protocol amendment the changes came from
+  amendment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProtocolAmendment'
+  },
+  amendmentNumber: {
+    type: Number
+  },
+  // Set on 'purge' entries: how many of the trial's records were deleted with it
+  purgedRecords: {
+    _id: false,
+    participants: Number,
+    enrollmentSnapshots: Number,
+    documents: Number,
+    amendments: Number
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ trial: 1, performedAt: -1 });
+auditLogSchema.index({ performedBy: 1 });
+
+// Audit entries are append-only: block edits and deletes
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+// Convert a field value to plain JSON so it can be compared and stored.
+// Subdocument _ids are dropped since the form re-creates them on every save.
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    const plain = typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value;
+    return Object.keys(plain)
+      .filter(key => key !== '_id' && key !== 'id')
+      .reduce((acc, key) => {
+        acc[key] = normalize(plain[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+const isEmpty = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Static method to compute per-field changes between two trial snapshots
+auditLogSchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const oldValue = normalize(before ? before[field] : null);
+    const newValue = normalize(after ? after[field] : null);
+    if (isEmpty(oldValue) && isEmpty(newValue)) return changes;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+    return changes;
+  }, []);
+};
+
+// Static method to record a change; updates without effective changes are skipped
+auditLogSchema.statics.record = async function({ trial, action, before, after, user, reason, amendment, purgedRecords }) {
+  const changes = this.diff(before, after);
+  if (action === 'update' && changes.length === 0) return null;
+
+  return this.create({
+    trial: trial._id,
+    trialId: trial.trialId,
+    action,
+    changes,
+    reason: reason || undefined,
+    amendment: amendment ? amendment._id : undefined,
+    amendmentNumber: amendment ? amendment.number : undefined,
+    purgedRecords,
+    performedBy: user._id
+  });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
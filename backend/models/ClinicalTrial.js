@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 
+// Statuses after which a trial can no longer be overdue
+const CLOSED_STATUSES = ['Completed', 'Terminated'];
+
+// Allowed status lifecycle transitions (closed statuses are final)
+const STATUS_TRANSITIONS = {
+  Planning: ['Recruiting', 'Terminated'],
+  Recruiting: ['Active', 'Suspended', 'Terminated'],
+  Active: ['Completed', 'Suspended', 'Terminated'],
+  Suspended: ['Active', 'Recruiting', 'Terminated'],
+  Completed: [],
+  Terminated: []
+};
+
+// Transitions into these statuses must be justified
+const REASON_REQUIRED_STATUSES = ['Terminated'];
+
+// Per-trial team roles and the actions each may perform (owners and admins may do everything)
+const TEAM_ROLES = ['PI', 'Coordinator', 'Monitor', 'Viewer'];
+const TEAM_PERMISSIONS = {
+  PI: ['view', 'comment', 'edit', 'changeStatus', 'manageTeam', 'approveAmendment'],
+  Coordinator: ['view', 'comment', 'edit'],
+  Monitor: ['view', 'comment'],
+  Viewer: ['view']
+};
+const ALL_PERMISSIONS = ['view', 'comment', 'edit', 'changeStatus', 'manageTeam', 'approveAmendment', 'delete'];
+
+// Protocol fields; once a trial leaves Planning they only change through an approved amendment
+const PROTOCOL_FIELDS = ['primaryEndpoint', 'secondaryEndpoints', 'inclusionCriteria', 'exclusionCriteria'];
+
+// Study site lifecycle; only active sites take new participants
+const SITE_STATUSES = ['pending', 'active', 'closed'];
+
 const clinicalTrialSchema = new mongoose.Schema({
   trialName: {
     type: String,
@@ -21,12 +53,22 @@ const clinicalTrialSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Link to the investigator directory; principalInvestigator holds a copy of the name
+  investigator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investigator'
+  },
   principalInvestigator: {
     type: String,
     required: [true, 'Principal investigator is required'],
     trim: true,
     maxlength: [100, 'Principal investigator name cannot exceed 100 characters']
   },
+  // Link to the sponsor directory; sponsor holds a copy of the name
+  sponsorOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sponsor'
+  },
   sponsor: {
     type: String,
     required: [true, 'Sponsor is required'],
@@ -102,7 +144,18 @@ const clinicalTrialSchema = new mongoose.Schema({
     trim: true,
     maxlength: [300, 'Exclusion criteria cannot exceed 300 characters']
   }],
+  // Number of the latest approved protocol amendment (0 for the original protocol)
+  amendmentNumber: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   studyLocations: [{
+    // Link to the site directory; facility, city and country hold a copy of its details
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Site'
+    },
     facility: {
       type: String,
       required: true,
@@ -120,6 +173,40 @@ const clinicalTrialSchema = new mongoose.Schema({
       required: true,
       trim: true,
       maxlength: [100, 'Country name cannot exceed 100 characters']
+    },
+    siteId: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [50, 'Site ID cannot exceed 50 characters'],
+      match: [/^[A-Z0-9-]+$/, 'Site ID can only contain uppercase letters, numbers, and hyphens']
+    },
+    sitePI: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Site PI name cannot exceed 100 characters']
+    },
+    activationDate: {
+      type: Date
+    },
+    // Locations added before sites had a status were already enrolling
+    status: {
+      type: String,
+      enum: {
+        values: SITE_STATUSES,
+        message: `Site status must be one of: ${SITE_STATUSES.join(', ')}`
+      },
+      default: 'active'
+    },
+    enrollmentTarget: {
+      type: Number,
+      min: [1, 'Site enrollment target must be at least 1']
+    },
+    // Derived from the participant registry (see Participant.syncTrialEnrollment)
+    actualEnrollment: {
+      type: Number,
+      default: 0,
+      min: [0, 'Site enrollment cannot be negative']
     }
   }],
   therapeuticArea: {
@@ -142,6 +229,30 @@ const clinicalTrialSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  team: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      required: [true, 'Team role is required'],
+      enum: {
+        values: TEAM_ROLES,
+        message: `Team role must be one of: ${TEAM_ROLES.join(', ')}`
+      }
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: [{
     content: {
       type: String,
@@ -157,10 +268,55 @@ const clinicalTrialSchema = new mongoose.Schema({
     createdAt: {
       type: Date,
       default: Date.now
+    },
+    editedAt: {
+      type: Date
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deletion reason cannot exceed 500 characters']
+  },
+  statusHistory: [{
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
     }
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save bumps __v and fails with a VersionError if the stored version moved on; notes, team
+  // changes and enrollment counts are atomic updates instead, so they never conflict with an edit
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Indexes for better query performance
@@ -168,8 +324,24 @@ clinicalTrialSchema.index({ trialId: 1 });
 clinicalTrialSchema.index({ status: 1 });
 clinicalTrialSchema.index({ phase: 1 });
 clinicalTrialSchema.index({ therapeuticArea: 1 });
+clinicalTrialSchema.index({ 'team.user': 1 });
+clinicalTrialSchema.index({ deletedAt: 1 });
 clinicalTrialSchema.index({ createdBy: 1 });
+clinicalTrialSchema.index({ investigator: 1 });
+clinicalTrialSchema.index({ sponsorOrganization: 1 });
+clinicalTrialSchema.index({ 'studyLocations.site': 1 });
 clinicalTrialSchema.index({ startDate: 1, endDate: 1 });
+clinicalTrialSchema.index({
+  trialName: 'text',
+  description: 'text',
+  sponsor: 'text',
+  principalInvestigator: 'text',
+  drugName: 'text',
+  therapeuticArea: 'text'
+}, {
+  name: 'trial_text_search',
+  weights: { trialName: 10, sponsor: 5, principalInvestigator: 5, drugName: 5, therapeuticArea: 3, description: 1 }
+});
 
 // Virtual for trial duration in days
 clinicalTrialSchema.virtual('durationDays').get(function() {
@@ -188,6 +360,11 @@ clinicalTrialSchema.virtual('enrollmentPercentage').get(function() {
   return 0;
 });
 
+// Virtual for the statuses this trial may move to next
+clinicalTrialSchema.virtual('nextStatuses').get(function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+});
+
 // Method to check if trial is active
 clinicalTrialSchema.methods.isActive = function() {
   const now = new Date();
@@ -197,10 +374,133 @@ clinicalTrialSchema.methods.isActive = function() {
 };
 
 // Method to check if trial is overdue
-clinicalTrialSchema.methods.isOverdue = function() {
-  const now = new Date();
+clinicalTrialSchema.methods.isOverdue = function(now = new Date()) {
   return this.endDate < now && 
-         !['Completed', 'Terminated'].includes(this.status);
+         !CLOSED_STATUSES.includes(this.status);
+};
+
+// Method to check if the start date passed while the trial is still being planned
+clinicalTrialSchema.methods.isStartOverdue = function(now = new Date()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return this.status === 'Planning' && this.startDate < today;
+};
+
+// Method returning the enrollment expected by `now` if participants enrolled evenly between start and end date
+clinicalTrialSchema.methods.expectedEnrollmentAt = function(now = new Date()) {
+  const elapsed = (now - this.startDate) / (this.endDate - this.startDate);
+  return Math.round(this.estimatedEnrollment * Math.min(Math.max(elapsed, 0), 1));
+};
+
+// Method returning the enrollment a study location should have reached by `now`: its target spread
+// evenly from activation (or the trial start) to the trial's end date. Null for locations without a target.
+clinicalTrialSchema.methods.siteExpectedEnrollmentAt = function(location, now = new Date()) {
+  if (!location.enrollmentTarget) return null;
+  if (location.status === 'pending') return 0;
+  if (location.status === 'closed') return location.enrollmentTarget;
+  const from = location.activationDate || this.startDate;
+  const elapsed = (now - from) / (this.endDate - from);
+  return Math.round(location.enrollmentTarget * Math.min(Math.max(elapsed, 0), 1));
+};
+
+// Method returning why a status transition is not allowed, or null if it is
+clinicalTrialSchema.methods.getTransitionError = function(status, reason) {
+  if (!(STATUS_TRANSITIONS[this.status] || []).includes(status)) {
+    return `Cannot change status from ${this.status} to ${status}`;
+  }
+  if (REASON_REQUIRED_STATUSES.includes(status) && !(reason && reason.trim())) {
+    return `A reason is required to change status to ${status}`;
+  }
+  return null;
+};
+
+// Method to apply a status transition and record it in the status history
+clinicalTrialSchema.methods.transitionTo = function(status, user, reason) {
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    reason: reason || undefined,
+    changedBy: user._id
+  });
+  this.status = status;
+  this.lastModifiedBy = user._id;
+  return this;
+};
+
+// Atomic update applying a status transition (see transitionTo), for findOneAndUpdate filtered on the
+// current status. It bumps __v like a save does, since the edit form shows the status too.
+clinicalTrialSchema.methods.transitionUpdate = function(status, user, reason) {
+  return {
+    $set: { status, lastModifiedBy: user._id },
+    $push: { statusHistory: { from: this.status, to: status, reason: reason || undefined, changedBy: user._id, changedAt: new Date() } },
+    $inc: { __v: 1 }
+  };
+};
+
+// Method to check whether protocol fields are locked to the amendment workflow
+clinicalTrialSchema.methods.isProtocolLocked = function() {
+  return this.status !== 'Planning';
+};
+
+// Method returning the current value of a protocol field as plain JSON
+clinicalTrialSchema.methods.protocolValue = function(field) {
+  const value = this[field];
+  if (Array.isArray(value)) return [...value];
+  return value === undefined ? null : value;
+};
+
+// Method returning the user's team role on this trial ('Owner' for the creator), or null
+clinicalTrialSchema.methods.getTeamRole = function(user) {
+  const userId = String(user._id);
+  if (String(this.createdBy._id || this.createdBy) === userId) return 'Owner';
+  const member = (this.team || []).find(m => String(m.user._id || m.user) === userId);
+  return member ? member.role : null;
+};
+
+// Method returning the actions the user may perform on this trial
+clinicalTrialSchema.methods.getPermissions = function(user) {
+  if (user.role === 'admin') return ALL_PERMISSIONS;
+  const role = this.getTeamRole(user);
+  if (role === 'Owner') return ALL_PERMISSIONS;
+  return role ? TEAM_PERMISSIONS[role] : [];
+};
+
+// Method to move the trial to the trash
+clinicalTrialSchema.methods.softDelete = function(user, reason) {
+  this.deletedAt = new Date();
+  this.deletedBy = user._id;
+  this.deletionReason = reason;
+  return this;
+};
+
+// Method to take the trial back out of the trash
+clinicalTrialSchema.methods.restore = function(user) {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  this.deletionReason = undefined;
+  this.lastModifiedBy = user._id;
+  return this;
+};
+
+// Static query condition limiting trials to those the user owns or is on the team of
+clinicalTrialSchema.statics.accessCondition = function(user) {
+  if (user.role === 'admin') return {};
+  return { $or: [{ createdBy: user._id }, { 'team.user': user._id }] };
+};
+
+// Static query condition matching isOverdue(), for use in finds and aggregations
+clinicalTrialSchema.statics.overdueCondition = function(now = new Date()) {
+  return {
+    endDate: { $lt: now },
+    status: { $nin: CLOSED_STATUSES }
+  };
+};
+
+// Static method returning the sum of the locations' enrollment targets when every location has one,
+// otherwise null (the trial's own estimatedEnrollment then stands)
+clinicalTrialSchema.statics.siteTargetTotal = function(locations = []) {
+  if (locations.length === 0 || locations.some(l => !l.enrollmentTarget)) return null;
+  return locations.reduce((sum, l) => sum + Number(l.enrollmentTarget), 0);
 };
 
 // Static method to find trials by status
@@ -220,10 +520,44 @@ clinicalTrialSchema.statics.findByTherapeuticArea = function(area) {
   });
 };
 
-// Pre-save middleware to update lastModifiedBy
+// Trashed trials are hidden from every query unless it opts in with
+// .setOptions({ includeDeleted: true }) or filters on deletedAt itself
+// (aggregations opt in with a leading $match on deletedAt)
+clinicalTrialSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne'], function(next) {
+  if (!this.getOptions().includeDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+clinicalTrialSchema.pre('aggregate', function(next) {
+  const [first] = this.pipeline();
+  if (!(first && first.$match && first.$match.deletedAt !== undefined)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+  next();
+});
+
+// Site IDs are unique within a trial, and site enrollment targets are set on every location or none;
+// when they are, the trial's estimatedEnrollment is their sum
+clinicalTrialSchema.pre('validate', function(next) {
+  const siteIds = this.studyLocations.map(l => l.siteId).filter(Boolean);
+  const duplicate = siteIds.find((id, i) => siteIds.indexOf(id) !== i);
+  if (duplicate) this.invalidate('studyLocations', `Site ID ${duplicate} is used by more than one study location`);
+
+  const withTarget = this.studyLocations.filter(l => l.enrollmentTarget).length;
+  if (withTarget > 0 && withTarget < this.studyLocations.length) {
+    this.invalidate('studyLocations', 'Set an enrollment target on every study location, or on none');
+  }
+  const total = this.constructor.siteTargetTotal(this.studyLocations);
+  if (total !== null) this.estimatedEnrollment = total;
+  next();
+});
+
+// Pre-save middleware to default lastModifiedBy when the controller didn't set it
 clinicalTrialSchema.pre('save', function(next) {
-  if (this.isModified() && !this.isNew) {
-    this.lastModifiedBy = this.createdBy; // This should be set by the controller
+  if (this.isModified() && !this.isNew && !this.lastModifiedBy) {
+    this.lastModifiedBy = this.createdBy;
   }
   next();
 });
@@ -231,3 +565,7 @@ clinicalTrialSchema.pre('save', function(next) {
 const ClinicalTrial = mongoose.model('ClinicalTrial', clinicalTrialSchema);
 
 module.exports = ClinicalTrial;
+module.exports.CLOSED_STATUSES = CLOSED_STATUSES;
+module.exports.PROTOCOL_FIELDS = PROTOCOL_FIELDS;
+module.exports.TEAM_ROLES = TEAM_ROLES;
+module.exports.SITE_STATUSES = SITE_STATUSES;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A notification held back for a user's daily digest email
+const emailDigestItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial'
+  },
+  // Rendered when the event happened so the digest reflects the state at that time
+  subject: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+});
+
+emailDigestItemSchema.index({ sentAt: 1, user: 1, occurredAt: 1 });
+
+const EmailDigestItem = mongoose.model('EmailDigestItem', emailDigestItemSchema);
+
+module.exports = EmailDigestItem;
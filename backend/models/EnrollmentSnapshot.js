@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A point on a trial's enrollment curve. Automatic snapshots are written whenever the
+// participant registry changes the trial's enrolled count and carry the per-location
+// breakdown; manual snapshots record a count reported for one study location (or for the
+// whole trial when no location is given, e.g. to backfill history).
+const enrollmentSnapshotSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Enrolled count of `studyLocation`, or of the whole trial when it is not set
+  enrolled: {
+    type: Number,
+    required: [true, 'Enrolled count is required'],
+    min: [0, 'Enrolled count cannot be negative']
+  },
+  studyLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  byLocation: [{
+    _id: false,
+    studyLocation: mongoose.Schema.Types.ObjectId,
+    enrolled: Number
+  }],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+enrollmentSnapshotSchema.index({ trial: 1, recordedAt: 1 });
+
+const EnrollmentSnapshot = mongoose.model('EnrollmentSnapshot', enrollmentSnapshotSchema);
+
+module.exports = EnrollmentSnapshot;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A principal investigator in the shared investigator directory. Trials link to an investigator
+// and keep a copy of the name in principalInvestigator; names merged into this entry are kept as aliases.
+const investigatorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Investigator name is required'],
+    trim: true,
+    maxlength: [100, 'Investigator name cannot exceed 100 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot exceed 100 characters']
+  }],
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Email cannot exceed 100 characters'],
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  // Primary institution
+  affiliation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+investigatorSchema.index({ name: 1 });
+investigatorSchema.index({ aliases: 1 });
+investigatorSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+
+const Investigator = mongoose.model('Investigator', investigatorSchema);
+
+module.exports = Investigator;
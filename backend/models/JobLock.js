@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Lock and run record of a scheduled job, one document per job name. An instance may run a
+// job only after claiming it here, so several API instances never run the same slot twice.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Slot (e.g. the date of a nightly run) the job last completed
+  lastRunKey: {
+    type: String,
+    default: null
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Static method claiming a job's run slot; resolves to the lock, or null if the slot already ran
+// or another instance holds an unexpired lock
+jobLockSchema.statics.acquire = async function(name, runKey, owner, ttlMs) {
+  const now = new Date();
+  try {
+    return await this.findOneAndUpdate(
+      {
+        _id: name,
+        lastRunKey: { $ne: runKey },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs), lastStartedAt: now } },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    // The upsert collides with the existing document when the filter did not match
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// Static method recording a successful run and releasing the lock
+jobLockSchema.statics.complete = function(name, runKey, owner, result) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    { $set: { lockedBy: null, lockedUntil: null, lastRunKey: runKey, lastFinishedAt: new Date(), lastStatus: 'success', lastResult: result, lastError: null } }
+  );
+};
+
+// Static method recording a failed run; the lock is held until `retryAt` so the slot is retried then
+jobLockSchema.statics.fail = function(name, owner, err, retryAt) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    { $set: { lockedBy: null, lockedUntil: retryAt, lastFinishedAt: new Date(), lastStatus: 'failed', lastError: err.message || String(err) } }
+  );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS } = require('./NotificationSubscription');
+
+// Days read and unread notifications are kept before MongoDB removes them
+const NOTIFICATION_TTL_DAYS = 180;
+
+// An in-app notification shown in the header's notification center
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // App path the notification opens (e.g. /trials/:id)
+  link: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+// Static method counting a user's unread notifications
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
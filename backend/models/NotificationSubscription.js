@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Trial events users can subscribe to
+const NOTIFICATION_EVENTS = ['statusChange', 'note', 'mention', 'teamAssignment', 'deadline', 'alert'];
+
+// How email notifications are delivered: one email per event, batched daily, or not at all
+const EMAIL_DELIVERY_MODES = ['immediate', 'digest', 'off'];
+
+// A user's notification preferences; `trial: null` holds the user's defaults and a
+// per-trial record overrides them for that trial
+const notificationSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    default: null
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: NOTIFICATION_EVENTS,
+        message: `Event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`
+      }
+    }],
+    default: () => [...NOTIFICATION_EVENTS]
+  },
+  emailDelivery: {
+    type: String,
+    enum: {
+      values: EMAIL_DELIVERY_MODES,
+      message: `Email delivery must be one of: ${EMAIL_DELIVERY_MODES.join(', ')}`
+    },
+    default: 'immediate'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSubscriptionSchema.index({ user: 1, trial: 1 }, { unique: true });
+notificationSubscriptionSchema.index({ trial: 1 });
+
+// Defaults for users who never saved preferences
+notificationSubscriptionSchema.statics.defaults = function() {
+  return { events: [...NOTIFICATION_EVENTS], emailDelivery: 'immediate' };
+};
+
+// Effective preferences of several users for one trial: trial override, then user defaults, then system defaults
+notificationSubscriptionSchema.statics.resolveFor = async function(userIds, trialId) {
+  const records = await this.find({ user: { $in: userIds }, trial: { $in: [null, trialId] } });
+  return userIds.reduce((prefs, userId) => {
+    const own = records.filter(r => String(r.user) === String(userId));
+    const chosen = own.find(r => r.trial && String(r.trial) === String(trialId)) || own.find(r => !r.trial);
+    prefs.set(String(userId), chosen ? { events: chosen.events, emailDelivery: chosen.emailDelivery } : this.defaults());
+    return prefs;
+  }, new Map());
+};
+
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+
+module.exports = NotificationSubscription;
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+module.exports.EMAIL_DELIVERY_MODES = EMAIL_DELIVERY_MODES;
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const EnrollmentSnapshot = require('./EnrollmentSnapshot');
+
+// Allowed participant status transitions (withdrawn and completed are final)
+const PARTICIPANT_TRANSITIONS = {
+  Screening: ['Enrolled', 'Withdrawn'],
+  Enrolled: ['Completed', 'Withdrawn'],
+  Withdrawn: [],
+  Completed: []
+};
+
+const participantSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  subjectId: {
+    type: String,
+    required: [true, 'Subject ID is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Subject ID cannot exceed 50 characters'],
+    match: [/^[A-Z0-9-]+$/, 'Subject ID can only contain uppercase letters, numbers, and hyphens']
+  },
+  studyLocation: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['Screening', 'Enrolled', 'Withdrawn', 'Completed'],
+      message: 'Status must be one of: Screening, Enrolled, Withdrawn, Completed'
+    },
+    default: 'Screening'
+  },
+  screeningDate: {
+    type: Date,
+    default: Date.now
+  },
+  consentDate: {
+    type: Date
+  },
+  enrollmentDate: {
+    type: Date
+  },
+  withdrawalDate: {
+    type: Date
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Withdrawal reason cannot exceed 500 characters']
+  },
+  completionDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Subject IDs are unique within a trial
+participantSchema.index({ trial: 1, subjectId: 1 }, { unique: true });
+participantSchema.index({ trial: 1, status: 1 });
+
+// Enrolled subjects must have given consent, withdrawn subjects need a reason
+participantSchema.pre('validate', function(next) {
+  if (['Enrolled', 'Completed'].includes(this.status) && !this.consentDate) {
+    this.invalidate('consentDate', 'Consent date is required before enrollment');
+  }
+  if (this.status === 'Withdrawn' && !this.withdrawalReason) {
+    this.invalidate('withdrawalReason', 'Withdrawal reason is required');
+  }
+  if (this.consentDate && this.screeningDate && this.consentDate < this.screeningDate) {
+    this.invalidate('consentDate', 'Consent date cannot be before screening date');
+  }
+  next();
+});
+
+// Method returning why a status transition is not allowed, or null if it is
+participantSchema.methods.getTransitionError = function(status) {
+  if (!(PARTICIPANT_TRANSITIONS[this.status] || []).includes(status)) {
+    return `Cannot change participant status from ${this.status} to ${status}`;
+  }
+  return null;
+};
+
+// Method to apply a status transition, stamping the matching date
+participantSchema.methods.transitionTo = function(status, date = new Date()) {
+  this.status = status;
+  if (status === 'Enrolled') this.enrollmentDate = date;
+  if (status === 'Withdrawn') this.withdrawalDate = date;
+  if (status === 'Completed') this.completionDate = date;
+  return this;
+};
+
+// Static method to count participants who have ever been enrolled in a trial
+participantSchema.statics.countEnrolled = function(trialId) {
+  return this.countDocuments({ trial: trialId, enrollmentDate: { $ne: null } });
+};
+
+// Static method to recompute a trial's actualEnrollment and its study locations' counts from the
+// registry; a change is recorded as an automatic enrollment snapshot
+participantSchema.statics.syncTrialEnrollment = async function(trialId, user) {
+  const ClinicalTrial = mongoose.model('ClinicalTrial');
+  const [actualEnrollment, groups, trial] = await Promise.all([
+    this.countEnrolled(trialId),
+    this.aggregate([
+      { $match: { trial: new mongoose.Types.ObjectId(trialId), enrollmentDate: { $ne: null } } },
+      { $group: { _id: '$studyLocation', enrolled: { $sum: 1 } } }
+    ]),
+    ClinicalTrial.findById(trialId).select('actualEnrollment studyLocations._id studyLocations.actualEnrollment')
+  ]);
+  if (!trial) return actualEnrollment;
+
+  const byLocation = groups.filter(g => g._id).map(g => ({ studyLocation: g._id, enrolled: g.enrolled }));
+  const siteCount = (location) => {
+    const group = byLocation.find(g => String(g.studyLocation) === String(location._id));
+    return group ? group.enrolled : 0;
+  };
+  const changedSites = trial.studyLocations.filter(l => l.actualEnrollment !== siteCount(l));
+  // A stored count above the registry's includes enrollments claimed but not yet written (see
+  // routes/participants.js), so the count is only ever raised here
+  if (trial.actualEnrollment >= actualEnrollment && changedSites.length === 0) return trial.actualEnrollment;
+
+  // Site counts are set by location _id so a concurrent edit of the location list cannot misplace them.
+  // The filter keeps the schema's actual <= estimated rule, which updates do not validate
+  const update = { $max: { actualEnrollment } };
+  const siteCounts = {};
+  const arrayFilters = changedSites.map((location, i) => {
+    siteCounts[`studyLocations.$[site${i}].actualEnrollment`] = siteCount(location);
+    return { [`site${i}._id`]: location._id };
+  });
+  if (arrayFilters.length > 0) update.$set = siteCounts;
+  const updated = await ClinicalTrial.findOneAndUpdate(
+    { _id: trialId, estimatedEnrollment: { $gte: actualEnrollment } },
+    update,
+    { new: true, projection: 'actualEnrollment', ...(arrayFilters.length > 0 ? { arrayFilters } : {}) }
+  );
+  if (!updated) {
+    const err = new Error(`${actualEnrollment} participants are enrolled, more than the trial's estimated enrollment; its enrollment count was not updated`);
+    err.status = 409;
+    throw err;
+  }
+
+  await EnrollmentSnapshot.create({
+    trial: trialId,
+    source: 'automatic',
+    enrolled: actualEnrollment,
+    byLocation,
+    recordedBy: user ? user._id : undefined
+  });
+  return updated.actualEnrollment;
+};
+
+const Participant = mongoose.model('Participant', participantSchema);
+
+module.exports = Participant;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { PROTOCOL_FIELDS } = require('./ClinicalTrial');
+
+const AMENDMENT_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'withdrawn'];
+
+// Amendments that are still open; only these can be edited, reviewed or withdrawn
+const OPEN_AMENDMENT_STATUSES = ['draft', 'submitted'];
+
+// A formal change to a trial's protocol fields. Drafts are edited by the author, submitted for
+// review, and on approval every proposed change is applied to the trial in one save and the
+// amendment receives the trial's next amendment number.
+const protocolAmendmentSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  // Assigned on approval, sequential per trial
+  number: {
+    type: Number,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: [true, 'Amendment title is required'],
+    trim: true,
+    maxlength: [200, 'Amendment title cannot exceed 200 characters']
+  },
+  rationale: {
+    type: String,
+    required: [true, 'Rationale is required'],
+    trim: true,
+    maxlength: [2000, 'Rationale cannot exceed 2000 characters']
+  },
+  // Only the fields the amendment changes; previousValue is the trial's value when the change was last proposed
+  changes: {
+    type: [{
+      _id: false,
+      field: {
+        type: String,
+        required: true,
+        enum: {
+          values: PROTOCOL_FIELDS,
+          message: `Amended field must be one of: ${PROTOCOL_FIELDS.join(', ')}`
+        }
+      },
+      previousValue: mongoose.Schema.Types.Mixed,
+      proposedValue: mongoose.Schema.Types.Mixed
+    }],
+    validate: {
+      validator: (changes) => changes.length > 0,
+      message: 'An amendment must change at least one protocol field'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: AMENDMENT_STATUSES,
+      message: `Amendment status must be one of: ${AMENDMENT_STATUSES.join(', ')}`
+    },
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Amendment numbers are unique within a trial
+protocolAmendmentSchema.index(
+  { trial: 1, number: 1 },
+  { unique: true, partialFilterExpression: { number: { $type: 'number' } } }
+);
+protocolAmendmentSchema.index({ trial: 1, status: 1, createdAt: -1 });
+
+// Method returning the changed fields whose trial value moved on since they were proposed
+protocolAmendmentSchema.methods.staleFields = function(trial) {
+  return this.changes
+    .filter(c => JSON.stringify(c.previousValue) !== JSON.stringify(trial.protocolValue(c.field)))
+    .map(c => c.field);
+};
+
+const ProtocolAmendment = mongoose.model('ProtocolAmendment', protocolAmendmentSchema);
+
+module.exports = ProtocolAmendment;
+module.exports.AMENDMENT_STATUSES = AMENDMENT_STATUSES;
+module.exports.OPEN_AMENDMENT_STATUSES = OPEN_AMENDMENT_STATUSES;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A research facility in the shared site directory. Trial study locations link to a site and
+// keep a copy of its name, city and country; names the site was merged from are kept as aliases.
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: [200, 'Site name cannot exceed 200 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alias cannot exceed 200 characters']
+  }],
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [100, 'City name cannot exceed 100 characters']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    maxlength: [100, 'Country name cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per facility and place, ignoring case
+siteSchema.index({ name: 1, city: 1, country: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+siteSchema.index({ aliases: 1 });
+
+// Method returning the study location fields copied onto trials linked to this site
+siteSchema.methods.locationFields = function() {
+  return { facility: this.name, city: this.city, country: this.country };
+};
+
+const Site = mongoose.model('Site', siteSchema);
+
+module.exports = Site;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const SPONSOR_TYPES = ['industry', 'academic', 'government', 'nonprofit', 'other'];
+
+// Legal-form words ignored when comparing sponsor names ("Acme Pharma, Inc." is "Acme Pharma")
+const LEGAL_FORMS = ['inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'lp', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'nv', 'bv'];
+
+// A trial sponsor in the shared sponsor directory. Trials link to a sponsor and keep a copy of
+// its name in `sponsor`; spellings merged or normalized into this entry are kept as aliases.
+const sponsorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sponsor name is required'],
+    trim: true,
+    maxlength: [200, 'Sponsor name cannot exceed 200 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alias cannot exceed 200 characters']
+  }],
+  type: {
+    type: String,
+    enum: {
+      values: SPONSOR_TYPES,
+      message: `Sponsor type must be one of: ${SPONSOR_TYPES.join(', ')}`
+    },
+    default: 'other'
+  },
+  contacts: {
+    type: [{
+      name: {
+        type: String,
+        required: [true, 'Contact name is required'],
+        trim: true,
+        maxlength: [100, 'Contact name cannot exceed 100 characters']
+      },
+      role: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Contact role cannot exceed 100 characters']
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [100, 'Email cannot exceed 100 characters'],
+        match: [
+          /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+          'Please enter a valid email address'
+        ]
+      },
+      phone: {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Phone number cannot exceed 30 characters']
+      }
+    }],
+    validate: {
+      validator: (contacts) => contacts.length <= 20,
+      message: 'A sponsor can have at most 20 contacts'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per sponsor name, ignoring case
+sponsorSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+sponsorSchema.index({ aliases: 1 });
+
+// Static method returning the key under which spellings of the same sponsor name are grouped:
+// case, accents, punctuation, "&" versus "and" and trailing legal forms are ignored
+sponsorSchema.statics.matchKey = function(name) {
+  const words = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_FORMS.includes(words[words.length - 1])) words.pop();
+  return words.join(' ');
+};
+
+// Method returning every name this sponsor is known by
+sponsorSchema.methods.allNames = function() {
+  return [this.name, ...this.aliases];
+};
+
+const Sponsor = mongoose.model('Sponsor', sponsorSchema);
+
+module.exports = Sponsor;
+module.exports.SPONSOR_TYPES = SPONSOR_TYPES;
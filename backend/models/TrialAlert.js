@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Conditions the nightly alert job flags on open trials
+const ALERT_TYPES = ['overdue', 'startOverdue', 'underEnrollment'];
+
+// A problem detected on a trial by the nightly alert job. The job keeps one open alert per
+// trial and type, refreshes it while the condition holds and resolves it once it clears.
+const trialAlertSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Figures behind the alert (e.g. days overdue, expected vs actual enrollment)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+trialAlertSchema.index({ resolvedAt: 1, trial: 1, type: 1 });
+
+const TrialAlert = mongoose.model('TrialAlert', trialAlertSchema);
+
+module.exports = TrialAlert;
+module.exports.ALERT_TYPES = ALERT_TYPES;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['protocol', 'investigatorBrochure', 'informedConsent', 'amendment', 'other'];
+
+// One version of a controlled trial document. Versions of the same document share a `series`
+// (the first version's _id); uploading a new version marks the current one as superseded.
+const trialDocumentSchema = new mongoose.Schema({
+  trial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalTrial',
+    required: true
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrialDocument'
+  },
+  type: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: {
+      values: DOCUMENT_TYPES,
+      message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Document title is required'],
+    trim: true,
+    maxlength: [200, 'Document title cannot exceed 200 characters']
+  },
+  version: {
+    type: String,
+    required: [true, 'Version number is required'],
+    trim: true,
+    maxlength: [20, 'Version number cannot exceed 20 characters'],
+    match: [/^[0-9A-Za-z][0-9A-Za-z._-]*$/, 'Version number can only contain letters, numbers, dots, hyphens and underscores']
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['current', 'superseded'],
+    default: 'current'
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrialDocument'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrialDocument'
+  },
+  supersededAt: {
+    type: Date
+  },
+  // The stored file
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file contents, hex encoded
+  checksum: {
+    type: String,
+    required: true,
+    match: /^[a-f0-9]{64}$/
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Version numbers are unique within a document's history
+trialDocumentSchema.index({ series: 1, version: 1 }, { unique: true });
+trialDocumentSchema.index({ trial: 1, status: 1, type: 1 });
+
+// The first version starts its own series
+trialDocumentSchema.pre('validate', function(next) {
+  if (!this.series) this.series = this._id;
+  next();
+});
+
+const TrialDocument = mongoose.model('TrialDocument', trialDocumentSchema);
+
+module.exports = TrialDocument;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// A named TrialsList configuration: list filters and sort (query parameter -> value) plus visible columns
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [60, 'View name cannot exceed 60 characters']
+  },
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  columns: [{
+    type: String,
+    trim: true
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Shared views are listed (read-only) for every other user
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -54,12 +85,22 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  savedViews: [savedViewSchema]
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      // Served by /api/views rather than with every user payload
+      delete ret.savedViews;
       return ret;
     }
   }
@@ -68,6 +109,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'savedViews.shared': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -78,6 +120,7 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const hashedPassword = await bcrypt.hash(this.password, 12);
     this.password = hashedPassword;
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -114,6 +157,11 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+// Static method to generate a random temporary password that meets the password rules
+userSchema.statics.generateTemporaryPassword = function() {
+  return `${crypto.randomBytes(8).toString('hex')}Aa1`;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
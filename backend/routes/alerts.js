@@ -0,0 +1,56 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const TrialAlert = require('../models/TrialAlert');
+const JobLock = require('../models/JobLock');
+const { ALERT_TYPES } = TrialAlert;
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+// Trial alerts written by the nightly job, and the state of the scheduled jobs
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+// GET /api/alerts (open alerts on trials the user can access, most severe first)
+router.get('/', [
+  query('type').optional().isIn(ALERT_TYPES).withMessage(`Type must be one of: ${ALERT_TYPES.join(', ')}`),
+  query('trial').optional().isMongoId().withMessage('Invalid trial ID format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const trialFilter = ClinicalTrial.accessCondition(req.user);
+    if (req.query.trial) trialFilter._id = req.query.trial;
+    const trialIds = (await ClinicalTrial.find(trialFilter).select('_id')).map(t => t._id);
+
+    const filter = { resolvedAt: null, trial: { $in: trialIds } };
+    const alerts = await TrialAlert.find(filter)
+      .sort({ severity: 1, firstDetectedAt: 1 })
+      .populate('trial', 'trialId trialName status');
+    const filtered = req.query.type ? alerts.filter(a => a.type === req.query.type) : alerts;
+
+    res.json({
+      alerts: filtered,
+      counts: ALERT_TYPES.reduce((acc, type) => {
+        acc[type] = alerts.filter(a => a.type === type).length;
+        return acc;
+      }, {})
+    });
+  } catch (err) {
+    console.error('Get alerts error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve trial alerts' });
+  }
+});
+
+// GET /api/alerts/jobs (admin: last run of each scheduled job)
+router.get('/jobs', isAdmin, async (req, res) => {
+  try {
+    res.json({ jobs: await JobLock.find().sort({ _id: 1 }) });
+  } catch (err) {
+    console.error('Get jobs error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve scheduled jobs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const ProtocolAmendment = require('../models/ProtocolAmendment');
+const { CLOSED_STATUSES, PROTOCOL_FIELDS } = ClinicalTrial;
+const { OPEN_AMENDMENT_STATUSES } = ProtocolAmendment;
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+
+// Mounted under /api/trials/:trialId/amendments
+const router = express.Router({ mergeParams: true });
+
+// Fields exposed when populating user references
+const userSummaryFields = 'firstName lastName username';
+
+// Load the parent trial; any team member may read amendments, each action checks its own permission
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'view')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+router.use(isAuthenticated, loadTrial);
+
+const requirePermission = (permission, message) => (req, res, next) => {
+  if (!canAccessTrial(req.user, req.trial, permission)) return res.status(403).json({ error: 'Forbidden', message });
+  next();
+};
+const canDraft = requirePermission('edit', 'You do not have permission to propose amendments to this trial');
+const canReview = requirePermission('approveAmendment', 'Only admins and the trial PI can review amendments');
+
+// Closed trials take no further amendments
+const requireOpenTrial = (req, res, next) => {
+  if (CLOSED_STATUSES.includes(req.trial.status)) {
+    return res.status(400).json({ error: 'Trial Closed', message: `The protocol of a ${req.trial.status} trial cannot be amended` });
+  }
+  next();
+};
+
+// Validators; `changes` holds the proposed value of each amended protocol field, with the trial's own limits
+const amendmentValidation = [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Amendment title must be 1-200 characters'),
+  body('rationale').trim().isLength({ min: 1, max: 2000 }).withMessage('Rationale must be 1-2000 characters'),
+  body('changes').isObject().withMessage('Changes must be an object of protocol fields').bail()
+    .custom(changes => Object.keys(changes).every(field => PROTOCOL_FIELDS.includes(field)))
+    .withMessage(`Only these protocol fields can be amended: ${PROTOCOL_FIELDS.join(', ')}`),
+  body('changes.primaryEndpoint').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Primary endpoint must be 1-500 characters'),
+  body('changes.secondaryEndpoints').optional().isArray({ max: 20 }).withMessage('Secondary endpoints must be a list of at most 20 items'),
+  body('changes.secondaryEndpoints.*').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Each secondary endpoint must be 1-500 characters'),
+  body('changes.inclusionCriteria').optional().isArray({ max: 50 }).withMessage('Inclusion criteria must be a list of at most 50 items'),
+  body('changes.inclusionCriteria.*').isString().trim().isLength({ min: 1, max: 300 }).withMessage('Each inclusion criterion must be 1-300 characters'),
+  body('changes.exclusionCriteria').optional().isArray({ max: 50 }).withMessage('Exclusion criteria must be a list of at most 50 items'),
+  body('changes.exclusionCriteria.*').isString().trim().isLength({ min: 1, max: 300 }).withMessage('Each exclusion criterion must be 1-300 characters')
+];
+
+const reviewValidation = [
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Review comment cannot exceed 1000 characters')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+  return true;
+};
+
+// The proposed values that differ from the trial's current protocol, with the value each replaces
+const proposedChanges = (trial, proposed) => PROTOCOL_FIELDS
+  .filter(field => proposed[field] !== undefined)
+  .map(field => ({ field, previousValue: trial.protocolValue(field), proposedValue: proposed[field] }))
+  .filter(c => JSON.stringify(c.previousValue) !== JSON.stringify(c.proposedValue));
+
+const noChanges = (res) => res.status(400).json({
+  error: 'No Changes',
+  message: 'The amendment does not change any protocol field'
+});
+
+const isAuthor = (user, amendment) => user.role === 'admin' || String(amendment.createdBy) === String(user._id);
+
+const populateUsers = (amendment) => amendment.populate([
+  { path: 'createdBy', select: userSummaryFields },
+  { path: 'reviewedBy', select: userSummaryFields }
+]);
+
+// Load the amendment named in the URL, answering 404 if it is not one of this trial's
+const findAmendment = async (req, res) => {
+  const amendment = await ProtocolAmendment.findOne({ _id: req.params.amendmentId, trial: req.trial._id });
+  if (!amendment) res.status(404).json({ error: 'Amendment Not Found', message: 'Protocol amendment not found' });
+  return amendment;
+};
+
+const wrongStatus = (res, amendment, action) => res.status(400).json({
+  error: 'Invalid Amendment Status',
+  message: `A ${amendment.status} amendment cannot be ${action}`
+});
+
+const handleError = (res, err, message) => {
+  if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid amendment ID format' });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: 'Validation Error', message: err.message });
+  console.error(`${message} error:`, err);
+  res.status(500).json({ error: 'Server Error', message: `Failed to ${message.toLowerCase()}` });
+};
+
+// GET /api/trials/:trialId/amendments (newest first, with the trial's current amendment number)
+router.get('/', async (req, res) => {
+  try {
+    const amendments = await ProtocolAmendment.find({ trial: req.trial._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', userSummaryFields)
+      .populate('reviewedBy', userSummaryFields);
+    res.json({ amendments, amendmentNumber: req.trial.amendmentNumber, protocolLocked: req.trial.isProtocolLocked() });
+  } catch (err) {
+    handleError(res, err, 'Retrieve amendments');
+  }
+});
+
+// POST /api/trials/:trialId/amendments (new draft)
+router.post('/', canDraft, requireOpenTrial, amendmentValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!req.trial.isProtocolLocked()) {
+      return res.status(400).json({
+        error: 'Amendment Not Needed',
+        message: 'The protocol of a trial in Planning can be edited directly'
+      });
+    }
+
+    const changes = proposedChanges(req.trial, req.body.changes);
+    if (changes.length === 0) return noChanges(res);
+
+    const amendment = await ProtocolAmendment.create({
+      trial: req.trial._id,
+      title: req.body.title,
+      rationale: req.body.rationale,
+      changes,
+      createdBy: req.user._id
+    });
+    await populateUsers(amendment);
+    res.status(201).json({ message: 'Amendment draft created', amendment });
+  } catch (err) {
+    handleError(res, err, 'Create amendment');
+  }
+});
+
+// PUT /api/trials/:trialId/amendments/:amendmentId (drafts only, by their author or an admin)
+router.put('/:amendmentId', canDraft, requireOpenTrial, amendmentValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const amendment = await findAmendment(req, res);
+    if (!amendment) return;
+    if (amendment.status !== 'draft') return wrongStatus(res, amendment, 'edited');
+    if (!isAuthor(req.user, amendment)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only the author of a draft amendment can edit it' });
+    }
+
+    const changes = proposedChanges(req.trial, req.body.changes);
+    if (changes.length === 0) return noChanges(res);
+
+    amendment.set({ title: req.body.title, rationale: req.body.rationale, changes });
+    await amendment.save();
+    await populateUsers(amendment);
+    res.json({ message: 'Amendment draft updated', amendment });
+  } catch (err) {
+    handleError(res, err, 'Update amendment');
+  }
+});
+
+// POST /api/trials/:trialId/amendments/:amendmentId/submit (send a draft for review against the current protocol)
+router.post('/:amendmentId/submit', canDraft, requireOpenTrial, async (req, res) => {
+  try {
+    const amendment = await findAmendment(req, res);
+    if (!amendment) return;
+    if (amendment.status !== 'draft') return wrongStatus(res, amendment, 'submitted');
+    if (!isAuthor(req.user, amendment)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only the author of a draft amendment can submit it' });
+    }
+
+    // The reviewer compares against the protocol as it is now, not as it was when the draft was started
+    const changes = proposedChanges(req.trial, Object.fromEntries(amendment.changes.map(c => [c.field, c.proposedValue])));
+    if (changes.length === 0) return noChanges(res);
+
+    amendment.set({ changes, status: 'submitted', submittedAt: new Date() });
+    await amendment.save();
+    await populateUsers(amendment);
+    res.json({ message: 'Amendment submitted for review', amendment });
+  } catch (err) {
+    handleError(res, err, 'Submit amendment');
+  }
+});
+
+// POST /api/trials/:trialId/amendments/:amendmentId/approve (admin or PI; applies every change in one save)
+router.post('/:amendmentId/approve', canReview, requireOpenTrial, reviewValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const t = req.trial;
+    const amendment = await findAmendment(req, res);
+    if (!amendment) return;
+    if (amendment.status !== 'submitted') return wrongStatus(res, amendment, 'approved');
+    if (String(amendment.createdBy) === String(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden', message: 'An amendment must be approved by someone other than its author' });
+    }
+
+    // Another amendment or a change made during Planning may have replaced the values this one was reviewed against
+    const stale = amendment.staleFields(t);
+    if (stale.length > 0) {
+      return res.status(409).json({
+        error: 'Protocol Changed',
+        message: `${stale.join(', ')} changed after this amendment was submitted; withdraw it and propose the changes again`
+      });
+    }
+
+    // Claim the amendment so two reviewers cannot both apply it; the unique (trial, number) index
+    // rejects the claim if another amendment of this trial was approved with the same number meanwhile
+    const number = t.amendmentNumber + 1;
+    let claimed;
+    try {
+      claimed = await ProtocolAmendment.findOneAndUpdate(
+        { _id: amendment._id, status: 'submitted' },
+        { status: 'approved', number, reviewedBy: req.user._id, reviewedAt: new Date(), reviewComment: req.body.comment || undefined },
+        { new: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res.status(409).json({ error: 'Amendment Changed', message: 'Another amendment of this trial was approved at the same time; reload and try again' });
+    }
+    if (!claimed) {
+      return res.status(409).json({ error: 'Amendment Changed', message: 'This amendment was reviewed or withdrawn by someone else' });
+    }
+
+    // All changes and the new amendment number go into a single versioned save of the trial
+    const before = t.toObject();
+    try {
+      claimed.changes.forEach((c) => { t[c.field] = c.proposedValue; });
+      t.amendmentNumber = number;
+      t.lastModifiedBy = req.user._id;
+      await t.save();
+    } catch (err) {
+      // Only undo this approval's own claim
+      await ProtocolAmendment.updateOne(
+        { _id: claimed._id, status: 'approved', number },
+        { status: 'submitted', $unset: { number: 1, reviewedBy: 1, reviewedAt: 1, reviewComment: 1 } }
+      );
+      if (err.name === 'VersionError') {
+        return res.status(409).json({ error: 'Edit Conflict', message: 'The trial was changed while the amendment was being approved; try again' });
+      }
+      throw err;
+    }
+
+    await AuditLog.record({
+      trial: t,
+      action: 'amendment',
+      before,
+      after: t,
+      user: req.user,
+      reason: `Amendment ${number}: ${claimed.title}`,
+      amendment: claimed
+    });
+
+    await populateUsers(claimed);
+    res.json({ message: `Amendment ${number} approved and applied`, amendment: claimed, trial: t });
+  } catch (err) {
+    handleError(res, err, 'Approve amendment');
+  }
+});
+
+// POST /api/trials/:trialId/amendments/:amendmentId/reject (admin or PI; a comment is required)
+router.post('/:amendmentId/reject', canReview, [
+  body('comment').trim().isLength({ min: 1, max: 1000 }).withMessage('Explain why the amendment is rejected (up to 1000 characters)')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const amendment = await findAmendment(req, res);
+    if (!amendment) return;
+    if (amendment.status !== 'submitted') return wrongStatus(res, amendment, 'rejected');
+
+    amendment.set({ status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date(), reviewComment: req.body.comment });
+    await amendment.save();
+    await populateUsers(amendment);
+    res.json({ message: 'Amendment rejected', amendment });
+  } catch (err) {
+    handleError(res, err, 'Reject amendment');
+  }
+});
+
+// POST /api/trials/:trialId/amendments/:amendmentId/withdraw (author, admin or PI; open amendments only)
+router.post('/:amendmentId/withdraw', async (req, res) => {
+  try {
+    const amendment = await findAmendment(req, res);
+    if (!amendment) return;
+    if (!OPEN_AMENDMENT_STATUSES.includes(amendment.status)) return wrongStatus(res, amendment, 'withdrawn');
+    if (!isAuthor(req.user, amendment) && !canAccessTrial(req.user, req.trial, 'approveAmendment')) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only the author or a reviewer can withdraw this amendment' });
+    }
+
+    const withdrawn = await ProtocolAmendment.findOneAndUpdate(
+      { _id: amendment._id, status: { $in: OPEN_AMENDMENT_STATUSES } },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return res.status(409).json({ error: 'Amendment Changed', message: 'This amendment was reviewed by someone else' });
+    }
+    await populateUsers(withdrawn);
+    res.json({ message: 'Amendment withdrawn', amendment: withdrawn });
+  } catch (err) {
+    handleError(res, err, 'Withdraw amendment');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const passport = require('passport');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { isAuthenticated, isNotAuthenticated } = require('../middleware/auth');
+const { closeStreams } = require('../utils/notificationStream');
 
 const router = express.Router();
 
@@ -200,6 +201,7 @@ router.post('/login', isNotAuthenticated, loginValidation, (req, res, next) => {
 // @desc    Logout user
 // @access  Private
 router.post('/logout', isAuthenticated, (req, res) => {
+  const sessionId = req.sessionID;
   req.logout((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -218,6 +220,8 @@ router.post('/logout', isAuthenticated, (req, res) => {
         });
       }
       
+      // Live notification streams opened with this session stop with it
+      closeStreams({ sessionId });
       res.clearCookie('connect.sid');
       res.json({
         message: 'Logout successful'
@@ -302,6 +306,74 @@ router.put('/profile', isAuthenticated, [
   }
 });
 
+// @route   PUT /api/auth/password
+// @desc    Change own password (clears a forced reset)
+// @access  Private
+router.put('/password', isAuthenticated, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        messages: errors.array().map(err => err.msg)
+      });
+    }
+    
+    const { currentPassword, newPassword } = req.body;
+    
+    // Session user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User Not Found',
+        message: 'User not found'
+      });
+    }
+    
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'New password must be different from the current password'
+      });
+    }
+    
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+    
+    res.json({
+      message: 'Password changed successfully',
+      user
+    });
+    
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      message: 'Failed to change password'
+    });
+  }
+});
+
 // @route   GET /api/auth/check
 // @desc    Check authentication status
 // @access  Public
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const TrialDocument = require('../models/TrialDocument');
+const { DOCUMENT_TYPES } = TrialDocument;
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+const { getStorage } = require('../utils/documentStorage');
+
+// Mounted under /api/trials/:trialId/documents
+const router = express.Router({ mergeParams: true });
+
+const MAX_SIZE_MB = parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 25;
+const ALLOWED_EXTENSIONS = ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt'];
+
+// Team members may read and download documents, editors upload them, and only users who may
+// delete the trial remove a mistaken upload
+const PERMISSIONS = { GET: 'view', POST: 'edit', DELETE: 'delete' };
+
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, PERMISSIONS[req.method] || 'edit')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+router.use(isAuthenticated, loadTrial);
+
+// Uploads are held in memory until they are checksummed and handed to the storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) return cb(new Error(`Only ${ALLOWED_EXTENSIONS.join(', ')} files can be uploaded`));
+    cb(null, true);
+  }
+});
+const uploadDocumentFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+  if (err) return res.status(400).json({ error: 'Upload Error', message: err.message });
+  if (!req.file) return res.status(400).json({ error: 'Validation Error', message: 'Please choose a file to upload' });
+  next();
+});
+
+const versionValidation = [
+  body('version').trim().isLength({ min: 1, max: 20 }).withMessage('Version number must be 1-20 characters')
+    .matches(/^[0-9A-Za-z][0-9A-Za-z._-]*$/).withMessage('Version number can only contain letters, numbers, dots, hyphens and underscores'),
+  body('effectiveDate').isISO8601().withMessage('A valid effective date is required').toDate(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const documentValidation = [
+  body('type').isIn(DOCUMENT_TYPES).withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Document title must be 1-200 characters'),
+  ...versionValidation
+];
+
+const uploader = { path: 'uploadedBy', select: 'firstName lastName username' };
+
+const fileChecksum = (file) => crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+// Put the uploaded file in storage under a fresh key; returns the document's file fields
+const storeFile = async (trial, file) => {
+  const storageKey = `${trial._id}/${new mongoose.Types.ObjectId()}${path.extname(file.originalname).toLowerCase()}`;
+  await getStorage().put(storageKey, file.buffer);
+  return {
+    storageKey,
+    fileName: path.basename(file.originalname),
+    mimeType: file.mimetype || 'application/octet-stream',
+    size: file.size,
+    checksum: fileChecksum(file)
+  };
+};
+
+// Remove a stored file whose document could not be saved; the original error is what matters
+const discardFile = (storageKey) => getStorage().remove(storageKey)
+  .catch(err => console.error(`Discard document file ${storageKey} error:`, err));
+
+const duplicateVersion = (res) => res.status(400).json({
+  error: 'Duplicate Version',
+  message: 'This document already has a version with that number'
+});
+
+const documentChanged = (res) => res.status(409).json({
+  error: 'Edit Conflict',
+  message: 'The document changed meanwhile; reload the documents and try again'
+});
+
+// GET /api/trials/:trialId/documents (current version of each document, with its version count)
+router.get('/', async (req, res) => {
+  try {
+    const documents = await TrialDocument.find({ trial: req.trial._id, status: 'current' })
+      .sort({ type: 1, title: 1 })
+      .populate(uploader);
+    const counts = await TrialDocument.aggregate([
+      { $match: { trial: req.trial._id } },
+      { $group: { _id: '$series', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      documents: documents.map(d => ({
+        ...d.toObject(),
+        versionCount: (counts.find(c => String(c._id) === String(d.series)) || { count: 1 }).count
+      }))
+    });
+  } catch (err) {
+    console.error('Get documents error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve documents' });
+  }
+});
+
+// POST /api/trials/:trialId/documents (multipart "file"; starts a new document at its first version)
+router.post('/', uploadDocumentFile, documentValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+  let stored = null;
+  try {
+    stored = await storeFile(req.trial, req.file);
+    const document = await TrialDocument.create({
+      trial: req.trial._id,
+      type: req.body.type,
+      title: req.body.title,
+      version: req.body.version,
+      effectiveDate: req.body.effectiveDate,
+      notes: req.body.notes || undefined,
+      ...stored,
+      uploadedBy: req.user._id
+    });
+    stored = null;
+    await document.populate(uploader);
+    res.status(201).json({ message: 'Document uploaded', document });
+  } catch (err) {
+    if (stored) await discardFile(stored.storageKey);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    }
+    console.error('Upload document error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to upload document' });
+  }
+});
+
+// Find a document version of the loaded trial
+const findDocument = async (req, res) => {
+  const document = await TrialDocument.findOne({ _id: req.params.documentId, trial: req.trial._id });
+  if (!document) res.status(404).json({ error: 'Document Not Found', message: 'Document not found' });
+  return document;
+};
+
+// POST /api/trials/:trialId/documents/:documentId/versions (multipart "file"; supersedes the current version)
+router.post('/:documentId/versions', uploadDocumentFile, [
+  ...versionValidation,
+  body('title').optional({ values: 'falsy' }).trim().isLength({ max: 200 }).withMessage('Document title cannot exceed 200 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+  let stored = null;
+  try {
+    const current = await findDocument(req, res);
+    if (!current) return;
+    if (current.status !== 'current') {
+      return res.status(400).json({ error: 'Not Current Version', message: 'New versions are uploaded against the current version of a document' });
+    }
+    if (req.body.effectiveDate < current.effectiveDate) {
+      return res.status(400).json({ error: 'Validation Error', message: 'A new version cannot take effect before the version it supersedes' });
+    }
+
+    if (fileChecksum(req.file) === current.checksum) {
+      return res.status(400).json({ error: 'Unchanged Document', message: 'This file is identical to the current version' });
+    }
+    stored = await storeFile(req.trial, req.file);
+
+    // Claim the current version first, already pointing at the new one, so two concurrent uploads
+    // cannot both supersede it
+    const documentId = new mongoose.Types.ObjectId();
+    const claimed = await TrialDocument.findOneAndUpdate(
+      { _id: current._id, status: 'current' },
+      { status: 'superseded', supersededAt: new Date(), supersededBy: documentId }
+    );
+    if (!claimed) {
+      await discardFile(stored.storageKey);
+      stored = null;
+      return res.status(409).json({ error: 'Edit Conflict', message: 'Another version was uploaded meanwhile; reload the documents and try again' });
+    }
+
+    let document;
+    try {
+      document = await TrialDocument.create({
+        _id: documentId,
+        trial: req.trial._id,
+        series: current.series,
+        type: current.type,
+        title: req.body.title || current.title,
+        version: req.body.version,
+        effectiveDate: req.body.effectiveDate,
+        notes: req.body.notes || undefined,
+        supersedes: current._id,
+        ...stored,
+        uploadedBy: req.user._id
+      });
+    } catch (err) {
+      await TrialDocument.updateOne(
+        { _id: current._id, supersededBy: documentId },
+        { status: 'current', $unset: { supersededBy: 1, supersededAt: 1 } }
+      );
+      throw err;
+    }
+    stored = null;
+
+    await document.populate(uploader);
+    res.status(201).json({ message: `Version ${document.version} uploaded; version ${current.version} is superseded`, document });
+  } catch (err) {
+    if (stored) await discardFile(stored.storageKey);
+    if (err.code === 11000) return duplicateVersion(res);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    }
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid document ID format' });
+    console.error('Upload document version error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to upload document version' });
+  }
+});
+
+// GET /api/trials/:trialId/documents/:documentId/history (every version of the document, newest first)
+router.get('/:documentId/history', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    const versions = await TrialDocument.find({ trial: req.trial._id, series: document.series })
+      .sort({ createdAt: -1 })
+      .populate(uploader);
+    res.json({ versions });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid document ID format' });
+    console.error('Get document history error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve document history' });
+  }
+});
+
+// GET /api/trials/:trialId/documents/:documentId/download (any version)
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    const stream = await getStorage().read(document.storageKey);
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': document.size,
+      'Content-Disposition': `attachment; filename="${document.fileName.replace(/["\\\r\n]/g, '_')}"`,
+      ETag: `"${document.checksum}"`
+    });
+    stream.on('error', (err) => {
+      console.error('Download document error:', err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid document ID format' });
+    if (err.code === 'ENOENT') {
+      console.error(`Document file missing for ${req.params.documentId}:`, err);
+      return res.status(404).json({ error: 'File Not Found', message: 'The stored file for this document is missing' });
+    }
+    console.error('Download document error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to download document' });
+  }
+});
+
+// DELETE /api/trials/:trialId/documents/:documentId (current version only; the version it
+// superseded becomes current again)
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+    if (document.status !== 'current') {
+      return res.status(400).json({ error: 'Not Current Version', message: 'Superseded versions are kept as the document history' });
+    }
+
+    // The previous version becomes current again before this one goes, and only while this one is
+    // still its successor, so the document never lacks a current version
+    const previous = document.supersedes && await TrialDocument.findOneAndUpdate(
+      { _id: document.supersedes, status: 'superseded', supersededBy: document._id },
+      { status: 'current', $unset: { supersededBy: 1, supersededAt: 1 } }
+    );
+    if (document.supersedes && !previous) return documentChanged(res);
+
+    const { deletedCount } = await TrialDocument.deleteOne({ _id: document._id, status: 'current' });
+    if (deletedCount === 0) {
+      // A new version superseded this one meanwhile: leave the history as it was
+      if (previous) {
+        await TrialDocument.updateOne(
+          { _id: previous._id, status: 'current' },
+          { status: 'superseded', supersededBy: document._id, supersededAt: previous.supersededAt }
+        );
+      }
+      return documentChanged(res);
+    }
+    await discardFile(document.storageKey);
+
+    res.json({
+      message: document.supersedes ? 'Document version deleted; the previous version is current again' : 'Document deleted'
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid document ID format' });
+    console.error('Delete document error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
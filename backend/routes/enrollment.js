@@ -0,0 +1,113 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const EnrollmentSnapshot = require('../models/EnrollmentSnapshot');
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+const { trialSeries, locationSeries, projectEnrollment, siteStanding, rankSites } = require('../utils/enrollmentProjection');
+
+// Mounted under /api/trials/:trialId/enrollment
+const router = express.Router({ mergeParams: true });
+
+// Snapshots listed in the response (the curves use all of them)
+const RECENT_SNAPSHOTS = 100;
+
+// Load the parent trial; any team member may read the enrollment history, editors may add entries
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    const permission = req.method === 'GET' ? 'view' : 'edit';
+    if (!canAccessTrial(req.user, t, permission)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+router.use(isAuthenticated, loadTrial);
+
+// Curves, projection, site league table and recent snapshots of the trial
+const enrollmentResponse = async (t) => {
+  const snapshots = await EnrollmentSnapshot.find({ trial: t._id })
+    .sort({ recordedAt: 1 })
+    .populate('recordedBy', 'firstName lastName username');
+  const actual = trialSeries(snapshots);
+  const series = locationSeries(t, snapshots);
+  return {
+    target: { startDate: t.startDate, endDate: t.endDate, estimatedEnrollment: t.estimatedEnrollment },
+    actual,
+    sites: rankSites(t.studyLocations.map((location, i) => ({ ...series[i], ...siteStanding(t, location) }))),
+    projection: projectEnrollment(t, actual),
+    snapshots: snapshots.slice(-RECENT_SNAPSHOTS).reverse()
+  };
+};
+
+// GET /api/trials/:trialId/enrollment
+router.get('/', async (req, res) => {
+  try {
+    res.json(await enrollmentResponse(req.trial));
+  } catch (err) {
+    console.error('Get enrollment error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve enrollment history' });
+  }
+});
+
+// POST /api/trials/:trialId/enrollment/snapshots (manual entry for a study location or the whole trial)
+router.post('/snapshots', [
+  body('recordedAt').isISO8601().withMessage('A valid date is required').toDate()
+    .custom(date => date <= new Date()).withMessage('Date cannot be in the future'),
+  body('enrolled').isInt({ min: 0 }).withMessage('Enrolled count must be a non-negative integer').toInt(),
+  body('studyLocation').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid studyLocation'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters').trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const { recordedAt, enrolled, studyLocation, note } = req.body;
+    if (studyLocation && !req.trial.studyLocations.id(studyLocation)) {
+      return res.status(400).json({ error: 'Validation Error', message: 'Study location does not belong to this trial' });
+    }
+    if (enrolled > req.trial.estimatedEnrollment) {
+      return res.status(400).json({ error: 'Validation Error', message: `Enrolled count cannot exceed the trial's estimated enrollment of ${req.trial.estimatedEnrollment}` });
+    }
+
+    await EnrollmentSnapshot.create({
+      trial: req.trial._id,
+      source: 'manual',
+      recordedAt,
+      enrolled,
+      studyLocation: studyLocation || null,
+      note,
+      recordedBy: req.user._id
+    });
+    res.status(201).json({ message: 'Enrollment entry added', ...(await enrollmentResponse(req.trial)) });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    console.error('Add enrollment entry error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to add enrollment entry' });
+  }
+});
+
+// DELETE /api/trials/:trialId/enrollment/snapshots/:snapshotId (manual entries only)
+router.delete('/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await EnrollmentSnapshot.findOne({ _id: req.params.snapshotId, trial: req.trial._id });
+    if (!snapshot) return res.status(404).json({ error: 'Entry Not Found', message: 'Enrollment entry not found' });
+    if (snapshot.source !== 'manual') {
+      return res.status(400).json({ error: 'Invalid Operation', message: 'Automatic snapshots follow the participant registry and cannot be deleted' });
+    }
+
+    await snapshot.deleteOne();
+    res.json({ message: 'Enrollment entry deleted', ...(await enrollmentResponse(req.trial)) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid enrollment entry ID format' });
+    console.error('Delete enrollment entry error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete enrollment entry' });
+  }
+});
+
+module.exports = router;
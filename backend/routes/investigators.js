@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Investigator = require('../models/Investigator');
+const Site = require('../models/Site');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { relinkTrials, canEditEntry, searchCondition } = require('../utils/directory');
+
+// The shared investigator directory
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+const investigatorValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Investigator name must be 1-100 characters'),
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Please enter a valid email address'),
+  body('affiliation').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid affiliation site ID'),
+  body('aliases').optional().isArray({ max: 20 }).withMessage('Aliases must be a list of at most 20 names'),
+  body('aliases.*').trim().isLength({ min: 1, max: 100 }).withMessage('Each alias must be 1-100 characters')
+];
+
+const duplicateEmail = (res) => res.status(400).json({
+  error: 'Duplicate Investigator',
+  message: 'An investigator with this email already exists'
+});
+
+// Fields of a create/update body; a blank email or affiliation is cleared
+const investigatorFields = async ({ name, email, affiliation, aliases }) => {
+  if (affiliation && !(await Site.exists({ _id: affiliation }))) return { error: 'Affiliation site not found in the directory' };
+  return {
+    fields: {
+      name,
+      email: email || undefined,
+      affiliation: affiliation || undefined,
+      ...(aliases ? { aliases } : {})
+    }
+  };
+};
+
+// GET /api/investigators (directory, by name: search, page, limit)
+router.get('/', [
+  query('search').optional().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = req.query.search ? searchCondition(escapeRegex(req.query.search.trim()), ['email']) : {};
+
+    const [investigators, total] = await Promise.all([
+      Investigator.find(filter)
+        .sort({ name: 1 })
+        .collation({ locale: 'en' })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('affiliation', 'name city country'),
+      Investigator.countDocuments(filter)
+    ]);
+    const counts = await ClinicalTrial.aggregate([
+      { $match: { deletedAt: null, investigator: { $in: investigators.map(i => i._id) } } },
+      { $group: { _id: '$investigator', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      investigators: investigators.map(i => ({
+        ...i.toObject(),
+        trialCount: (counts.find(c => String(c._id) === String(i._id)) || { count: 0 }).count
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalInvestigators: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Get investigators error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve investigators' });
+  }
+});
+
+// POST /api/investigators
+router.post('/', investigatorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const { fields, error } = await investigatorFields(req.body);
+    if (error) return res.status(400).json({ error: 'Validation Error', message: error });
+
+    const investigator = await Investigator.create({ ...fields, createdBy: req.user._id, lastModifiedBy: req.user._id });
+    res.status(201).json({ message: 'Investigator added to the directory', investigator });
+  } catch (err) {
+    if (err.code === 11000) return duplicateEmail(res);
+    console.error('Create investigator error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to create investigator' });
+  }
+});
+
+// GET /api/investigators/:id (with the accessible trials the investigator leads)
+router.get('/:id', async (req, res) => {
+  try {
+    const investigator = await Investigator.findById(req.params.id)
+      .populate('affiliation', 'name city country')
+      .populate('createdBy', 'firstName lastName username');
+    if (!investigator) return res.status(404).json({ error: 'Investigator Not Found', message: 'Investigator not found' });
+
+    const trials = await ClinicalTrial.find({ ...ClinicalTrial.accessCondition(req.user), investigator: investigator._id })
+      .select('trialId trialName status phase sponsor startDate endDate actualEnrollment estimatedEnrollment')
+      .sort({ startDate: -1 });
+
+    res.json({ investigator, trials });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid investigator ID format' });
+    console.error('Get investigator error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve investigator' });
+  }
+});
+
+// PUT /api/investigators/:id (admin or creator; linked trials pick up a new name)
+router.put('/:id', investigatorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const investigator = await Investigator.findById(req.params.id);
+    if (!investigator) return res.status(404).json({ error: 'Investigator Not Found', message: 'Investigator not found' });
+    if (!canEditEntry(req.user, investigator)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only admins and the user who added this investigator can edit them' });
+    }
+
+    const { fields, error } = await investigatorFields(req.body);
+    if (error) return res.status(400).json({ error: 'Validation Error', message: error });
+
+    const renamed = fields.name !== investigator.name;
+    investigator.set({ ...fields, lastModifiedBy: req.user._id });
+    await investigator.save();
+
+    const trialsUpdated = renamed ? await relinkTrials({
+      filter: { investigator: investigator._id },
+      apply: (trial) => { trial.principalInvestigator = investigator.name; },
+      user: req.user,
+      reason: `Investigator directory entry renamed to ${investigator.name}`
+    }) : 0;
+
+    res.json({ message: 'Investigator updated', investigator, trialsUpdated });
+  } catch (err) {
+    if (err.code === 11000) return duplicateEmail(res);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid investigator ID format' });
+    console.error('Update investigator error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update investigator' });
+  }
+});
+
+// DELETE /api/investigators/:id (admin; only investigators no trial links to)
+router.delete('/:id', isAdmin, async (req, res) => {
+  try {
+    const investigator = await Investigator.findById(req.params.id);
+    if (!investigator) return res.status(404).json({ error: 'Investigator Not Found', message: 'Investigator not found' });
+
+    const inUse = await ClinicalTrial.countDocuments({ investigator: investigator._id }).setOptions({ includeDeleted: true });
+    if (inUse > 0) {
+      return res.status(400).json({
+        error: 'Investigator In Use',
+        message: `${investigator.name} leads ${inUse} trial${inUse === 1 ? '' : 's'}; merge them into another entry instead`
+      });
+    }
+
+    await investigator.deleteOne();
+    res.json({ message: 'Investigator deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid investigator ID format' });
+    console.error('Delete investigator error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete investigator' });
+  }
+});
+
+// POST /api/investigators/:id/merge (admin: fold duplicate entries into this one; their names become aliases)
+router.post('/:id/merge', isAdmin, [
+  param('id').isMongoId().withMessage('Invalid investigator ID format'),
+  body('duplicates').isArray({ min: 1, max: 50 }).withMessage('Select 1-50 duplicate investigators to merge'),
+  body('duplicates.*').isMongoId().withMessage('Invalid duplicate investigator ID')
+    .custom((id, { req }) => id !== req.params.id).withMessage('An investigator cannot be merged into themselves')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const investigator = await Investigator.findById(req.params.id);
+    if (!investigator) return res.status(404).json({ error: 'Investigator Not Found', message: 'Investigator not found' });
+    const duplicates = await Investigator.find({ _id: { $in: req.body.duplicates } });
+    if (duplicates.length !== new Set(req.body.duplicates).size) {
+      return res.status(404).json({ error: 'Investigator Not Found', message: 'One or more duplicate investigators were not found' });
+    }
+    const duplicateIds = duplicates.map(d => String(d._id));
+
+    // Keep the duplicates' names so searches for them still find this entry; fill in missing details
+    const known = new Set([investigator.name, ...investigator.aliases].map(n => n.toLowerCase()));
+    duplicates.flatMap(d => [d.name, ...d.aliases]).forEach((name) => {
+      if (!known.has(name.toLowerCase())) {
+        known.add(name.toLowerCase());
+        investigator.aliases.push(name);
+      }
+    });
+    const donor = duplicates.find(d => d.affiliation);
+    if (!investigator.affiliation && donor) investigator.affiliation = donor.affiliation;
+    investigator.lastModifiedBy = req.user._id;
+    await investigator.save();
+
+    const trialsUpdated = await relinkTrials({
+      filter: { investigator: { $in: duplicateIds } },
+      apply: (trial) => {
+        trial.investigator = investigator._id;
+        trial.principalInvestigator = investigator.name;
+      },
+      user: req.user,
+      reason: `Merged duplicate investigators into ${investigator.name}`
+    });
+    await Investigator.deleteMany({ _id: { $in: duplicateIds } });
+
+    // An email can only move over once its old entry is gone
+    const email = !investigator.email && (duplicates.find(d => d.email) || {}).email;
+    if (email) {
+      investigator.email = email;
+      await investigator.save();
+    }
+
+    res.json({
+      message: `Merged ${duplicates.length} investigator${duplicates.length === 1 ? '' : 's'} into ${investigator.name}`,
+      investigator,
+      trialsUpdated
+    });
+  } catch (err) {
+    console.error('Merge investigators error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to merge investigators' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Notification = require('../models/Notification');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const { NOTIFICATION_EVENTS, EMAIL_DELIVERY_MODES } = NotificationSubscription;
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+const { openStream, publish } = require('../utils/notificationStream');
+
+// In-app notifications and notification preferences of the current user
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+const preferenceValidation = [
+  body('events').isArray().withMessage('Events must be an array')
+    .custom(events => events.every(e => NOTIFICATION_EVENTS.includes(e)))
+    .withMessage(`Events may only contain: ${NOTIFICATION_EVENTS.join(', ')}`),
+  body('emailDelivery').isIn(EMAIL_DELIVERY_MODES).withMessage(`Email delivery must be one of: ${EMAIL_DELIVERY_MODES.join(', ')}`)
+];
+
+const preferencesOf = (record) => (record
+  ? { events: record.events, emailDelivery: record.emailDelivery }
+  : NotificationSubscription.defaults());
+
+// Load the trial named in the URL; any team member may subscribe to it
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId).select('trialId trialName createdBy team');
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'view')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+// GET /api/notifications (newest first, paginated)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('unread').optional().isBoolean().withMessage('unread must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('trial', 'trialId trialName')
+        .populate('actor', 'firstName lastName username'),
+      Notification.countDocuments(filter),
+      Notification.unreadCount(req.user._id)
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Get notifications error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve notifications' });
+  }
+});
+
+// GET /api/notifications/stream (Server-Sent Events: `ready`, `notification` and `read` events)
+router.get('/stream', async (req, res) => {
+  try {
+    const unreadCount = await Notification.unreadCount(req.user._id);
+    openStream(req, res, { unreadCount });
+  } catch (err) {
+    console.error('Notification stream error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to open notification stream' });
+  }
+});
+
+// PUT /api/notifications/read-all
+router.put('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany({ user: req.user._id, readAt: null }, { readAt: new Date() });
+    // Keeps the bell in the user's other tabs in sync
+    publish(req.user._id, 'read', { all: true, unreadCount: 0 });
+    res.json({ message: `${modifiedCount} notifications marked as read`, unreadCount: 0 });
+  } catch (err) {
+    console.error('Mark all notifications read error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to mark notifications as read' });
+  }
+});
+
+// PUT /api/notifications/:id/read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) return res.status(404).json({ error: 'Notification Not Found', message: 'Notification not found' });
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.unreadCount(req.user._id);
+    publish(req.user._id, 'read', { id: notification._id, unreadCount });
+    res.json({ message: 'Notification marked as read', notification, unreadCount });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid notification ID format' });
+    console.error('Mark notification read error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to mark notification as read' });
+  }
+});
+
+// GET /api/notifications/preferences (defaults + per-trial overrides)
+router.get('/preferences', async (req, res) => {
+  try {
+    const [defaults, overrides] = await Promise.all([
+      NotificationSubscription.findOne({ user: req.user._id, trial: null }),
+      NotificationSubscription.find({ user: req.user._id, trial: { $ne: null } }).populate('trial', 'trialId trialName')
+    ]);
+    res.json({
+      preferences: preferencesOf(defaults),
+      // Overrides of trials that have since been deleted are left out
+      trialOverrides: overrides
+        .filter(r => r.trial)
+        .map(r => ({ trial: r.trial, ...preferencesOf(r) })),
+      events: NOTIFICATION_EVENTS,
+      deliveryModes: EMAIL_DELIVERY_MODES
+    });
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve notification preferences' });
+  }
+});
+
+// PUT /api/notifications/preferences
+router.put('/preferences', preferenceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const record = await NotificationSubscription.findOneAndUpdate(
+      { user: req.user._id, trial: null },
+      { events: req.body.events, emailDelivery: req.body.emailDelivery },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ message: 'Notification preferences saved', preferences: preferencesOf(record) });
+  } catch (err) {
+    console.error('Update notification preferences error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to save notification preferences' });
+  }
+});
+
+// GET /api/notifications/preferences/trials/:trialId (effective preferences for one trial)
+router.get('/preferences/trials/:trialId', loadTrial, async (req, res) => {
+  try {
+    const override = await NotificationSubscription.findOne({ user: req.user._id, trial: req.trial._id });
+    const effective = await NotificationSubscription.resolveFor([req.user._id], req.trial._id);
+    res.json({
+      preferences: effective.get(String(req.user._id)),
+      override: Boolean(override),
+      events: NOTIFICATION_EVENTS,
+      deliveryModes: EMAIL_DELIVERY_MODES
+    });
+  } catch (err) {
+    console.error('Get trial notification preferences error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve notification preferences' });
+  }
+});
+
+// PUT /api/notifications/preferences/trials/:trialId (override the defaults for one trial)
+router.put('/preferences/trials/:trialId', loadTrial, preferenceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const record = await NotificationSubscription.findOneAndUpdate(
+      { user: req.user._id, trial: req.trial._id },
+      { events: req.body.events, emailDelivery: req.body.emailDelivery },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ message: 'Trial notification preferences saved', preferences: preferencesOf(record), override: true });
+  } catch (err) {
+    console.error('Update trial notification preferences error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to save notification preferences' });
+  }
+});
+
+// DELETE /api/notifications/preferences/trials/:trialId (fall back to the defaults)
+router.delete('/preferences/trials/:trialId', loadTrial, async (req, res) => {
+  try {
+    await NotificationSubscription.deleteOne({ user: req.user._id, trial: req.trial._id });
+    const effective = await NotificationSubscription.resolveFor([req.user._id], req.trial._id);
+    res.json({ message: 'Trial now uses your default notification preferences', preferences: effective.get(String(req.user._id)), override: false });
+  } catch (err) {
+    console.error('Delete trial notification preferences error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to reset notification preferences' });
+  }
+});
+
+module.exports = router;
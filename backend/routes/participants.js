@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Participant = require('../models/Participant');
+const { CLOSED_STATUSES } = ClinicalTrial;
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+
+// Mounted under /api/trials/:trialId/participants
+const router = express.Router({ mergeParams: true });
+
+const participantStatuses = Participant.schema.path('status').enumValues;
+
+// Load the parent trial; any team member may read the registry, editors may change it
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    const permission = req.method === 'GET' ? 'view' : 'edit';
+    if (!canAccessTrial(req.user, t, permission)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+router.use(isAuthenticated, loadTrial);
+
+// The study location must be one of the trial's own locations
+const checkStudyLocation = (trial, locationId) =>
+  !locationId || trial.studyLocations.some(l => String(l._id) === String(locationId));
+
+// Why participants cannot be assigned to the study location, or null if they can (only active sites take new participants)
+const siteAssignmentError = (trial, locationId) => {
+  const location = locationId && trial.studyLocations.id(locationId);
+  if (!location || location.status === 'active') return null;
+  return `${location.facility} is ${location.status === 'pending' ? 'not activated yet' : 'closed'} and cannot take new participants`;
+};
+
+// Validators
+const participantValidation = [
+  body('studyLocation').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid studyLocation'),
+  body('screeningDate').optional().isISO8601().toDate().withMessage('Invalid screeningDate'),
+  body('consentDate').optional({ values: 'null' }).isISO8601().toDate().withMessage('Invalid consentDate'),
+  body('withdrawalReason').optional().isLength({ max: 500 }).withMessage('Withdrawal reason cannot exceed 500 characters').trim(),
+];
+
+// GET /api/trials/:trialId/participants (list with filters + pagination + status summary)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().custom(v => String(v).split(',').every(s => participantStatuses.includes(s))).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { trial: req.trial._id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.search) filter.subjectId = String(req.query.search).toUpperCase();
+
+    const [participants, totalParticipants, summary] = await Promise.all([
+      Participant.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Participant.countDocuments(filter),
+      Participant.aggregate([
+        { $match: { trial: req.trial._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      participants,
+      summary: participantStatuses.reduce((acc, s) => {
+        const g = summary.find(x => x._id === s);
+        acc[s] = g ? g.count : 0;
+        return acc;
+      }, {}),
+      pagination: { currentPage: page, totalPages: Math.ceil(totalParticipants / limit), totalParticipants, hasNextPage: page * limit < totalParticipants, hasPrevPage: page > 1 }
+    });
+  } catch (err) {
+    console.error('Get participants error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve participants' });
+  }
+});
+
+// POST /api/trials/:trialId/participants (register a subject for screening)
+router.post('/', [
+  body('subjectId').trim().isLength({ min: 1, max: 50 }).matches(/^[A-Za-z0-9-]+$/).withMessage('Invalid subjectId'),
+  ...participantValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    if (CLOSED_STATUSES.includes(req.trial.status)) {
+      return res.status(400).json({ error: 'Trial Closed', message: `Cannot screen participants for a ${req.trial.status.toLowerCase()} trial` });
+    }
+    if (!checkStudyLocation(req.trial, req.body.studyLocation)) {
+      return res.status(400).json({ error: 'Validation Error', message: 'Study location does not belong to this trial' });
+    }
+    const siteError = siteAssignmentError(req.trial, req.body.studyLocation);
+    if (siteError) return res.status(400).json({ error: 'Site Not Active', message: siteError });
+
+    const subjectId = req.body.subjectId.toUpperCase();
+    const existing = await Participant.findOne({ trial: req.trial._id, subjectId });
+    if (existing) return res.status(400).json({ error: 'Duplicate Subject ID', message: 'A participant with this subject ID already exists in this trial' });
+
+    const p = new Participant({
+      trial: req.trial._id,
+      subjectId,
+      studyLocation: req.body.studyLocation || undefined,
+      screeningDate: req.body.screeningDate,
+      consentDate: req.body.consentDate,
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
+    await p.save();
+    res.status(201).json({ message: 'Participant registered for screening', participant: p });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    console.error('Create participant error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to register participant' });
+  }
+});
+
+// PUT /api/trials/:trialId/participants/:participantId (details and status transitions)
+router.put('/:participantId', [
+  body('status').optional().isIn(participantStatuses).withMessage('Invalid status'),
+  ...participantValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const p = await Participant.findOne({ _id: req.params.participantId, trial: req.trial._id });
+    if (!p) return res.status(404).json({ error: 'Participant Not Found', message: 'Participant not found' });
+
+    if (!checkStudyLocation(req.trial, req.body.studyLocation)) {
+      return res.status(400).json({ error: 'Validation Error', message: 'Study location does not belong to this trial' });
+    }
+    if (req.body.studyLocation && String(req.body.studyLocation) !== String(p.studyLocation)) {
+      const siteError = siteAssignmentError(req.trial, req.body.studyLocation);
+      if (siteError) return res.status(400).json({ error: 'Site Not Active', message: siteError });
+    }
+
+    ['studyLocation', 'screeningDate', 'consentDate', 'withdrawalReason'].forEach((field) => {
+      if (req.body[field] !== undefined) p[field] = req.body[field] || undefined;
+    });
+
+    const { status } = req.body;
+    const enrolling = status === 'Enrolled' && p.status !== 'Enrolled';
+    if (status && status !== p.status) {
+      const transitionError = p.getTransitionError(status);
+      if (transitionError) return res.status(400).json({ error: 'Invalid Status Transition', message: transitionError });
+
+      // Only written while the participant still has the status the transition was checked against
+      p.$where = { status: p.status };
+      p.transitionTo(status);
+    }
+
+    p.lastModifiedBy = req.user._id;
+    await p.validate();
+
+    // Enrolling claims a place on the trial before the participant is written, so concurrent
+    // enrollments cannot take the trial past its estimated enrollment
+    if (enrolling) {
+      const claimed = await ClinicalTrial.findOneAndUpdate(
+        { _id: req.trial._id, $expr: { $lt: ['$actualEnrollment', '$estimatedEnrollment'] } },
+        { $inc: { actualEnrollment: 1 } }
+      );
+      if (!claimed) {
+        return res.status(400).json({ error: 'Enrollment Full', message: `Trial has reached its estimated enrollment of ${req.trial.estimatedEnrollment}` });
+      }
+    }
+
+    try {
+      await p.save();
+    } catch (err) {
+      // Give the claimed place back
+      if (enrolling) await ClinicalTrial.updateOne({ _id: req.trial._id }, { $inc: { actualEnrollment: -1 } });
+      throw err;
+    }
+
+    const actualEnrollment = await Participant.syncTrialEnrollment(req.trial._id, req.user);
+
+    res.json({ message: 'Participant updated successfully', participant: p, actualEnrollment });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid participant ID format' });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    if (err.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ error: 'Participant Changed', message: 'This participant was updated by someone else; reload and try again' });
+    }
+    if (err.status === 409) return res.status(409).json({ error: 'Enrollment Conflict', message: err.message });
+    console.error('Update participant error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update participant' });
+  }
+});
+
+// DELETE /api/trials/:trialId/participants/:participantId (screening records entered in error)
+router.delete('/:participantId', async (req, res) => {
+  try {
+    const p = await Participant.findOne({ _id: req.params.participantId, trial: req.trial._id });
+    if (!p) return res.status(404).json({ error: 'Participant Not Found', message: 'Participant not found' });
+    if (p.status !== 'Screening') {
+      return res.status(400).json({ error: 'Invalid Operation', message: 'Only participants in screening can be deleted; withdraw enrolled participants instead' });
+    }
+
+    await p.deleteOne();
+    res.json({ message: 'Participant deleted successfully' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid participant ID format' });
+    console.error('Delete participant error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete participant' });
+  }
+});
+
+module.exports = router;
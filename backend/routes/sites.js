@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Site = require('../models/Site');
+const Investigator = require('../models/Investigator');
+const { CLOSED_STATUSES, SITE_STATUSES } = ClinicalTrial;
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { siteStanding, rankSites } = require('../utils/enrollmentProjection');
+const { relinkTrials, canEditEntry, searchCondition } = require('../utils/directory');
+
+// The shared site directory, and study sites across the trials the user can access
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+const siteValidation = [
+  body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Site name must be 1-200 characters'),
+  body('city').trim().isLength({ min: 1, max: 100 }).withMessage('City must be 1-100 characters'),
+  body('country').trim().isLength({ min: 1, max: 100 }).withMessage('Country must be 1-100 characters'),
+  body('aliases').optional().isArray({ max: 20 }).withMessage('Aliases must be a list of at most 20 names'),
+  body('aliases.*').trim().isLength({ min: 1, max: 200 }).withMessage('Each alias must be 1-200 characters')
+];
+
+const duplicateSite = (res) => res.status(400).json({
+  error: 'Duplicate Site',
+  message: 'A site with this name already exists in this city and country'
+});
+
+// Trials linked to each of the given sites
+const trialCounts = async (siteIds) => {
+  const counts = await ClinicalTrial.aggregate([
+    { $match: { deletedAt: null, 'studyLocations.site': { $in: siteIds } } },
+    { $unwind: '$studyLocations' },
+    { $match: { 'studyLocations.site': { $in: siteIds } } },
+    { $group: { _id: '$studyLocations.site', trials: { $addToSet: '$_id' } } }
+  ]);
+  return new Map(counts.map(c => [String(c._id), c.trials.length]));
+};
+
+// GET /api/sites (directory, by name: search, page, limit)
+router.get('/', [
+  query('search').optional().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = req.query.search ? searchCondition(escapeRegex(req.query.search.trim()), ['city']) : {};
+
+    const [sites, total] = await Promise.all([
+      Site.find(filter).sort({ name: 1 }).collation({ locale: 'en' }).skip((page - 1) * limit).limit(limit),
+      Site.countDocuments(filter)
+    ]);
+    const counts = await trialCounts(sites.map(s => s._id));
+
+    res.json({
+      sites: sites.map(s => ({ ...s.toObject(), trialCount: counts.get(String(s._id)) || 0 })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSites: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Get sites error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve sites' });
+  }
+});
+
+// POST /api/sites
+router.post('/', siteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const { name, city, country, aliases } = req.body;
+    const site = await Site.create({ name, city, country, aliases, createdBy: req.user._id, lastModifiedBy: req.user._id });
+    res.status(201).json({ message: 'Site added to the directory', site });
+  } catch (err) {
+    if (err.code === 11000) return duplicateSite(res);
+    console.error('Create site error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to create site' });
+  }
+});
+
+// GET /api/sites/performance (league table of the sites of open trials, best first)
+router.get('/performance', [
+  query('status').optional()
+    .custom(value => String(value).split(',').every(s => SITE_STATUSES.includes(s)))
+    .withMessage(`status must be a comma-separated list of: ${SITE_STATUSES.join(', ')}`),
+  query('country').optional().isLength({ max: 100 }).withMessage('country cannot exceed 100 characters'),
+  query('behind').optional().isBoolean().withMessage('behind must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const trials = await ClinicalTrial.find({
+      ...ClinicalTrial.accessCondition(req.user),
+      status: { $nin: CLOSED_STATUSES },
+      'studyLocations.0': { $exists: true }
+    }).select('trialId trialName status startDate endDate studyLocations');
+
+    const now = new Date();
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const country = req.query.country ? new RegExp(`^${escapeRegex(req.query.country.trim())}$`, 'i') : null;
+    const all = trials.flatMap(t => t.studyLocations.map(location => ({
+      ...siteStanding(t, location, now),
+      trial: { _id: t._id, trialId: t.trialId, trialName: t.trialName, status: t.status }
+    })));
+    const sites = all.filter(site => (!statuses || statuses.includes(site.status))
+      && (!country || country.test(site.country))
+      && (req.query.behind !== 'true' || site.behind));
+
+    res.json({
+      sites: rankSites(sites),
+      summary: {
+        totalSites: all.length,
+        activeSites: all.filter(s => s.status === 'active').length,
+        behindSites: all.filter(s => s.behind).length,
+        countries: [...new Set(all.map(s => s.country))].sort()
+      }
+    });
+  } catch (err) {
+    console.error('Get site performance error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve site performance' });
+  }
+});
+
+// GET /api/sites/:id (with the accessible trials running at the site)
+router.get('/:id', async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id).populate('createdBy', 'firstName lastName username');
+    if (!site) return res.status(404).json({ error: 'Site Not Found', message: 'Site not found' });
+
+    const trials = await ClinicalTrial.find({ ...ClinicalTrial.accessCondition(req.user), 'studyLocations.site': site._id })
+      .select('trialId trialName status phase sponsor principalInvestigator startDate endDate studyLocations')
+      .sort({ startDate: -1 });
+
+    res.json({
+      site,
+      investigators: await Investigator.find({ affiliation: site._id }).select('name email').sort({ name: 1 }),
+      trials: trials.map(t => ({
+        _id: t._id,
+        trialId: t.trialId,
+        trialName: t.trialName,
+        status: t.status,
+        phase: t.phase,
+        sponsor: t.sponsor,
+        principalInvestigator: t.principalInvestigator,
+        startDate: t.startDate,
+        endDate: t.endDate,
+        locations: t.studyLocations.filter(l => String(l.site) === String(site._id))
+      }))
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid site ID format' });
+    console.error('Get site error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve site' });
+  }
+});
+
+// PUT /api/sites/:id (admin or creator; linked trial locations pick up the new details)
+router.put('/:id', siteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const site = await Site.findById(req.params.id);
+    if (!site) return res.status(404).json({ error: 'Site Not Found', message: 'Site not found' });
+    if (!canEditEntry(req.user, site)) return res.status(403).json({ error: 'Forbidden', message: 'Only admins and the user who added this site can edit it' });
+
+    const { name, city, country, aliases } = req.body;
+    const moved = name !== site.name || city !== site.city || country !== site.country;
+    Object.assign(site, { name, city, country, lastModifiedBy: req.user._id });
+    if (aliases) site.aliases = aliases;
+    await site.save();
+
+    const trialsUpdated = moved ? await relinkTrials({
+      filter: { 'studyLocations.site': site._id },
+      apply: (trial) => trial.studyLocations
+        .filter(l => String(l.site) === String(site._id))
+        .forEach(l => Object.assign(l, site.locationFields())),
+      user: req.user,
+      reason: `Site directory entry updated: ${site.name}`
+    }) : 0;
+
+    res.json({ message: 'Site updated', site, trialsUpdated });
+  } catch (err) {
+    if (err.code === 11000) return duplicateSite(res);
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid site ID format' });
+    console.error('Update site error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update site' });
+  }
+});
+
+// DELETE /api/sites/:id (admin; only sites no trial links to)
+router.delete('/:id', isAdmin, async (req, res) => {
+  try {
+    const site = await Site.findById(req.params.id);
+    if (!site) return res.status(404).json({ error: 'Site Not Found', message: 'Site not found' });
+
+    const inUse = await ClinicalTrial.countDocuments({ 'studyLocations.site': site._id }).setOptions({ includeDeleted: true });
+    if (inUse > 0) {
+      return res.status(400).json({
+        error: 'Site In Use',
+        message: `${site.name} is linked to ${inUse} trial${inUse === 1 ? '' : 's'}; merge it into another site instead`
+      });
+    }
+
+    await Investigator.updateMany({ affiliation: site._id }, { $unset: { affiliation: 1 } });
+    await site.deleteOne();
+    res.json({ message: 'Site deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid site ID format' });
+    console.error('Delete site error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete site' });
+  }
+});
+
+// POST /api/sites/:id/merge (admin: fold duplicate sites into this one; their names become aliases)
+router.post('/:id/merge', isAdmin, [
+  param('id').isMongoId().withMessage('Invalid site ID format'),
+  body('duplicates').isArray({ min: 1, max: 50 }).withMessage('Select 1-50 duplicate sites to merge'),
+  body('duplicates.*').isMongoId().withMessage('Invalid duplicate site ID')
+    .custom((id, { req }) => id !== req.params.id).withMessage('A site cannot be merged into itself')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const site = await Site.findById(req.params.id);
+    if (!site) return res.status(404).json({ error: 'Site Not Found', message: 'Site not found' });
+    const duplicates = await Site.find({ _id: { $in: req.body.duplicates } });
+    if (duplicates.length !== new Set(req.body.duplicates).size) {
+      return res.status(404).json({ error: 'Site Not Found', message: 'One or more duplicate sites were not found' });
+    }
+    const duplicateIds = duplicates.map(d => String(d._id));
+
+    // Keep the duplicates' names so searches for them still find this site
+    const known = new Set([site.name, ...site.aliases].map(n => n.toLowerCase()));
+    duplicates.flatMap(d => [d.name, ...d.aliases]).forEach((name) => {
+      if (!known.has(name.toLowerCase())) {
+        known.add(name.toLowerCase());
+        site.aliases.push(name);
+      }
+    });
+    site.lastModifiedBy = req.user._id;
+    await site.save();
+
+    const trialsUpdated = await relinkTrials({
+      filter: { 'studyLocations.site': { $in: duplicateIds } },
+      apply: (trial) => trial.studyLocations
+        .filter(l => l.site && duplicateIds.includes(String(l.site)))
+        .forEach(l => Object.assign(l, { site: site._id }, site.locationFields())),
+      user: req.user,
+      reason: `Merged duplicate sites into ${site.name}`
+    });
+    await Investigator.updateMany({ affiliation: { $in: duplicateIds } }, { affiliation: site._id });
+    await Site.deleteMany({ _id: { $in: duplicateIds } });
+
+    res.json({
+      message: `Merged ${duplicates.length} site${duplicates.length === 1 ? '' : 's'} into ${site.name}`,
+      site,
+      trialsUpdated
+    });
+  } catch (err) {
+    console.error('Merge sites error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to merge sites' });
+  }
+});
+
+module.exports = router;
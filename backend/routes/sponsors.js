@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Sponsor = require('../models/Sponsor');
+const { SPONSOR_TYPES } = Sponsor;
+const { CLOSED_STATUSES } = ClinicalTrial;
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { relinkTrials, canEditEntry, searchCondition } = require('../utils/directory');
+
+// The shared sponsor directory and sponsor portfolios
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+const STATUSES = ClinicalTrial.schema.path('status').enumValues;
+const PHASES = ClinicalTrial.schema.path('phase').enumValues;
+
+const sponsorValidation = [
+  body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Sponsor name must be 1-200 characters'),
+  body('type').optional().isIn(SPONSOR_TYPES).withMessage(`Sponsor type must be one of: ${SPONSOR_TYPES.join(', ')}`),
+  body('aliases').optional().isArray({ max: 20 }).withMessage('Aliases must be a list of at most 20 names'),
+  body('aliases.*').trim().isLength({ min: 1, max: 200 }).withMessage('Each alias must be 1-200 characters'),
+  body('contacts').optional().isArray({ max: 20 }).withMessage('A sponsor can have at most 20 contacts'),
+  body('contacts.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Contact name must be 1-100 characters'),
+  body('contacts.*.role').optional({ values: 'falsy' }).trim().isLength({ max: 100 }).withMessage('Contact role cannot exceed 100 characters'),
+  body('contacts.*.email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Please enter a valid contact email address'),
+  body('contacts.*.phone').optional({ values: 'falsy' }).trim().isLength({ max: 30 }).withMessage('Contact phone cannot exceed 30 characters')
+];
+
+const duplicateSponsor = (res) => res.status(400).json({
+  error: 'Duplicate Sponsor',
+  message: 'A sponsor with this name already exists'
+});
+
+// Fields of a create/update body
+const sponsorFields = ({ name, type, aliases, contacts }) => ({
+  name,
+  ...(type ? { type } : {}),
+  ...(aliases ? { aliases } : {}),
+  ...(contacts ? { contacts: contacts.map(({ name: contactName, role, email, phone }) => ({ name: contactName, role, email, phone })) } : {})
+});
+
+// A sponsor's portfolio over the given trials: counts by phase and status, and enrollment totals
+const portfolio = async (match) => {
+  const [result] = await ClinicalTrial.aggregate([
+    { $match: match },
+    { $facet: {
+      byPhaseAndStatus: [{
+        $group: {
+          _id: { phase: '$phase', status: '$status' },
+          count: { $sum: 1 },
+          actualEnrollment: { $sum: '$actualEnrollment' },
+          estimatedEnrollment: { $sum: '$estimatedEnrollment' }
+        }
+      }],
+      byTherapeuticArea: [{ $group: { _id: '$therapeuticArea', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }]
+    } }
+  ]);
+
+  const cells = result.byPhaseAndStatus;
+  const sum = (groups, field) => groups.reduce((total, g) => total + g[field], 0);
+  // Report every phase and status so clients can rely on the keys being present
+  const countByStatus = (groups) => STATUSES.reduce((acc, status) => {
+    acc[status] = sum(groups.filter(g => g._id.status === status), 'count');
+    return acc;
+  }, {});
+
+  return {
+    totalTrials: sum(cells, 'count'),
+    openTrials: sum(cells.filter(g => !CLOSED_STATUSES.includes(g._id.status)), 'count'),
+    enrollment: { actual: sum(cells, 'actualEnrollment'), expected: sum(cells, 'estimatedEnrollment') },
+    byStatus: countByStatus(cells),
+    byPhase: PHASES.map((phase) => {
+      const groups = cells.filter(g => g._id.phase === phase);
+      return {
+        phase,
+        total: sum(groups, 'count'),
+        byStatus: countByStatus(groups),
+        enrollment: { actual: sum(groups, 'actualEnrollment'), expected: sum(groups, 'estimatedEnrollment') }
+      };
+    }),
+    byTherapeuticArea: result.byTherapeuticArea.map(g => ({ therapeuticArea: g._id, count: g.count }))
+  };
+};
+
+// GET /api/sponsors (directory, by name: search, type, page, limit)
+router.get('/', [
+  query('search').optional().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+  query('type').optional().isIn(SPONSOR_TYPES).withMessage('Invalid sponsor type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = {
+      ...(req.query.search ? searchCondition(escapeRegex(req.query.search.trim()), ['contacts.name']) : {}),
+      ...(req.query.type ? { type: req.query.type } : {})
+    };
+
+    const [sponsors, total] = await Promise.all([
+      Sponsor.find(filter)
+        .sort({ name: 1 })
+        .collation({ locale: 'en' })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Sponsor.countDocuments(filter)
+    ]);
+    const counts = await ClinicalTrial.aggregate([
+      { $match: { deletedAt: null, sponsorOrganization: { $in: sponsors.map(s => s._id) } } },
+      { $group: { _id: '$sponsorOrganization', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      sponsors: sponsors.map(s => ({
+        ...s.toObject(),
+        trialCount: (counts.find(c => String(c._id) === String(s._id)) || { count: 0 }).count
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalSponsors: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Get sponsors error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve sponsors' });
+  }
+});
+
+// POST /api/sponsors
+router.post('/', sponsorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const sponsor = await Sponsor.create({ ...sponsorFields(req.body), createdBy: req.user._id, lastModifiedBy: req.user._id });
+    res.status(201).json({ message: 'Sponsor added to the directory', sponsor });
+  } catch (err) {
+    if (err.code === 11000) return duplicateSponsor(res);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    }
+    console.error('Create sponsor error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to create sponsor' });
+  }
+});
+
+// GET /api/sponsors/:id (with the portfolio of accessible trials by phase and status)
+router.get('/:id', async (req, res) => {
+  try {
+    const sponsor = await Sponsor.findById(req.params.id).populate('createdBy', 'firstName lastName username');
+    if (!sponsor) return res.status(404).json({ error: 'Sponsor Not Found', message: 'Sponsor not found' });
+
+    const match = { ...ClinicalTrial.accessCondition(req.user), sponsorOrganization: sponsor._id };
+    const [summary, trials] = await Promise.all([
+      portfolio(match),
+      ClinicalTrial.find(match)
+        .select('trialId trialName status phase principalInvestigator therapeuticArea startDate endDate actualEnrollment estimatedEnrollment')
+        .sort({ startDate: -1 })
+    ]);
+
+    res.json({ sponsor, portfolio: summary, trials });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid sponsor ID format' });
+    console.error('Get sponsor error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve sponsor' });
+  }
+});
+
+// PUT /api/sponsors/:id (admin or creator; linked trials pick up a new name)
+router.put('/:id', sponsorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const sponsor = await Sponsor.findById(req.params.id);
+    if (!sponsor) return res.status(404).json({ error: 'Sponsor Not Found', message: 'Sponsor not found' });
+    if (!canEditEntry(req.user, sponsor)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only admins and the user who added this sponsor can edit it' });
+    }
+
+    const fields = sponsorFields(req.body);
+    const renamed = fields.name !== sponsor.name;
+    sponsor.set({ ...fields, lastModifiedBy: req.user._id });
+    await sponsor.save();
+
+    const trialsUpdated = renamed ? await relinkTrials({
+      filter: { sponsorOrganization: sponsor._id },
+      apply: (trial) => { trial.sponsor = sponsor.name; },
+      user: req.user,
+      reason: `Sponsor directory entry renamed to ${sponsor.name}`
+    }) : 0;
+
+    res.json({ message: 'Sponsor updated', sponsor, trialsUpdated });
+  } catch (err) {
+    if (err.code === 11000) return duplicateSponsor(res);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation Error', messages: Object.values(err.errors).map(e => e.message) });
+    }
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid sponsor ID format' });
+    console.error('Update sponsor error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update sponsor' });
+  }
+});
+
+// DELETE /api/sponsors/:id (admin; only sponsors no trial links to)
+router.delete('/:id', isAdmin, async (req, res) => {
+  try {
+    const sponsor = await Sponsor.findById(req.params.id);
+    if (!sponsor) return res.status(404).json({ error: 'Sponsor Not Found', message: 'Sponsor not found' });
+
+    const inUse = await ClinicalTrial.countDocuments({ sponsorOrganization: sponsor._id }).setOptions({ includeDeleted: true });
+    if (inUse > 0) {
+      return res.status(400).json({
+        error: 'Sponsor In Use',
+        message: `${sponsor.name} sponsors ${inUse} trial${inUse === 1 ? '' : 's'}; merge it into another sponsor instead`
+      });
+    }
+
+    await sponsor.deleteOne();
+    res.json({ message: 'Sponsor deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid sponsor ID format' });
+    console.error('Delete sponsor error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete sponsor' });
+  }
+});
+
+// POST /api/sponsors/:id/merge (admin: fold duplicate sponsors into this one; their names become aliases)
+router.post('/:id/merge', isAdmin, [
+  param('id').isMongoId().withMessage('Invalid sponsor ID format'),
+  body('duplicates').isArray({ min: 1, max: 50 }).withMessage('Select 1-50 duplicate sponsors to merge'),
+  body('duplicates.*').isMongoId().withMessage('Invalid duplicate sponsor ID')
+    .custom((id, { req }) => id !== req.params.id).withMessage('A sponsor cannot be merged into itself')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const sponsor = await Sponsor.findById(req.params.id);
+    if (!sponsor) return res.status(404).json({ error: 'Sponsor Not Found', message: 'Sponsor not found' });
+    const duplicates = await Sponsor.find({ _id: { $in: req.body.duplicates } });
+    if (duplicates.length !== new Set(req.body.duplicates).size) {
+      return res.status(404).json({ error: 'Sponsor Not Found', message: 'One or more duplicate sponsors were not found' });
+    }
+    const duplicateIds = duplicates.map(d => String(d._id));
+
+    // Keep the duplicates' names so searches for them still find this sponsor, and their contacts
+    const known = new Set(sponsor.allNames().map(n => n.toLowerCase()));
+    duplicates.flatMap(d => d.allNames()).forEach((name) => {
+      if (!known.has(name.toLowerCase())) {
+        known.add(name.toLowerCase());
+        sponsor.aliases.push(name);
+      }
+    });
+    const contactKey = (c) => `${c.name.toLowerCase()}|${(c.email || '').toLowerCase()}`;
+    const contacts = new Set(sponsor.contacts.map(contactKey));
+    duplicates.flatMap(d => d.contacts).forEach((contact) => {
+      if (!contacts.has(contactKey(contact)) && sponsor.contacts.length < 20) {
+        contacts.add(contactKey(contact));
+        sponsor.contacts.push({ name: contact.name, role: contact.role, email: contact.email, phone: contact.phone });
+      }
+    });
+    if (sponsor.type === 'other') sponsor.type = (duplicates.find(d => d.type !== 'other') || sponsor).type;
+    sponsor.lastModifiedBy = req.user._id;
+    await sponsor.save();
+
+    const trialsUpdated = await relinkTrials({
+      filter: { sponsorOrganization: { $in: duplicateIds } },
+      apply: (trial) => {
+        trial.sponsorOrganization = sponsor._id;
+        trial.sponsor = sponsor.name;
+      },
+      user: req.user,
+      reason: `Merged duplicate sponsors into ${sponsor.name}`
+    });
+    await Sponsor.deleteMany({ _id: { $in: duplicateIds } });
+
+    res.json({
+      message: `Merged ${duplicates.length} sponsor${duplicates.length === 1 ? '' : 's'} into ${sponsor.name}`,
+      sponsor,
+      trialsUpdated
+    });
+  } catch (err) {
+    console.error('Merge sponsors error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to merge sponsors' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { TEAM_ROLES } = ClinicalTrial;
+const { isAuthenticated, canAccessTrial } = require('../middleware/auth');
+const { notifyInBackground } = require('../utils/notifications');
+
+// Mounted under /api/trials/:trialId/team
+const router = express.Router({ mergeParams: true });
+
+// Fields exposed when populating user references
+const userSummaryFields = 'firstName lastName username email';
+
+// Load the parent trial; any team member may read the team, only managers may change it
+const loadTrial = async (req, res, next) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.trialId);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    const permission = req.method === 'GET' ? 'view' : 'manageTeam';
+    if (!canAccessTrial(req.user, t, permission)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    req.trial = t;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Load trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve clinical trial' });
+  }
+};
+
+router.use(isAuthenticated, loadTrial);
+
+const roleValidation = body('role').isIn(TEAM_ROLES).withMessage(`Role must be one of: ${TEAM_ROLES.join(', ')}`);
+
+// Populate and shape the team for responses
+const teamResponse = async (t) => {
+  await t.populate([
+    { path: 'createdBy', select: userSummaryFields },
+    { path: 'team.user', select: userSummaryFields },
+    { path: 'team.addedBy', select: 'firstName lastName username' }
+  ]);
+  return { owner: t.createdBy, team: t.team, roles: TEAM_ROLES };
+};
+
+// Apply the team change atomically (leaving the trial's edit version alone) and record it in the
+// audit trail; resolves to false when the filter no longer matches because the team changed meanwhile
+const saveTeamChange = async (req, filter, update, reason) => {
+  const before = req.trial.toObject();
+  const updated = await ClinicalTrial.findOneAndUpdate(
+    { _id: req.trial._id, ...filter },
+    { ...update, $set: { ...update.$set, lastModifiedBy: req.user._id } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return false;
+  req.trial = updated;
+  await AuditLog.record({ trial: updated, action: 'update', before, after: updated, user: req.user, reason });
+  return true;
+};
+
+// GET /api/trials/:trialId/team
+router.get('/', async (req, res) => {
+  try {
+    res.json(await teamResponse(req.trial));
+  } catch (err) {
+    console.error('Get team error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve trial team' });
+  }
+});
+
+// POST /api/trials/:trialId/team (add an existing user by email or username)
+router.post('/', [
+  body('user').trim().notEmpty().withMessage('Email or username is required'),
+  roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const u = await User.findByEmailOrUsername(req.body.user);
+    if (!u) return res.status(404).json({ error: 'User Not Found', message: 'No user found with that email or username' });
+    if (!u.isActive) return res.status(400).json({ error: 'Invalid Operation', message: 'Deactivated users cannot be added to a trial team' });
+    if (req.trial.getTeamRole(u) === 'Owner') return res.status(400).json({ error: 'Invalid Operation', message: 'This user owns the trial' });
+    if (req.trial.getTeamRole(u)) return res.status(400).json({ error: 'Duplicate Member', message: 'This user is already on the trial team' });
+
+    const added = await saveTeamChange(req,
+      { 'team.user': { $ne: u._id } },
+      { $push: { team: { user: u._id, role: req.body.role, addedBy: req.user._id } } },
+      `Added ${u.username} to the team as ${req.body.role}`);
+    if (!added) return res.status(400).json({ error: 'Duplicate Member', message: 'This user is already on the trial team' });
+    notifyInBackground({ event: 'teamAssignment', trial: req.trial, actor: req.user, data: { role: req.body.role }, recipients: [u._id] });
+
+    res.status(201).json({ message: 'Team member added successfully', ...(await teamResponse(req.trial)) });
+  } catch (err) {
+    console.error('Add team member error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to add team member' });
+  }
+});
+
+// PUT /api/trials/:trialId/team/:memberId (change role)
+router.put('/:memberId', [roleValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const member = req.trial.team.id(req.params.memberId);
+    if (!member) return res.status(404).json({ error: 'Member Not Found', message: 'Team member not found' });
+    if (String(member.user) === String(req.user._id)) return res.status(400).json({ error: 'Invalid Operation', message: 'You cannot change your own team role' });
+
+    const changed = await saveTeamChange(req,
+      { 'team._id': member._id },
+      { $set: { 'team.$.role': req.body.role } },
+      `Changed team role from ${member.role} to ${req.body.role}`);
+    if (!changed) return res.status(404).json({ error: 'Member Not Found', message: 'Team member not found' });
+
+    res.json({ message: 'Team role updated successfully', ...(await teamResponse(req.trial)) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid team member ID format' });
+    console.error('Update team member error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update team member' });
+  }
+});
+
+// DELETE /api/trials/:trialId/team/:memberId
+router.delete('/:memberId', async (req, res) => {
+  try {
+    const member = req.trial.team.id(req.params.memberId);
+    if (!member) return res.status(404).json({ error: 'Member Not Found', message: 'Team member not found' });
+    if (String(member.user) === String(req.user._id)) return res.status(400).json({ error: 'Invalid Operation', message: 'You cannot remove yourself from the team' });
+
+    const removed = await saveTeamChange(req,
+      { 'team._id': member._id },
+      { $pull: { team: { _id: member._id } } },
+      `Removed ${member.role} from the team`);
+    if (!removed) return res.status(404).json({ error: 'Member Not Found', message: 'Team member not found' });
+
+    res.json({ message: 'Team member removed successfully', ...(await teamResponse(req.trial)) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid team member ID format' });
+    console.error('Remove team member error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to remove team member' });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,236 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult, query } = require('express-validator');
 const ClinicalTrial = require('../models/ClinicalTrial');
-const { isAuthenticated } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const Participant = require('../models/Participant');
+const EnrollmentSnapshot = require('../models/EnrollmentSnapshot');
+const TrialDocument = require('../models/TrialDocument');
+const ProtocolAmendment = require('../models/ProtocolAmendment');
+const { CLOSED_STATUSES, SITE_STATUSES, PROTOCOL_FIELDS } = ClinicalTrial;
+const { isAuthenticated, isAdmin, canAccessTrial } = require('../middleware/auth');
+const { parseImportFile } = require('../utils/trialImport');
+const { trialsToCsv, writeTrialSummaryPdf } = require('../utils/trialExport');
+const escapeRegex = require('../utils/escapeRegex');
+const { MAX_SEARCH_LENGTH, parseSearchQuery, buildSearchConditions, highlightTerms } = require('../utils/searchQuery');
+const { notifyInBackground } = require('../utils/notifications');
+const { applyDirectoryLinks, linkByName } = require('../utils/directory');
+const { getStorage } = require('../utils/documentStorage');
 
 const router = express.Router();
 
+// Fields exposed when populating user references
+const userSummaryFields = 'firstName lastName username';
+
+// Days a trashed trial is kept before an admin may purge it permanently
+const PURGE_RETENTION_DAYS = parseInt(process.env.TRIAL_PURGE_RETENTION_DAYS, 10) || 365;
+const purgeEligibleAt = (t) => new Date(t.deletedAt.getTime() + PURGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Version (__v) of the trial the client last loaded: If-Match header or a `version` field in the body
+const requestedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  const raw = ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : req.body.version;
+  const version = parseInt(raw, 10);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+};
+
+// 409 with the server's current values so the client can resolve the conflict
+const sendEditConflict = async (res, id) => {
+  const latest = await ClinicalTrial.findById(id).populate('lastModifiedBy', userSummaryFields);
+  if (!latest) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+  res.status(409).json({
+    error: 'Edit Conflict',
+    message: 'This trial was changed by someone else after you opened it',
+    trial: latest
+  });
+};
+
 // Validators
 const trialValidation = [
   body('trialName').isLength({ min: 1, max: 200 }).withMessage('Invalid trialName').trim(),
   body('trialId').isLength({ min: 1, max: 50 }).matches(/^[A-Z0-9-]+$/).withMessage('Invalid trialId').trim(),
   body('description').isLength({ min: 1, max: 2000 }).withMessage('Invalid description').trim(),
   body('principalInvestigator').isLength({ min: 1, max: 100 }).withMessage('Invalid PI').trim(),
+  body('investigator').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid investigator ID'),
   body('sponsor').isLength({ min: 1, max: 200 }).withMessage('Invalid sponsor').trim(),
+  body('sponsorOrganization').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid sponsor ID'),
   body('phase').isIn(['Preclinical', 'Phase I', 'Phase II', 'Phase III', 'Phase IV']).withMessage('Invalid phase'),
   body('status').optional().isIn(['Planning', 'Active', 'Recruiting', 'Suspended', 'Completed', 'Terminated']).withMessage('Invalid status'),
   body('startDate').isISO8601().toDate().withMessage('Invalid startDate'),
   body('endDate').isISO8601().toDate().withMessage('Invalid endDate').custom((v, { req }) => { if (v <= req.body.startDate) throw new Error('End date must be after start date'); return true; }),
   body('estimatedEnrollment').isInt({ min: 1, max: 100000 }).withMessage('Invalid estimatedEnrollment'),
-  body('actualEnrollment').optional().isInt({ min: 0 }).withMessage('Invalid actualEnrollment').custom((v, { req }) => { if (v > req.body.estimatedEnrollment) throw new Error('Actual > Estimated'); return true; }),
   body('primaryEndpoint').isLength({ min: 1, max: 500 }).withMessage('Invalid primaryEndpoint').trim(),
   body('therapeuticArea').isLength({ min: 1, max: 100 }).withMessage('Invalid therapeuticArea').trim(),
   body('drugName').optional().isLength({ max: 100 }).withMessage('Invalid drugName').trim(),
+  body('secondaryEndpoints').optional().isArray({ max: 20 }).withMessage('Secondary endpoints must be a list of at most 20 items'),
+  body('secondaryEndpoints.*').trim().isLength({ min: 1, max: 500 }).withMessage('Each secondary endpoint must be 1-500 characters'),
+  body('inclusionCriteria').optional().isArray({ max: 50 }).withMessage('Inclusion criteria must be a list of at most 50 items'),
+  body('inclusionCriteria.*').trim().isLength({ min: 1, max: 300 }).withMessage('Each inclusion criterion must be 1-300 characters'),
+  body('exclusionCriteria').optional().isArray({ max: 50 }).withMessage('Exclusion criteria must be a list of at most 50 items'),
+  body('exclusionCriteria.*').trim().isLength({ min: 1, max: 300 }).withMessage('Each exclusion criterion must be 1-300 characters'),
+  body('studyLocations').optional().isArray({ max: 100 }).withMessage('Study locations must be a list of at most 100 items'),
+  body('studyLocations.*._id').optional().isMongoId().withMessage('Invalid study location ID'),
+  body('studyLocations.*.site').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid study location site ID'),
+  body('studyLocations.*.facility').trim().isLength({ min: 1, max: 200 }).withMessage('Each study location needs a facility of 1-200 characters'),
+  body('studyLocations.*.city').trim().isLength({ min: 1, max: 100 }).withMessage('Each study location needs a city of 1-100 characters'),
+  body('studyLocations.*.country').trim().isLength({ min: 1, max: 100 }).withMessage('Each study location needs a country of 1-100 characters'),
+  body('studyLocations.*.siteId').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).matches(/^[A-Za-z0-9-]+$/).withMessage('Site IDs can only contain letters, numbers, and hyphens (max 50)'),
+  body('studyLocations.*.sitePI').optional().trim().isLength({ max: 100 }).withMessage('Site PI name cannot exceed 100 characters'),
+  body('studyLocations.*.activationDate').optional({ values: 'falsy' }).isISO8601().toDate().withMessage('Invalid site activation date'),
+  body('studyLocations.*.status').optional().isIn(SITE_STATUSES).withMessage(`Site status must be one of: ${SITE_STATUSES.join(', ')}`),
+  body('studyLocations.*.enrollmentTarget').optional({ values: 'falsy' }).isInt({ min: 1, max: 100000 }).withMessage('Site enrollment targets must be between 1 and 100000'),
+  body('changeReason').optional().isLength({ max: 500 }).withMessage('Reason for change cannot exceed 500 characters').trim(),
+];
+
+// Study locations as submitted, minus the registry-derived count; existing locations keep theirs
+const submittedLocations = (locations, current = []) => locations.map(({ actualEnrollment, ...loc }) => {
+  const existing = loc._id && current.find(l => String(l._id) === String(loc._id));
+  return { ...loc, actualEnrollment: existing ? existing.actualEnrollment : 0 };
+});
+
+// List filters shared by the trials list and export
+const STATUSES = ClinicalTrial.schema.path('status').enumValues;
+const PHASES = ClinicalTrial.schema.path('phase').enumValues;
+
+// Comma-separated multi-select values (e.g. status=Active,Recruiting)
+const listParam = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+const multiSelect = (name, allowed) => query(name).optional()
+  .custom(value => listParam(value).every(v => allowed.includes(v)))
+  .withMessage(`${name} must be a comma-separated list of: ${allowed.join(', ')}`);
+const dateParam = (name) => query(name).optional().isISO8601().withMessage(`${name} must be a date (YYYY-MM-DD)`);
+const percentParam = (name) => query(name).optional().isFloat({ min: 0, max: 1000 }).withMessage(`${name} must be a percentage between 0 and 1000`);
+const textParam = (name) => query(name).optional().isLength({ max: 100 }).withMessage(`${name} cannot exceed 100 characters`);
+
+// Sortable columns; computed ones (lifecycle order, enrollment %) are ranked in an aggregation
+const SORT_FIELDS = {
+  trialName: 'trialName',
+  trialId: 'trialId',
+  principalInvestigator: 'principalInvestigator',
+  sponsor: 'sponsor',
+  therapeuticArea: 'therapeuticArea',
+  startDate: 'startDate',
+  endDate: 'endDate',
+  estimatedEnrollment: 'estimatedEnrollment',
+  actualEnrollment: 'actualEnrollment',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  phase: { $indexOfArray: [PHASES, '$phase'] },
+  status: { $indexOfArray: [STATUSES, '$status'] },
+  enrollmentPercentage: { $divide: ['$actualEnrollment', '$estimatedEnrollment'] }
+};
+
+const listFilterValidation = [
+  multiSelect('status', STATUSES),
+  multiSelect('phase', PHASES),
+  query('search').optional().isLength({ max: MAX_SEARCH_LENGTH }).withMessage(`Search cannot exceed ${MAX_SEARCH_LENGTH} characters`),
+  textParam('therapeuticArea'),
+  textParam('sponsor'),
+  textParam('principalInvestigator'),
+  textParam('country'),
+  dateParam('startDateFrom'),
+  dateParam('startDateTo'),
+  dateParam('endDateFrom'),
+  dateParam('endDateTo'),
+  percentParam('enrollmentMin'),
+  percentParam('enrollmentMax'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be true or false'),
+  query('sortBy').optional().isIn([...Object.keys(SORT_FIELDS), 'relevance']).withMessage(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}, relevance`),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc')
 ];
 
+// Inclusive date range on a field; "to" covers the whole day
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+  return range;
+};
+
+// actualEnrollment as a percentage of estimatedEnrollment (always >= 1)
+const enrollmentPercent = { $multiply: [{ $divide: ['$actualEnrollment', '$estimatedEnrollment'] }, 100] };
+
+// List filter plus search details: `text` is set when the text index is used (results can be
+// ranked by relevance) and `highlights` lists the words the client should mark.
+// Values are cast here (not left to Mongoose) because the filter also feeds aggregations.
+const buildListFilter = (req) => {
+  const q = req.query;
+  const filter = ClinicalTrial.accessCondition(req.user);
+  const conditions = [];
+  const search = { text: null, highlights: [] };
+
+  if (q.status) filter.status = { $in: listParam(q.status) };
+  if (q.phase) filter.phase = { $in: listParam(q.phase) };
+  if (q.therapeuticArea) filter.therapeuticArea = new RegExp(escapeRegex(q.therapeuticArea), 'i');
+  if (q.sponsor) filter.sponsor = new RegExp(escapeRegex(q.sponsor), 'i');
+  if (q.principalInvestigator) filter.principalInvestigator = new RegExp(escapeRegex(q.principalInvestigator), 'i');
+  if (q.country) filter['studyLocations.country'] = new RegExp(`^${escapeRegex(q.country.trim())}$`, 'i');
+  if (q.startDateFrom || q.startDateTo) filter.startDate = dateRange(q.startDateFrom, q.startDateTo);
+  if (q.endDateFrom || q.endDateTo) filter.endDate = dateRange(q.endDateFrom, q.endDateTo);
+  if (q.enrollmentMin !== undefined && q.enrollmentMin !== '') {
+    conditions.push({ $expr: { $gte: [enrollmentPercent, parseFloat(q.enrollmentMin)] } });
+  }
+  if (q.enrollmentMax !== undefined && q.enrollmentMax !== '') {
+    conditions.push({ $expr: { $lte: [enrollmentPercent, parseFloat(q.enrollmentMax)] } });
+  }
+  if (q.overdue === 'true') conditions.push(ClinicalTrial.overdueCondition());
+
+  if (q.search) {
+    const parsed = parseSearchQuery(q.search);
+    const searchConditions = buildSearchConditions(parsed);
+    conditions.push(...searchConditions.conditions);
+    search.text = searchConditions.text;
+    search.highlights = highlightTerms(parsed);
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+  return { filter, search };
+};
+
+// Requested sort; text searches default to relevance, everything else to newest first.
+// Without an explicit sortOrder, timestamps and relevance sort descending and other columns ascending.
+const listSort = (req, search) => {
+  let sortBy = req.query.sortBy || (search.text ? 'relevance' : 'createdAt');
+  if (sortBy === 'relevance' && !search.text) sortBy = 'createdAt';
+  let direction = ['createdAt', 'updatedAt', 'relevance'].includes(sortBy) ? -1 : 1;
+  if (req.query.sortOrder) direction = req.query.sortOrder === 'asc' ? 1 : -1;
+  return { sortBy, direction };
+};
+
+// One page of trials in the requested order
+const findListPage = async ({ filter, sort, skip = 0, limit, select = '' }) => {
+  const { sortBy, direction } = sort;
+
+  if (sortBy === 'relevance') {
+    return ClinicalTrial.find(filter, { score: { $meta: 'textScore' } })
+      .select(select).sort({ score: { $meta: 'textScore' }, createdAt: -1 }).skip(skip).limit(limit);
+  }
+
+  const field = SORT_FIELDS[sortBy];
+  if (typeof field === 'string') {
+    return ClinicalTrial.find(filter).select(select).sort({ [field]: direction, _id: direction }).skip(skip).limit(limit);
+  }
+
+  // Rank the ids in an aggregation, then load the documents in that order. The leading
+  // $match names deletedAt itself so a $text condition stays in the first stage.
+  const ranked = await ClinicalTrial.aggregate([
+    { $match: { ...filter, deletedAt: null } },
+    { $addFields: { sortValue: field } },
+    { $sort: { sortValue: direction, _id: direction } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+  const ids = ranked.map(r => r._id);
+  const trials = await ClinicalTrial.find({ _id: { $in: ids } }).select(select);
+  const byId = new Map(trials.map(t => [String(t._id), t]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean);
+};
+
 // GET /api/trials (list with filters + pagination)
 router.get('/', isAuthenticated, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['Planning', 'Active', 'Recruiting', 'Suspended', 'Completed', 'Terminated']),
-  query('phase').optional().isIn(['Preclinical', 'Phase I', 'Phase II', 'Phase III', 'Phase IV'])
+  ...listFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -38,23 +240,18 @@ router.get('/', isAuthenticated, [
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const filter = {};
-    if (req.query.status) filter.status = req.query.status;
-    if (req.query.phase) filter.phase = req.query.phase;
-    if (req.query.therapeuticArea) filter.therapeuticArea = new RegExp(req.query.therapeuticArea, 'i');
-    if (req.query.search) {
-      const r = new RegExp(req.query.search, 'i');
-      filter.$or = [ { trialName: r }, { trialId: r }, { description: r }, { principalInvestigator: r }, { sponsor: r }, { therapeuticArea: r }, { drugName: r } ];
-    }
-    if (req.user.role !== 'admin') filter.createdBy = req.user._id;
+    const { filter, search } = buildListFilter(req);
+    const sort = listSort(req, search);
 
     const [trials, totalTrials] = await Promise.all([
-      ClinicalTrial.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      findListPage({ filter, sort, skip, limit }),
       ClinicalTrial.countDocuments(filter)
     ]);
 
     res.json({
-      trials,
+      trials: trials.map(t => ({ ...t.toJSON(), permissions: t.getPermissions(req.user) })),
+      highlights: search.highlights,
+      sort: { sortBy: sort.sortBy, sortOrder: sort.direction === 1 ? 'asc' : 'desc' },
       pagination: { currentPage: page, totalPages: Math.ceil(totalTrials / limit), totalTrials, hasNextPage: page * limit < totalTrials, hasPrevPage: page > 1 }
     });
   } catch (err) {
@@ -63,13 +260,283 @@ router.get('/', isAuthenticated, [
   }
 });
 
+// Upper bound on rows in a single export; larger exports are refused rather than cut short
+const MAX_EXPORT_ROWS = 10000;
+
+// GET /api/trials/export (format=csv|json; same filters as the list, unpaginated)
+router.get('/export', isAuthenticated, [
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  ...listFilterValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const { filter, search } = buildListFilter(req);
+    const trials = await findListPage({ filter, sort: listSort(req, search), limit: MAX_EXPORT_ROWS + 1, select: '-notes -statusHistory' });
+    if (trials.length > MAX_EXPORT_ROWS) {
+      return res.status(413).json({ error: 'Export Too Large', message: `The filters match more than ${MAX_EXPORT_ROWS} trials; narrow them to export` });
+    }
+
+    const format = req.query.format || 'csv';
+    const filename = `clinical-trials-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'json') return res.json({ exportedAt: new Date(), totalTrials: trials.length, trials });
+    res.type('text/csv').send(trialsToCsv(trials));
+  } catch (err) {
+    console.error('Export trials error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to export clinical trials' });
+  }
+});
+
+// Import uploads are kept in memory and parsed immediately
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const uploadImportFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+  if (err) return res.status(400).json({ error: 'Upload Error', message: err.message });
+  next();
+});
+
+// Run trialValidation, the directory link step of single creates, schema validation and trialId
+// uniqueness against each import row
+const validateImportRows = async (rows, user) => {
+  const trialIds = rows.map(r => r.trialId).filter(Boolean);
+  const existing = await ClinicalTrial.find({ trialId: { $in: trialIds } }).select('trialId').setOptions({ includeDeleted: true });
+  const existingIds = new Set(existing.map(t => t.trialId));
+
+  const seen = new Set();
+  const duplicateInFile = rows.map((r) => {
+    const dup = Boolean(r.trialId) && seen.has(r.trialId);
+    seen.add(r.trialId);
+    return dup;
+  });
+
+  const validated = await Promise.all(rows.map(async (row) => {
+    const rowReq = { body: { ...row } };
+    // One chain at a time, as express runs them, so custom validators see sanitized fields
+    for (const v of trialValidation) await v.run(rowReq);
+    return { data: rowReq.body, errors: validationResult(rowReq).array().map(e => e.msg) };
+  }));
+
+  // Files carry names rather than directory IDs, so link them by name before the usual link step
+  await linkByName(validated.map(v => v.data));
+
+  return Promise.all(rows.map(async (row, index) => {
+    const { data, errors } = validated[index];
+    const linkError = await applyDirectoryLinks(data);
+    if (linkError) errors.push(linkError);
+
+    const trial = new ClinicalTrial({
+      ...data,
+      studyLocations: submittedLocations(data.studyLocations || []),
+      actualEnrollment: 0,
+      createdBy: user._id,
+      lastModifiedBy: user._id
+    });
+    const schemaError = trial.validateSync();
+    if (schemaError) errors.push(...Object.values(schemaError.errors).map(e => e.message));
+    if (existingIds.has(row.trialId)) errors.push(`Trial ID ${row.trialId} already exists`);
+    if (duplicateInFile[index]) errors.push(`Trial ID ${row.trialId} appears more than once in the file`);
+
+    // Header is line 1, so data rows start at line 2
+    return { row: index + 2, trialId: row.trialId, trialName: row.trialName, errors: [...new Set(errors)], trial };
+  }));
+};
+
+// POST /api/trials/import (multipart "file"; dry run unless dryRun=false)
+router.post('/import', isAuthenticated, uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Validation Error', message: 'Please upload a .csv or .xlsx file' });
+
+    const rows = parseImportFile(req.file);
+    if (rows.length === 0) return res.status(400).json({ error: 'Validation Error', message: 'The file contains no data rows' });
+
+    const results = await validateImportRows(rows, req.user);
+    const report = results.map(({ row, trialId, trialName, errors }) => ({ row, trialId, trialName, valid: errors.length === 0, errors }));
+    const validRows = report.filter(r => r.valid).length;
+    const summary = { totalRows: report.length, validRows, invalidRows: report.length - validRows };
+
+    const dryRun = req.query.dryRun !== 'false';
+    if (dryRun) return res.json({ dryRun: true, summary, rows: report });
+
+    // Commit is all-or-nothing
+    if (summary.invalidRows > 0) {
+      return res.status(400).json({ error: 'Validation Error', message: 'Fix the invalid rows before importing', summary, rows: report });
+    }
+
+    const created = await ClinicalTrial.insertMany(results.map(r => r.trial));
+    await Promise.all(created.map(t => AuditLog.record({ trial: t, action: 'create', before: null, after: t, user: req.user, reason: `Bulk import from ${req.file.originalname}` })));
+
+    res.status(201).json({ message: `${created.length} clinical trials imported successfully`, dryRun: false, summary, rows: report });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: 'Validation Error', message: err.message });
+    if (err.code === 'CSV_RECORD_INCONSISTENT_COLUMNS' || (err.code && String(err.code).startsWith('CSV_'))) {
+      return res.status(400).json({ error: 'Parse Error', message: err.message });
+    }
+    console.error('Import trials error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to import clinical trials' });
+  }
+});
+
+// GET /api/trials/stats/overview (same scoping as the list)
+router.get('/stats/overview', isAuthenticated, async (req, res) => {
+  try {
+    const now = new Date();
+    const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const endingBy = (date) => ({ endDate: { $gte: now, $lte: date }, status: { $nin: CLOSED_STATUSES } });
+
+    const match = ClinicalTrial.accessCondition(req.user);
+
+    const [result] = await ClinicalTrial.aggregate([
+      { $match: match },
+      { $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byPhase: [{ $group: { _id: '$phase', count: { $sum: 1 } } }],
+        byTherapeuticArea: [{ $group: { _id: '$therapeuticArea', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+        totals: [{ $group: { _id: null, totalTrials: { $sum: 1 }, actualEnrollment: { $sum: '$actualEnrollment' }, estimatedEnrollment: { $sum: '$estimatedEnrollment' } } }],
+        overdue: [{ $match: ClinicalTrial.overdueCondition(now) }, { $count: 'count' }],
+        endingIn30Days: [{ $match: endingBy(inDays(30)) }, { $count: 'count' }],
+        endingIn90Days: [{ $match: endingBy(inDays(90)) }, { $count: 'count' }]
+      } }
+    ]);
+
+    // Report every enum value so clients can rely on the keys being present
+    const countBy = (values, groups) => values.reduce((acc, v) => {
+      const g = groups.find(x => x._id === v);
+      acc[v] = g ? g.count : 0;
+      return acc;
+    }, {});
+    const totals = result.totals[0] || { totalTrials: 0, actualEnrollment: 0, estimatedEnrollment: 0 };
+
+    res.json({
+      stats: {
+        totalTrials: totals.totalTrials,
+        byStatus: countBy(ClinicalTrial.schema.path('status').enumValues, result.byStatus),
+        byPhase: countBy(ClinicalTrial.schema.path('phase').enumValues, result.byPhase),
+        byTherapeuticArea: result.byTherapeuticArea.map(g => ({ therapeuticArea: g._id, count: g.count })),
+        enrollment: { actual: totals.actualEnrollment, expected: totals.estimatedEnrollment },
+        overdueTrials: result.overdue[0] ? result.overdue[0].count : 0,
+        endingIn30Days: result.endingIn30Days[0] ? result.endingIn30Days[0].count : 0,
+        endingIn90Days: result.endingIn90Days[0] ? result.endingIn90Days[0].count : 0
+      }
+    });
+  } catch (err) {
+    console.error('Get stats error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve trial statistics' });
+  }
+});
+
+// GET /api/trials/trash (admin; trashed trials, most recently deleted first)
+router.get('/trash', isAuthenticated, isAdmin, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { deletedAt: { $ne: null } };
+
+    const [trials, totalTrials] = await Promise.all([
+      ClinicalTrial.find(filter)
+        .select('trialId trialName sponsor phase status deletedAt deletedBy deletionReason')
+        .sort({ deletedAt: -1 }).skip(skip).limit(limit)
+        .populate('deletedBy', userSummaryFields),
+      ClinicalTrial.countDocuments(filter)
+    ]);
+
+    res.json({
+      trials: trials.map(t => ({ ...t.toJSON(), purgeEligibleAt: purgeEligibleAt(t) })),
+      retentionDays: PURGE_RETENTION_DAYS,
+      pagination: { currentPage: page, totalPages: Math.ceil(totalTrials / limit), totalTrials, hasNextPage: page * limit < totalTrials, hasPrevPage: page > 1 }
+    });
+  } catch (err) {
+    console.error('Get trash error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve deleted trials' });
+  }
+});
+
+// POST /api/trials/:id/restore (admin)
+router.post('/:id/restore', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const t = await ClinicalTrial.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'No deleted trial found with this ID' });
+
+    const reason = `Restored from the trash (deleted ${t.deletedAt.toISOString().split('T')[0]}: ${t.deletionReason})`;
+    const before = t.toObject();
+    t.restore(req.user);
+    await t.save();
+    await AuditLog.record({ trial: t, action: 'restore', before, after: t, user: req.user, reason });
+    res.json({ message: 'Clinical trial restored successfully', trial: t });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Trial Changed', message: 'This trial was restored or purged by someone else meanwhile' });
+    }
+    console.error('Restore trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to restore clinical trial' });
+  }
+});
+
+// DELETE /api/trials/:id/purge (admin; permanent, only once the retention period has passed)
+router.delete('/:id/purge', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const t = await ClinicalTrial.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'No deleted trial found with this ID' });
+    if (purgeEligibleAt(t) > new Date()) {
+      return res.status(400).json({ error: 'Retention Period', message: `Deleted trials can be purged ${PURGE_RETENTION_DAYS} days after deletion` });
+    }
+
+    // The trial goes first, and only while it is still in the trash since the same deletion, so a
+    // concurrent restore keeps the trial's records. The audit trail is kept, including a final
+    // snapshot of the purged trial and how many of its records went with it
+    const purged = await ClinicalTrial.deleteOne({ _id: t._id, deletedAt: t.deletedAt });
+    if (purged.deletedCount === 0) {
+      return res.status(409).json({ error: 'Trial Changed', message: 'This trial was restored or purged by someone else meanwhile' });
+    }
+    const participants = await Participant.deleteMany({ trial: t._id });
+    const enrollmentSnapshots = await EnrollmentSnapshot.deleteMany({ trial: t._id });
+    const documents = await TrialDocument.find({ trial: t._id }).select('storageKey');
+    await Promise.all(documents.map(d => getStorage().remove(d.storageKey)));
+    const removedDocuments = await TrialDocument.deleteMany({ trial: t._id });
+    const amendments = await ProtocolAmendment.deleteMany({ trial: t._id });
+    await AuditLog.record({
+      trial: t,
+      action: 'purge',
+      before: t,
+      after: null,
+      user: req.user,
+      reason: `Purged after deletion on ${t.deletedAt.toISOString().split('T')[0]}`,
+      purgedRecords: {
+        participants: participants.deletedCount,
+        enrollmentSnapshots: enrollmentSnapshots.deletedCount,
+        documents: removedDocuments.deletedCount,
+        amendments: amendments.deletedCount
+      }
+    });
+    res.json({ message: 'Clinical trial permanently deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Purge trial error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to purge clinical trial' });
+  }
+});
+
 // GET /api/trials/:id
 router.get('/:id', isAuthenticated, async (req, res) => {
   try {
-    const t = await ClinicalTrial.findById(req.params.id).populate('createdBy', 'firstName lastName username');
+    const t = await ClinicalTrial.findById(req.params.id)
+      .populate('createdBy', userSummaryFields)
+      .populate('lastModifiedBy', userSummaryFields)
+      .populate('notes.createdBy', userSummaryFields)
+      .populate('statusHistory.changedBy', userSummaryFields)
+      .populate('team.user', userSummaryFields);
     if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
-    if (req.user.role !== 'admin' && String(t.createdBy._id || t.createdBy) !== String(req.user._id)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
-    res.json({ trial: t });
+    if (!canAccessTrial(req.user, t)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    res.json({ trial: t, permissions: t.getPermissions(req.user) });
   } catch (err) {
     if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
     console.error('Get trial error:', err);
@@ -83,13 +550,28 @@ router.post('/', isAuthenticated, trialValidation, async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
 
-    const existing = await ClinicalTrial.findOne({ trialId: req.body.trialId.toUpperCase() });
+    // Trashed trials keep their trial ID until purged
+    const existing = await ClinicalTrial.findOne({ trialId: req.body.trialId.toUpperCase() }).setOptions({ includeDeleted: true });
     if (existing) return res.status(400).json({ error: 'Duplicate Trial ID', message: 'A trial with this ID already exists' });
 
-    const t = new ClinicalTrial({ ...req.body, trialId: req.body.trialId.toUpperCase(), createdBy: req.user._id, lastModifiedBy: req.user._id });
+    const data = { ...req.body };
+    const linkError = await applyDirectoryLinks(data);
+    if (linkError) return res.status(400).json({ error: 'Validation Error', message: linkError });
+
+    const t = new ClinicalTrial({
+      ...data,
+      trialId: req.body.trialId.toUpperCase(),
+      studyLocations: submittedLocations(data.studyLocations || []),
+      actualEnrollment: 0,
+      team: [],
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
     await t.save();
+    await AuditLog.record({ trial: t, action: 'create', before: null, after: t, user: req.user, reason: req.body.changeReason });
     res.status(201).json({ message: 'Clinical trial created successfully', trial: t });
   } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: 'Validation Error', message: err.message });
     console.error('Create trial error:', err);
     res.status(500).json({ error: 'Server Error', message: 'Failed to create clinical trial' });
   }
@@ -98,11 +580,6 @@ router.post('/', isAuthenticated, trialValidation, async (req, res) => {
 // PUT /api/trials/:id
 router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
   try {
-    // Debug: log incoming payload and user
-    console.log('\n=== PUT /api/trials/:id ===');
-    console.log('Params:', req.params);
-    console.log('User:', req.user && req.user._id);
-    console.log('Body:', JSON.stringify(req.body, null, 2));
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
@@ -121,19 +598,29 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && String(current.createdBy) !== String(req.user._id)) {
+    if (!canAccessTrial(req.user, current, 'edit')) {
       return res.status(403).json({ 
         error: 'Forbidden', 
         message: 'You do not have permission to update this trial' 
       });
     }
 
+    // Reject stale saves instead of overwriting someone else's changes
+    const version = requestedVersion(req);
+    if (version === null) {
+      return res.status(428).json({
+        error: 'Precondition Required',
+        message: 'Send the trial version you are editing (If-Match header or version field)'
+      });
+    }
+    if (version !== current.__v) return sendEditConflict(res, current._id);
+
     // Check for duplicate trial ID if being changed
     if (req.body.trialId && req.body.trialId.toUpperCase() !== current.trialId) {
       const dup = await ClinicalTrial.findOne({ 
         trialId: req.body.trialId.toUpperCase(), 
         _id: { $ne: req.params.id } 
-      });
+      }).setOptions({ includeDeleted: true });
       if (dup) {
         return res.status(400).json({ 
           error: 'Duplicate Trial ID', 
@@ -142,8 +629,42 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
       }
     }
 
-    // Prepare update data
-    const updateData = { ...req.body };
+    // Prepare update data (the reason is recorded in the audit log, not on the trial)
+    const { changeReason, status, ...updateData } = req.body;
+    const before = current.toObject();
+
+    const linkError = await applyDirectoryLinks(updateData);
+    if (linkError) return res.status(400).json({ error: 'Validation Error', message: linkError });
+
+    // Once the trial has left Planning, endpoints and criteria only change through an approved amendment
+    if (current.isProtocolLocked()) {
+      const amended = PROTOCOL_FIELDS.filter(field => updateData[field] !== undefined &&
+        JSON.stringify(updateData[field]) !== JSON.stringify(current.protocolValue(field)));
+      if (amended.length > 0) {
+        return res.status(400).json({
+          error: 'Amendment Required',
+          message: `The trial is ${current.status}: changes to ${amended.join(', ')} must be made through a protocol amendment`
+        });
+      }
+    }
+
+    // Status changes must follow the lifecycle
+    if (status && status !== current.status) {
+      if (!canAccessTrial(req.user, current, 'changeStatus')) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have permission to change the status of this trial'
+        });
+      }
+      const transitionError = current.getTransitionError(status, changeReason);
+      if (transitionError) {
+        return res.status(400).json({
+          error: 'Invalid Status Transition',
+          message: transitionError
+        });
+      }
+      current.transitionTo(status, req.user, changeReason);
+    }
     
     // Handle date validation
     const startDate = updateData.startDate ? new Date(updateData.startDate) : new Date(current.startDate);
@@ -165,36 +686,47 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
     updateData.startDate = startDate;
     updateData.endDate = endDate;
 
-    // Validate enrollment numbers
-    const estimatedEnrollment = updateData.estimatedEnrollment !== undefined 
-      ? Number(updateData.estimatedEnrollment) 
-      : current.estimatedEnrollment;
+    // Validate enrollment numbers (site targets, when every location has one, add up to the trial's)
+    const estimatedEnrollment = ClinicalTrial.siteTargetTotal(updateData.studyLocations || current.studyLocations)
+      ?? (updateData.estimatedEnrollment !== undefined
+        ? Number(updateData.estimatedEnrollment)
+        : current.estimatedEnrollment);
     
-    if (updateData.actualEnrollment !== undefined) {
-      const actualEnrollment = Number(updateData.actualEnrollment);
-      
-      if (actualEnrollment < 0) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'Actual enrollment cannot be negative'
-        });
-      }
+    // actualEnrollment is derived from the participant registry and the team is managed
+    // through its own endpoints; neither (nor other server-managed fields) is set directly
+    ['actualEnrollment', 'team', 'createdBy', 'notes', 'statusHistory', 'amendmentNumber', 'version', '__v', 'deletedAt', 'deletedBy', 'deletionReason'].forEach(field => delete updateData[field]);
 
-      if (actualEnrollment > estimatedEnrollment) {
+    // Existing study locations keep their _id (participants reference them); locations
+    // with participants assigned cannot be removed
+    if (updateData.studyLocations) {
+      updateData.studyLocations = submittedLocations(updateData.studyLocations, current.studyLocations);
+      const currentIds = current.studyLocations.map(l => String(l._id));
+      const keptIds = updateData.studyLocations.filter(l => l._id).map(l => String(l._id));
+      if (keptIds.some(locId => !currentIds.includes(locId))) {
         return res.status(400).json({
           error: 'Validation Error',
-          message: `Actual enrollment (${actualEnrollment}) cannot exceed estimated enrollment (${estimatedEnrollment})`
+          message: 'Study location does not belong to this trial'
         });
       }
+      const removedIds = currentIds.filter(locId => !keptIds.includes(locId));
+      if (removedIds.length > 0) {
+        const inUse = await Participant.findOne({ trial: current._id, studyLocation: { $in: removedIds } }).select('studyLocation');
+        if (inUse) {
+          const loc = current.studyLocations.id(inUse.studyLocation);
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `Cannot remove study location ${loc.facility}: participants are assigned to it`
+          });
+        }
+      }
     }
 
-    // Debug: show computed values before saving
-    console.log('Computed/Normalized Update Data:', {
-      ...updateData,
-      startDate,
-      endDate,
-      estimatedEnrollment,
-    });
+    if (estimatedEnrollment < current.actualEnrollment) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Estimated enrollment (${estimatedEnrollment}) cannot be lower than current enrollment (${current.actualEnrollment})`
+      });
+    }
 
     // Format trial ID to uppercase if provided
     if (updateData.trialId) {
@@ -209,11 +741,15 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
 
     // Save with validators in document context (ensures access to other fields like startDate/estimatedEnrollment)
     const saved = await current.save();
+    await AuditLog.record({ trial: saved, action: 'update', before, after: saved, user: req.user, reason: changeReason });
+    if (saved.status !== before.status) {
+      notifyInBackground({ event: 'statusChange', trial: saved, actor: req.user, data: { from: before.status, to: saved.status, reason: changeReason } });
+    }
 
     // Re-fetch with populations for response consistency
     const updated = await ClinicalTrial.findById(saved._id)
-      .populate('createdBy', 'name email')
-      .populate('lastModifiedBy', 'name email');
+      .populate('createdBy', userSummaryFields)
+      .populate('lastModifiedBy', userSummaryFields);
 
     res.json({ 
       message: 'Clinical trial updated successfully', 
@@ -221,6 +757,9 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
     });
 
   } catch (err) {
+    // Someone else saved between our read and our write
+    if (err.name === 'VersionError') return sendEditConflict(res, req.params.id);
+
     console.error('Update trial error:', err);
     
     if (err.name === 'CastError') {
@@ -245,19 +784,227 @@ router.put('/:id', isAuthenticated, trialValidation, async (req, res) => {
     });
   }
 });
-// DELETE /api/trials/:id
-router.delete('/:id', isAuthenticated, async (req, res) => {
+// DELETE /api/trials/:id (moves the trial to the trash; admins can restore or purge it)
+router.delete('/:id', isAuthenticated, [
+  body('changeReason').trim().notEmpty().withMessage('A reason is required to delete a trial')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
     const current = await ClinicalTrial.findById(req.params.id);
     if (!current) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
-    if (req.user.role !== 'admin' && String(current.createdBy) !== String(req.user._id)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
-    await ClinicalTrial.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Clinical trial deleted successfully' });
+    if (!canAccessTrial(req.user, current, 'delete')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+    const before = current.toObject();
+    current.softDelete(req.user, req.body.changeReason);
+    await current.save();
+    await AuditLog.record({ trial: current, action: 'delete', before, after: current, user: req.user, reason: req.body.changeReason });
+    res.json({ message: 'Clinical trial moved to the trash' });
   } catch (err) {
     if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    if (err.name === 'VersionError') return sendEditConflict(res, req.params.id);
     console.error('Delete trial error:', err);
     res.status(500).json({ error: 'Server Error', message: 'Failed to delete clinical trial' });
   }
 });
 
+// POST /api/trials/:id/status (lifecycle transition)
+router.post('/:id/status', isAuthenticated, [
+  body('status').isIn(ClinicalTrial.schema.path('status').enumValues).withMessage('Invalid status'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters').trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const t = await ClinicalTrial.findById(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'changeStatus')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    const transitionError = t.getTransitionError(req.body.status, req.body.reason);
+    if (transitionError) return res.status(400).json({ error: 'Invalid Status Transition', message: transitionError });
+
+    // Applied only if the status is still the one the transition was checked against
+    const before = t.toObject();
+    const updated = await ClinicalTrial.findOneAndUpdate(
+      { _id: t._id, status: t.status },
+      t.transitionUpdate(req.body.status, req.user, req.body.reason),
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Edit Conflict', message: 'The trial status was changed by someone else. Reload the trial and try again.' });
+    await AuditLog.record({ trial: updated, action: 'transition', before, after: updated, user: req.user, reason: req.body.reason });
+    notifyInBackground({ event: 'statusChange', trial: updated, actor: req.user, data: { from: before.status, to: updated.status, reason: req.body.reason } });
+
+    await updated.populate('statusHistory.changedBy', userSummaryFields);
+    res.json({ message: `Trial status changed to ${updated.status}`, trial: updated });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Status transition error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to change trial status' });
+  }
+});
+
+// GET /api/trials/:id/history (audit trail, newest first; admins can read history of trashed and purged trials)
+router.get('/:id/history', isAuthenticated, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const t = await ClinicalTrial.findById(req.params.id).select('createdBy team');
+    if (!t && req.user.role !== 'admin') return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (t && !canAccessTrial(req.user, t)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { trial: req.params.id };
+
+    const [history, totalEntries] = await Promise.all([
+      AuditLog.find(filter).sort({ performedAt: -1 }).skip(skip).limit(limit).populate('performedBy', userSummaryFields),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      history,
+      pagination: { currentPage: page, totalPages: Math.ceil(totalEntries / limit), totalEntries, hasNextPage: page * limit < totalEntries, hasPrevPage: page > 1 }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Get history error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve trial history' });
+  }
+});
+
+// GET /api/trials/:id/summary.pdf (one-page summary sheet)
+router.get('/:id/summary.pdf', isAuthenticated, async (req, res) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    res.type('application/pdf');
+    res.attachment(`${t.trialId}-summary.pdf`);
+    writeTrialSummaryPdf(t, res);
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Trial summary PDF error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to generate trial summary' });
+  }
+});
+
+// Notes
+const noteValidation = [
+  body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Note must be between 1 and 1000 characters'),
+];
+
+// GET /api/trials/:id/notes (newest first, paginated)
+router.get('/:id/notes', isAuthenticated, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const t = await ClinicalTrial.findById(req.params.id).select('createdBy team notes').populate('notes.createdBy', userSummaryFields);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t)) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const sorted = [...t.notes].sort((a, b) => b.createdAt - a.createdAt);
+    const totalNotes = sorted.length;
+
+    res.json({
+      notes: sorted.slice(skip, skip + limit),
+      pagination: { currentPage: page, totalPages: Math.ceil(totalNotes / limit), totalNotes, hasNextPage: page * limit < totalNotes, hasPrevPage: page > 1 }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Get notes error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve notes' });
+  }
+});
+
+// POST /api/trials/:id/notes
+router.post('/:id/notes', isAuthenticated, noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const t = await ClinicalTrial.findById(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'comment')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    // Notes are pushed atomically so concurrent notes neither overwrite each other nor bump the trial's version
+    const note = t.notes.create({ content: req.body.content, createdBy: req.user._id });
+    const updated = await ClinicalTrial.findOneAndUpdate({ _id: t._id }, { $push: { notes: note } }, { new: true, runValidators: true });
+    if (!updated) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    notifyInBackground({ event: 'note', trial: updated, actor: req.user, note });
+    await updated.populate('notes.createdBy', userSummaryFields);
+
+    res.status(201).json({ message: 'Note added successfully', note: updated.notes.id(note._id) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial ID format' });
+    console.error('Add note error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to add note' });
+  }
+});
+
+// PUT /api/trials/:id/notes/:noteId (author only)
+router.put('/:id/notes/:noteId', isAuthenticated, noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const t = await ClinicalTrial.findById(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'comment')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    const note = t.notes.id(req.params.noteId);
+    if (!note) return res.status(404).json({ error: 'Note Not Found', message: 'Note not found' });
+    if (String(note.createdBy) !== String(req.user._id)) return res.status(403).json({ error: 'Forbidden', message: 'You can only edit your own notes' });
+
+    const updated = await ClinicalTrial.findOneAndUpdate(
+      { _id: t._id, 'notes._id': note._id },
+      { $set: { 'notes.$.content': req.body.content, 'notes.$.editedAt': new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Note Not Found', message: 'Note not found' });
+    await updated.populate('notes.createdBy', userSummaryFields);
+
+    res.json({ message: 'Note updated successfully', note: updated.notes.id(note._id) });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial or note ID format' });
+    console.error('Update note error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update note' });
+  }
+});
+
+// DELETE /api/trials/:id/notes/:noteId (author or admin)
+router.delete('/:id/notes/:noteId', isAuthenticated, async (req, res) => {
+  try {
+    const t = await ClinicalTrial.findById(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Trial Not Found', message: 'Clinical trial not found' });
+    if (!canAccessTrial(req.user, t, 'comment')) return res.status(403).json({ error: 'Forbidden', message: 'No access' });
+
+    const note = t.notes.id(req.params.noteId);
+    if (!note) return res.status(404).json({ error: 'Note Not Found', message: 'Note not found' });
+    if (req.user.role !== 'admin' && String(note.createdBy) !== String(req.user._id)) return res.status(403).json({ error: 'Forbidden', message: 'You can only delete your own notes' });
+
+    await ClinicalTrial.updateOne({ _id: t._id }, { $pull: { notes: { _id: note._id } } });
+    res.json({ message: 'Note deleted successfully' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid trial or note ID format' });
+    console.error('Delete note error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete note' });
+  }
+});
+
 module.exports = router;
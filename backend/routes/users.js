@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const escapeRegex = require('../utils/escapeRegex');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { closeStreams } = require('../utils/notificationStream');
+
+// Admin-only user management
+const router = express.Router();
+
+const userRoles = User.schema.path('role').enumValues;
+
+router.use(isAuthenticated, isAdmin);
+
+// Load the target user; admins cannot change their own role or status
+const loadUser = async (req, res, next) => {
+  try {
+    const u = await User.findById(req.params.id);
+    if (!u) return res.status(404).json({ error: 'User Not Found', message: 'User not found' });
+    req.targetUser = u;
+    next();
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid user ID format' });
+    console.error('Load user error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve user' });
+  }
+};
+
+const isSelf = (req) => String(req.targetUser._id) === String(req.user._id);
+
+// The last active admin cannot be demoted or deactivated
+const isLastActiveAdmin = async (u) =>
+  u.role === 'admin' && u.isActive && (await User.countDocuments({ role: 'admin', isActive: true })) <= 1;
+
+// GET /api/users (list with search + filters + pagination)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('role').optional().isIn(userRoles).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.search) {
+      const r = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [ { username: r }, { email: r }, { firstName: r }, { lastName: r }, { department: r } ];
+    }
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      pagination: { currentPage: page, totalPages: Math.ceil(totalUsers / limit), totalUsers, hasNextPage: page * limit < totalUsers, hasPrevPage: page > 1 }
+    });
+  } catch (err) {
+    console.error('Get users error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve users' });
+  }
+});
+
+// GET /api/users/:id
+router.get('/:id', loadUser, (req, res) => {
+  res.json({ user: req.targetUser });
+});
+
+// PUT /api/users/:id/role
+router.put('/:id/role', [
+  body('role').isIn(userRoles).withMessage(`Role must be one of: ${userRoles.join(', ')}`)
+], loadUser, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const u = req.targetUser;
+    if (isSelf(req)) return res.status(400).json({ error: 'Invalid Operation', message: 'You cannot change your own role' });
+    if (req.body.role !== 'admin' && await isLastActiveAdmin(u)) {
+      return res.status(400).json({ error: 'Invalid Operation', message: 'At least one active admin is required' });
+    }
+
+    u.role = req.body.role;
+    await u.save();
+    res.json({ message: 'User role updated successfully', user: u });
+  } catch (err) {
+    console.error('Update user role error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update user role' });
+  }
+});
+
+// PUT /api/users/:id/status (activate / deactivate; deactivated users lose their sessions)
+router.put('/:id/status', [
+  body('isActive').isBoolean().withMessage('isActive must be true or false').toBoolean()
+], loadUser, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const u = req.targetUser;
+    if (isSelf(req)) return res.status(400).json({ error: 'Invalid Operation', message: 'You cannot change your own account status' });
+    if (!req.body.isActive && await isLastActiveAdmin(u)) {
+      return res.status(400).json({ error: 'Invalid Operation', message: 'At least one active admin is required' });
+    }
+
+    u.isActive = req.body.isActive;
+    await u.save();
+    if (!u.isActive) closeStreams({ userId: u._id });
+    res.json({ message: `User ${u.isActive ? 'activated' : 'deactivated'} successfully`, user: u });
+  } catch (err) {
+    console.error('Update user status error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update user status' });
+  }
+});
+
+// POST /api/users/:id/reset-password (temporary password, change required at next login)
+router.post('/:id/reset-password', loadUser, async (req, res) => {
+  try {
+    const u = req.targetUser;
+    if (isSelf(req)) return res.status(400).json({ error: 'Invalid Operation', message: 'Use the change password form for your own account' });
+
+    const temporaryPassword = User.generateTemporaryPassword();
+    u.password = temporaryPassword;
+    u.mustChangePassword = true;
+    await u.save();
+
+    // Shown to the admin once; it is not stored in plain text
+    res.json({ message: 'Password reset successfully', temporaryPassword, user: u });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to reset password' });
+  }
+});
+
+module.exports = router;
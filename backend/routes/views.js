@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Saved TrialsList views, stored on the user
+const router = express.Router();
+
+// Query parameters a view may store (the trials list filters and sort)
+const VIEW_FILTER_KEYS = [
+  'search', 'status', 'phase', 'therapeuticArea', 'sponsor', 'principalInvestigator', 'country',
+  'startDateFrom', 'startDateTo', 'endDateFrom', 'endDateTo', 'enrollmentMin', 'enrollmentMax', 'overdue',
+  'sortBy', 'sortOrder', 'limit'
+];
+
+// Optional TrialsList columns (trial name and actions are always shown)
+const VIEW_COLUMNS = ['principalInvestigator', 'sponsor', 'therapeuticArea', 'phase', 'status', 'startDate', 'endDate', 'enrollment'];
+
+const MAX_VIEWS_PER_USER = 50;
+
+router.use(isAuthenticated);
+
+const viewValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 60 }).withMessage('View name must be 1-60 characters'),
+    body('filters').optional().isObject().withMessage('Filters must be an object')
+      .custom(filters => Object.keys(filters).every(key => VIEW_FILTER_KEYS.includes(key)))
+      .withMessage(`Filters may only contain: ${VIEW_FILTER_KEYS.join(', ')}`)
+      .custom(filters => Object.values(filters).every(value => typeof value === 'string' && value.length <= 200))
+      .withMessage('Filter values must be text of at most 200 characters'),
+    body('columns').optional().isArray().withMessage('Columns must be an array')
+      .custom(columns => columns.every(c => VIEW_COLUMNS.includes(c)))
+      .withMessage(`Columns may only contain: ${VIEW_COLUMNS.join(', ')}`),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean(),
+    body('shared').optional().isBoolean().withMessage('shared must be true or false').toBoolean()
+  ];
+};
+
+// Views shared by other active users, with their owner
+const sharedViews = async (user) => {
+  const owners = await User.find({ _id: { $ne: user._id }, isActive: true, 'savedViews.shared': true })
+    .select('firstName lastName username savedViews');
+  return owners.flatMap(owner => owner.savedViews
+    .filter(v => v.shared)
+    .map(v => ({ ...v.toJSON(), isDefault: false, owner: { _id: owner._id, firstName: owner.firstName, lastName: owner.lastName, username: owner.username } })));
+};
+
+const isDuplicateName = (user, name, exceptId) => user.savedViews.some(v =>
+  String(v._id) !== String(exceptId) && v.name.toLowerCase() === name.toLowerCase());
+
+// Only one view can be the default
+const applyDefault = (user, view) => {
+  if (view.isDefault) user.savedViews.forEach(v => { if (v !== view) v.isDefault = false; });
+};
+
+// GET /api/views (own views + views shared by colleagues)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ views: req.user.savedViews, shared: await sharedViews(req.user) });
+  } catch (err) {
+    console.error('Get views error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to retrieve saved views' });
+  }
+});
+
+// POST /api/views
+router.post('/', viewValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const u = req.user;
+    if (u.savedViews.length >= MAX_VIEWS_PER_USER) {
+      return res.status(400).json({ error: 'Limit Reached', message: `You can save up to ${MAX_VIEWS_PER_USER} views` });
+    }
+    if (isDuplicateName(u, req.body.name)) return res.status(400).json({ error: 'Duplicate View', message: 'You already have a view with this name' });
+
+    const { name, filters = {}, columns = [], isDefault = false, shared = false } = req.body;
+    u.savedViews.push({ name, filters, columns, isDefault, shared });
+    const view = u.savedViews[u.savedViews.length - 1];
+    applyDefault(u, view);
+    await u.save();
+
+    res.status(201).json({ message: 'View saved successfully', view, views: u.savedViews });
+  } catch (err) {
+    console.error('Create view error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to save view' });
+  }
+});
+
+// PUT /api/views/:viewId (rename, replace filters/columns, set default, share)
+router.put('/:viewId', viewValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: 'Validation Error', messages: errors.array().map(e => e.msg) });
+
+    const u = req.user;
+    const view = u.savedViews.id(req.params.viewId);
+    if (!view) return res.status(404).json({ error: 'View Not Found', message: 'Saved view not found' });
+    if (req.body.name !== undefined && isDuplicateName(u, req.body.name, view._id)) {
+      return res.status(400).json({ error: 'Duplicate View', message: 'You already have a view with this name' });
+    }
+
+    ['name', 'filters', 'columns', 'isDefault', 'shared'].forEach(field => {
+      if (req.body[field] !== undefined) view[field] = req.body[field];
+    });
+    applyDefault(u, view);
+    await u.save();
+
+    res.json({ message: 'View updated successfully', view, views: u.savedViews });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid view ID format' });
+    console.error('Update view error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to update view' });
+  }
+});
+
+// DELETE /api/views/:viewId
+router.delete('/:viewId', async (req, res) => {
+  try {
+    const u = req.user;
+    const view = u.savedViews.id(req.params.viewId);
+    if (!view) return res.status(404).json({ error: 'View Not Found', message: 'Saved view not found' });
+
+    view.deleteOne();
+    await u.save();
+    res.json({ message: 'View deleted successfully', views: u.savedViews });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid ID', message: 'Invalid view ID format' });
+    console.error('Delete view error:', err);
+    res.status(500).json({ error: 'Server Error', message: 'Failed to delete view' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// One-off migration: normalize the free-text sponsor names of existing trials into the sponsor
+// directory. Usage: npm run migrate:sponsors -- [--dry-run] [--as <admin username>]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { normalizeSponsors } = require('../utils/sponsorMigration');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const asIndex = args.indexOf('--as');
+const username = asIndex >= 0 ? args[asIndex + 1] : null;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clinical-trials');
+
+  // Changes are attributed to the given admin, or the first admin account
+  const user = username
+    ? await User.findOne({ username, role: 'admin' })
+    : await User.findOne({ role: 'admin' }).sort({ createdAt: 1 });
+  if (!user) throw new Error(username ? `No admin account named "${username}"` : 'No admin account found; create one first');
+
+  const report = await normalizeSponsors({ user, dryRun });
+  report.sponsors.forEach((s) => {
+    const spellings = s.spellings.map(n => `"${n}"`).join(', ');
+    console.log(`${s.created ? '+' : '='} ${s.name} (${s.trials} trial${s.trials === 1 ? '' : 's'}): ${spellings}`);
+  });
+  report.failures.forEach(f => console.error(`! ${f.trialId}: ${f.message}`));
+  console.log(dryRun
+    ? `Dry run: ${report.sponsors.filter(s => s.created).length} sponsors would be created; nothing was written`
+    : `${report.trialsUpdated} trials linked, ${report.failures.length} failed`);
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Sponsor migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
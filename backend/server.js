@@ -10,6 +10,19 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const trialRoutes = require('./routes/trials');
+const participantRoutes = require('./routes/participants');
+const teamRoutes = require('./routes/team');
+const enrollmentRoutes = require('./routes/enrollment');
+const documentRoutes = require('./routes/documents');
+const amendmentRoutes = require('./routes/amendments');
+const userRoutes = require('./routes/users');
+const viewRoutes = require('./routes/views');
+const notificationRoutes = require('./routes/notifications');
+const alertRoutes = require('./routes/alerts');
+const siteRoutes = require('./routes/sites');
+const investigatorRoutes = require('./routes/investigators');
+const sponsorRoutes = require('./routes/sponsors');
+const { startScheduledJobs } = require('./utils/scheduledJobs');
 
 // Import passport configuration
 require('./config/passport');
@@ -25,7 +38,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match']
 }));
 
 // Logging middleware
@@ -54,6 +67,18 @@ app.use(passport.session());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/trials', trialRoutes);
+app.use('/api/trials/:trialId/participants', participantRoutes);
+app.use('/api/trials/:trialId/team', teamRoutes);
+app.use('/api/trials/:trialId/enrollment', enrollmentRoutes);
+app.use('/api/trials/:trialId/documents', documentRoutes);
+app.use('/api/trials/:trialId/amendments', amendmentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/investigators', investigatorRoutes);
+app.use('/api/sponsors', sponsorRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -118,6 +143,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clinical-
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 API URL: http://localhost:${PORT}`);
   });
+
+  // Nightly trial alerts, daily email digest and deadline reminders
+  startScheduledJobs();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -0,0 +1,19 @@
+const ClinicalTrial = require('../models/ClinicalTrial');
+
+const trial = (fields) => new ClinicalTrial({
+  startDate: new Date('2025-01-01'),
+  endDate: new Date('2025-12-31'),
+  ...fields
+});
+
+describe('isOverdue', () => {
+  test('compares the end date with the given time', () => {
+    const t = trial({ status: 'Active' });
+    expect(t.isOverdue(new Date('2025-06-01'))).toBe(false);
+    expect(t.isOverdue(new Date('2026-01-02'))).toBe(true);
+  });
+
+  test('never flags closed trials', () => {
+    expect(trial({ status: 'Completed' }).isOverdue(new Date('2026-01-02'))).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const Sponsor = require('../models/Sponsor');
+
+describe('Sponsor.matchKey', () => {
+  test.each([
+    ['Pfizer Inc.', 'pfizer'],
+    ['PFIZER, INC', 'pfizer'],
+    ['Johnson & Johnson', 'johnson and johnson'],
+    ['Johnson and Johnson Co.', 'johnson and johnson'],
+    ['Hoffmann-La Roche AG', 'hoffmann la roche'],
+    ['Société Générale S.A.', 'societe generale'],
+    ['Acme Holdings Ltd. Corp', 'acme holdings']
+  ])('groups %s under %s', (name, key) => {
+    expect(Sponsor.matchKey(name)).toBe(key);
+  });
+
+  test('keeps a name that is only a legal form', () => {
+    expect(Sponsor.matchKey('Company')).toBe('company');
+  });
+
+  test('returns an empty key for missing names', () => {
+    expect(Sponsor.matchKey(undefined)).toBe('');
+    expect(Sponsor.matchKey('  ')).toBe('');
+  });
+});
+
+describe('allNames', () => {
+  test('lists the name followed by the aliases', () => {
+    const sponsor = new Sponsor({ name: 'Pfizer', aliases: ['Pfizer Inc.', 'PFE'] });
+    expect(sponsor.allNames()).toEqual(['Pfizer', 'Pfizer Inc.', 'PFE']);
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const ProtocolAmendment = require('../models/ProtocolAmendment');
+const router = require('../routes/amendments');
+const { user, appWith, query, skipPopulate } = require('./helpers/app');
+
+const owner = user();
+const author = user({ username: 'author' });
+
+let stored;
+let amendment;
+let claim;
+let save;
+
+const approved = () => new ProtocolAmendment({ ...amendment.toObject(), status: 'approved', number: 3, reviewedBy: owner._id });
+
+beforeEach(() => {
+  stored = new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, status: 'Active', primaryEndpoint: 'Overall survival', amendmentNumber: 2 });
+  amendment = new ProtocolAmendment({
+    trial: stored._id,
+    title: 'Change endpoint',
+    rationale: 'Feedback from the regulator',
+    changes: [{ field: 'primaryEndpoint', previousValue: 'Overall survival', proposedValue: 'Progression-free survival' }],
+    status: 'submitted',
+    createdBy: author._id
+  });
+  jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+  jest.spyOn(ProtocolAmendment, 'findOne').mockReturnValue(query(amendment));
+  claim = jest.spyOn(ProtocolAmendment, 'findOneAndUpdate').mockImplementation(() => query(approved()));
+  save = jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  skipPopulate(ProtocolAmendment);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const approve = () => request(appWith('/api/trials/:trialId/amendments', router, owner))
+  .post(`/api/trials/${stored._id}/amendments/${amendment._id}/approve`)
+  .send({ comment: 'Agreed' });
+
+describe('POST /api/trials/:trialId/amendments/:amendmentId/approve', () => {
+  test('claims the submitted amendment with the next number and applies it in one save', async () => {
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    const [filter, change] = claim.mock.calls[0];
+    expect(filter).toEqual({ _id: amendment._id, status: 'submitted' });
+    expect(change).toMatchObject({ status: 'approved', number: 3, reviewedBy: owner._id });
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(stored).toMatchObject({ primaryEndpoint: 'Progression-free survival', amendmentNumber: 3 });
+    expect(AuditLog.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'amendment' }));
+  });
+
+  test('returns 409 when another amendment was approved with the same number meanwhile', async () => {
+    claim.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Amendment Changed');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 when the amendment was reviewed or withdrawn meanwhile', async () => {
+    claim.mockReturnValue(query(null));
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('refuses an amendment whose fields changed since it was submitted', async () => {
+    stored.primaryEndpoint = 'Response rate';
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Protocol Changed');
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('gives back only its own claim when the trial was saved by someone else meanwhile', async () => {
+    save.mockImplementation(function() { return Promise.reject(new mongoose.Error.VersionError(this, 0, [])); });
+    const release = jest.spyOn(ProtocolAmendment, 'updateOne').mockReturnValue(query({ matchedCount: 1 }));
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Edit Conflict');
+    expect(release.mock.calls[0][0]).toEqual({ _id: amendment._id, status: 'approved', number: 3 });
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const Participant = require('../models/Participant');
+const EnrollmentSnapshot = require('../models/EnrollmentSnapshot');
+const TrialDocument = require('../models/TrialDocument');
+const ProtocolAmendment = require('../models/ProtocolAmendment');
+const router = require('../routes/trials');
+const { user, appWith, query } = require('./helpers/app');
+
+const admin = user({ role: 'admin' });
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', status: 'Active', createdBy: admin._id, ...fields });
+const trashed = () => trial({ deletedAt: new Date('2020-01-01'), deletedBy: admin._id, deletionReason: 'Duplicate entry' });
+
+let app;
+let create;
+
+beforeEach(() => {
+  app = appWith('/api/trials', router, admin);
+  create = jest.spyOn(AuditLog, 'create').mockResolvedValue();
+  jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const recorded = () => create.mock.calls[0][0];
+const change = (field) => recorded().changes.find(c => c.field === field);
+
+describe('trash audit entries', () => {
+  test('record who moved the trial to the trash, when and why', async () => {
+    const stored = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+
+    const res = await request(app).delete(`/api/trials/${stored._id}`).send({ changeReason: 'Duplicate entry' });
+
+    expect(res.status).toBe(200);
+    expect(recorded().action).toBe('delete');
+    expect(change('deletedAt')).toEqual({ field: 'deletedAt', oldValue: null, newValue: stored.deletedAt.toISOString() });
+    expect(change('deletedBy').newValue).toBe(String(admin._id));
+    expect(change('deletionReason').newValue).toBe('Duplicate entry');
+  });
+
+  test('record the deletion a restore undid', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+
+    const res = await request(app).post(`/api/trials/${stored._id}/restore`);
+
+    expect(res.status).toBe(200);
+    expect(recorded().action).toBe('restore');
+    expect(change('deletedAt')).toEqual({ field: 'deletedAt', oldValue: '2020-01-01T00:00:00.000Z', newValue: null });
+    expect(change('deletionReason').oldValue).toBe('Duplicate entry');
+  });
+
+  test('record how many records a purge deleted with the trial', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+    jest.spyOn(Participant, 'deleteMany').mockReturnValue(query({ deletedCount: 12 }));
+    jest.spyOn(EnrollmentSnapshot, 'deleteMany').mockReturnValue(query({ deletedCount: 30 }));
+    jest.spyOn(TrialDocument, 'find').mockReturnValue(query([]));
+    jest.spyOn(TrialDocument, 'deleteMany').mockReturnValue(query({ deletedCount: 0 }));
+    jest.spyOn(ProtocolAmendment, 'deleteMany').mockReturnValue(query({ deletedCount: 2 }));
+    jest.spyOn(ClinicalTrial, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+
+    const res = await request(app).delete(`/api/trials/${stored._id}/purge`);
+
+    expect(res.status).toBe(200);
+    expect(recorded().action).toBe('purge');
+    expect(recorded().purgedRecords).toEqual({ participants: 12, enrollmentSnapshots: 30, documents: 0, amendments: 2 });
+    expect(change('trialName')).toEqual({ field: 'trialName', oldValue: 'Study', newValue: null });
+  });
+});
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const Investigator = require('../models/Investigator');
+const Site = require('../models/Site');
+const Sponsor = require('../models/Sponsor');
+const { relinkTrials, linkByName } = require('../utils/directory');
+const { user, query } = require('./helpers/app');
+
+const admin = user({ role: 'admin' });
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', sponsor: 'Old', createdBy: admin._id, ...fields });
+const versionError = (doc) => new mongoose.Error.VersionError(doc, 0, []);
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('relinkTrials', () => {
+  test('applies the change to each matching trial with an audit entry', async () => {
+    const trials = [trial(), trial({ trialId: 'ONC-2' })];
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query(trials));
+    jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+    const count = await relinkTrials({ filter: {}, apply: (t) => { t.sponsor = 'New'; }, user: admin, reason: 'Renamed' });
+
+    expect(count).toBe(2);
+    expect(trials.map(t => t.sponsor)).toEqual(['New', 'New']);
+    expect(AuditLog.record).toHaveBeenCalledTimes(2);
+  });
+
+  test('reloads a trial that changed meanwhile and applies the change again', async () => {
+    const stale = trial();
+    const fresh = trial({ _id: stale._id, sponsor: 'Old', description: 'Edited meanwhile' });
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query([stale]));
+    const reload = jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(fresh));
+    jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() {
+      return this === stale ? Promise.reject(versionError(this)) : Promise.resolve(this);
+    });
+
+    await relinkTrials({ filter: {}, apply: (t) => { t.sponsor = 'New'; }, user: admin, reason: 'Renamed' });
+
+    expect(reload).toHaveBeenCalledWith(stale._id);
+    expect(fresh.sponsor).toBe('New');
+    expect(AuditLog.record).toHaveBeenCalledTimes(1);
+    expect(AuditLog.record.mock.calls[0][0].trial).toBe(fresh);
+  });
+
+  test('gives up after repeated conflicts', async () => {
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query([trial()]));
+    jest.spyOn(ClinicalTrial, 'findById').mockImplementation(() => query(trial()));
+    const save = jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.reject(versionError(this)); });
+
+    await expect(relinkTrials({ filter: {}, apply: () => {}, user: admin, reason: 'Renamed' }))
+      .rejects.toMatchObject({ name: 'VersionError' });
+    expect(save).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('linkByName', () => {
+  const site = (name, city, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), name, city, country: 'USA', aliases: [], ...fields });
+
+  test('resolves every body with one query per directory', async () => {
+    const jane = { _id: new mongoose.Types.ObjectId(), name: 'Dr. Jane Doe', aliases: [] };
+    const general = site('General Hospital', 'Boston', { aliases: ['Boston General'] });
+    const investigators = jest.spyOn(Investigator, 'find').mockReturnValue(query([jane]));
+    const sites = jest.spyOn(Site, 'find').mockReturnValue(query([general, site('General Hospital', 'Denver')]));
+    jest.spyOn(Sponsor, 'find').mockReturnValue(query([]));
+    const bodies = [
+      { principalInvestigator: 'dr. jane doe', studyLocations: [{ facility: 'General Hospital', city: 'Boston', country: 'USA' }] },
+      { principalInvestigator: 'Dr. John Roe', studyLocations: [{ facility: 'Boston General', city: 'boston', country: 'usa' }] }
+    ];
+
+    await linkByName(bodies);
+
+    expect(investigators).toHaveBeenCalledTimes(1);
+    expect(investigators.mock.calls[0][0]).toEqual({ $or: [{ name: { $in: ['dr. jane doe', 'Dr. John Roe'] } }, { aliases: { $in: ['dr. jane doe', 'Dr. John Roe'] } }] });
+    expect(sites).toHaveBeenCalledTimes(1);
+    expect(bodies.map(b => b.investigator)).toEqual([jane._id, null]);
+    expect(bodies.map(b => b.studyLocations[0].site)).toEqual([general._id, general._id]);
+  });
+
+  test('leaves names matching several entries unlinked', async () => {
+    jest.spyOn(Investigator, 'find').mockReturnValue(query([]));
+    jest.spyOn(Site, 'find').mockReturnValue(query([site('City Clinic', 'Boston'), site('Harbor Clinic', 'Boston', { aliases: ['City Clinic'] })]));
+    const bodies = [{ studyLocations: [{ facility: 'City Clinic', city: 'Boston', country: 'USA' }] }];
+
+    await linkByName(bodies);
+
+    expect(bodies[0].studyLocations[0].site).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const TrialDocument = require('../models/TrialDocument');
+const { setStorage } = require('../utils/documentStorage');
+const router = require('../routes/documents');
+const { user, appWith, query, skipPopulate } = require('./helpers/app');
+
+const owner = user();
+const stored = new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id });
+
+const version = (fields = {}) => new TrialDocument({
+  trial: stored._id,
+  type: 'protocol',
+  title: 'Protocol',
+  version: '1.0',
+  effectiveDate: new Date('2025-01-01'),
+  storageKey: `${stored._id}/v1.pdf`,
+  fileName: 'protocol.pdf',
+  mimeType: 'application/pdf',
+  size: 4,
+  checksum: 'old',
+  uploadedBy: owner._id,
+  ...fields
+});
+
+let app;
+let storage;
+
+beforeEach(() => {
+  app = appWith('/api/trials/:trialId/documents', router, owner);
+  storage = { put: jest.fn().mockResolvedValue(), remove: jest.fn().mockResolvedValue() };
+  setStorage(storage);
+  jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+  skipPopulate(TrialDocument);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/trials/:trialId/documents/:documentId/versions', () => {
+  let current;
+  let claim;
+
+  beforeEach(() => {
+    current = version();
+    jest.spyOn(TrialDocument, 'findOne').mockReturnValue(query(current));
+    claim = jest.spyOn(TrialDocument, 'findOneAndUpdate').mockReturnValue(query(current));
+  });
+
+  const upload = () => request(app)
+    .post(`/api/trials/${stored._id}/documents/${current._id}/versions`)
+    .field('version', '2.0')
+    .field('effectiveDate', '2025-06-01')
+    .attach('file', Buffer.from('new protocol'), 'protocol-v2.pdf');
+
+  test('supersedes the current version with a pointer to the new one in a single claim', async () => {
+    const create = jest.spyOn(TrialDocument, 'create').mockImplementation(fields => Promise.resolve(new TrialDocument(fields)));
+    const update = jest.spyOn(TrialDocument, 'updateOne');
+
+    const res = await upload();
+
+    expect(res.status).toBe(201);
+    const [filter, change] = claim.mock.calls[0];
+    expect(filter).toEqual({ _id: current._id, status: 'current' });
+    expect(change).toMatchObject({ status: 'superseded' });
+    expect(String(create.mock.calls[0][0]._id)).toBe(String(change.supersededBy));
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 and discards the file when another version claimed the current one first', async () => {
+    claim.mockReturnValue(query(null));
+    const create = jest.spyOn(TrialDocument, 'create');
+
+    const res = await upload();
+
+    expect(res.status).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+    expect(storage.remove).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives the claim back when the new version cannot be created', async () => {
+    jest.spyOn(TrialDocument, 'create').mockRejectedValue(Object.assign(new Error('duplicate'), { code: 11000 }));
+    const update = jest.spyOn(TrialDocument, 'updateOne').mockReturnValue(query({ matchedCount: 1 }));
+
+    const res = await upload();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Duplicate Version');
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: current._id, supersededBy: claim.mock.calls[0][1].supersededBy });
+    expect(change).toEqual({ status: 'current', $unset: { supersededBy: 1, supersededAt: 1 } });
+  });
+});
+
+describe('DELETE /api/trials/:trialId/documents/:documentId', () => {
+  let previous;
+  let latest;
+  let restore;
+  let remove;
+
+  beforeEach(() => {
+    previous = version({ status: 'superseded', supersededAt: new Date('2025-06-01') });
+    latest = version({ version: '2.0', supersedes: previous._id, storageKey: `${stored._id}/v2.pdf` });
+    previous.supersededBy = latest._id;
+    jest.spyOn(TrialDocument, 'findOne').mockReturnValue(query(latest));
+    restore = jest.spyOn(TrialDocument, 'findOneAndUpdate').mockReturnValue(query(previous));
+    remove = jest.spyOn(TrialDocument, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+  });
+
+  const deleteLatest = () => request(app).delete(`/api/trials/${stored._id}/documents/${latest._id}`);
+
+  test('makes the previous version current again before deleting the latest one', async () => {
+    const res = await deleteLatest();
+
+    expect(res.status).toBe(200);
+    expect(restore).toHaveBeenCalledWith(
+      { _id: previous._id, status: 'superseded', supersededBy: latest._id },
+      { status: 'current', $unset: { supersededBy: 1, supersededAt: 1 } }
+    );
+    expect(remove).toHaveBeenCalledWith({ _id: latest._id, status: 'current' });
+    expect(restore.mock.invocationCallOrder[0]).toBeLessThan(remove.mock.invocationCallOrder[0]);
+    expect(storage.remove).toHaveBeenCalledWith(latest.storageKey);
+  });
+
+  test('deletes nothing when the previous version is no longer superseded by this one', async () => {
+    restore.mockReturnValue(query(null));
+
+    const res = await deleteLatest();
+
+    expect(res.status).toBe(409);
+    expect(remove).not.toHaveBeenCalled();
+    expect(storage.remove).not.toHaveBeenCalled();
+  });
+
+  test('puts the history back when a newer version superseded this one meanwhile', async () => {
+    remove.mockReturnValue(query({ deletedCount: 0 }));
+    const update = jest.spyOn(TrialDocument, 'updateOne').mockReturnValue(query({ matchedCount: 1 }));
+
+    const res = await deleteLatest();
+
+    expect(res.status).toBe(409);
+    expect(update).toHaveBeenCalledWith(
+      { _id: previous._id, status: 'current' },
+      { status: 'superseded', supersededBy: latest._id, supersededAt: previous.supersededAt }
+    );
+    expect(storage.remove).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+const { trialSeries, locationSeries, projectEnrollment, rankSites } = require('../utils/enrollmentProjection');
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const trial = (fields) => ({
+  startDate: day('2025-01-01'),
+  endDate: day('2026-01-01'),
+  estimatedEnrollment: 200,
+  actualEnrollment: 0,
+  studyLocations: [],
+  ...fields
+});
+
+describe('trialSeries', () => {
+  test('keeps trial-level snapshots, oldest first', () => {
+    const snapshots = [
+      { recordedAt: day('2025-03-01'), enrolled: 20, source: 'automatic' },
+      { recordedAt: day('2025-02-01'), enrolled: 5, source: 'manual', studyLocation: 'loc1' },
+      { recordedAt: day('2025-02-01'), enrolled: 10, source: 'manual' }
+    ];
+    expect(trialSeries(snapshots)).toEqual([
+      { date: day('2025-02-01'), enrolled: 10, source: 'manual' },
+      { date: day('2025-03-01'), enrolled: 20, source: 'automatic' }
+    ]);
+  });
+});
+
+describe('locationSeries', () => {
+  test('builds each location curve without the zeros before its first enrollment', () => {
+    const t = trial({ studyLocations: [{ _id: 'loc1', facility: 'General Hospital', city: 'Boston', country: 'USA' }] });
+    const snapshots = [
+      { recordedAt: day('2025-02-01'), enrolled: 0, source: 'automatic', byLocation: [] },
+      { recordedAt: day('2025-03-01'), enrolled: 4, source: 'automatic', byLocation: [{ studyLocation: 'loc1', enrolled: 4 }] },
+      { recordedAt: day('2025-04-01'), enrolled: 6, source: 'manual', studyLocation: 'loc1' }
+    ];
+    const [series] = locationSeries(t, snapshots);
+    expect(series.enrolled).toBe(6);
+    expect(series.lastRecordedAt).toEqual(day('2025-04-01'));
+    expect(series.points.map(p => p.enrolled)).toEqual([4, 6]);
+  });
+});
+
+describe('projectEnrollment', () => {
+  const now = day('2025-07-01');
+  // 90 participants over the 90-day rate window: one per day
+  const points = [
+    { date: day('2025-04-01'), enrolled: 10 },
+    { date: day('2025-07-01'), enrolled: 100 }
+  ];
+
+  test('is notStarted before the start date', () => {
+    expect(projectEnrollment(trial(), [], day('2024-12-01')).status).toBe('notStarted');
+  });
+
+  test('is complete once the target is reached, dated by the first point at the target', () => {
+    const result = projectEnrollment(trial({ estimatedEnrollment: 100 }), points, now);
+    expect(result.status).toBe('complete');
+    expect(result.projectedCompletionDate).toEqual(day('2025-07-01'));
+  });
+
+  test('is onTrack when the recent rate reaches the target by the end date', () => {
+    const result = projectEnrollment(trial(), points, now);
+    expect(result).toMatchObject({ status: 'onTrack', current: 100, windowDays: 90, ratePerWeek: 7, daysBeyondEnd: 0 });
+    expect(result.projectedCompletionDate).toEqual(day('2025-10-09'));
+  });
+
+  test('is behind when the recent rate reaches the target after the end date', () => {
+    const result = projectEnrollment(trial({ estimatedEnrollment: 500 }), points, now);
+    expect(result.status).toBe('behind');
+    expect(result.projectedCompletionDate).toEqual(day('2026-08-05'));
+    expect(result.daysBeyondEnd).toBe(216);
+  });
+
+  test('is stalled without enrollment in the rate window', () => {
+    const flat = [{ date: day('2025-01-15'), enrolled: 30 }];
+    expect(projectEnrollment(trial(), flat, now)).toMatchObject({ status: 'stalled', current: 30, ratePerWeek: 0 });
+  });
+
+  test('falls back to the trial count without snapshots', () => {
+    expect(projectEnrollment(trial({ actualEnrollment: 12 }), [], now).current).toBe(12);
+  });
+});
+
+describe('rankSites', () => {
+  test('ranks measured sites by share of expected enrollment, then the rest by enrollment', () => {
+    const ranked = rankSites([
+      { facility: 'A', percentOfExpected: null, actual: 9 },
+      { facility: 'B', percentOfExpected: 50, actual: 5 },
+      { facility: 'C', percentOfExpected: 120, actual: 3 },
+      { facility: 'D', percentOfExpected: null, actual: 12 }
+    ]);
+    expect(ranked.map(s => [s.facility, s.rank])).toEqual([['C', 1], ['B', 2], ['D', 3], ['A', 4]]);
+  });
+});
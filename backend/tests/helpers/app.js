@@ -0,0 +1,49 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+// There is no database in tests: database calls a test did not stub fail at once instead of waiting
+// for a connection
+mongoose.set('bufferCommands', false);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Signed-in user as passport would attach it
+const user = (fields = {}) => ({ _id: objectId(), role: 'user', username: 'jdoe', firstName: 'Jane', lastName: 'Doe', ...fields });
+
+// App mounting `router` at `path` (which may carry params, like server.js does) with `signedIn` as the session user
+const appWith = (path, router, signedIn) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = signedIn;
+    req.isAuthenticated = () => Boolean(signedIn);
+    next();
+  });
+  app.use(path, router);
+  return app;
+};
+
+// Stand-in for a mongoose query resolving to `value`; chained query methods return the query again
+const query = (value) => {
+  const q = {
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'setOptions', 'collation'].forEach((method) => {
+    q[method] = () => q;
+  });
+  return q;
+};
+
+// Make document populate() a no-op so responses can be built without the user collection
+const skipPopulate = (Model) => jest.spyOn(Model.prototype, 'populate').mockImplementation(function() {
+  return Promise.resolve(this);
+});
+
+module.exports = {
+  objectId,
+  user,
+  appWith,
+  query,
+  skipPopulate
+};
@@ -0,0 +1,108 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const router = require('../routes/trials');
+const { objectId, user, appWith, query, skipPopulate } = require('./helpers/app');
+
+const owner = user();
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, ...fields });
+
+let app;
+let save;
+
+beforeEach(() => {
+  app = appWith('/api/trials', router, owner);
+  skipPopulate(ClinicalTrial);
+  // Notes never save the whole trial, so they cannot overwrite or conflict with a concurrent edit
+  save = jest.spyOn(ClinicalTrial.prototype, 'save').mockRejectedValue(new Error('unexpected save'));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/trials/:id/notes', () => {
+  test('pushes concurrent notes atomically onto the stored trial', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockImplementation((filter, change) =>
+      query(trial({ _id: loaded._id, notes: [change.$push.notes] })));
+
+    const responses = await Promise.all(['First', 'Second'].map(content =>
+      request(app).post(`/api/trials/${loaded._id}/notes`).send({ content })));
+
+    expect(responses.map(r => r.status)).toEqual([201, 201]);
+    expect(responses.map(r => r.body.note.content)).toEqual(['First', 'Second']);
+    expect(update).toHaveBeenCalledTimes(2);
+    update.mock.calls.forEach(([filter, change]) => {
+      expect(filter).toEqual({ _id: loaded._id });
+      expect(Object.keys(change)).toEqual(['$push']);
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/trials/:id/notes/:noteId', () => {
+  test('edits the note in place by its ID', async () => {
+    const loaded = trial({ notes: [{ content: 'Old', createdBy: owner._id }] });
+    const noteId = loaded.notes[0]._id;
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(
+      trial({ _id: loaded._id, notes: [{ _id: noteId, content: 'New', createdBy: owner._id }] })));
+
+    const res = await request(app).put(`/api/trials/${loaded._id}/notes/${noteId}`).send({ content: 'New' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.note.content).toBe('New');
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: loaded._id, 'notes._id': noteId });
+    expect(change.$set['notes.$.content']).toBe('New');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 when the note was deleted after the trial was read', async () => {
+    const loaded = trial({ notes: [{ content: 'Old', createdBy: owner._id }] });
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).put(`/api/trials/${loaded._id}/notes/${loaded.notes[0]._id}`).send({ content: 'New' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Note Not Found');
+  });
+
+  test('only lets the author edit a note', async () => {
+    const other = user({ username: 'other' });
+    const loaded = trial({ notes: [{ content: 'Old', createdBy: other._id }] });
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate');
+
+    const res = await request(app).put(`/api/trials/${loaded._id}/notes/${loaded.notes[0]._id}`).send({ content: 'New' });
+
+    expect(res.status).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/trials/:id/notes/:noteId', () => {
+  test('pulls only that note from the stored trial', async () => {
+    const loaded = trial({ notes: [{ content: 'Old', createdBy: owner._id }] });
+    const noteId = loaded.notes[0]._id;
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const pull = jest.spyOn(ClinicalTrial, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    const res = await request(app).delete(`/api/trials/${loaded._id}/notes/${noteId}`);
+
+    expect(res.status).toBe(200);
+    expect(pull).toHaveBeenCalledWith({ _id: loaded._id }, { $pull: { notes: { _id: noteId } } });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for an unknown note', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+
+    const res = await request(app).delete(`/api/trials/${loaded._id}/notes/${objectId()}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Participant = require('../models/Participant');
+const EnrollmentSnapshot = require('../models/EnrollmentSnapshot');
+const router = require('../routes/participants');
+const { user, appWith, query } = require('./helpers/app');
+
+const owner = user();
+
+const trial = (fields = {}) => new ClinicalTrial({
+  trialId: 'ONC-1',
+  trialName: 'Study',
+  createdBy: owner._id,
+  status: 'Recruiting',
+  estimatedEnrollment: 10,
+  actualEnrollment: 9,
+  ...fields
+});
+
+const screened = (t) => new Participant({
+  trial: t._id,
+  subjectId: 'S-001',
+  screeningDate: new Date('2025-01-01'),
+  consentDate: new Date('2025-01-02'),
+  createdBy: owner._id
+});
+
+let app;
+let stored;
+
+beforeEach(() => {
+  app = appWith('/api/trials/:trialId/participants', router, owner);
+  stored = trial();
+  jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PUT /api/trials/:trialId/participants/:participantId enrollment', () => {
+  let participant;
+  let save;
+  let claim;
+  let release;
+
+  beforeEach(() => {
+    participant = screened(stored);
+    jest.spyOn(Participant, 'findOne').mockReturnValue(query(participant));
+    jest.spyOn(Participant, 'syncTrialEnrollment').mockResolvedValue(10);
+    save = jest.spyOn(Participant.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    claim = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(stored));
+    release = jest.spyOn(ClinicalTrial, 'updateOne').mockReturnValue(query({ matchedCount: 1 }));
+  });
+
+  const enroll = () => request(app)
+    .put(`/api/trials/${stored._id}/participants/${participant._id}`)
+    .send({ status: 'Enrolled' });
+
+  test('claims a place on the trial before writing the participant', async () => {
+    const res = await enroll();
+
+    expect(res.status).toBe(200);
+    expect(res.body.actualEnrollment).toBe(10);
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter).toEqual({ _id: stored._id, $expr: { $lt: ['$actualEnrollment', '$estimatedEnrollment'] } });
+    expect(update).toEqual({ $inc: { actualEnrollment: 1 } });
+    expect(claim.mock.invocationCallOrder[0]).toBeLessThan(save.mock.invocationCallOrder[0]);
+    // The transition is only written over the status it was checked against
+    expect(participant.$where).toEqual({ status: 'Screening' });
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('refuses to enroll into a full trial without writing the participant', async () => {
+    claim.mockReturnValue(query(null));
+
+    const res = await enroll();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Enrollment Full');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('lets only one of two concurrent enrollments take the last place', async () => {
+    const counts = { actualEnrollment: 9, estimatedEnrollment: 10 };
+    claim.mockImplementation(() => {
+      if (counts.actualEnrollment >= counts.estimatedEnrollment) return query(null);
+      counts.actualEnrollment += 1;
+      return query(stored);
+    });
+    const other = screened(stored);
+    Participant.findOne.mockReturnValueOnce(query(participant)).mockReturnValueOnce(query(other));
+
+    const results = await Promise.all([
+      enroll(),
+      request(app).put(`/api/trials/${stored._id}/participants/${other._id}`).send({ status: 'Enrolled' })
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 400]);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(counts.actualEnrollment).toBe(10);
+  });
+
+  test('gives the place back and returns 409 when the participant changed meanwhile', async () => {
+    save.mockImplementation(function() { return Promise.reject(new mongoose.Error.DocumentNotFoundError({ _id: this._id }, 'Participant')); });
+
+    const res = await enroll();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Participant Changed');
+    expect(release).toHaveBeenCalledWith({ _id: stored._id }, { $inc: { actualEnrollment: -1 } });
+  });
+
+  test('does not claim a place for an update that fails validation', async () => {
+    participant.consentDate = undefined;
+
+    const res = await enroll();
+
+    expect(res.status).toBe(400);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('reports a registry count that could not be stored', async () => {
+    const mismatch = new Error('11 participants are enrolled, more than the trial\'s estimated enrollment; its enrollment count was not updated');
+    mismatch.status = 409;
+    Participant.syncTrialEnrollment.mockRejectedValue(mismatch);
+
+    const res = await enroll();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Enrollment Conflict');
+  });
+});
+
+describe('Participant.syncTrialEnrollment', () => {
+  let update;
+
+  beforeEach(() => {
+    jest.spyOn(Participant, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(EnrollmentSnapshot, 'create').mockResolvedValue();
+    update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate');
+  });
+
+  test('raises the stored count to the registry count without lowering it', async () => {
+    jest.spyOn(Participant, 'countEnrolled').mockResolvedValue(10);
+    update.mockReturnValue(query({ actualEnrollment: 10 }));
+
+    await expect(Participant.syncTrialEnrollment(stored._id, owner)).resolves.toBe(10);
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: stored._id, estimatedEnrollment: { $gte: 10 } });
+    expect(change).toEqual({ $max: { actualEnrollment: 10 } });
+  });
+
+  test('keeps a stored count that includes enrollments still being written', async () => {
+    jest.spyOn(Participant, 'countEnrolled').mockResolvedValue(8);
+
+    await expect(Participant.syncTrialEnrollment(stored._id, owner)).resolves.toBe(9);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('fails when the registry count is over the estimated enrollment', async () => {
+    jest.spyOn(Participant, 'countEnrolled').mockResolvedValue(11);
+    update.mockReturnValue(query(null));
+
+    await expect(Participant.syncTrialEnrollment(stored._id, owner)).rejects.toMatchObject({ status: 409 });
+    expect(EnrollmentSnapshot.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+const { parseSearchQuery, buildSearchConditions, highlightTerms, MAX_SEARCH_LENGTH } = require('../utils/searchQuery');
+
+const conditionsFor = (input) => buildSearchConditions(parseSearchQuery(input));
+
+describe('parseSearchQuery', () => {
+  test('splits free terms, quoted phrases and field prefixes', () => {
+    expect(parseSearchQuery('cancer "phase two" sponsor:Pfizer pi:"Jane Doe"')).toEqual({
+      terms: ['cancer'],
+      phrases: ['phase two'],
+      fields: [
+        { field: 'sponsor', value: 'Pfizer' },
+        { field: 'principalInvestigator', value: 'Jane Doe' }
+      ]
+    });
+  });
+
+  test('treats unknown prefixes as plain terms', () => {
+    expect(parseSearchQuery('foo:bar')).toEqual({ terms: ['foo:bar'], phrases: [], fields: [] });
+  });
+
+  test('runs an unclosed quote to the end of the query', () => {
+    expect(parseSearchQuery('"open ended').phrases).toEqual(['open ended']);
+  });
+
+  test('strips leading hyphens so terms cannot negate the text search', () => {
+    expect(parseSearchQuery('-placebo --x').terms).toEqual(['placebo', 'x']);
+  });
+
+  test('ignores input past the maximum search length', () => {
+    const parsed = parseSearchQuery(`${'a'.repeat(MAX_SEARCH_LENGTH)} overflow`);
+    expect(parsed.terms).toEqual(['a'.repeat(MAX_SEARCH_LENGTH)]);
+  });
+
+  test('handles empty input', () => {
+    expect(parseSearchQuery(undefined)).toEqual({ terms: [], phrases: [], fields: [] });
+  });
+});
+
+describe('buildSearchConditions', () => {
+  test('matches protocol IDs by trial ID prefix only', () => {
+    const { conditions, text } = conditionsFor('ONC-2025-001');
+    expect(text).toBeNull();
+    expect(conditions).toEqual([{ trialId: /^ONC-2025-001/ }]);
+  });
+
+  test.each(['non-small', 'anti-inflammatory', 'onc-2025'])('keeps the text search for the hyphenated word %s', (term) => {
+    const { conditions, text } = conditionsFor(term);
+    expect(text).toBe(term);
+    expect(conditions).toEqual([{ $or: [{ $text: { $search: term } }, { trialId: new RegExp(`^${term.toUpperCase()}`) }] }]);
+  });
+
+  test('uses the text index for plain terms and phrases', () => {
+    const { conditions, text } = conditionsFor('lung "small cell"');
+    expect(text).toBe('lung "small cell"');
+    expect(conditions).toEqual([{ $text: { $search: 'lung "small cell"' } }]);
+  });
+
+  test('matches field prefixes case-insensitively and escapes the value', () => {
+    const { conditions, text } = conditionsFor('sponsor:a.b id:onc-1');
+    expect(text).toBeNull();
+    expect(conditions).toEqual([{ sponsor: /a\.b/i }, { trialId: /^ONC-1/ }]);
+  });
+
+  test('returns no conditions for an empty query', () => {
+    expect(conditionsFor('')).toEqual({ conditions: [], text: null });
+  });
+});
+
+describe('highlightTerms', () => {
+  test('lists phrases, terms and field values', () => {
+    expect(highlightTerms(parseSearchQuery('lung "small cell" drug:X'))).toEqual(['small cell', 'lung', 'X']);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const router = require('../routes/team');
+const { user, appWith, query, skipPopulate } = require('./helpers/app');
+
+const owner = user({ username: 'owner' });
+const colleague = user({ username: 'colleague', email: 'colleague@example.com', isActive: true });
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, ...fields });
+
+let app;
+let save;
+
+beforeEach(() => {
+  app = appWith('/api/trials/:trialId/team', router, owner);
+  skipPopulate(ClinicalTrial);
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  // Team changes never save the whole trial, so they cannot overwrite or conflict with a concurrent edit
+  save = jest.spyOn(ClinicalTrial.prototype, 'save').mockRejectedValue(new Error('unexpected save'));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/trials/:trialId/team', () => {
+  test('adds the member atomically unless they are already on the team', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    jest.spyOn(User, 'findByEmailOrUsername').mockResolvedValue(colleague);
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockImplementation((filter, change) =>
+      query(trial({ _id: loaded._id, team: [change.$push.team] })));
+
+    const res = await request(app).post(`/api/trials/${loaded._id}/team`).send({ user: 'colleague', role: 'Monitor' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.team).toHaveLength(1);
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: loaded._id, 'team.user': { $ne: colleague._id } });
+    expect(change.$set).toEqual({ lastModifiedBy: owner._id });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('reports a duplicate when the same user was added concurrently', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    jest.spyOn(User, 'findByEmailOrUsername').mockResolvedValue(colleague);
+    jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).post(`/api/trials/${loaded._id}/team`).send({ user: 'colleague', role: 'Monitor' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Duplicate Member');
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/trials/:trialId/team/:memberId', () => {
+  test('changes the role of that member in place', async () => {
+    const loaded = trial({ team: [{ user: colleague._id, role: 'Monitor', addedBy: owner._id }] });
+    const memberId = loaded.team[0]._id;
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(
+      trial({ _id: loaded._id, team: [{ _id: memberId, user: colleague._id, role: 'Coordinator', addedBy: owner._id }] })));
+
+    const res = await request(app).put(`/api/trials/${loaded._id}/team/${memberId}`).send({ role: 'Coordinator' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.team[0].role).toBe('Coordinator');
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: loaded._id, 'team._id': memberId });
+    expect(change.$set['team.$.role']).toBe('Coordinator');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 when the member was removed after the trial was read', async () => {
+    const loaded = trial({ team: [{ user: colleague._id, role: 'Monitor', addedBy: owner._id }] });
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).put(`/api/trials/${loaded._id}/team/${loaded.team[0]._id}`).send({ role: 'Coordinator' });
+
+    expect(res.status).toBe(404);
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/trials/:trialId/team/:memberId', () => {
+  test('pulls the member from the stored team', async () => {
+    const loaded = trial({ team: [{ user: colleague._id, role: 'Monitor', addedBy: owner._id }] });
+    const memberId = loaded.team[0]._id;
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(trial({ _id: loaded._id })));
+
+    const res = await request(app).delete(`/api/trials/${loaded._id}/team/${memberId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.team).toEqual([]);
+    expect(update.mock.calls[0][1].$pull).toEqual({ team: { _id: memberId } });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('does not let a PI remove themselves', async () => {
+    const loaded = trial({ team: [{ user: colleague._id, role: 'PI', addedBy: owner._id }] });
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate');
+
+    const res = await request(appWith('/api/trials/:trialId/team', router, colleague)).delete(`/api/trials/${loaded._id}/team/${loaded.team[0]._id}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You cannot remove yourself from the team');
+    expect(update).not.toHaveBeenCalled();
+  });
+});
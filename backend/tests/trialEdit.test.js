@@ -0,0 +1,101 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const router = require('../routes/trials');
+const { user, appWith, query } = require('./helpers/app');
+
+const owner = user();
+
+const fields = {
+  trialId: 'ONC-1',
+  trialName: 'Study',
+  description: 'A study',
+  principalInvestigator: 'Dr. Jane Doe',
+  sponsor: 'Acme',
+  phase: 'Phase II',
+  startDate: '2025-01-01',
+  endDate: '2026-01-01',
+  estimatedEnrollment: 100,
+  primaryEndpoint: 'Overall survival',
+  therapeuticArea: 'Oncology'
+};
+
+// A stored trial at version 3
+const storedTrial = () => {
+  const t = new ClinicalTrial({ ...fields, createdBy: owner._id });
+  t.__v = 3;
+  return t;
+};
+
+let app;
+let stored;
+let save;
+
+beforeEach(() => {
+  app = appWith('/api/trials', router, owner);
+  stored = storedTrial();
+  jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  save = jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const edit = () => request(app).put(`/api/trials/${stored._id}`);
+
+describe('PUT /api/trials/:id version check', () => {
+  test('checks the version on every save of the whole trial', () => {
+    expect(ClinicalTrial.schema.options.optimisticConcurrency).toBe(true);
+  });
+
+  test('requires the version being edited', async () => {
+    const res = await edit().send({ ...fields, trialName: 'Renamed' });
+
+    expect(res.status).toBe(428);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('saves an edit made on the current version', async () => {
+    const res = await edit().set('If-Match', '"3"').send({ ...fields, trialName: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(stored.trialName).toBe('Renamed');
+  });
+
+  test('accepts the version as a body field', async () => {
+    const res = await edit().send({ ...fields, trialName: 'Renamed', version: 3 });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('returns 409 with the saved trial for an edit made on a stale version', async () => {
+    const res = await edit().set('If-Match', '"2"').send({ ...fields, trialName: 'Renamed' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Edit Conflict');
+    expect(res.body.trial.trialName).toBe('Study');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 when the trial is saved by someone else between the check and the save', async () => {
+    save.mockImplementation(function() { return Promise.reject(new mongoose.Error.VersionError(this, 3, [])); });
+
+    const res = await edit().set('If-Match', '"3"').send({ ...fields, trialName: 'Renamed' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Edit Conflict');
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+
+  test('does not log the submitted trial', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await edit().set('If-Match', '"3"').send({ ...fields, trialName: 'Renamed' });
+
+    expect(log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const router = require('../routes/trials');
+const { user, appWith, query } = require('./helpers/app');
+
+const owner = user();
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, ...fields });
+
+let app;
+
+beforeEach(() => {
+  app = appWith('/api/trials', router, owner);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/trials/export', () => {
+  test('exports every matching trial', async () => {
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query([trial(), trial({ trialId: 'ONC-2' })]));
+
+    const res = await request(app).get('/api/trials/export?format=json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalTrials).toBe(2);
+  });
+
+  test('refuses filters matching more trials than an export holds instead of cutting them short', async () => {
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query(Array.from({ length: 10001 }, () => ({}))));
+
+    const res = await request(app).get('/api/trials/export');
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe('Export Too Large');
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const XLSX = require('xlsx');
+const request = require('supertest');
+const { parseImportFile } = require('../utils/trialImport');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const Investigator = require('../models/Investigator');
+const Site = require('../models/Site');
+const Sponsor = require('../models/Sponsor');
+const router = require('../routes/trials');
+const { user, appWith, query } = require('./helpers/app');
+
+const csvFile = (text, originalname = 'trials.csv') => ({ originalname, buffer: Buffer.from(text) });
+
+const HEADER = 'Trial Name,Protocol ID,Description,PI,Sponsor,Phase,Status,Start,End,Target Enrollment,Primary Endpoint,Inclusion,Locations,Area';
+const ROW = 'Lung Study,onc-2025-001,A study,Dr. Jane Doe,Acme,Phase II,Planning,2025-01-01,2026-01-01,120,Overall survival,Age 18+;ECOG 0-1,General Hospital|Boston|USA;City Clinic|Paris|France,Oncology';
+
+describe('parseImportFile', () => {
+  test('maps header aliases onto trial fields', () => {
+    const [row] = parseImportFile(csvFile(`${HEADER}\n${ROW}\n`));
+    expect(row).toEqual({
+      trialName: 'Lung Study',
+      trialId: 'ONC-2025-001',
+      description: 'A study',
+      principalInvestigator: 'Dr. Jane Doe',
+      sponsor: 'Acme',
+      phase: 'Phase II',
+      status: 'Planning',
+      startDate: '2025-01-01',
+      endDate: '2026-01-01',
+      estimatedEnrollment: '120',
+      primaryEndpoint: 'Overall survival',
+      inclusionCriteria: ['Age 18+', 'ECOG 0-1'],
+      studyLocations: [
+        { facility: 'General Hospital', city: 'Boston', country: 'USA' },
+        { facility: 'City Clinic', city: 'Paris', country: 'France' }
+      ],
+      therapeuticArea: 'Oncology'
+    });
+  });
+
+  test('ignores unknown columns and empty cells', () => {
+    const [row] = parseImportFile(csvFile('name,notes,drug\nStudy,ignored,\n'));
+    expect(row).toEqual({ trialName: 'Study' });
+  });
+
+  test('reads the first sheet of an xlsx file', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Title', 'Trial ID'], ['Study', 'abc-1']]), 'Trials');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    expect(parseImportFile({ originalname: 'trials.xlsx', buffer })).toEqual([{ trialName: 'Study', trialId: 'ABC-1' }]);
+  });
+
+  test('rejects unsupported file types with a 400', () => {
+    expect(() => parseImportFile(csvFile('x', 'trials.txt'))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('rejects files over the row limit with a 400', () => {
+    const rows = Array.from({ length: 1001 }, (_, i) => `Study ${i}`).join('\n');
+    expect(() => parseImportFile(csvFile(`name\n${rows}\n`))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('keeps a leading apostrophe as typed', () => {
+    const [row] = parseImportFile(csvFile("name,description\n'=SUM(A1),'-2 dose\n"));
+    expect(row.trialName).toBe("'=SUM(A1)");
+    expect(row.description).toBe("'-2 dose");
+  });
+});
+
+describe('imported rows against the trial schema', () => {
+  const validate = (row) => new ClinicalTrial({
+    ...row,
+    actualEnrollment: 0,
+    createdBy: '64b000000000000000000001',
+    lastModifiedBy: '64b000000000000000000001'
+  }).validateSync();
+
+  test('accepts a complete row', () => {
+    const [row] = parseImportFile(csvFile(`${HEADER}\n${ROW}\n`));
+    expect(validate(row)).toBeUndefined();
+  });
+
+  test('reports missing required fields and invalid values', () => {
+    const [row] = parseImportFile(csvFile('name,phase,start,end\nStudy,Phase IX,2026-01-01,2025-01-01\n'));
+    const error = validate(row);
+    expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(['trialId', 'phase', 'estimatedEnrollment']));
+  });
+});
+
+describe('POST /api/trials/import', () => {
+  let app;
+
+  beforeEach(() => {
+    app = appWith('/api/trials', router, user());
+    jest.spyOn(ClinicalTrial, 'find').mockReturnValue(query([]));
+    [Investigator, Site, Sponsor].forEach(Model => jest.spyOn(Model, 'find').mockReturnValue(query([])));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const dryRun = (text) => request(app).post('/api/trials/import').attach('file', Buffer.from(text), 'trials.csv');
+
+  test('accepts a valid row', async () => {
+    const res = await dryRun(`${HEADER}\n${ROW}\n`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ totalRows: 1, validRows: 1, invalidRows: 0 });
+  });
+
+  test('reports an end date before the start date', async () => {
+    const res = await dryRun(`${HEADER}\n${ROW.replace('2025-01-01,2026-01-01', '2025-01-01,2024-06-01')}\n`);
+
+    expect(res.body.rows[0].valid).toBe(false);
+    expect(res.body.rows[0].errors).toContain('End date must be after start date');
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const router = require('../routes/trials');
+const { user, appWith, query, skipPopulate } = require('./helpers/app');
+
+const owner = user();
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, status: 'Planning', ...fields });
+
+let app;
+
+beforeEach(() => {
+  app = appWith('/api/trials', router, owner);
+  skipPopulate(ClinicalTrial);
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/trials/:id/status', () => {
+  test('applies the transition only while the trial still has the status it was checked against', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(trial({ _id: loaded._id, status: 'Recruiting' })));
+
+    const res = await request(app).post(`/api/trials/${loaded._id}/status`).send({ status: 'Recruiting' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.trial.status).toBe('Recruiting');
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: loaded._id, status: 'Planning' });
+    expect(change.$set.status).toBe('Recruiting');
+    expect(change.$push.statusHistory).toMatchObject({ from: 'Planning', to: 'Recruiting', changedBy: owner._id });
+    // Forms opened on the old status are stale now
+    expect(change.$inc).toEqual({ __v: 1 });
+  });
+
+  test('returns 409 when someone else changed the status first', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    jest.spyOn(ClinicalTrial, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).post(`/api/trials/${loaded._id}/status`).send({ status: 'Recruiting' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Edit Conflict');
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+
+  test('rejects transitions the lifecycle does not allow', async () => {
+    const loaded = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(loaded));
+    const update = jest.spyOn(ClinicalTrial, 'findOneAndUpdate');
+
+    const res = await request(app).post(`/api/trials/${loaded._id}/status`).send({ status: 'Completed' });
+
+    expect(res.status).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
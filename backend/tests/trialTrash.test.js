@@ -0,0 +1,145 @@
+jest.mock('../utils/notifications', () => ({ notifyInBackground: jest.fn() }));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const Participant = require('../models/Participant');
+const EnrollmentSnapshot = require('../models/EnrollmentSnapshot');
+const TrialDocument = require('../models/TrialDocument');
+const ProtocolAmendment = require('../models/ProtocolAmendment');
+const router = require('../routes/trials');
+const { user, appWith, query } = require('./helpers/app');
+
+const owner = user();
+const admin = user({ role: 'admin', username: 'admin' });
+const trial = (fields = {}) => new ClinicalTrial({ trialId: 'ONC-1', trialName: 'Study', createdBy: owner._id, ...fields });
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+const trashed = (deletedAt = daysAgo(400)) => trial({ deletedAt, deletedBy: owner._id, deletionReason: 'Duplicate entry' });
+
+let save;
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  save = jest.spyOn(ClinicalTrial.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('DELETE /api/trials/:id', () => {
+  test('moves the trial to the trash', async () => {
+    const stored = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+
+    const res = await request(appWith('/api/trials', router, owner)).delete(`/api/trials/${stored._id}`).send({ changeReason: 'Duplicate entry' });
+
+    expect(res.status).toBe(200);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(stored).toMatchObject({ deletedBy: owner._id, deletionReason: 'Duplicate entry' });
+    expect(stored.deletedAt).toBeInstanceOf(Date);
+  });
+
+  test('is limited to the owner and admins', async () => {
+    const stored = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+
+    const res = await request(appWith('/api/trials', router, user())).delete(`/api/trials/${stored._id}`).send({ changeReason: 'Duplicate entry' });
+
+    expect(res.status).toBe(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 409 when the trial was saved by someone else meanwhile', async () => {
+    const stored = trial();
+    jest.spyOn(ClinicalTrial, 'findById').mockReturnValue(query(stored));
+    save.mockImplementation(function() { return Promise.reject(new mongoose.Error.VersionError(this, 0, [])); });
+
+    const res = await request(appWith('/api/trials', router, owner)).delete(`/api/trials/${stored._id}`).send({ changeReason: 'Duplicate entry' });
+
+    expect(res.status).toBe(409);
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/trials/:id/restore', () => {
+  test('takes the trial out of the trash', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+
+    const res = await request(appWith('/api/trials', router, admin)).post(`/api/trials/${stored._id}/restore`);
+
+    expect(res.status).toBe(200);
+    expect(stored.deletedAt).toBeNull();
+    expect(stored.deletionReason).toBeUndefined();
+  });
+
+  test('returns 409 when the trial was purged or restored meanwhile', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+    save.mockImplementation(function() { return Promise.reject(new mongoose.Error.VersionError(this, 0, [])); });
+
+    const res = await request(appWith('/api/trials', router, admin)).post(`/api/trials/${stored._id}/restore`);
+
+    expect(res.status).toBe(409);
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/trials/:id/purge', () => {
+  let removeTrial;
+  let cascades;
+
+  beforeEach(() => {
+    removeTrial = jest.spyOn(ClinicalTrial, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+    cascades = [Participant, EnrollmentSnapshot, TrialDocument, ProtocolAmendment].map(Model => jest.spyOn(Model, 'deleteMany').mockReturnValue(query({ deletedCount: 0 })));
+    jest.spyOn(TrialDocument, 'find').mockReturnValue(query([]));
+  });
+
+  const purge = (stored) => request(appWith('/api/trials', router, admin)).delete(`/api/trials/${stored._id}/purge`);
+
+  test('is refused during the retention period', async () => {
+    const stored = trashed(daysAgo(30));
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+
+    const res = await purge(stored);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Retention Period');
+    expect(removeTrial).not.toHaveBeenCalled();
+  });
+
+  test('deletes the trial before its records, and only while it is still trashed by the same deletion', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+
+    const res = await purge(stored);
+
+    expect(res.status).toBe(200);
+    expect(removeTrial).toHaveBeenCalledWith({ _id: stored._id, deletedAt: stored.deletedAt });
+    cascades.forEach((cascade) => {
+      expect(cascade).toHaveBeenCalledWith({ trial: stored._id });
+      expect(removeTrial.mock.invocationCallOrder[0]).toBeLessThan(cascade.mock.invocationCallOrder[0]);
+    });
+  });
+
+  test('keeps the records of a trial restored meanwhile', async () => {
+    const stored = trashed();
+    jest.spyOn(ClinicalTrial, 'findOne').mockReturnValue(query(stored));
+    removeTrial.mockReturnValue(query({ deletedCount: 0 }));
+
+    const res = await purge(stored);
+
+    expect(res.status).toBe(409);
+    cascades.forEach(cascade => expect(cascade).not.toHaveBeenCalled());
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+
+  test('is admin only', async () => {
+    const stored = trashed();
+
+    const res = await request(appWith('/api/trials', router, owner)).delete(`/api/trials/${stored._id}/purge`);
+
+    expect(res.status).toBe(403);
+    expect(removeTrial).not.toHaveBeenCalled();
+  });
+});
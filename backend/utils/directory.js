@@ -0,0 +1,139 @@
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const Site = require('../models/Site');
+const Investigator = require('../models/Investigator');
+const Sponsor = require('../models/Sponsor');
+
+// Resolve the directory links in a trial create/update body: the linked investigator's and
+// sponsor's names become principalInvestigator and sponsor, and linked sites fill in their locations' facility, city and
+// country. Blank links are cleared. Returns an error message, or null when every link resolves.
+const applyDirectoryLinks = async (data) => {
+  if (data.investigator !== undefined) {
+    if (!data.investigator) {
+      data.investigator = null;
+    } else {
+      const investigator = await Investigator.findById(data.investigator).select('name');
+      if (!investigator) return 'Principal investigator not found in the directory';
+      data.principalInvestigator = investigator.name;
+    }
+  }
+
+  if (data.sponsorOrganization !== undefined) {
+    if (!data.sponsorOrganization) {
+      data.sponsorOrganization = null;
+    } else {
+      const sponsor = await Sponsor.findById(data.sponsorOrganization).select('name');
+      if (!sponsor) return 'Sponsor not found in the directory';
+      data.sponsor = sponsor.name;
+    }
+  }
+
+  if (Array.isArray(data.studyLocations)) {
+    const siteIds = [...new Set(data.studyLocations.filter(l => l.site).map(l => String(l.site)))];
+    const sites = await Site.find({ _id: { $in: siteIds } });
+    if (sites.length !== siteIds.length) return 'Study location site not found in the directory';
+    data.studyLocations = data.studyLocations.map((loc) => {
+      if (!loc.site) return { ...loc, site: null };
+      const site = sites.find(s => String(s._id) === String(loc.site));
+      return { ...loc, ...site.locationFields() };
+    });
+  }
+  return null;
+};
+
+// Case-insensitive equality, matching the directories' unique indexes
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+const sameText = (a, b) => typeof a === 'string' && typeof b === 'string' && a.localeCompare(b, 'en', { sensitivity: 'accent' }) === 0;
+
+// The single directory entry a name or alias belongs to, or null when none or several match
+const uniqueMatch = (entries, name, where = () => true) => {
+  const matches = entries.filter(e => where(e) && [e.name, ...(e.aliases || [])].some(n => sameText(n, name)));
+  return matches.length === 1 ? matches[0]._id : null;
+};
+
+// The entries of a directory whose name or an alias is one of the names, in a single query
+const findByNames = (Model, names, fields = '') => {
+  if (names.length === 0) return [];
+  return Model.find({ $or: [{ name: { $in: names } }, { aliases: { $in: names } }] })
+    .collation(CASE_INSENSITIVE)
+    .select(`name aliases ${fields}`);
+};
+
+// Link trial bodies that only carry names (e.g. rows of an import file) to the directories: the
+// principal investigator by name or alias, the sponsor by Sponsor.matchKey of its name or an alias
+// (as the sponsor migration does) and each location by facility name or alias in the same city and
+// country. Names without exactly one match stay unlinked. Run applyDirectoryLinks afterwards.
+const linkByName = async (bodies) => {
+  const unlinkedLocations = bodies.flatMap(data => (Array.isArray(data.studyLocations) ? data.studyLocations : []))
+    .filter(loc => !loc.site && loc.facility && loc.city && loc.country);
+  const investigatorNames = [...new Set(bodies.filter(data => !data.investigator && data.principalInvestigator).map(data => data.principalInvestigator))];
+  const facilities = [...new Set(unlinkedLocations.map(loc => loc.facility))];
+
+  const [investigators, sites, sponsors] = await Promise.all([
+    findByNames(Investigator, investigatorNames),
+    findByNames(Site, facilities, 'city country'),
+    bodies.some(data => !data.sponsorOrganization && data.sponsor) ? Sponsor.find().select('name aliases') : []
+  ]);
+
+  const sponsorKeys = new Map();
+  sponsors.forEach((sponsor) => {
+    sponsor.allNames().map(name => Sponsor.matchKey(name)).forEach((key) => {
+      if (!sponsorKeys.has(key)) sponsorKeys.set(key, sponsor._id);
+      else if (String(sponsorKeys.get(key)) !== String(sponsor._id)) sponsorKeys.set(key, null);
+    });
+  });
+
+  bodies.forEach((data) => {
+    if (!data.investigator && data.principalInvestigator) {
+      data.investigator = uniqueMatch(investigators, data.principalInvestigator);
+    }
+    if (!data.sponsorOrganization && data.sponsor) {
+      data.sponsorOrganization = sponsorKeys.get(Sponsor.matchKey(data.sponsor)) || null;
+    }
+  });
+  unlinkedLocations.forEach((loc) => {
+    loc.site = uniqueMatch(sites, loc.facility, s => sameText(s.city, loc.city) && sameText(s.country, loc.country));
+  });
+};
+
+// Apply a directory change to every trial matching the filter (trashed ones included, so they
+// are consistent if restored), saving each one with an audit entry. Returns the number updated.
+// A trial saved by someone else meanwhile is reloaded and the change applied again.
+const RELINK_ATTEMPTS = 3;
+
+const relinkTrials = async ({ filter, apply, user, reason }) => {
+  const trials = await ClinicalTrial.find(filter).setOptions({ includeDeleted: true });
+  for (let trial of trials) {
+    for (let attempt = 1; ; attempt++) {
+      const before = trial.toObject();
+      apply(trial);
+      trial.lastModifiedBy = user._id;
+      try {
+        await trial.save();
+        await AuditLog.record({ trial, action: 'update', before, after: trial, user, reason });
+        break;
+      } catch (err) {
+        if (err.name !== 'VersionError' || attempt === RELINK_ATTEMPTS) throw err;
+        trial = await ClinicalTrial.findById(trial._id).setOptions({ includeDeleted: true });
+        if (!trial) break;
+      }
+    }
+  }
+  return trials.length;
+};
+
+// Admins and the user who added a directory entry may edit it
+const canEditEntry = (user, entry) => user.role === 'admin' || String(entry.createdBy) === String(user._id);
+
+// Directory entries matching a search term by name or alias (and extra fields), case-insensitively
+const searchCondition = (escaped, fields) => ({
+  $or: ['name', 'aliases', ...fields].map(field => ({ [field]: new RegExp(escaped, 'i') }))
+});
+
+module.exports = {
+  applyDirectoryLinks,
+  linkByName,
+  relinkTrials,
+  canEditEntry,
+  searchCondition
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable storage for trial document files, selected with DOCUMENT_STORAGE:
+//   local - files under DOCUMENT_STORAGE_DIR (default: backend/uploads/documents)
+// A storage is any object with `async put(key, buffer)`, `async read(key)` resolving to a
+// readable stream, and `async remove(key)`. Keys are generated by the server, never by clients.
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'documents'));
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Stored files are never overwritten; a new version gets a new key
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    read: async (key) => {
+      const file = fileFor(key);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+const STORAGES = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.DOCUMENT_STORAGE || 'local';
+    if (!STORAGES[name]) throw new Error(`Unknown DOCUMENT_STORAGE "${name}" (expected ${Object.keys(STORAGES).join(', ')})`);
+    storage = STORAGES[name]();
+  }
+  return storage;
+};
+
+// Replace the storage (e.g. with an in-memory one in tests)
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,129 @@
+// Email templates for trial notifications. Each template returns { subject, summary, text, html };
+// `summary` is the one-line version used in digests and the in-app notification center.
+
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const trialUrl = (trial) => `${appUrl()}/trials/${trial._id}`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const personName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Someone');
+
+const excerpt = (text, length = 280) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Shared plain-text and HTML frame around a template's body lines
+const layout = ({ recipient, heading, lines, url, footer }) => ({
+  text: [
+    `Hello ${recipient.firstName},`,
+    '',
+    heading,
+    '',
+    ...lines,
+    '',
+    url ? `Open in the Clinical Trials app: ${url}` : '',
+    '',
+    footer
+  ].join('\n'),
+  html: `<!doctype html>
+<html><body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+  <p>Hello ${escapeHtml(recipient.firstName)},</p>
+  <h2 style="font-size: 18px; color: #0f766e;">${escapeHtml(heading)}</h2>
+  ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n  ')}
+  ${url ? `<p><a href="${escapeHtml(url)}" style="color: #0d9488;">Open in the Clinical Trials app</a></p>` : ''}
+  <p style="font-size: 12px; color: #6b7280;">${escapeHtml(footer)}</p>
+</body></html>`
+});
+
+const ALERT_TITLES = {
+  overdue: 'Trial is overdue',
+  startOverdue: 'Trial has not started',
+  underEnrollment: 'Trial is under-enrolling'
+};
+
+const PREFERENCES_FOOTER = 'You receive this email because of your notification settings in the Clinical Trials app.';
+
+const TEMPLATES = {
+  statusChange: ({ trial, actor, data }) => ({
+    subject: `[${trial.trialId}] Status changed to ${data.to}`,
+    summary: `${trial.trialId} ${trial.trialName}: status changed from ${data.from} to ${data.to} by ${personName(actor)}`,
+    heading: `${trial.trialName} is now ${data.to}`,
+    lines: [
+      `${personName(actor)} changed the status of ${trial.trialId} from ${data.from} to ${data.to}.`,
+      data.reason ? `Reason: ${data.reason}` : null
+    ]
+  }),
+
+  note: ({ trial, actor, data }) => ({
+    subject: `[${trial.trialId}] New note from ${personName(actor)}`,
+    summary: `${trial.trialId} ${trial.trialName}: new note from ${personName(actor)}`,
+    heading: `New note on ${trial.trialName}`,
+    lines: [`${personName(actor)} wrote:`, excerpt(data.content)]
+  }),
+
+  mention: ({ trial, actor, data }) => ({
+    subject: `[${trial.trialId}] ${personName(actor)} mentioned you in a note`,
+    summary: `${trial.trialId} ${trial.trialName}: ${personName(actor)} mentioned you in a note`,
+    heading: `You were mentioned on ${trial.trialName}`,
+    lines: [`${personName(actor)} wrote:`, excerpt(data.content)]
+  }),
+
+  teamAssignment: ({ trial, actor, data }) => ({
+    subject: `[${trial.trialId}] You were added to the trial team`,
+    summary: `${trial.trialId} ${trial.trialName}: ${personName(actor)} added you to the team as ${data.role}`,
+    heading: `You joined ${trial.trialName}`,
+    lines: [`${personName(actor)} added you to the ${trial.trialId} team as ${data.role}.`]
+  }),
+
+  deadline: ({ trial, data }) => ({
+    subject: `[${trial.trialId}] Ends in ${data.daysLeft} day${data.daysLeft === 1 ? '' : 's'}`,
+    summary: `${trial.trialId} ${trial.trialName}: ends in ${data.daysLeft} day${data.daysLeft === 1 ? '' : 's'} (${trial.endDate.toISOString().split('T')[0]})`,
+    heading: `${trial.trialName} is approaching its end date`,
+    lines: [
+      `${trial.trialId} is scheduled to end on ${trial.endDate.toISOString().split('T')[0]} (${data.daysLeft} day${data.daysLeft === 1 ? '' : 's'} from now) and is still ${trial.status}.`,
+      `Enrollment: ${trial.actualEnrollment} of ${trial.estimatedEnrollment}.`
+    ]
+  }),
+
+  alert: ({ trial, data }) => ({
+    subject: `[${trial.trialId}] ${ALERT_TITLES[data.type]}`,
+    summary: `${trial.trialId} ${trial.trialName}: ${data.message}`,
+    heading: `${ALERT_TITLES[data.type]}: ${trial.trialName}`,
+    lines: [`${trial.trialId}: ${data.message}.`, 'The alert clears automatically once the condition no longer applies.']
+  })
+};
+
+// Render the email for one trial event
+const renderEventEmail = (event, { recipient, trial, actor, data = {} }) => {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`No email template for event "${event}"`);
+  const { subject, summary, heading, lines } = template({ trial, actor, data });
+  const url = trialUrl(trial);
+  return {
+    subject,
+    summary,
+    url,
+    ...layout({ recipient, heading, lines: lines.filter(Boolean), url, footer: PREFERENCES_FOOTER })
+  };
+};
+
+// Render a daily digest from stored items ({ summary, url })
+const renderDigestEmail = ({ recipient, items }) => ({
+  subject: `Clinical Trials daily digest: ${items.length} update${items.length === 1 ? '' : 's'}`,
+  ...layout({
+    recipient,
+    heading: `Your updates from the last day (${items.length})`,
+    lines: items.map(item => `• ${item.summary}${item.url ? ` — ${item.url}` : ''}`),
+    url: `${appUrl()}/dashboard`,
+    footer: `${PREFERENCES_FOOTER} Switch to immediate emails or turn them off in your notification settings.`
+  })
+});
+
+module.exports = {
+  renderEventEmail,
+  renderDigestEmail
+};
@@ -0,0 +1,117 @@
+// Enrollment curves and completion projections built from EnrollmentSnapshot records
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of recent history the enrollment rate is measured over
+const RATE_WINDOW_DAYS = parseInt(process.env.ENROLLMENT_RATE_WINDOW_DAYS, 10) || 90;
+
+const byDate = (a, b) => a.date - b.date;
+
+// Trial-level curve (automatic snapshots and manual entries without a location), oldest first
+const trialSeries = (snapshots) => snapshots
+  .filter(s => !s.studyLocation)
+  .map(s => ({ date: s.recordedAt, enrolled: s.enrolled, source: s.source }))
+  .sort(byDate);
+
+// Curve of each study location, from the automatic breakdowns and the location's manual entries
+const locationSeries = (trial, snapshots) => trial.studyLocations.map((location) => {
+  const id = String(location._id);
+  const points = snapshots.flatMap((s) => {
+    if (s.source === 'manual') {
+      return s.studyLocation && String(s.studyLocation) === id
+        ? [{ date: s.recordedAt, enrolled: s.enrolled, source: 'manual' }]
+        : [];
+    }
+    const entry = (s.byLocation || []).find(b => String(b.studyLocation) === id);
+    return [{ date: s.recordedAt, enrolled: entry ? entry.enrolled : 0, source: 'automatic' }];
+  }).sort(byDate);
+
+  // Drop leading zeros from breakdowns written before the location's first enrollment
+  const first = points.findIndex(p => p.enrolled > 0 || p.source === 'manual');
+  const trimmed = first === -1 ? [] : points.slice(first);
+  const latest = trimmed[trimmed.length - 1];
+  return {
+    studyLocation: location._id,
+    facility: location.facility,
+    city: location.city,
+    country: location.country,
+    enrolled: latest ? latest.enrolled : 0,
+    lastRecordedAt: latest ? latest.date : null,
+    points: trimmed
+  };
+});
+
+// Value of a curve on a date: the latest point on or before it, 0 before the first point
+const valueAt = (points, date) => points.reduce((value, p) => (p.date <= date ? p.enrolled : value), 0);
+
+// Projected completion from the enrollment rate over the last RATE_WINDOW_DAYS:
+// status is notStarted, complete, onTrack (target reached by endDate), behind or stalled (no recent enrollment)
+const projectEnrollment = (trial, points, now = new Date()) => {
+  const target = trial.estimatedEnrollment;
+  const current = points.length > 0 ? points[points.length - 1].enrolled : trial.actualEnrollment;
+  const base = { current, target, endDate: trial.endDate, windowDays: 0, ratePerWeek: 0, projectedCompletionDate: null, daysBeyondEnd: 0 };
+
+  if (current >= target) {
+    const reached = points.find(p => p.enrolled >= target);
+    return { ...base, status: 'complete', projectedCompletionDate: reached ? reached.date : null };
+  }
+  if (now <= trial.startDate) return { ...base, status: 'notStarted' };
+
+  const windowStart = new Date(Math.max(trial.startDate.getTime(), now.getTime() - RATE_WINDOW_DAYS * DAY_MS));
+  const windowDays = (now - windowStart) / DAY_MS;
+  const rate = windowDays > 0 ? (current - valueAt(points, windowStart)) / windowDays : 0;
+  const measured = { ...base, windowDays: Math.round(windowDays), ratePerWeek: Math.round(rate * 7 * 10) / 10 };
+  if (rate <= 0) return { ...measured, status: 'stalled' };
+
+  const projected = new Date(now.getTime() + ((target - current) / rate) * DAY_MS);
+  const onTrack = projected <= trial.endDate;
+  return {
+    ...measured,
+    status: onTrack ? 'onTrack' : 'behind',
+    projectedCompletionDate: projected,
+    daysBeyondEnd: onTrack ? 0 : Math.ceil((projected - trial.endDate) / DAY_MS)
+  };
+};
+
+const percent = (value, of) => (of > 0 ? Math.round((value / of) * 100) : null);
+
+// Where a study location stands against its enrollment target; sites are behind when they have
+// enrolled fewer participants than their target spread evenly over their active period calls for
+const siteStanding = (trial, location, now = new Date()) => {
+  const target = location.enrollmentTarget || null;
+  const actual = location.actualEnrollment || 0;
+  const expected = trial.siteExpectedEnrollmentAt(location, now);
+  return {
+    studyLocation: location._id,
+    siteId: location.siteId || null,
+    facility: location.facility,
+    city: location.city,
+    country: location.country,
+    sitePI: location.sitePI || null,
+    status: location.status,
+    activationDate: location.activationDate || null,
+    target,
+    actual,
+    expected,
+    percentOfTarget: percent(actual, target),
+    percentOfExpected: percent(actual, expected),
+    behind: expected > 0 && actual < expected
+  };
+};
+
+// League table order: sites measured against an expectation first, best first; the rest by enrollment
+const rankSites = (sites) => [...sites]
+  .sort((a, b) => {
+    if ((a.percentOfExpected === null) !== (b.percentOfExpected === null)) return a.percentOfExpected === null ? 1 : -1;
+    return (b.percentOfExpected ?? 0) - (a.percentOfExpected ?? 0) || b.actual - a.actual;
+  })
+  .map((site, i) => ({ ...site, rank: i + 1 }));
+
+module.exports = {
+  RATE_WINDOW_DAYS,
+  trialSeries,
+  locationSeries,
+  projectEnrollment,
+  siteStanding,
+  rankSites
+};
@@ -0,0 +1,80 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+
+// Background scheduler for daily jobs. Every instance ticks once a minute; a job's run for the
+// day is claimed through JobLock, so with several instances only one runs it. A job that was
+// due while no instance was up runs on the next tick after the due hour the same day.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const TICK_MS = 60 * 1000;
+// A run holding its lock longer than this is assumed to have crashed and may be taken over
+const LOCK_TTL_MS = 30 * 60 * 1000;
+// A failed run is retried after this delay
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+const jobs = [];
+
+// Local date (server time) identifying a daily run, e.g. 2025-03-14
+const dailyRunKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Register `handler` to run once a day from `hour` (0-23, server time); its resolved value is
+// stored as the run's result
+const scheduleDaily = (name, hour, handler) => {
+  jobs.push({ name, hour, handler, running: false, doneKey: null });
+};
+
+const runJob = async (job, runKey) => {
+  const lock = await JobLock.acquire(job.name, runKey, INSTANCE_ID, LOCK_TTL_MS);
+  if (!lock) {
+    // Another instance is running it or already did; stop asking once it is done
+    const current = await JobLock.findById(job.name).select('lastRunKey');
+    if (current && current.lastRunKey === runKey) job.doneKey = runKey;
+    return;
+  }
+
+  try {
+    const result = await job.handler();
+    await JobLock.complete(job.name, runKey, INSTANCE_ID, result);
+    job.doneKey = runKey;
+    console.log(`⏱️  Job ${job.name} finished:`, result);
+  } catch (err) {
+    console.error(`Job ${job.name} error:`, err);
+    await JobLock.fail(job.name, INSTANCE_ID, err, new Date(Date.now() + RETRY_DELAY_MS));
+  }
+};
+
+// Run every job that is due and not yet done today, one after another in registration order
+const runDueJobs = async (now = new Date()) => {
+  const runKey = dailyRunKey(now);
+  for (const job of jobs) {
+    if (job.running || job.doneKey === runKey || now.getHours() < job.hour) continue;
+    job.running = true;
+    try {
+      await runJob(job, runKey);
+    } catch (err) {
+      console.error(`Job ${job.name} scheduling error:`, err);
+    } finally {
+      job.running = false;
+    }
+  }
+};
+
+// Start ticking; returns a function that stops the scheduler
+const startScheduler = () => {
+  const tick = () => {
+    runDueJobs();
+  };
+  const timer = setInterval(tick, TICK_MS);
+  tick();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  scheduleDaily,
+  runDueJobs,
+  startScheduler
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Pluggable email transports, selected with MAIL_TRANSPORT:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - writes each message as an .eml file to MAIL_FILE_DIR (local SMTP stand-in)
+//   console - logs a short summary of each message (default outside production)
+// A transport is any object with `async send(message)`.
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+};
+
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'clinical-trials-mail'));
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@.-]/gi, '_');
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+    return { accepted: [message.to] };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with an in-memory one in tests)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Send a rendered email ({ to, subject, text, html })
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'Clinical Trials <no-reply@clinical-trials.local>',
+  ...message
+});
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,64 @@
+// Server-Sent Events channel for live in-app notifications. Each open stream belongs to
+// a session; a user may have several (one per browser tab). Streams live in this process
+// only, so every API instance delivers to the clients connected to it.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// userId -> Set of { res, sessionId, heartbeat }
+const streams = new Map();
+
+const send = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const close = (userId, stream) => {
+  clearInterval(stream.heartbeat);
+  const own = streams.get(userId);
+  if (own) {
+    own.delete(stream);
+    if (own.size === 0) streams.delete(userId);
+  }
+};
+
+// Turn the response into an event stream for the logged-in user
+const openStream = (req, res, initial) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const userId = String(req.user._id);
+  // Comment lines keep proxies from closing an idle connection
+  const stream = { res, sessionId: req.sessionID, heartbeat: setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS) };
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(stream);
+
+  if (initial) send(res, 'ready', initial);
+  req.on('close', () => close(userId, stream));
+};
+
+// Push an event to every open stream of a user
+const publish = (userId, type, data) => {
+  (streams.get(String(userId)) || []).forEach(stream => send(stream.res, type, data));
+};
+
+// End the streams of a session (logout) or of a user (deactivation)
+const closeStreams = ({ userId, sessionId }) => {
+  const matches = userId
+    ? [...(streams.get(String(userId)) || [])].map(stream => [String(userId), stream])
+    : [...streams].flatMap(([id, own]) => [...own].filter(s => s.sessionId === sessionId).map(stream => [id, stream]));
+  matches.forEach(([id, stream]) => {
+    close(id, stream);
+    stream.res.end();
+  });
+};
+
+module.exports = {
+  openStream,
+  publish,
+  closeStreams
+};
@@ -0,0 +1,166 @@
+const ClinicalTrial = require('../models/ClinicalTrial');
+const User = require('../models/User');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const EmailDigestItem = require('../models/EmailDigestItem');
+const Notification = require('../models/Notification');
+const { CLOSED_STATUSES } = ClinicalTrial;
+const { sendMail } = require('./mailer');
+const { renderEventEmail, renderDigestEmail } = require('./emailTemplates');
+const { publish } = require('./notificationStream');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before a trial's end date at which the team is reminded
+const DEADLINE_REMINDER_DAYS = (process.env.DEADLINE_REMINDER_DAYS || '30,7,1')
+  .split(',')
+  .map(d => parseInt(d, 10))
+  .filter(d => d > 0);
+
+const recipientFields = 'firstName lastName email isActive';
+
+// @username mentions in note text
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.-]{3,30})/g;
+
+const mentionedUsernames = (text) => [...new Set([...text.matchAll(MENTION_PATTERN)].map(m => m[1].replace(/[.-]+$/, '')))];
+
+// Owner and team members of a trial
+const trialMemberIds = (trial) => [trial.createdBy, ...(trial.team || []).map(m => m.user)]
+  .map(u => String(u._id || u));
+
+// Store the in-app notification and push it to the recipient's open notification streams
+const createInAppNotification = async ({ recipient, event, trial, actor, message }) => {
+  const notification = await Notification.create({
+    user: recipient._id,
+    event,
+    trial: trial._id,
+    actor: actor ? actor._id : null,
+    message,
+    link: `/trials/${trial._id}`
+  });
+  await notification.populate([
+    { path: 'trial', select: 'trialId trialName' },
+    { path: 'actor', select: 'firstName lastName username' }
+  ]);
+  publish(recipient._id, 'notification', {
+    notification,
+    unreadCount: await Notification.unreadCount(recipient._id)
+  });
+};
+
+// Notify the subscribers of a trial event in the app and by email. Recipients default to the
+// trial's owner and team; the user who caused the event is never notified. Each recipient's
+// preferences decide whether they hear about the event at all and whether the email is sent
+// now, held for the daily digest, or skipped.
+const notifyTrialEvent = async ({ event, trial, actor = null, data = {}, recipients }) => {
+  const actorId = actor ? String(actor._id) : null;
+  const ids = [...new Set((recipients || trialMemberIds(trial)).map(String))].filter(id => id !== actorId);
+  if (ids.length === 0) return;
+
+  const [users, prefs] = await Promise.all([
+    User.find({ _id: { $in: ids }, isActive: true }).select(recipientFields),
+    NotificationSubscription.resolveFor(ids, trial._id)
+  ]);
+
+  await Promise.all(users.map(async (recipient) => {
+    const { events, emailDelivery } = prefs.get(String(recipient._id));
+    if (!events.includes(event)) return;
+
+    const email = renderEventEmail(event, { recipient, trial, actor, data });
+    await createInAppNotification({ recipient, event, trial, actor, message: email.summary });
+    if (emailDelivery === 'off') return;
+
+    if (emailDelivery === 'digest') {
+      await EmailDigestItem.create({
+        user: recipient._id,
+        event,
+        trial: trial._id,
+        subject: email.subject,
+        summary: email.summary,
+        url: email.url
+      });
+      return;
+    }
+    await sendMail({ to: recipient.email, subject: email.subject, text: email.text, html: email.html });
+  }));
+};
+
+// Notify about a new note: users @mentioned in it who can view the trial get a `mention`,
+// the rest of the trial's members a `note`
+const notifyNote = async ({ trial, actor, note }) => {
+  const usernames = mentionedUsernames(note.content);
+  const mentioned = usernames.length === 0 ? [] : (await User.find({ username: { $in: usernames }, isActive: true })
+    .select('role'))
+    .filter(u => trial.getPermissions(u).includes('view'))
+    .map(u => String(u._id));
+
+  const data = { content: note.content };
+  await Promise.all([
+    mentioned.length > 0 && notifyTrialEvent({ event: 'mention', trial, actor, data, recipients: mentioned }),
+    notifyTrialEvent({ event: 'note', trial, actor, data, recipients: trialMemberIds(trial).filter(id => !mentioned.includes(id)) })
+  ]);
+};
+
+// Fire-and-forget wrapper for route handlers: a failed notification never fails the request.
+// New notes ({ event: 'note', trial, actor, note }) go through notifyNote to pick out @mentions.
+const notifyInBackground = (notification) => {
+  const notify = notification.event === 'note' ? notifyNote : notifyTrialEvent;
+  notify(notification).catch(err => console.error('Notification error:', err));
+};
+
+// Send each user one email with their pending digest items
+const sendDailyDigests = async () => {
+  const pending = await EmailDigestItem.find({ sentAt: null }).sort({ occurredAt: 1 });
+  const byUser = pending.reduce((groups, item) => {
+    const key = String(item.user);
+    groups.set(key, [...(groups.get(key) || []), item]);
+    return groups;
+  }, new Map());
+
+  const users = await User.find({ _id: { $in: [...byUser.keys()] } }).select(recipientFields);
+  let sent = 0;
+  for (const recipient of users) {
+    const items = byUser.get(String(recipient._id));
+    if (recipient.isActive) {
+      const email = renderDigestEmail({ recipient, items });
+      try {
+        await sendMail({ to: recipient.email, subject: email.subject, text: email.text, html: email.html });
+        sent += 1;
+      } catch (err) {
+        // Leave the items pending so tomorrow's digest includes them
+        console.error(`Digest email error for ${recipient.email}:`, err);
+        continue;
+      }
+    }
+    await EmailDigestItem.updateMany({ _id: { $in: items.map(i => i._id) } }, { sentAt: new Date() });
+  }
+  return sent;
+};
+
+// Notify the teams of open trials ending exactly DEADLINE_REMINDER_DAYS days from today
+const sendDeadlineReminders = async (now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  let notified = 0;
+  for (const daysLeft of DEADLINE_REMINDER_DAYS) {
+    const from = new Date(today.getTime() + daysLeft * DAY_MS);
+    const to = new Date(from.getTime() + DAY_MS);
+    const trials = await ClinicalTrial.find({
+      endDate: { $gte: from, $lt: to },
+      status: { $nin: CLOSED_STATUSES }
+    }).select('trialId trialName status endDate actualEnrollment estimatedEnrollment createdBy team');
+
+    for (const trial of trials) {
+      await notifyTrialEvent({ event: 'deadline', trial, data: { daysLeft } });
+      notified += 1;
+    }
+  }
+  return notified;
+};
+
+module.exports = {
+  notifyTrialEvent,
+  notifyInBackground,
+  sendDailyDigests,
+  sendDeadlineReminders
+};
@@ -0,0 +1,28 @@
+const { scheduleDaily, startScheduler } = require('./jobRunner');
+const { refreshTrialAlerts } = require('./trialAlerts');
+const { sendDeadlineReminders, sendDailyDigests } = require('./notifications');
+
+const hourSetting = (value, fallback) => {
+  const hour = parseInt(value, 10);
+  return hour >= 0 && hour <= 23 ? hour : fallback;
+};
+
+// Hour (server time) of the nightly trial alert scan
+const TRIAL_ALERTS_HOUR = hourSetting(process.env.TRIAL_ALERTS_HOUR, 2);
+
+// Hour (server time) at which daily digests and deadline reminders go out
+const DIGEST_HOUR = hourSetting(process.env.DIGEST_HOUR, 7);
+
+// Register the backend's daily jobs and start the scheduler
+const startScheduledJobs = () => {
+  scheduleDaily('trialAlerts', TRIAL_ALERTS_HOUR, refreshTrialAlerts);
+  scheduleDaily('dailyNotifications', DIGEST_HOUR, async () => ({
+    deadlineReminders: await sendDeadlineReminders(),
+    digests: await sendDailyDigests()
+  }));
+  return startScheduler();
+};
+
+module.exports = {
+  startScheduledJobs
+};
@@ -0,0 +1,95 @@
+const escapeRegex = require('./escapeRegex');
+
+// Longest search string accepted from the client
+const MAX_SEARCH_LENGTH = 200;
+
+// Field prefixes accepted in search queries (e.g. sponsor:Pfizer, pi:"Jane Doe")
+const SEARCH_FIELD_PREFIXES = {
+  name: 'trialName',
+  title: 'trialName',
+  id: 'trialId',
+  trialid: 'trialId',
+  description: 'description',
+  sponsor: 'sponsor',
+  pi: 'principalInvestigator',
+  investigator: 'principalInvestigator',
+  drug: 'drugName',
+  area: 'therapeuticArea',
+  therapeuticarea: 'therapeuticArea'
+};
+
+// A bare query that looks like a protocol ID (e.g. ONC-2025-001: an uppercase prefix and a digit
+// after the hyphen) matches trialId by prefix only; other hyphenated words (non-small, anti-inflammatory)
+// may still be the start of an ID, so they match trialId by prefix or the text index
+const TRIAL_ID_PATTERN = /^[A-Z]+-[A-Z-]*\d[A-Z0-9-]*$/;
+
+// prefix:"quoted value" | prefix:value | "quoted phrase" | term (an unclosed quote runs to the end)
+const TOKEN_PATTERN = /([a-z]+):"([^"]*)"?|([a-z]+):(\S+)|"([^"]*)"?|(\S+)/gi;
+
+// Text search treats "-" as negation and quotes as phrase delimiters; neither may leak from user terms
+const cleanTerm = (term) => term.replace(/"/g, ' ').replace(/(^|\s)-+/g, '$1').trim();
+
+// Condition matching trial IDs that start with the value
+const trialIdPrefix = (value) => ({ trialId: new RegExp(`^${escapeRegex(value.toUpperCase())}`) });
+
+// Split a search string into free terms, quoted phrases and field-prefixed values
+const parseSearchQuery = (input) => {
+  const parsed = { terms: [], phrases: [], fields: [] };
+  const text = String(input || '').slice(0, MAX_SEARCH_LENGTH);
+
+  for (const [token, quotedPrefix, quotedValue, prefix, value, phrase, term] of text.matchAll(TOKEN_PATTERN)) {
+    const fieldPrefix = quotedPrefix || prefix;
+    const field = fieldPrefix && SEARCH_FIELD_PREFIXES[fieldPrefix.toLowerCase()];
+    const fieldValue = (quotedPrefix ? quotedValue : value || '').trim();
+
+    if (field && fieldValue) {
+      parsed.fields.push({ field, value: fieldValue });
+    } else if (phrase !== undefined) {
+      const cleaned = cleanTerm(phrase);
+      if (cleaned) parsed.phrases.push(cleaned);
+    } else {
+      const cleaned = cleanTerm(term || token);
+      if (cleaned) parsed.terms.push(cleaned);
+    }
+  }
+  return parsed;
+};
+
+// Mongo conditions for a parsed query; `text` is set when the text index is used
+const buildSearchConditions = (parsed) => {
+  const conditions = [];
+  let text = null;
+
+  const single = parsed.terms.length === 1 && parsed.phrases.length === 0 ? parsed.terms[0] : null;
+
+  if (single && TRIAL_ID_PATTERN.test(single)) {
+    conditions.push(trialIdPrefix(single));
+  } else if (parsed.terms.length > 0 || parsed.phrases.length > 0) {
+    text = [...parsed.terms, ...parsed.phrases.map(p => `"${p}"`)].join(' ');
+    conditions.push(single && single.includes('-')
+      ? { $or: [{ $text: { $search: text } }, trialIdPrefix(single)] }
+      : { $text: { $search: text } });
+  }
+
+  parsed.fields.forEach(({ field, value }) => {
+    conditions.push(field === 'trialId'
+      ? trialIdPrefix(value)
+      : { [field]: new RegExp(escapeRegex(value), 'i') });
+  });
+
+  return { conditions, text };
+};
+
+// Words the client should highlight in results
+const highlightTerms = (parsed) => [
+  ...parsed.phrases,
+  ...parsed.terms,
+  ...parsed.fields.map(f => f.value)
+];
+
+module.exports = {
+  MAX_SEARCH_LENGTH,
+  parseSearchQuery,
+  buildSearchConditions,
+  highlightTerms
+};
@@ -0,0 +1,80 @@
+const ClinicalTrial = require('../models/ClinicalTrial');
+const AuditLog = require('../models/AuditLog');
+const Sponsor = require('../models/Sponsor');
+
+const MIGRATION_REASON = 'Sponsor name normalized to the sponsor directory';
+
+// Most common spelling of a group (alphabetical on ties), used to name a new directory entry
+const preferredSpelling = (counts) => [...counts.entries()]
+  .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))[0][0];
+
+// Link every trial that has no sponsor directory entry yet (trashed ones included) to one. Free-text
+// sponsor names are grouped by Sponsor.matchKey; a group joins the entry whose name or alias has the
+// same key, or a new entry named after its most common spelling. The group's other spellings become
+// aliases and the trials' sponsor text is rewritten to the entry's name, with an audit entry.
+// Safe to re-run: linked trials are left alone. With dryRun nothing is written.
+const normalizeSponsors = async ({ user, dryRun = false }) => {
+  const unlinked = await ClinicalTrial.find({ sponsorOrganization: null })
+    .setOptions({ includeDeleted: true })
+    .select('sponsor')
+    .lean();
+
+  const groups = new Map();
+  for (const { _id, sponsor } of unlinked) {
+    const key = Sponsor.matchKey(sponsor);
+    if (!key) continue;
+    const group = groups.get(key) || { trialIds: [], spellings: new Map() };
+    group.trialIds.push(_id);
+    group.spellings.set(sponsor, (group.spellings.get(sponsor) || 0) + 1);
+    groups.set(key, group);
+  }
+
+  const existing = new Map();
+  (await Sponsor.find()).forEach((sponsor) => {
+    sponsor.allNames().map(name => Sponsor.matchKey(name)).forEach((key) => {
+      if (!existing.has(key)) existing.set(key, sponsor);
+    });
+  });
+
+  const report = { sponsors: [], trialsUpdated: 0, failures: [] };
+  for (const [key, group] of groups) {
+    let sponsor = existing.get(key);
+    const created = !sponsor;
+    if (created) sponsor = new Sponsor({ name: preferredSpelling(group.spellings), createdBy: user._id });
+
+    const known = new Set(sponsor.allNames().map(n => n.toLowerCase()));
+    const aliases = [...group.spellings.keys()].filter(s => !known.has(s.toLowerCase()));
+    sponsor.aliases.push(...aliases);
+    report.sponsors.push({
+      name: sponsor.name,
+      created,
+      spellings: [...group.spellings.keys()],
+      trials: group.trialIds.length
+    });
+    if (dryRun) continue;
+
+    sponsor.lastModifiedBy = user._id;
+    await sponsor.save();
+
+    const trials = await ClinicalTrial.find({ _id: { $in: group.trialIds } }).setOptions({ includeDeleted: true });
+    for (const trial of trials) {
+      try {
+        const before = trial.toObject();
+        trial.sponsorOrganization = sponsor._id;
+        trial.sponsor = sponsor.name;
+        trial.lastModifiedBy = user._id;
+        await trial.save();
+        await AuditLog.record({ trial, action: 'update', before, after: trial, user, reason: MIGRATION_REASON });
+        report.trialsUpdated += 1;
+      } catch (err) {
+        // Leave the trial unlinked so a later run picks it up once it is fixed
+        report.failures.push({ trialId: trial.trialId, message: err.message });
+      }
+    }
+  }
+  return report;
+};
+
+module.exports = {
+  normalizeSponsors
+};
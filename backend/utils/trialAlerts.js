@@ -0,0 +1,103 @@
+const ClinicalTrial = require('../models/ClinicalTrial');
+const TrialAlert = require('../models/TrialAlert');
+const { CLOSED_STATUSES } = ClinicalTrial;
+const { notifyTrialEvent } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enrolling trials are flagged when actual enrollment falls below this share of the enrollment
+// expected by now (assuming even enrollment between start and end date)
+const UNDER_ENROLLMENT_THRESHOLD = parseFloat(process.env.UNDER_ENROLLMENT_THRESHOLD) || 0.75;
+
+// Share of a trial's duration that must have passed before enrollment is judged
+const UNDER_ENROLLMENT_GRACE = 0.1;
+
+const ENROLLING_STATUSES = ['Active', 'Recruiting'];
+
+const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+// Alerts that currently apply to a trial: [{ type, severity, message, details }]
+const detectAlerts = (trial, now) => {
+  const alerts = [];
+
+  if (trial.isOverdue(now)) {
+    const daysOverdue = daysBetween(trial.endDate, now);
+    alerts.push({
+      type: 'overdue',
+      severity: 'critical',
+      message: `Passed its end date ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} ago but is still ${trial.status}`,
+      details: { daysOverdue, endDate: trial.endDate }
+    });
+  }
+
+  if (trial.isStartOverdue(now)) {
+    const daysLate = daysBetween(trial.startDate, now);
+    alerts.push({
+      type: 'startOverdue',
+      severity: 'warning',
+      message: `Start date passed ${daysLate} day${daysLate === 1 ? '' : 's'} ago but the trial is still in Planning`,
+      details: { daysLate, startDate: trial.startDate }
+    });
+  }
+
+  const elapsed = (now - trial.startDate) / (trial.endDate - trial.startDate);
+  if (ENROLLING_STATUSES.includes(trial.status) && elapsed >= UNDER_ENROLLMENT_GRACE) {
+    const expected = trial.expectedEnrollmentAt(now);
+    if (trial.actualEnrollment < expected * UNDER_ENROLLMENT_THRESHOLD) {
+      alerts.push({
+        type: 'underEnrollment',
+        severity: trial.actualEnrollment < expected / 2 ? 'critical' : 'warning',
+        message: `Enrolled ${trial.actualEnrollment} of ${expected} participants expected by now (target ${trial.estimatedEnrollment})`,
+        details: { actual: trial.actualEnrollment, expected, target: trial.estimatedEnrollment }
+      });
+    }
+  }
+
+  return alerts;
+};
+
+// Nightly job: open alerts for newly detected conditions (notifying the trial team), refresh
+// the ones that still hold and resolve the rest
+const refreshTrialAlerts = async (now = new Date()) => {
+  const [trials, openAlerts] = await Promise.all([
+    ClinicalTrial.find({ status: { $nin: CLOSED_STATUSES } })
+      .select('trialId trialName status startDate endDate actualEnrollment estimatedEnrollment createdBy team'),
+    TrialAlert.find({ resolvedAt: null })
+  ]);
+
+  const openByKey = new Map(openAlerts.map(a => [`${a.trial}:${a.type}`, a]));
+  const summary = { opened: 0, updated: 0, resolved: 0 };
+
+  for (const trial of trials) {
+    for (const detected of detectAlerts(trial, now)) {
+      const key = `${trial._id}:${detected.type}`;
+      const existing = openByKey.get(key);
+      openByKey.delete(key);
+
+      if (existing) {
+        Object.assign(existing, detected, { lastDetectedAt: now });
+        await existing.save();
+        summary.updated += 1;
+        continue;
+      }
+
+      await TrialAlert.create({ trial: trial._id, ...detected, firstDetectedAt: now, lastDetectedAt: now });
+      summary.opened += 1;
+      await notifyTrialEvent({ event: 'alert', trial, data: detected })
+        .catch(err => console.error('Alert notification error:', err));
+    }
+  }
+
+  // Whatever was not detected again has cleared (or the trial was closed or deleted)
+  const cleared = [...openByKey.values()].map(a => a._id);
+  if (cleared.length > 0) {
+    const { modifiedCount } = await TrialAlert.updateMany({ _id: { $in: cleared } }, { resolvedAt: now });
+    summary.resolved = modifiedCount;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  refreshTrialAlerts
+};
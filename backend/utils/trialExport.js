@@ -0,0 +1,124 @@
+const { stringify } = require('csv-stringify/sync');
+const PDFDocument = require('pdfkit');
+
+// CSV columns use the same headers and list separators as the import format
+const CSV_COLUMNS = [
+  { key: 'trialId', header: 'trialId' },
+  { key: 'trialName', header: 'trialName' },
+  { key: 'description', header: 'description' },
+  { key: 'principalInvestigator', header: 'principalInvestigator' },
+  { key: 'sponsor', header: 'sponsor' },
+  { key: 'phase', header: 'phase' },
+  { key: 'status', header: 'status' },
+  { key: 'therapeuticArea', header: 'therapeuticArea' },
+  { key: 'drugName', header: 'drugName' },
+  { key: 'startDate', header: 'startDate' },
+  { key: 'endDate', header: 'endDate' },
+  { key: 'estimatedEnrollment', header: 'estimatedEnrollment' },
+  { key: 'actualEnrollment', header: 'actualEnrollment' },
+  { key: 'primaryEndpoint', header: 'primaryEndpoint' },
+  { key: 'secondaryEndpoints', header: 'secondaryEndpoints' },
+  { key: 'inclusionCriteria', header: 'inclusionCriteria' },
+  { key: 'exclusionCriteria', header: 'exclusionCriteria' },
+  { key: 'studyLocations', header: 'studyLocations' },
+  { key: 'createdAt', header: 'createdAt' },
+  { key: 'updatedAt', header: 'updatedAt' }
+];
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+// Cells starting with one of these run as formulas in spreadsheet apps (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a formula-like text cell with a leading apostrophe so it is shown as text; the import strips it again
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const csvRow = (trial) => ({
+  ...CSV_COLUMNS.reduce((row, { key }) => ({ ...row, [key]: trial[key] ?? '' }), {}),
+  startDate: formatDate(trial.startDate),
+  endDate: formatDate(trial.endDate),
+  secondaryEndpoints: (trial.secondaryEndpoints || []).join('; '),
+  inclusionCriteria: (trial.inclusionCriteria || []).join('; '),
+  exclusionCriteria: (trial.exclusionCriteria || []).join('; '),
+  studyLocations: (trial.studyLocations || []).map(l => [l.facility, l.city, l.country].join('|')).join('; '),
+  createdAt: trial.createdAt ? new Date(trial.createdAt).toISOString() : '',
+  updatedAt: trial.updatedAt ? new Date(trial.updatedAt).toISOString() : ''
+});
+
+const toCsvRow = (trial) => Object.fromEntries(Object.entries(csvRow(trial)).map(([key, value]) => [key, escapeFormula(value)]));
+
+// Serialize trials to CSV text
+const trialsToCsv = (trials) => stringify(trials.map(toCsvRow), {
+  header: true,
+  columns: CSV_COLUMNS,
+  bom: true
+});
+
+// Write a one-page summary sheet for a trial to a writable stream (e.g. the response)
+const writeTrialSummaryPdf = (trial, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${trial.trialId} Summary` } });
+  doc.pipe(stream);
+
+  const heading = (text) => {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#1f2937').text(text);
+    doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#374151');
+  };
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value || '—');
+  };
+  const list = (items, empty) => {
+    if (!items || items.length === 0) return doc.fillColor('#6b7280').text(empty).fillColor('#374151');
+    return doc.list(items, { bulletRadius: 2, textIndent: 12 });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(trial.trialName);
+  doc.font('Helvetica').fontSize(11).fillColor('#6b7280')
+    .text(`${trial.trialId}  ·  ${trial.phase}  ·  ${trial.status}`);
+
+  heading('Protocol');
+  field('Sponsor', trial.sponsor);
+  field('Principal Investigator', trial.principalInvestigator);
+  field('Therapeutic Area', trial.therapeuticArea);
+  field('Drug / Intervention', trial.drugName);
+  field('Start Date', formatDate(trial.startDate));
+  field('End Date', formatDate(trial.endDate));
+  doc.moveDown(0.3).text(trial.description);
+
+  heading('Enrollment');
+  const actual = trial.actualEnrollment || 0;
+  const percent = trial.estimatedEnrollment ? Math.min(100, Math.round((actual / trial.estimatedEnrollment) * 100)) : 0;
+  doc.text(`${actual} of ${trial.estimatedEnrollment} participants enrolled (${percent}%)`);
+  const barY = doc.y + 4;
+  const barWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.rect(doc.page.margins.left, barY, barWidth, 8).fill('#e5e7eb');
+  if (percent > 0) doc.rect(doc.page.margins.left, barY, (barWidth * percent) / 100, 8).fill('#0d9488');
+  doc.fillColor('#374151').text('', doc.page.margins.left, barY + 14);
+
+  heading('Endpoints');
+  field('Primary', trial.primaryEndpoint);
+  doc.font('Helvetica-Bold').text('Secondary:').font('Helvetica');
+  list(trial.secondaryEndpoints, 'None recorded');
+
+  heading('Eligibility Criteria');
+  doc.font('Helvetica-Bold').text('Inclusion:').font('Helvetica');
+  list(trial.inclusionCriteria, 'None recorded');
+  doc.moveDown(0.3).font('Helvetica-Bold').text('Exclusion:').font('Helvetica');
+  list(trial.exclusionCriteria, 'None recorded');
+
+  heading('Study Locations');
+  list((trial.studyLocations || []).map((l) => {
+    const site = [l.siteId, `${l.facility}, ${l.city}, ${l.country}`].filter(Boolean).join(' — ');
+    const enrollment = l.enrollmentTarget ? `${l.actualEnrollment || 0} of ${l.enrollmentTarget} enrolled` : `${l.actualEnrollment || 0} enrolled`;
+    return `${site} (${[l.status, l.sitePI && `PI ${l.sitePI}`, enrollment].filter(Boolean).join(', ')})`;
+  }), 'No study locations');
+
+  doc.moveDown(1.5).fontSize(8).fillColor('#9ca3af')
+    .text(`Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`, { align: 'right' });
+
+  doc.end();
+};
+
+module.exports = {
+  trialsToCsv,
+  writeTrialSummaryPdf
+};
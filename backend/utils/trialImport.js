@@ -0,0 +1,102 @@
+const { parse } = require('csv-parse/sync');
+const XLSX = require('xlsx');
+
+// Maximum rows accepted in a single import file
+const MAX_IMPORT_ROWS = 1000;
+
+// Column header aliases mapped onto ClinicalTrial fields (matched case- and punctuation-insensitively)
+const COLUMN_ALIASES = {
+  trialName: ['trialname', 'name', 'title'],
+  trialId: ['trialid', 'id', 'protocolid', 'protocolnumber'],
+  description: ['description', 'summary'],
+  principalInvestigator: ['principalinvestigator', 'pi', 'investigator'],
+  sponsor: ['sponsor'],
+  phase: ['phase'],
+  status: ['status'],
+  startDate: ['startdate', 'start'],
+  endDate: ['enddate', 'end'],
+  estimatedEnrollment: ['estimatedenrollment', 'targetenrollment', 'enrollmenttarget', 'enrollment'],
+  primaryEndpoint: ['primaryendpoint'],
+  secondaryEndpoints: ['secondaryendpoints'],
+  inclusionCriteria: ['inclusioncriteria', 'inclusion'],
+  exclusionCriteria: ['exclusioncriteria', 'exclusion'],
+  studyLocations: ['studylocations', 'locations', 'sites'],
+  therapeuticArea: ['therapeuticarea', 'area', 'indication'],
+  drugName: ['drugname', 'drug', 'intervention']
+};
+
+// Multi-valued cells: items separated by ";", location parts by "|" (facility|city|country)
+const LIST_FIELDS = ['secondaryEndpoints', 'inclusionCriteria', 'exclusionCriteria'];
+const ITEM_SEPARATOR = ';';
+const LOCATION_PART_SEPARATOR = '|';
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const headerToField = Object.entries(COLUMN_ALIASES).reduce((acc, [field, aliases]) => {
+  aliases.forEach((alias) => { acc[alias] = field; });
+  return acc;
+}, {});
+
+const splitList = (value) => String(value)
+  .split(ITEM_SEPARATOR)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const toCellString = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim();
+};
+
+// Read the uploaded file into an array of plain row objects keyed by the original headers
+const readRows = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '' }) : [];
+  }
+
+  if (name.endsWith('.csv')) {
+    return parse(file.buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  }
+
+  const err = new Error('Unsupported file type. Please upload a .csv or .xlsx file');
+  err.status = 400;
+  throw err;
+};
+
+// Map a raw row onto ClinicalTrial fields; unknown columns are ignored
+const mapRow = (raw) => Object.entries(raw).reduce((trial, [header, value]) => {
+  const field = headerToField[normalizeHeader(header)];
+  if (!field || value === undefined || value === null || value === '') return trial;
+
+  if (LIST_FIELDS.includes(field)) {
+    trial[field] = splitList(value);
+  } else if (field === 'studyLocations') {
+    trial[field] = splitList(value).map((location) => {
+      const [facility, city, country] = location.split(LOCATION_PART_SEPARATOR).map(part => part.trim());
+      return { facility, city, country };
+    });
+  } else if (field === 'trialId') {
+    trial[field] = toCellString(value).toUpperCase();
+  } else {
+    trial[field] = toCellString(value);
+  }
+  return trial;
+}, {});
+
+// Parse an uploaded import file into mapped trial payloads
+const parseImportFile = (file) => {
+  const rows = readRows(file);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    const err = new Error(`Import files are limited to ${MAX_IMPORT_ROWS} rows`);
+    err.status = 400;
+    throw err;
+  }
+  return rows.map(mapRow);
+};
+
+module.exports = {
+  parseImportFile
+};
@@ -1,19 +1,34 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Header from './components/layout/Header';
 import Footer from './components/layout/Footer';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
 import AdminLogin from './components/auth/AdminLogin';
+import ChangePassword from './components/auth/ChangePassword';
+import UserManagement from './components/admin/UserManagement';
+import TrialTrash from './components/admin/TrialTrash';
 import Dashboard from './components/Dashboard';
 import TrialsList from './components/trials/TrialsList';
 import TrialForm from './components/trials/TrialForm';
+import TrialDetail from './components/trials/TrialDetail';
+import TrialImport from './components/trials/TrialImport';
+import ParticipantsList from './components/participants/ParticipantsList';
+import NotificationSettings from './components/settings/NotificationSettings';
+import SitePerformance from './components/sites/SitePerformance';
+import SiteDirectory from './components/directory/SiteDirectory';
+import SiteDetail from './components/directory/SiteDetail';
+import InvestigatorDirectory from './components/directory/InvestigatorDirectory';
+import InvestigatorDetail from './components/directory/InvestigatorDetail';
+import SponsorDirectory from './components/directory/SponsorDirectory';
+import SponsorPortfolio from './components/directory/SponsorPortfolio';
 import './index.css';
 
 
 const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+  const { isAuthenticated, isLoading, user } = useAuth();
+  const location = useLocation();
 
   if (isLoading) {
     return (
@@ -25,9 +40,24 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Accounts with a forced password reset must change it first
+  if (user?.mustChangePassword && location.pathname !== '/change-password') {
+    return <Navigate to="/change-password" replace />;
+  }
+
   return children;
 };
 
+const AdminRoute = ({ children }) => {
+  const { user } = useAuth();
+
+  return (
+    <ProtectedRoute>
+      {user?.role === 'admin' ? children : <Navigate to="/dashboard" replace />}
+    </ProtectedRoute>
+  );
+};
+
 const Home = () => (
   <div className="home">
     <section className="hero-section">
@@ -78,6 +108,30 @@ function App() {
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
           <Route path="/admin" element={<AdminLogin />} />
+          <Route
+            path="/admin/users"
+            element={
+              <AdminRoute>
+                <UserManagement />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/trash"
+            element={
+              <AdminRoute>
+                <TrialTrash />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/change-password"
+            element={
+              <ProtectedRoute>
+                <ChangePassword />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/dashboard"
             element={
@@ -102,6 +156,30 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/trials/import"
+            element={
+              <ProtectedRoute>
+                <TrialImport />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/trials/:id"
+            element={
+              <ProtectedRoute>
+                <TrialDetail />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/trials/:id/participants"
+            element={
+              <ProtectedRoute>
+                <ParticipantsList />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/trials/:id/edit"
             element={
@@ -110,6 +188,70 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/sites"
+            element={
+              <ProtectedRoute>
+                <SiteDirectory />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/sites/:id"
+            element={
+              <ProtectedRoute>
+                <SiteDetail />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/investigators"
+            element={
+              <ProtectedRoute>
+                <InvestigatorDirectory />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/investigators/:id"
+            element={
+              <ProtectedRoute>
+                <InvestigatorDetail />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/sponsors"
+            element={
+              <ProtectedRoute>
+                <SponsorDirectory />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/sponsors/:id"
+            element={
+              <ProtectedRoute>
+                <SponsorPortfolio />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/sites/performance"
+            element={
+              <ProtectedRoute>
+                <SitePerformance />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings/notifications"
+            element={
+              <ProtectedRoute>
+                <NotificationSettings />
+              </ProtectedRoute>
+            }
+          />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </main>
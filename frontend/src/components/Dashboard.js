@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { trialsAPI, handleApiError } from '../services/api';
+import { trialsAPI, alertsAPI, handleApiError } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   MdDashboard, 
@@ -12,23 +12,33 @@ import {
   MdCalendarToday,
   MdArrowForward,
   MdAdd,
-  MdDescription
+  MdDescription,
+  MdWarning,
+  MdEvent,
+  MdError,
+  MdNotificationsActive
 } from 'react-icons/md';
 
-const StatCard = ({ icon: IconComponent, value, label, color = 'blue' }) => (
-  <div className={`stat-card stat-card-${color}`}>
-    <div className="stat-icon">
-      <IconComponent />
-    </div>
-    <div className="stat-content">
-      <div className="stat-value">{value}</div>
-      <div className="stat-label">{label}</div>
-    </div>
-  </div>
-);
+// Cards with `to` link to the matching filtered trials list
+const StatCard = ({ icon: IconComponent, value, label, color = 'blue', to }) => {
+  const content = (
+    <>
+      <div className="stat-icon">
+        <IconComponent />
+      </div>
+      <div className="stat-content">
+        <div className="stat-value">{value}</div>
+        <div className="stat-label">{label}</div>
+      </div>
+    </>
+  );
+  return to
+    ? <Link to={to} className={`stat-card stat-card-${color} stat-card-link`}>{content}</Link>
+    : <div className={`stat-card stat-card-${color}`}>{content}</div>;
+};
 
 const RecentTrialCard = ({ trial }) => (
-  <div className="recent-trial-card">
+  <Link to={`/trials/${trial._id}`} className="recent-trial-card">
     <div className="trial-header">
       <h4 className="trial-name">{trial.trialName}</h4>
       <span className={`status-badge status-${trial.status.toLowerCase()}`}>
@@ -52,18 +62,76 @@ const RecentTrialCard = ({ trial }) => (
       </div>
       <p className="trial-description">{trial.description}</p>
     </div>
+  </Link>
+);
+
+const BreakdownList = ({ title, items }) => (
+  <div className="breakdown-card">
+    <h3 className="breakdown-title">{title}</h3>
+    {items.length === 0 ? (
+      <p className="text-muted">No data</p>
+    ) : (
+      <ul className="breakdown-list">
+        {items.map(({ label, count }) => (
+          <li key={label} className="breakdown-item">
+            <span>{label}</span>
+            <span className="breakdown-count">{count}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const ALERT_LABELS = {
+  overdue: 'Overdue',
+  startOverdue: 'Not started',
+  underEnrollment: 'Under-enrolling',
+};
+
+// Open alerts from the nightly trial check
+const AlertsPanel = ({ alerts }) => (
+  <div className="breakdown-card alerts-panel">
+    <h3 className="breakdown-title">
+      <MdNotificationsActive /> Trial Alerts
+    </h3>
+    {alerts.length === 0 ? (
+      <p className="text-muted">No open alerts. Trials are checked nightly.</p>
+    ) : (
+      <ul className="alert-list">
+        {alerts.map((a) => (
+          <li key={a._id} className={`alert-list-item alert-severity-${a.severity}`}>
+            {a.severity === 'critical' ? <MdError /> : <MdWarning />}
+            <div>
+              <Link to={`/trials/${a.trial._id}`} className="alert-trial">
+                {a.trial.trialName} <span className="trial-id">{a.trial.trialId}</span>
+              </Link>
+              <div>
+                <span className="alert-type">{ALERT_LABELS[a.type]}</span> {a.message}
+              </div>
+              <small className="text-muted">Since {new Date(a.firstDetectedAt).toLocaleDateString()}</small>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
   </div>
 );
 
 const Dashboard = () => {
   const { user } = useAuth();
   const [stats, setStats] = useState({
-    activeTrials: 0,
-    planningTrials: 0,
-    completedTrials: 0,
-    totalParticipants: 0
+    totalTrials: 0,
+    byStatus: {},
+    byPhase: {},
+    byTherapeuticArea: [],
+    enrollment: { actual: 0, expected: 0 },
+    overdueTrials: 0,
+    endingIn30Days: 0,
+    endingIn90Days: 0
   });
   const [recentTrials, setRecentTrials] = useState([]);
+  const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -75,22 +143,15 @@ const Dashboard = () => {
     try {
       setLoading(true);
       
-      // Fetch recent trials
-      const trialsResponse = await trialsAPI.getTrials({ limit: 5, page: 1 });
+      // Fetch recent trials, server-side statistics and open alerts
+      const [trialsResponse, statsResponse, alertsResponse] = await Promise.all([
+        trialsAPI.getTrials({ limit: 5, page: 1 }),
+        trialsAPI.getStats(),
+        alertsAPI.getAlerts()
+      ]);
       setRecentTrials(trialsResponse.data.trials);
-
-      // Calculate stats from trials data
-      const allTrialsResponse = await trialsAPI.getTrials({ limit: 100, page: 1 });
-      const allTrials = allTrialsResponse.data.trials;
-      
-      const stats = {
-        activeTrials: allTrials.filter(t => t.status === 'Active').length,
-        planningTrials: allTrials.filter(t => t.status === 'Planning').length,
-        completedTrials: allTrials.filter(t => t.status === 'Completed').length,
-        totalParticipants: allTrials.reduce((sum, t) => sum + (t.actualEnrollment || 0), 0)
-      };
-      
-      setStats(stats);
+      setStats(statsResponse.data.stats);
+      setAlerts(alertsResponse.data.alerts);
       setError(null);
     } catch (err) {
       setError(handleApiError(err));
@@ -128,28 +189,74 @@ const Dashboard = () => {
         <div className="stats-grid">
           <StatCard 
             icon={MdScience} 
-            value={stats.activeTrials} 
+            value={stats.byStatus.Active || 0} 
             label="Active Trials" 
             color="blue" 
+            to="/trials?status=Active"
           />
           <StatCard 
             icon={MdSchedule} 
-            value={stats.planningTrials} 
+            value={stats.byStatus.Planning || 0} 
             label="In Planning" 
             color="orange" 
+            to="/trials?status=Planning"
           />
           <StatCard 
             icon={MdCheckCircle} 
-            value={stats.completedTrials} 
+            value={stats.byStatus.Completed || 0} 
             label="Completed" 
             color="gray" 
+            to="/trials?status=Completed"
           />
           <StatCard 
             icon={MdGroup} 
-            value={stats.totalParticipants} 
-            label="Total Participants" 
+            value={stats.enrollment.actual} 
+            label={`Participants (of ${stats.enrollment.expected} expected)`} 
             color="red" 
           />
+          <StatCard 
+            icon={MdWarning} 
+            value={stats.overdueTrials} 
+            label="Overdue Trials" 
+            color="red" 
+            to="/trials?overdue=true"
+          />
+          <StatCard 
+            icon={MdEvent} 
+            value={stats.endingIn30Days} 
+            label="Ending in 30 Days" 
+            color="orange" 
+          />
+          <StatCard 
+            icon={MdCalendarToday} 
+            value={stats.endingIn90Days} 
+            label="Ending in 90 Days" 
+            color="blue" 
+          />
+          <StatCard 
+            icon={MdDescription} 
+            value={stats.totalTrials} 
+            label="Total Trials" 
+            color="gray" 
+          />
+        </div>
+
+        <AlertsPanel alerts={alerts} />
+
+        {/* Breakdowns */}
+        <div className="breakdown-grid">
+          <BreakdownList
+            title="By Status"
+            items={Object.entries(stats.byStatus).map(([label, count]) => ({ label, count }))}
+          />
+          <BreakdownList
+            title="By Phase"
+            items={Object.entries(stats.byPhase).map(([label, count]) => ({ label, count }))}
+          />
+          <BreakdownList
+            title="By Therapeutic Area"
+            items={stats.byTherapeuticArea.map(({ therapeuticArea, count }) => ({ label: therapeuticArea, count }))}
+          />
         </div>
 
         {/* Recent Clinical Trials */}
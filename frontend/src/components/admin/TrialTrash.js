@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react';
+import { trialsAPI, handleApiError } from '../../services/api';
+import {
+  MdDeleteSweep,
+  MdRestore,
+  MdDeleteForever,
+  MdChevronLeft,
+  MdChevronRight
+} from 'react-icons/md';
+
+const TrialTrash = () => {
+  const [trials, setTrials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [page, setPage] = useState(1);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalTrials: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const { data } = await trialsAPI.getTrash({ page, limit: 20 });
+      setTrials(data.trials);
+      setPagination(data.pagination);
+      setRetentionDays(data.retentionDays);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page]);
+
+  const handleRestore = async (t) => {
+    if (!window.confirm(`Restore ${t.trialId}? It will reappear in the trials list for its team.`)) return;
+    try {
+      const { data } = await trialsAPI.restoreTrial(t._id);
+      setNotice(data.message);
+      fetchTrash();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handlePurge = async (t) => {
+    if (!window.confirm(`Permanently delete ${t.trialId} and its participants? This cannot be undone.`)) return;
+    try {
+      const { data } = await trialsAPI.purgeTrial(t._id);
+      setNotice(data.message);
+      fetchTrash();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdDeleteSweep />
+            </div>
+            <h1 className="page-title">Deleted Trials</h1>
+          </div>
+        </div>
+
+        {retentionDays && (
+          <p className="text-muted mb-3">
+            Deleted trials can be restored at any time and permanently purged {retentionDays} days after deletion.
+          </p>
+        )}
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+        {notice && <div className="alert alert-success mb-3">{notice}</div>}
+
+        <div className="trials-table-container">
+          <table className="trials-table">
+            <thead>
+              <tr>
+                <th>Trial</th>
+                <th>Sponsor</th>
+                <th>Status</th>
+                <th>Deleted</th>
+                <th>Reason</th>
+                <th className="actions-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && trials.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="empty-row">
+                    <div className="empty-state">
+                      <MdDeleteSweep />
+                      <h3>The trash is empty</h3>
+                      <p>Deleted trials will appear here</p>
+                    </div>
+                  </td>
+                </tr>
+              )}
+              {trials.map((t) => {
+                const canPurge = new Date(t.purgeEligibleAt) <= new Date();
+                return (
+                  <tr key={t._id} className="trial-row">
+                    <td className="trial-name-cell">
+                      <div className="trial-name">{t.trialName}</div>
+                      <div className="trial-id">{t.trialId}</div>
+                    </td>
+                    <td>{t.sponsor}</td>
+                    <td>
+                      <span className={`status-badge status-${t.status.toLowerCase()}`}>
+                        {t.status}
+                      </span>
+                    </td>
+                    <td>
+                      <div>{new Date(t.deletedAt).toLocaleString()}</div>
+                      {t.deletedBy && (
+                        <div className="trial-id">by {t.deletedBy.firstName} {t.deletedBy.lastName}</div>
+                      )}
+                    </td>
+                    <td>{t.deletionReason || '—'}</td>
+                    <td className="actions-cell">
+                      <div className="action-buttons">
+                        <button
+                          className="action-btn view-btn"
+                          title="Restore"
+                          onClick={() => handleRestore(t)}
+                        >
+                          <MdRestore />
+                        </button>
+                        <button
+                          className="action-btn delete-btn"
+                          title={canPurge
+                            ? 'Delete permanently'
+                            : `Can be purged after ${new Date(t.purgeEligibleAt).toLocaleDateString()}`}
+                          disabled={!canPurge}
+                          onClick={() => handlePurge(t)}
+                        >
+                          <MdDeleteForever />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination-section">
+            <div className="pagination-info">
+              {pagination.totalTrials} deleted trials
+            </div>
+            <div className="pagination-controls">
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setPage((p) => p - 1)}
+              >
+                <MdChevronLeft />
+              </button>
+              <span className="pagination-current">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setPage((p) => p + 1)}
+              >
+                <MdChevronRight />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrialTrash;
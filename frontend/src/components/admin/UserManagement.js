@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import { usersAPI, handleApiError } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  MdPeople,
+  MdSearch,
+  MdLockReset,
+  MdBlock,
+  MdCheckCircle,
+  MdChevronLeft,
+  MdChevronRight
+} from 'react-icons/md';
+
+const ROLE_OPTIONS = ['researcher', 'coordinator', 'admin'];
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [filters, setFilters] = useState({
+    page: 1,
+    limit: 20,
+    search: '',
+    role: '',
+    isActive: '',
+  });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalUsers: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const { data } = await usersAPI.getUsers({
+        page: filters.page,
+        limit: filters.limit,
+        search: filters.search || undefined,
+        role: filters.role || undefined,
+        isActive: filters.isActive || undefined,
+      });
+      setUsers(data.users);
+      setPagination(data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters.page, filters.limit, filters.search, filters.role, filters.isActive]);
+
+  const onFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? updated : u)));
+  };
+
+  const handleRoleChange = async (u, role) => {
+    if (!window.confirm(`Change ${u.username}'s role to ${role}?`)) return;
+    try {
+      const { data } = await usersAPI.updateRole(u._id, role);
+      replaceUser(data.user);
+      setNotice(data.message);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleToggleActive = async (u) => {
+    const action = u.isActive ? 'Deactivate' : 'Activate';
+    if (!window.confirm(`${action} ${u.username}?`)) return;
+    try {
+      const { data } = await usersAPI.updateStatus(u._id, !u.isActive);
+      replaceUser(data.user);
+      setNotice(data.message);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleResetPassword = async (u) => {
+    if (!window.confirm(`Reset ${u.username}'s password? They will have to choose a new one at next login.`)) return;
+    try {
+      const { data } = await usersAPI.resetPassword(u._id);
+      replaceUser(data.user);
+      setNotice(`Temporary password for ${u.username}: ${data.temporaryPassword} — share it securely; it will not be shown again.`);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdPeople />
+            </div>
+            <h1 className="page-title">User Management</h1>
+          </div>
+        </div>
+
+        <div className="filters-section">
+          <div className="filters-row">
+            <div className="search-box">
+              <MdSearch className="search-icon" aria-hidden="true" />
+              <input
+                name="search"
+                className="search-input"
+                placeholder="Search name, username, email..."
+                value={filters.search}
+                onChange={onFilterChange}
+              />
+            </div>
+            <div className="filter-group">
+              <select name="role" className="filter-select" value={filters.role} onChange={onFilterChange}>
+                <option value="">All Roles</option>
+                {ROLE_OPTIONS.map((r) => (
+                  <option key={r} value={r}>{r.charAt(0).toUpperCase() + r.slice(1)}</option>
+                ))}
+              </select>
+              <select name="isActive" className="filter-select" value={filters.isActive} onChange={onFilterChange}>
+                <option value="">All Accounts</option>
+                <option value="true">Active</option>
+                <option value="false">Deactivated</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+        {notice && <div className="alert alert-success mb-3">{notice}</div>}
+
+        <div className="trials-table-container">
+          <table className="trials-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Email</th>
+                <th>Department</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last Login</th>
+                <th className="actions-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && users.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="empty-row">
+                    <div className="empty-state">
+                      <MdPeople />
+                      <h3>No users found</h3>
+                      <p>Try adjusting your search or filters</p>
+                    </div>
+                  </td>
+                </tr>
+              )}
+              {users.map((u) => {
+                const isSelf = u._id === currentUser?._id;
+                return (
+                  <tr key={u._id} className="trial-row">
+                    <td className="trial-name-cell">
+                      <div className="trial-name">{u.firstName} {u.lastName}</div>
+                      <div className="trial-id">@{u.username}</div>
+                    </td>
+                    <td>{u.email}</td>
+                    <td>{u.department || '—'}</td>
+                    <td>
+                      <select
+                        className="filter-select"
+                        value={u.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleRoleChange(u, e.target.value)}
+                      >
+                        {ROLE_OPTIONS.map((r) => (
+                          <option key={r} value={r}>{r.charAt(0).toUpperCase() + r.slice(1)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${u.isActive ? 'status-active' : 'status-terminated'}`}>
+                        {u.isActive ? 'Active' : 'Deactivated'}
+                      </span>
+                      {u.mustChangePassword && <div className="trial-id">Password reset pending</div>}
+                    </td>
+                    <td>{u.lastLogin ? new Date(u.lastLogin).toLocaleString() : 'Never'}</td>
+                    <td className="actions-cell">
+                      {!isSelf && (
+                        <div className="action-buttons">
+                          <button
+                            className={`action-btn ${u.isActive ? 'delete-btn' : 'view-btn'}`}
+                            title={u.isActive ? 'Deactivate' : 'Activate'}
+                            onClick={() => handleToggleActive(u)}
+                          >
+                            {u.isActive ? <MdBlock /> : <MdCheckCircle />}
+                          </button>
+                          <button
+                            className="action-btn edit-btn"
+                            title="Force password reset"
+                            onClick={() => handleResetPassword(u)}
+                          >
+                            <MdLockReset />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination-section">
+            <div className="pagination-info">
+              {pagination.totalUsers} users
+            </div>
+            <div className="pagination-controls">
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+              >
+                <MdChevronLeft />
+              </button>
+              <span className="pagination-current">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+              >
+                <MdChevronRight />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
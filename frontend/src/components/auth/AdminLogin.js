@@ -29,7 +29,7 @@ const AdminLogin = () => {
     const result = await login(formData);
     if (result.success) {
       if (result.user?.role === 'admin') {
-        navigate('/dashboard');
+        navigate('/admin/users');
       } else {
         // Non-admin tried to login via admin portal -> log out that session and show error
         await logout();
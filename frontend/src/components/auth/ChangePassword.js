@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ChangePassword = () => {
+  const navigate = useNavigate();
+  const { user, changePassword } = useAuth();
+
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [localError, setLocalError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setLocalError(null);
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setLocalError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    const result = await changePassword({
+      currentPassword: formData.currentPassword,
+      newPassword: formData.newPassword,
+    });
+    setSaving(false);
+
+    if (result.success) {
+      navigate(user?.role === 'admin' ? '/admin/users' : '/dashboard');
+    } else {
+      setLocalError(result.message);
+    }
+  };
+
+  return (
+    <div className="container main-content" style={{ maxWidth: 520 }}>
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Change Password</h2>
+          <p className="card-subtitle">
+            {user?.mustChangePassword
+              ? 'Your password was reset by an administrator. Choose a new password to continue.'
+              : 'Update your account password'}
+          </p>
+        </div>
+
+        {localError && <div className="alert alert-error mb-2">{localError}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label" htmlFor="currentPassword">
+              {user?.mustChangePassword ? 'Temporary Password' : 'Current Password'}
+            </label>
+            <input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              className="form-control"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              required
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="newPassword">New Password</label>
+            <input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              className="form-control"
+              value={formData.newPassword}
+              onChange={handleChange}
+              minLength={6}
+              required
+            />
+            <small className="text-muted">At least 6 characters with upper and lower case letters and a number</small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              className="form-control"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,150 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MdLink, MdAdd } from 'react-icons/md';
+
+const SEARCH_DELAY_MS = 250;
+const MIN_SEARCH_LENGTH = 2;
+
+// Text input that suggests directory entries (sites, investigators) as the user types. Picking a
+// suggestion links the entry; typing over a linked value unlinks it again, and `onCreate` (optional)
+// adds the typed text to the directory.
+const DirectoryAutocomplete = ({
+  id,
+  value,
+  linked,
+  onInput,
+  onSelect,
+  onCreate,
+  search,
+  describe,
+  placeholder,
+  maxLength,
+  ariaLabel,
+  required,
+}) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [creating, setCreating] = useState(false);
+  const searchRef = useRef(search);
+  searchRef.current = search;
+
+  useEffect(() => {
+    const term = value.trim();
+    if (!open || linked || term.length < MIN_SEARCH_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const entries = await searchRef.current(term);
+        if (!cancelled) {
+          setSuggestions(entries);
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, open, linked]);
+
+  const select = (entry) => {
+    onSelect(entry);
+    setOpen(false);
+  };
+
+  const create = async () => {
+    try {
+      setCreating(true);
+      const entry = await onCreate(value.trim());
+      if (entry) select(entry);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((i) => Math.min(i + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      select(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const term = value.trim();
+  const exactMatch = suggestions.some((entry) => entry.name.toLowerCase() === term.toLowerCase());
+  const showCreate = onCreate && !linked && term.length >= MIN_SEARCH_LENGTH && !exactMatch;
+
+  return (
+    <div className="autocomplete">
+      <input
+        id={id}
+        className="form-control"
+        value={value}
+        placeholder={placeholder}
+        maxLength={maxLength}
+        aria-label={ariaLabel}
+        aria-autocomplete="list"
+        autoComplete="off"
+        required={required}
+        onChange={(e) => {
+          onInput(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        // Let a click on a suggestion land before the menu closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+      />
+      {linked && (
+        <span className="autocomplete-linked" title="Linked to the directory">
+          <MdLink />
+        </span>
+      )}
+      {open && (suggestions.length > 0 || showCreate) && (
+        <ul className="autocomplete-menu" role="listbox">
+          {suggestions.map((entry, index) => (
+            <li key={entry._id} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                className={index === highlighted ? 'highlighted' : ''}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(entry)}
+              >
+                <span>{entry.name}</span>
+                {describe && <span className="text-muted">{describe(entry)}</span>}
+              </button>
+            </li>
+          ))}
+          {showCreate && (
+            <li>
+              <button
+                type="button"
+                className="autocomplete-create"
+                disabled={creating}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={create}
+              >
+                <MdAdd /> Add &ldquo;{term}&rdquo; to the directory
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DirectoryAutocomplete;
@@ -0,0 +1,296 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { handleApiError } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { MdSearch, MdAdd, MdEdit, MdDelete, MdMergeType, MdChevronLeft, MdChevronRight } from 'react-icons/md';
+
+const splitAliases = (text) => text.split(',').map((a) => a.trim()).filter(Boolean);
+
+// Shared list page of a master-data directory (sites, investigators, sponsors): search, add and edit
+// entries, and for admins delete unused entries and merge duplicates. `directory` describes the
+// entity: labels, API calls, form fields and extra table columns.
+const DirectoryManager = ({ directory }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false });
+  const [filters, setFilters] = useState({ search: '', page: 1 });
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [keep, setKeep] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const { entries: list, pagination: pages } = await directory.list({
+        search: filters.search || undefined,
+        page: filters.page,
+        limit: 20,
+      });
+      setEntries(list);
+      setPagination(pages);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters.search, filters.page]);
+
+  const startEdit = (entry) => {
+    setNotice(null);
+    setEditing({
+      id: entry ? entry._id : null,
+      values: entry ? directory.toForm(entry) : { ...directory.emptyForm },
+      aliases: entry ? entry.aliases.join(', ') : '',
+    });
+  };
+
+  const setValue = (name, value) => setEditing((prev) => ({ ...prev, values: { ...prev.values, [name]: value } }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = { ...directory.toPayload(editing.values), aliases: splitAliases(editing.aliases) };
+      const { data } = editing.id ? await directory.update(editing.id, payload) : await directory.create(payload);
+      setNotice(data.trialsUpdated ? `${data.message}; ${data.trialsUpdated} linked trial(s) updated` : data.message);
+      setEditing(null);
+      setError(null);
+      fetchEntries();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete ${entry.name} from the ${directory.title.toLowerCase()}?`)) return;
+    try {
+      const { data } = await directory.remove(entry._id);
+      setNotice(data.message);
+      setError(null);
+      fetchEntries();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+    setKeep((prev) => (prev === id ? '' : prev));
+  };
+
+  const handleMerge = async () => {
+    const target = entries.find((entry) => entry._id === keep);
+    const duplicates = selected.filter((id) => id !== keep);
+    if (!window.confirm(`Merge ${duplicates.length} ${directory.itemLabel}(s) into ${target.name}? Linked trials are moved over and the duplicates are deleted.`)) return;
+    try {
+      setSaving(true);
+      const { data } = await directory.merge(keep, duplicates);
+      setNotice(`${data.message}; ${data.trialsUpdated} trial(s) updated`);
+      setSelected([]);
+      setKeep('');
+      setError(null);
+      fetchEntries();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canEdit = (entry) => isAdmin || String(entry.createdBy) === String(user?._id);
+  const Icon = directory.icon;
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <Icon />
+            </div>
+            <h1 className="page-title">{directory.title}</h1>
+          </div>
+          <div className="d-flex gap-2">
+            {directory.actions}
+            <button type="button" className="btn btn-primary" onClick={() => startEdit(null)}>
+              <MdAdd /> Add {directory.itemLabel}
+            </button>
+          </div>
+        </div>
+
+        <div className="filters-section">
+          <div className="filters-row">
+            <div className="search-box">
+              <MdSearch className="search-icon" aria-hidden="true" />
+              <input
+                className="search-input"
+                placeholder={directory.searchPlaceholder}
+                value={filters.search}
+                onChange={(e) => setFilters({ search: e.target.value, page: 1 })}
+              />
+            </div>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+        {notice && <div className="alert alert-success mb-3">{notice}</div>}
+
+        {editing && (
+          <form className="detail-section directory-form" onSubmit={handleSave}>
+            <h2 className="section-title">{editing.id ? `Edit ${directory.itemLabel}` : `Add ${directory.itemLabel}`}</h2>
+            <div className="directory-form-fields">
+              {directory.fields.map((field) => (
+                <div key={field.name} className={`form-group ${field.wide ? 'directory-form-wide' : ''}`}>
+                  <label className="form-label" htmlFor={`directory-${field.name}`}>
+                    {field.label}{field.required ? '*' : ''}
+                  </label>
+                  {field.render ? field.render(editing.values, setValue, `directory-${field.name}`) : (
+                    <input
+                      id={`directory-${field.name}`}
+                      type={field.type || 'text'}
+                      className="form-control"
+                      maxLength={field.maxLength}
+                      required={field.required}
+                      value={editing.values[field.name]}
+                      onChange={(e) => setValue(field.name, e.target.value)}
+                    />
+                  )}
+                </div>
+              ))}
+              <div className="form-group">
+                <label className="form-label" htmlFor="directory-aliases">Also known as</label>
+                <input
+                  id="directory-aliases"
+                  className="form-control"
+                  placeholder="Comma-separated, e.g. abbreviations"
+                  value={editing.aliases}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, aliases: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>Save</button>
+              <button type="button" className="btn btn-outline btn-sm" onClick={() => setEditing(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {isAdmin && selected.length > 1 && (
+          <div className="directory-merge-bar">
+            <MdMergeType />
+            <span>Merge {selected.length} selected entries, keeping</span>
+            <select className="form-select" value={keep} onChange={(e) => setKeep(e.target.value)} aria-label="Entry to keep">
+              <option value="">Choose the entry to keep…</option>
+              {entries.filter((entry) => selected.includes(entry._id)).map((entry) => (
+                <option key={entry._id} value={entry._id}>{directory.mergeLabel(entry)}</option>
+              ))}
+            </select>
+            <button type="button" className="btn btn-primary btn-sm" disabled={!keep || saving} onClick={handleMerge}>
+              Merge
+            </button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => { setSelected([]); setKeep(''); }}>
+              Clear
+            </button>
+          </div>
+        )}
+
+        <div className="trials-table-container">
+          <table className="trials-table">
+            <thead>
+              <tr>
+                {isAdmin && <th aria-label="Select" />}
+                <th>Name</th>
+                {directory.columns.map((column) => <th key={column.label}>{column.label}</th>)}
+                <th>Trials</th>
+                <th className="actions-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry._id}>
+                  {isAdmin && (
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${entry.name}`}
+                        checked={selected.includes(entry._id)}
+                        onChange={() => toggleSelected(entry._id)}
+                      />
+                    </td>
+                  )}
+                  <td>
+                    <Link to={directory.detailPath(entry)} className="trial-name">{entry.name}</Link>
+                    {entry.aliases.length > 0 && <div className="text-muted">also {entry.aliases.join(', ')}</div>}
+                  </td>
+                  {directory.columns.map((column) => <td key={column.label}>{column.render(entry)}</td>)}
+                  <td>{entry.trialCount}</td>
+                  <td className="actions-cell">
+                    <div className="action-buttons">
+                      {canEdit(entry) && (
+                        <button type="button" className="action-btn edit-btn" title="Edit" onClick={() => startEdit(entry)}>
+                          <MdEdit />
+                        </button>
+                      )}
+                      {isAdmin && entry.trialCount === 0 && (
+                        <button type="button" className="action-btn delete-btn" title="Delete" onClick={() => handleDelete(entry)}>
+                          <MdDelete />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {!loading && entries.length === 0 && (
+                <tr>
+                  <td colSpan={directory.columns.length + (isAdmin ? 4 : 3)} className="text-muted">
+                    No entries found
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination-section">
+            <div className="pagination-info">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </div>
+            <div className="pagination-controls">
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+              >
+                <MdChevronLeft />
+              </button>
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+              >
+                <MdChevronRight />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DirectoryManager;
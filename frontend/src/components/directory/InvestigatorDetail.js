@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { investigatorsAPI, handleApiError } from '../../services/api';
+import { MdPersonSearch, MdArrowBack } from 'react-icons/md';
+
+// An investigator directory entry with every trial they lead (reverse lookup)
+const InvestigatorDetail = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data: response } = await investigatorsAPI.getInvestigator(id);
+        setData(response);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, [id]);
+
+  if (!data) {
+    return (
+      <div className="trials-page">
+        <div className="container">
+          {error ? <div className="alert alert-error">{error}</div> : <div className="loading"><div className="spinner" /></div>}
+        </div>
+      </div>
+    );
+  }
+
+  const { investigator, trials } = data;
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <Link to="/investigators" className="btn btn-outline btn-sm mb-3">
+          <MdArrowBack /> Investigator Directory
+        </Link>
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdPersonSearch />
+            </div>
+            <div>
+              <h1 className="page-title">{investigator.name}</h1>
+              <p className="text-muted">
+                {[investigator.email, investigator.aliases.length > 0 && `also known as ${investigator.aliases.join(', ')}`]
+                  .filter(Boolean)
+                  .join(' · ')}
+                {investigator.affiliation && (
+                  <>
+                    {' · '}
+                    <Link to={`/sites/${investigator.affiliation._id}`}>{investigator.affiliation.name}</Link>
+                  </>
+                )}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="detail-section">
+          <h2 className="section-title">Trials Led ({trials.length})</h2>
+          {trials.length === 0 ? (
+            <p className="text-muted">This investigator leads no trials you can access.</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Trial</th>
+                    <th>Status</th>
+                    <th>Phase</th>
+                    <th>Sponsor</th>
+                    <th>Dates</th>
+                    <th>Enrolled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trials.map((trial) => (
+                    <tr key={trial._id}>
+                      <td>
+                        <Link to={`/trials/${trial._id}`} className="trial-name">{trial.trialName}</Link>
+                        <div className="trial-id">{trial.trialId}</div>
+                      </td>
+                      <td>
+                        <span className={`status-badge status-${trial.status.toLowerCase()}`}>{trial.status}</span>
+                      </td>
+                      <td>{trial.phase}</td>
+                      <td>{trial.sponsor}</td>
+                      <td>
+                        {new Date(trial.startDate).toLocaleDateString()} – {new Date(trial.endDate).toLocaleDateString()}
+                      </td>
+                      <td>{trial.actualEnrollment} / {trial.estimatedEnrollment}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvestigatorDetail;
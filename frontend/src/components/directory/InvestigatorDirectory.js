@@ -0,0 +1,74 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { investigatorsAPI, sitesAPI } from '../../services/api';
+import DirectoryManager from './DirectoryManager';
+import DirectoryAutocomplete from './DirectoryAutocomplete';
+import { MdPersonSearch } from 'react-icons/md';
+
+const searchSites = async (term) => (await sitesAPI.getSites({ search: term, limit: 8 })).data.sites;
+
+const investigatorDirectory = {
+  title: 'Investigator Directory',
+  itemLabel: 'investigator',
+  icon: MdPersonSearch,
+  searchPlaceholder: 'Search name, alias or email...',
+  list: async (params) => {
+    const { data } = await investigatorsAPI.getInvestigators(params);
+    return { entries: data.investigators, pagination: data.pagination };
+  },
+  create: investigatorsAPI.createInvestigator,
+  update: investigatorsAPI.updateInvestigator,
+  remove: investigatorsAPI.deleteInvestigator,
+  merge: investigatorsAPI.mergeInvestigators,
+  emptyForm: { name: '', email: '', affiliation: '', affiliationName: '' },
+  toForm: (investigator) => ({
+    name: investigator.name,
+    email: investigator.email || '',
+    affiliation: investigator.affiliation?._id || '',
+    affiliationName: investigator.affiliation?.name || '',
+  }),
+  toPayload: ({ name, email, affiliation }) => ({ name, email, affiliation: affiliation || null }),
+  fields: [
+    { name: 'name', label: 'Name', required: true, maxLength: 100 },
+    { name: 'email', label: 'Email', type: 'email', maxLength: 100 },
+    {
+      name: 'affiliation',
+      label: 'Affiliation',
+      render: (values, setValue, id) => (
+        <DirectoryAutocomplete
+          id={id}
+          value={values.affiliationName}
+          linked={Boolean(values.affiliation)}
+          placeholder="Search the site directory"
+          maxLength={200}
+          onInput={(text) => {
+            setValue('affiliationName', text);
+            setValue('affiliation', '');
+          }}
+          onSelect={(site) => {
+            setValue('affiliationName', site.name);
+            setValue('affiliation', site._id);
+          }}
+          search={searchSites}
+          describe={(site) => `${site.city}, ${site.country}`}
+        />
+      ),
+    },
+  ],
+  columns: [
+    { label: 'Email', render: (investigator) => investigator.email || '—' },
+    {
+      label: 'Affiliation',
+      render: (investigator) => (investigator.affiliation
+        ? <Link to={`/sites/${investigator.affiliation._id}`}>{investigator.affiliation.name}</Link>
+        : '—'),
+    },
+  ],
+  mergeLabel: (investigator) => [investigator.name, investigator.email].filter(Boolean).join(' — '),
+  detailPath: (investigator) => `/investigators/${investigator._id}`,
+};
+
+// Shared directory of principal investigators
+const InvestigatorDirectory = () => <DirectoryManager directory={investigatorDirectory} />;
+
+export default InvestigatorDirectory;
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { sitesAPI, handleApiError } from '../../services/api';
+import { SITE_STATUS_LABELS } from '../sites/SiteLeagueTable';
+import { MdLocationCity, MdArrowBack } from 'react-icons/md';
+
+// A site directory entry with every trial running there (reverse lookup)
+const SiteDetail = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data: response } = await sitesAPI.getSite(id);
+        setData(response);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, [id]);
+
+  if (!data) {
+    return (
+      <div className="trials-page">
+        <div className="container">
+          {error ? <div className="alert alert-error">{error}</div> : <div className="loading"><div className="spinner" /></div>}
+        </div>
+      </div>
+    );
+  }
+
+  const { site, investigators, trials } = data;
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <Link to="/sites" className="btn btn-outline btn-sm mb-3">
+          <MdArrowBack /> Site Directory
+        </Link>
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdLocationCity />
+            </div>
+            <div>
+              <h1 className="page-title">{site.name}</h1>
+              <p className="text-muted">
+                {site.city}, {site.country}
+                {site.aliases.length > 0 && ` · also known as ${site.aliases.join(', ')}`}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {investigators.length > 0 && (
+          <div className="detail-section">
+            <h2 className="section-title">Affiliated Investigators</h2>
+            <ul className="directory-links">
+              {investigators.map((investigator) => (
+                <li key={investigator._id}>
+                  <Link to={`/investigators/${investigator._id}`}>{investigator.name}</Link>
+                  {investigator.email && <span className="text-muted"> · {investigator.email}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="detail-section">
+          <h2 className="section-title">Trials at this Site ({trials.length})</h2>
+          {trials.length === 0 ? (
+            <p className="text-muted">No trials you can access run at this site.</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Trial</th>
+                    <th>Status</th>
+                    <th>Phase</th>
+                    <th>Principal Investigator</th>
+                    <th>Site</th>
+                    <th>Enrolled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trials.map((trial) => (
+                    <tr key={trial._id}>
+                      <td>
+                        <Link to={`/trials/${trial._id}`} className="trial-name">{trial.trialName}</Link>
+                        <div className="trial-id">{trial.trialId}</div>
+                      </td>
+                      <td>
+                        <span className={`status-badge status-${trial.status.toLowerCase()}`}>{trial.status}</span>
+                      </td>
+                      <td>{trial.phase}</td>
+                      <td>{trial.principalInvestigator}</td>
+                      <td>
+                        {trial.locations.map((loc) => (
+                          <div key={loc._id}>
+                            {loc.siteId && <span className="trial-id">{loc.siteId} </span>}
+                            <span className={`site-status site-status-${loc.status}`}>{SITE_STATUS_LABELS[loc.status]}</span>
+                            {loc.sitePI && <div className="text-muted">PI {loc.sitePI}</div>}
+                          </div>
+                        ))}
+                      </td>
+                      <td>
+                        {trial.locations.map((loc) => (
+                          <div key={loc._id}>{loc.actualEnrollment}{loc.enrollmentTarget ? ` / ${loc.enrollmentTarget}` : ''}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SiteDetail;
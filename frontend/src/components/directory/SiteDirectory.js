@@ -0,0 +1,44 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { sitesAPI } from '../../services/api';
+import DirectoryManager from './DirectoryManager';
+import { MdLocationCity, MdLeaderboard } from 'react-icons/md';
+
+const siteDirectory = {
+  title: 'Site Directory',
+  itemLabel: 'site',
+  icon: MdLocationCity,
+  searchPlaceholder: 'Search name, alias or city...',
+  list: async (params) => {
+    const { data } = await sitesAPI.getSites(params);
+    return { entries: data.sites, pagination: data.pagination };
+  },
+  create: sitesAPI.createSite,
+  update: sitesAPI.updateSite,
+  remove: sitesAPI.deleteSite,
+  merge: sitesAPI.mergeSites,
+  emptyForm: { name: '', city: '', country: '' },
+  toForm: (site) => ({ name: site.name, city: site.city, country: site.country }),
+  toPayload: (values) => values,
+  fields: [
+    { name: 'name', label: 'Facility name', required: true, maxLength: 200 },
+    { name: 'city', label: 'City', required: true, maxLength: 100 },
+    { name: 'country', label: 'Country', required: true, maxLength: 100 },
+  ],
+  columns: [
+    { label: 'City', render: (site) => site.city },
+    { label: 'Country', render: (site) => site.country },
+  ],
+  mergeLabel: (site) => `${site.name} (${site.city}, ${site.country})`,
+  detailPath: (site) => `/sites/${site._id}`,
+  actions: (
+    <Link to="/sites/performance" className="btn btn-outline">
+      <MdLeaderboard /> Performance
+    </Link>
+  ),
+};
+
+// Shared directory of research facilities
+const SiteDirectory = () => <DirectoryManager directory={siteDirectory} />;
+
+export default SiteDirectory;
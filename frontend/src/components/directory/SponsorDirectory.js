@@ -0,0 +1,124 @@
+import React from 'react';
+import { sponsorsAPI } from '../../services/api';
+import DirectoryManager from './DirectoryManager';
+import { MdBusiness, MdAdd, MdClose } from 'react-icons/md';
+
+export const SPONSOR_TYPE_LABELS = {
+  industry: 'Industry',
+  academic: 'Academic',
+  government: 'Government',
+  nonprofit: 'Non-profit',
+  other: 'Other',
+};
+
+const emptyContact = { name: '', role: '', email: '', phone: '' };
+
+const CONTACT_FIELDS = [
+  { name: 'name', label: 'Name', maxLength: 100, required: true },
+  { name: 'role', label: 'Role', maxLength: 100 },
+  { name: 'email', label: 'Email', type: 'email', maxLength: 100 },
+  { name: 'phone', label: 'Phone', type: 'tel', maxLength: 30 },
+];
+
+// Editable list of a sponsor's contact people
+const ContactsField = ({ id, contacts, onChange }) => {
+  const updateContact = (index, name, value) => onChange(contacts.map((c, i) => (i === index ? { ...c, [name]: value } : c)));
+
+  return (
+    <div id={id}>
+      {contacts.length === 0 && <p className="text-muted">None added</p>}
+      {contacts.map((contact, index) => (
+        <div key={index} className="repeatable-row">
+          <span className="repeatable-index">{index + 1}.</span>
+          {CONTACT_FIELDS.map((field) => (
+            <input
+              key={field.name}
+              type={field.type || 'text'}
+              className="form-control"
+              placeholder={field.label}
+              aria-label={`Contact ${index + 1} ${field.label.toLowerCase()}`}
+              maxLength={field.maxLength}
+              required={field.required}
+              value={contact[field.name]}
+              onChange={(e) => updateContact(index, field.name, e.target.value)}
+            />
+          ))}
+          <button
+            type="button"
+            className="action-btn delete-btn"
+            title="Remove"
+            aria-label={`Remove contact ${index + 1}`}
+            onClick={() => onChange(contacts.filter((_, i) => i !== index))}
+          >
+            <MdClose />
+          </button>
+        </div>
+      ))}
+      {contacts.length < 20 && (
+        <button type="button" className="btn btn-outline btn-sm" onClick={() => onChange([...contacts, { ...emptyContact }])}>
+          <MdAdd /> Add contact
+        </button>
+      )}
+    </div>
+  );
+};
+
+const sponsorDirectory = {
+  title: 'Sponsor Directory',
+  itemLabel: 'sponsor',
+  icon: MdBusiness,
+  searchPlaceholder: 'Search name, alias or contact...',
+  list: async (params) => {
+    const { data } = await sponsorsAPI.getSponsors(params);
+    return { entries: data.sponsors, pagination: data.pagination };
+  },
+  create: sponsorsAPI.createSponsor,
+  update: sponsorsAPI.updateSponsor,
+  remove: sponsorsAPI.deleteSponsor,
+  merge: sponsorsAPI.mergeSponsors,
+  emptyForm: { name: '', type: 'industry', contacts: [] },
+  toForm: (sponsor) => ({
+    name: sponsor.name,
+    type: sponsor.type,
+    contacts: sponsor.contacts.map((c) => ({ ...emptyContact, name: c.name, role: c.role || '', email: c.email || '', phone: c.phone || '' })),
+  }),
+  toPayload: ({ name, type, contacts }) => ({ name, type, contacts }),
+  fields: [
+    { name: 'name', label: 'Name', required: true, maxLength: 200 },
+    {
+      name: 'type',
+      label: 'Type',
+      render: (values, setValue, id) => (
+        <select id={id} className="form-select" value={values.type} onChange={(e) => setValue('type', e.target.value)}>
+          {Object.entries(SPONSOR_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      ),
+    },
+    {
+      name: 'contacts',
+      label: 'Contacts',
+      wide: true,
+      render: (values, setValue, id) => (
+        <ContactsField id={id} contacts={values.contacts} onChange={(contacts) => setValue('contacts', contacts)} />
+      ),
+    },
+  ],
+  columns: [
+    { label: 'Type', render: (sponsor) => SPONSOR_TYPE_LABELS[sponsor.type] },
+    {
+      label: 'Contacts',
+      render: (sponsor) => (sponsor.contacts.length > 0
+        ? sponsor.contacts.map((c) => c.name).join(', ')
+        : '—'),
+    },
+  ],
+  mergeLabel: (sponsor) => `${sponsor.name} — ${SPONSOR_TYPE_LABELS[sponsor.type]}`,
+  detailPath: (sponsor) => `/sponsors/${sponsor._id}`,
+};
+
+// Shared directory of trial sponsors
+const SponsorDirectory = () => <DirectoryManager directory={sponsorDirectory} />;
+
+export default SponsorDirectory;
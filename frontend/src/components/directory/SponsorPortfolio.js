@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { sponsorsAPI, handleApiError } from '../../services/api';
+import { SPONSOR_TYPE_LABELS } from './SponsorDirectory';
+import { MdBusiness, MdArrowBack, MdDescription, MdScience, MdGroup, MdEmail, MdPhone } from 'react-icons/md';
+
+const STATUSES = ['Planning', 'Recruiting', 'Active', 'Suspended', 'Completed', 'Terminated'];
+
+const PortfolioStat = ({ icon: IconComponent, value, label, color }) => (
+  <div className={`stat-card stat-card-${color}`}>
+    <div className="stat-icon">
+      <IconComponent />
+    </div>
+    <div className="stat-content">
+      <div className="stat-value">{value}</div>
+      <div className="stat-label">{label}</div>
+    </div>
+  </div>
+);
+
+// A sponsor directory entry with its portfolio of accessible trials by phase and status
+const SponsorPortfolio = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data: response } = await sponsorsAPI.getSponsor(id);
+        setData(response);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, [id]);
+
+  if (!data) {
+    return (
+      <div className="trials-page">
+        <div className="container">
+          {error ? <div className="alert alert-error">{error}</div> : <div className="loading"><div className="spinner" /></div>}
+        </div>
+      </div>
+    );
+  }
+
+  const { sponsor, portfolio, trials } = data;
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <Link to="/sponsors" className="btn btn-outline btn-sm mb-3">
+          <MdArrowBack /> Sponsor Directory
+        </Link>
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdBusiness />
+            </div>
+            <div>
+              <h1 className="page-title">{sponsor.name}</h1>
+              <p className="text-muted">
+                {SPONSOR_TYPE_LABELS[sponsor.type]} sponsor
+                {sponsor.aliases.length > 0 && ` · also known as ${sponsor.aliases.join(', ')}`}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="stats-grid">
+          <PortfolioStat icon={MdDescription} value={portfolio.totalTrials} label="Trials" color="gray" />
+          <PortfolioStat icon={MdScience} value={portfolio.openTrials} label="Open Trials" color="blue" />
+          <PortfolioStat
+            icon={MdGroup}
+            value={portfolio.enrollment.actual}
+            label={`Participants (of ${portfolio.enrollment.expected} expected)`}
+            color="red"
+          />
+        </div>
+
+        <div className="detail-section">
+          <h2 className="section-title">Portfolio by Phase and Status</h2>
+          <div className="table-responsive">
+            <table className="table portfolio-matrix">
+              <thead>
+                <tr>
+                  <th>Phase</th>
+                  {STATUSES.map((status) => <th key={status}>{status}</th>)}
+                  <th>Total</th>
+                  <th>Enrolled</th>
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.byPhase.map((row) => (
+                  <tr key={row.phase} className={row.total === 0 ? 'portfolio-empty' : ''}>
+                    <th scope="row">{row.phase}</th>
+                    {STATUSES.map((status) => <td key={status}>{row.byStatus[status] || '·'}</td>)}
+                    <td className="portfolio-total">{row.total}</td>
+                    <td>{row.total > 0 ? `${row.enrollment.actual} / ${row.enrollment.expected}` : '·'}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th scope="row">All phases</th>
+                  {STATUSES.map((status) => <td key={status}>{portfolio.byStatus[status]}</td>)}
+                  <td className="portfolio-total">{portfolio.totalTrials}</td>
+                  <td>{portfolio.enrollment.actual} / {portfolio.enrollment.expected}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          {portfolio.byTherapeuticArea.length > 0 && (
+            <p className="text-muted mt-2">
+              Therapeutic areas: {portfolio.byTherapeuticArea.map((a) => `${a.therapeuticArea} (${a.count})`).join(', ')}
+            </p>
+          )}
+        </div>
+
+        {sponsor.contacts.length > 0 && (
+          <div className="detail-section">
+            <h2 className="section-title">Contacts</h2>
+            <ul className="directory-links">
+              {sponsor.contacts.map((contact) => (
+                <li key={contact._id}>
+                  <strong>{contact.name}</strong>
+                  {contact.role && <span className="text-muted"> · {contact.role}</span>}
+                  {contact.email && <> · <MdEmail /> <a href={`mailto:${contact.email}`}>{contact.email}</a></>}
+                  {contact.phone && <> · <MdPhone /> {contact.phone}</>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="detail-section">
+          <h2 className="section-title">Trials ({trials.length})</h2>
+          {trials.length === 0 ? (
+            <p className="text-muted">No trials you can access are linked to this sponsor.</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Trial</th>
+                    <th>Status</th>
+                    <th>Phase</th>
+                    <th>Principal Investigator</th>
+                    <th>Therapeutic Area</th>
+                    <th>Dates</th>
+                    <th>Enrolled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trials.map((trial) => (
+                    <tr key={trial._id}>
+                      <td>
+                        <Link to={`/trials/${trial._id}`} className="trial-name">{trial.trialName}</Link>
+                        <div className="trial-id">{trial.trialId}</div>
+                      </td>
+                      <td>
+                        <span className={`status-badge status-${trial.status.toLowerCase()}`}>{trial.status}</span>
+                      </td>
+                      <td>{trial.phase}</td>
+                      <td>{trial.principalInvestigator}</td>
+                      <td>{trial.therapeuticArea}</td>
+                      <td>
+                        {new Date(trial.startDate).toLocaleDateString()} – {new Date(trial.endDate).toLocaleDateString()}
+                      </td>
+                      <td>{trial.actualEnrollment} / {trial.estimatedEnrollment}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SponsorPortfolio;
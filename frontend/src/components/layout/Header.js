@@ -9,8 +9,15 @@ import {
   MdPerson, 
   MdLogout,
   MdMenu,
-  MdClose
+  MdClose,
+  MdPeople,
+  MdLock,
+  MdDeleteSweep,
+  MdLocationCity,
+  MdPersonSearch,
+  MdBusiness
 } from 'react-icons/md';
+import NotificationBell from './NotificationBell';
 import './Header.css';
 
 const Header = () => {
@@ -91,6 +98,74 @@ const Header = () => {
                       <span>New Trial</span>
                     </Link>
                   </li>
+                  <li className="nav-item">
+                    <Link 
+                      className={`nav-link ${location.pathname.startsWith('/sites') ? 'active' : ''}`} 
+                      to="/sites"
+                      onClick={closeMenu}
+                    >
+                      <MdLocationCity className="nav-icon" />
+                      <span>Sites</span>
+                    </Link>
+                  </li>
+                  <li className="nav-item">
+                    <Link 
+                      className={`nav-link ${location.pathname.startsWith('/investigators') ? 'active' : ''}`} 
+                      to="/investigators"
+                      onClick={closeMenu}
+                    >
+                      <MdPersonSearch className="nav-icon" />
+                      <span>Investigators</span>
+                    </Link>
+                  </li>
+                  <li className="nav-item">
+                    <Link 
+                      className={`nav-link ${location.pathname.startsWith('/sponsors') ? 'active' : ''}`} 
+                      to="/sponsors"
+                      onClick={closeMenu}
+                    >
+                      <MdBusiness className="nav-icon" />
+                      <span>Sponsors</span>
+                    </Link>
+                  </li>
+                  {user?.role === 'admin' && (
+                    <li className="nav-item">
+                      <Link 
+                        className={`nav-link ${isActive('/admin/users') ? 'active' : ''}`} 
+                        to="/admin/users"
+                        onClick={closeMenu}
+                      >
+                        <MdPeople className="nav-icon" />
+                        <span>Users</span>
+                      </Link>
+                    </li>
+                  )}
+                  {user?.role === 'admin' && (
+                    <li className="nav-item">
+                      <Link 
+                        className={`nav-link ${isActive('/admin/trash') ? 'active' : ''}`} 
+                        to="/admin/trash"
+                        onClick={closeMenu}
+                      >
+                        <MdDeleteSweep className="nav-icon" />
+                        <span>Trash</span>
+                      </Link>
+                    </li>
+                  )}
+                  <li className="nav-item">
+                    <NotificationBell onNavigate={closeMenu} />
+                  </li>
+                  <li className="nav-item">
+                    <Link 
+                      className={`nav-link ${isActive('/change-password') ? 'active' : ''}`} 
+                      to="/change-password"
+                      onClick={closeMenu}
+                      title="Change password"
+                      aria-label="Change password"
+                    >
+                      <MdLock className="nav-icon" />
+                    </Link>
+                  </li>
                   <li className="nav-item nav-user">
                     <span className="user-info">
                       <MdPerson className="nav-icon" />
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { notificationsAPI, handleApiError } from '../../services/api';
+import { MdNotifications, MdDoneAll, MdSettings } from 'react-icons/md';
+
+const RECENT_LIMIT = 10;
+
+// Header bell with the unread count and a dropdown of recent notifications; new
+// notifications and reads from other tabs arrive over the notification stream
+const NotificationBell = ({ onNavigate }) => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const stream = notificationsAPI.openStream();
+    const listen = (type, handler) => stream.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+    listen('ready', (data) => setUnreadCount(data.unreadCount));
+    listen('notification', (data) => {
+      setNotifications((prev) => [data.notification, ...prev].slice(0, RECENT_LIMIT));
+      setUnreadCount(data.unreadCount);
+    });
+    listen('read', (data) => {
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((n) => (
+        !n.readAt && (data.all || n._id === data.id) ? { ...n, readAt } : n
+      )));
+      setUnreadCount(data.unreadCount);
+    });
+
+    return () => stream.close();
+  }, []);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = async () => {
+    const opening = !open;
+    setOpen(opening);
+    if (!opening) return;
+    try {
+      setLoading(true);
+      const { data } = await notificationsAPI.getNotifications({ limit: RECENT_LIMIT });
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (notification) => {
+    setOpen(false);
+    onNavigate?.();
+    if (!notification.readAt) {
+      try {
+        const { data } = await notificationsAPI.markRead(notification._id);
+        setNotifications((prev) => prev.map((n) => (n._id === notification._id ? data.notification : n)));
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const { data } = await notificationsAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((n) => (n.readAt ? n : { ...n, readAt })));
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="nav-link notification-bell-btn"
+        onClick={toggle}
+        title="Notifications"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+        aria-expanded={open}
+      >
+        <MdNotifications className="nav-icon" />
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-panel" role="dialog" aria-label="Notifications">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            <button
+              type="button"
+              className="btn btn-outline btn-sm"
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0}
+            >
+              <MdDoneAll /> Mark all read
+            </button>
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+
+          {loading && notifications.length === 0 ? (
+            <div className="loading"><div className="spinner" /></div>
+          ) : notifications.length === 0 ? (
+            <div className="notification-empty text-muted">You have no notifications</div>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((n) => (
+                <li key={n._id}>
+                  <button
+                    type="button"
+                    className={`notification-item ${n.readAt ? '' : 'unread'}`}
+                    onClick={() => handleSelect(n)}
+                  >
+                    <span className="notification-message">{n.message}</span>
+                    <small className="text-muted">{new Date(n.createdAt).toLocaleString()}</small>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <Link
+            to="/settings/notifications"
+            className="notification-panel-footer"
+            onClick={() => {
+              setOpen(false);
+              onNavigate?.();
+            }}
+          >
+            <MdSettings /> Notification settings
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,359 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { trialsAPI, participantsAPI, handleApiError } from '../../services/api';
+import {
+  MdGroup,
+  MdArrowBack,
+  MdPersonAdd,
+  MdCheckCircle,
+  MdHowToReg,
+  MdCancel,
+  MdDelete,
+  MdChevronLeft,
+  MdChevronRight
+} from 'react-icons/md';
+
+const VIEWS = {
+  screening: { label: 'Screening', statuses: 'Screening' },
+  enrollment: { label: 'Enrollment', statuses: 'Enrolled,Withdrawn,Completed' },
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const emptyForm = {
+  subjectId: '',
+  studyLocation: '',
+  screeningDate: today(),
+  consentDate: '',
+};
+
+const ParticipantsList = () => {
+  const { id } = useParams();
+
+  const [trial, setTrial] = useState(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [participants, setParticipants] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [view, setView] = useState('screening');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalParticipants: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchParticipants = async () => {
+    try {
+      setLoading(true);
+      const { data } = await participantsAPI.getParticipants(id, {
+        page,
+        limit: 20,
+        status: VIEWS[view].statuses,
+      });
+      setParticipants(data.participants);
+      setSummary(data.summary);
+      setPagination(data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTrial = async () => {
+    try {
+      const { data } = await trialsAPI.getTrial(id);
+      setTrial(data.trial);
+      setCanEdit((data.permissions || []).includes('edit'));
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  useEffect(() => {
+    fetchTrial();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  useEffect(() => {
+    fetchParticipants();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, view, page]);
+
+  const changeView = (next) => {
+    setView(next);
+    setPage(1);
+  };
+
+  const locationName = (locationId) => {
+    const loc = trial?.studyLocations?.find((l) => l._id === locationId);
+    return loc ? `${loc.facility}, ${loc.city}` : '—';
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: name === 'subjectId' ? value.toUpperCase() : value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!/^[A-Z0-9-]+$/.test(form.subjectId)) {
+      setError('Subject ID can only contain uppercase letters, numbers, and hyphens');
+      return;
+    }
+    try {
+      setSaving(true);
+      await participantsAPI.createParticipant(id, {
+        subjectId: form.subjectId,
+        studyLocation: form.studyLocation || undefined,
+        screeningDate: form.screeningDate || undefined,
+        consentDate: form.consentDate || undefined,
+      });
+      setForm(emptyForm);
+      fetchParticipants();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateParticipant = async (participant, data) => {
+    try {
+      await participantsAPI.updateParticipant(id, participant._id, data);
+      fetchParticipants();
+      fetchTrial();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleEnroll = (participant) => {
+    let consentDate = participant.consentDate;
+    if (!consentDate) {
+      consentDate = window.prompt(`Informed consent date for ${participant.subjectId} (YYYY-MM-DD):`, today());
+      if (!consentDate) return;
+    }
+    updateParticipant(participant, { status: 'Enrolled', consentDate });
+  };
+
+  const handleWithdraw = (participant) => {
+    const withdrawalReason = window.prompt(`Reason for withdrawing ${participant.subjectId}:`);
+    if (!withdrawalReason) return;
+    updateParticipant(participant, { status: 'Withdrawn', withdrawalReason });
+  };
+
+  const handleComplete = (participant) => {
+    if (!window.confirm(`Mark ${participant.subjectId} as having completed the study?`)) return;
+    updateParticipant(participant, { status: 'Completed' });
+  };
+
+  const handleDelete = async (participant) => {
+    if (!window.confirm(`Delete screening record ${participant.subjectId}?`)) return;
+    try {
+      await participantsAPI.deleteParticipant(id, participant._id);
+      fetchParticipants();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdGroup />
+            </div>
+            <div>
+              <h1 className="page-title">Participants</h1>
+              {trial && <div className="trial-id">{trial.trialName} ({trial.trialId})</div>}
+            </div>
+          </div>
+          <Link to={`/trials/${id}`} className="btn btn-outline"><MdArrowBack /> Back to Trial</Link>
+        </div>
+
+        {trial && (
+          <div className="participant-summary">
+            <span><strong>{trial.actualEnrollment || 0}</strong> / {trial.estimatedEnrollment} enrolled</span>
+            {Object.entries(summary).map(([status, count]) => (
+              <span key={status} className="participant-summary-item">{status}: <strong>{count}</strong></span>
+            ))}
+          </div>
+        )}
+
+        <div className="tabs" role="tablist">
+          {Object.entries(VIEWS).map(([key, { label }]) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={view === key}
+              className={`tab-btn ${view === key ? 'active' : ''}`}
+              onClick={() => changeView(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+
+        {view === 'screening' && canEdit && (
+          <form className="filters-section participant-form" onSubmit={handleAdd}>
+            <div className="filters-row">
+              <input
+                name="subjectId"
+                className="form-control"
+                placeholder="Subject ID (e.g. SUBJ-001)"
+                value={form.subjectId}
+                onChange={handleChange}
+                maxLength={50}
+                required
+              />
+              <select
+                name="studyLocation"
+                className="filter-select"
+                value={form.studyLocation}
+                onChange={handleChange}
+              >
+                <option value="">No study location</option>
+                {(trial?.studyLocations || []).map((loc) => (
+                  <option key={loc._id} value={loc._id} disabled={loc.status !== 'active'}>
+                    {loc.facility}, {loc.city}{loc.status !== 'active' ? ` (${loc.status})` : ''}
+                  </option>
+                ))}
+              </select>
+              <label className="inline-field">
+                Screened
+                <input type="date" name="screeningDate" className="form-control" value={form.screeningDate} onChange={handleChange} />
+              </label>
+              <label className="inline-field">
+                Consent
+                <input type="date" name="consentDate" className="form-control" value={form.consentDate} onChange={handleChange} />
+              </label>
+              <button type="submit" className="btn btn-primary" disabled={saving || !form.subjectId}>
+                <MdPersonAdd /> Add to Screening
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="trials-table-container">
+          <table className="trials-table">
+            <thead>
+              <tr>
+                <th>Subject ID</th>
+                <th>Study Location</th>
+                <th>Status</th>
+                <th>Screened</th>
+                <th>Consent</th>
+                {view === 'enrollment' && <th>Enrolled</th>}
+                {view === 'enrollment' && <th>Withdrawn / Completed</th>}
+                {canEdit && <th className="actions-header">Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && participants.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="empty-row">
+                    <div className="empty-state">
+                      <MdGroup />
+                      <h3>No participants</h3>
+                      <p>{view === 'screening' ? 'Add a subject to start screening' : 'Enroll screened subjects to see them here'}</p>
+                    </div>
+                  </td>
+                </tr>
+              )}
+              {participants.map((p) => (
+                <tr key={p._id} className="trial-row">
+                  <td className="trial-name-cell">
+                    <div className="trial-name">{p.subjectId}</div>
+                  </td>
+                  <td>{locationName(p.studyLocation)}</td>
+                  <td>
+                    <span className={`status-badge participant-${p.status.toLowerCase()}`}>{p.status}</span>
+                  </td>
+                  <td>{formatDate(p.screeningDate)}</td>
+                  <td>{formatDate(p.consentDate)}</td>
+                  {view === 'enrollment' && <td>{formatDate(p.enrollmentDate)}</td>}
+                  {view === 'enrollment' && (
+                    <td title={p.withdrawalReason || ''}>
+                      {formatDate(p.withdrawalDate || p.completionDate)}
+                      {p.withdrawalReason && <div className="trial-id">{p.withdrawalReason}</div>}
+                    </td>
+                  )}
+                  {canEdit && (
+                    <td className="actions-cell">
+                      <div className="action-buttons">
+                        {p.status === 'Screening' && (
+                          <button className="action-btn view-btn" title="Enroll" onClick={() => handleEnroll(p)}>
+                            <MdHowToReg />
+                          </button>
+                        )}
+                        {p.status === 'Enrolled' && (
+                          <button className="action-btn edit-btn" title="Complete" onClick={() => handleComplete(p)}>
+                            <MdCheckCircle />
+                          </button>
+                        )}
+                        {['Screening', 'Enrolled'].includes(p.status) && (
+                          <button className="action-btn delete-btn" title="Withdraw" onClick={() => handleWithdraw(p)}>
+                            <MdCancel />
+                          </button>
+                        )}
+                        {p.status === 'Screening' && (
+                          <button className="action-btn delete-btn" title="Delete" onClick={() => handleDelete(p)}>
+                            <MdDelete />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination-section">
+            <div className="pagination-info">
+              {pagination.totalParticipants} participants
+            </div>
+            <div className="pagination-controls">
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setPage((p) => p - 1)}
+              >
+                <MdChevronLeft />
+              </button>
+              <span className="pagination-current">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                className="pagination-btn"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setPage((p) => p + 1)}
+              >
+                <MdChevronRight />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParticipantsList;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const EVENT_LABELS = {
+  statusChange: ['Status changes', 'A trial moves to a new lifecycle status'],
+  note: ['Notes', 'Someone adds a note to a trial'],
+  mention: ['Mentions', 'Someone mentions you in a note with @username'],
+  teamAssignment: ['Team assignments', 'You are added to a trial team'],
+  deadline: ['Deadline reminders', 'An open trial is approaching its end date'],
+  alert: ['Trial alerts', 'The nightly check finds a trial overdue, not started or under-enrolling'],
+};
+
+const DELIVERY_LABELS = {
+  immediate: 'One email per event',
+  digest: 'Daily digest',
+  off: 'No emails',
+};
+
+// Event checkboxes and email delivery select shared by the settings page and the trial override.
+// `value` is { events, emailDelivery }.
+const NotificationPreferencesFields = ({ value, events, deliveryModes, onChange, idPrefix }) => {
+  const toggleEvent = (event) => {
+    const selected = value.events.includes(event)
+      ? value.events.filter((e) => e !== event)
+      : [...value.events, event];
+    onChange({ ...value, events: events.filter((e) => selected.includes(e)) });
+  };
+
+  return (
+    <>
+      <fieldset className="form-group notification-events">
+        <legend className="form-label">Notify me about</legend>
+        {events.map((event) => (
+          <label key={event} className="notification-event" htmlFor={`${idPrefix}-${event}`}>
+            <input
+              id={`${idPrefix}-${event}`}
+              type="checkbox"
+              checked={value.events.includes(event)}
+              onChange={() => toggleEvent(event)}
+            />
+            <span>
+              {EVENT_LABELS[event]?.[0] || event}
+              <small className="text-muted">{EVENT_LABELS[event]?.[1]}</small>
+            </span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor={`${idPrefix}-delivery`}>Email delivery</label>
+        <select
+          id={`${idPrefix}-delivery`}
+          className="form-select"
+          value={value.emailDelivery}
+          onChange={(e) => onChange({ ...value, emailDelivery: e.target.value })}
+        >
+          {deliveryModes.map((mode) => (
+            <option key={mode} value={mode}>{DELIVERY_LABELS[mode] || mode}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+};
+
+export default NotificationPreferencesFields;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { notificationsAPI, handleApiError } from '../../services/api';
+import NotificationPreferencesFields from './NotificationPreferencesFields';
+import { MdNotifications } from 'react-icons/md';
+
+const DELIVERY_SUMMARY = { immediate: 'Immediate', digest: 'Daily digest', off: 'Off' };
+
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [options, setOptions] = useState({ events: [], deliveryModes: [] });
+  const [trialOverrides, setTrialOverrides] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data } = await notificationsAPI.getPreferences();
+        setPreferences(data.preferences);
+        setOptions({ events: data.events, deliveryModes: data.deliveryModes });
+        setTrialOverrides(data.trialOverrides);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = await notificationsAPI.updatePreferences(preferences);
+      setPreferences(data.preferences);
+      setSuccess(data.message);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+      setSuccess(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async (override) => {
+    try {
+      await notificationsAPI.resetTrialPreferences(override.trial._id);
+      setTrialOverrides((prev) => prev.filter((o) => o.trial._id !== override.trial._id));
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  return (
+    <div className="container main-content" style={{ maxWidth: 720 }}>
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title"><MdNotifications /> Email Notifications</h2>
+          <p className="card-subtitle">
+            Choose which trial events you are emailed about. These defaults apply to every trial you own or
+            belong to, unless you override them on a trial's Team tab.
+          </p>
+        </div>
+
+        {error && <div className="alert alert-error mb-2">{error}</div>}
+        {success && <div className="alert alert-success mb-2">{success}</div>}
+
+        {!preferences ? (
+          !error && <div className="loading"><div className="spinner" /></div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <NotificationPreferencesFields
+              idPrefix="defaults"
+              value={preferences}
+              events={options.events}
+              deliveryModes={options.deliveryModes}
+              onChange={(value) => {
+                setPreferences(value);
+                setSuccess(null);
+              }}
+            />
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Preferences'}
+            </button>
+          </form>
+        )}
+
+        {trialOverrides.length > 0 && (
+          <div className="mt-3">
+            <h3 className="form-label">Trial overrides</h3>
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Trial</th>
+                    <th>Events</th>
+                    <th>Delivery</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {trialOverrides.map((override) => (
+                    <tr key={override.trial._id}>
+                      <td>
+                        <Link to={`/trials/${override.trial._id}`}>{override.trial.trialName}</Link>
+                        <div className="trial-id">{override.trial.trialId}</div>
+                      </td>
+                      <td>{override.events.length} of {options.events.length}</td>
+                      <td>{DELIVERY_SUMMARY[override.emailDelivery]}</td>
+                      <td>
+                        <button type="button" className="btn btn-outline btn-sm" onClick={() => handleReset(override)}>
+                          Use defaults
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+export const SITE_STATUS_LABELS = {
+  pending: 'Pending',
+  active: 'Active',
+  closed: 'Closed',
+};
+
+// Ranked study sites with enrollment against target and the pace expected by now
+const SiteLeagueTable = ({ sites, showTrial = false }) => (
+  <div className="table-responsive">
+    <table className="table site-league-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Site</th>
+          {showTrial && <th>Trial</th>}
+          <th>Site PI</th>
+          <th>Status</th>
+          <th>Enrolled / Target</th>
+          <th>Expected by Now</th>
+          <th>Pace</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sites.map((site) => (
+          <tr key={site.studyLocation} className={site.behind ? 'site-behind' : ''}>
+            <td>{site.rank}</td>
+            <td>
+              {site.siteId && <span className="trial-id">{site.siteId}</span>} {site.facility}
+              <div className="text-muted">{site.city}, {site.country}</div>
+            </td>
+            {showTrial && (
+              <td>
+                <Link to={`/trials/${site.trial._id}`}>{site.trial.trialId}</Link>
+                <div className="text-muted">{site.trial.trialName}</div>
+              </td>
+            )}
+            <td>{site.sitePI || '—'}</td>
+            <td>
+              <span className={`site-status site-status-${site.status}`}>{SITE_STATUS_LABELS[site.status]}</span>
+              {site.activationDate && (
+                <div className="text-muted">since {new Date(site.activationDate).toLocaleDateString()}</div>
+              )}
+            </td>
+            <td>
+              {site.actual} / {site.target ?? '—'}
+              {site.percentOfTarget !== null && <div className="text-muted">{site.percentOfTarget}%</div>}
+            </td>
+            <td>{site.expected ?? '—'}</td>
+            <td>
+              {site.percentOfExpected === null ? (
+                <span className="text-muted">Not measured</span>
+              ) : (
+                <>
+                  <div className="site-pace">
+                    <div className="progress-bar">
+                      <div className="progress-fill" style={{ width: `${Math.min(site.percentOfExpected, 100)}%` }} />
+                    </div>
+                    <span>{site.percentOfExpected}%</span>
+                  </div>
+                  {site.behind && <span className="site-behind-label">Behind by {site.expected - site.actual}</span>}
+                </>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default SiteLeagueTable;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { sitesAPI, handleApiError } from '../../services/api';
+import SiteLeagueTable, { SITE_STATUS_LABELS } from './SiteLeagueTable';
+import { MdLocationCity } from 'react-icons/md';
+
+// Site league table across the user's open trials
+const SitePerformance = () => {
+  const [filters, setFilters] = useState({ status: 'active', country: '', behind: false });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const params = {};
+        if (filters.status) params.status = filters.status;
+        if (filters.country) params.country = filters.country;
+        if (filters.behind) params.behind = true;
+        const { data: response } = await sitesAPI.getPerformance(params);
+        setData(response);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [filters]);
+
+  const update = (field) => (e) => setFilters({
+    ...filters,
+    [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+  });
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdLocationCity />
+            </div>
+            <h1 className="page-title">Site Performance</h1>
+          </div>
+        </div>
+
+        <p className="text-muted mb-3">
+          Study sites of your open trials, ranked by enrollment against the pace their targets call for. A site is behind
+          when it has enrolled fewer participants than its target spread evenly from activation to the trial's end date.
+        </p>
+
+        <div className="site-filters">
+          <select className="form-select" value={filters.status} onChange={update('status')} aria-label="Site status">
+            <option value="">All statuses</option>
+            {Object.entries(SITE_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select className="form-select" value={filters.country} onChange={update('country')} aria-label="Country">
+            <option value="">All countries</option>
+            {(data ? data.summary.countries : []).map((country) => (
+              <option key={country} value={country}>{country}</option>
+            ))}
+          </select>
+          <label className="site-filter-check">
+            <input type="checkbox" checked={filters.behind} onChange={update('behind')} /> Behind target only
+          </label>
+          {data && (
+            <span className="site-summary">
+              {data.summary.totalSites} sites · {data.summary.activeSites} active · {data.summary.behindSites} behind target
+            </span>
+          )}
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+
+        {loading && !data ? (
+          <div className="loading"><div className="spinner" /></div>
+        ) : data && data.sites.length === 0 ? (
+          <p className="text-muted">No sites match these filters.</p>
+        ) : data && (
+          <div className="detail-section">
+            <SiteLeagueTable sites={data.sites} showTrial />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SitePerformance;
@@ -0,0 +1,103 @@
+import React from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const PAD = { top: 16, right: 16, bottom: 32, left: 44 };
+
+const time = (d) => new Date(d).getTime();
+
+// SVG chart of actual enrollment against the straight-line target from start to end date,
+// with the projected path to the target when one is available
+const EnrollmentChart = ({ target, actual, projection }) => {
+  const start = time(target.startDate);
+  const end = time(target.endDate);
+  const now = Date.now();
+  const projected = projection.projectedCompletionDate && projection.status !== 'complete'
+    ? time(projection.projectedCompletionDate)
+    : null;
+  const lastActual = actual.length > 0 ? time(actual[actual.length - 1].date) : start;
+  const maxX = Math.max(end, projected || 0, Math.min(now, end + (end - start)), lastActual);
+  const minX = Math.min(start, actual.length > 0 ? time(actual[0].date) : start);
+  const maxY = Math.max(target.estimatedEnrollment, ...actual.map((p) => p.enrolled));
+
+  const x = (t) => PAD.left + ((t - minX) / (maxX - minX || 1)) * (WIDTH - PAD.left - PAD.right);
+  const y = (v) => HEIGHT - PAD.bottom - (v / (maxY || 1)) * (HEIGHT - PAD.top - PAD.bottom);
+
+  // Step line: enrollment holds its value until the next snapshot, then up to today
+  const steps = [[start, 0], ...actual.map((p) => [time(p.date), p.enrolled])]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, [t, v]) => {
+      const prev = acc[acc.length - 1];
+      if (prev) acc.push([t, prev[1]]);
+      acc.push([t, v]);
+      return acc;
+    }, []);
+  const current = projection.current;
+  const lineEnd = Math.min(Math.max(now, lastActual), maxX);
+  steps.push([lineEnd, steps.length > 0 ? steps[steps.length - 1][1] : current]);
+  const actualPath = steps.map(([t, v], i) => `${i === 0 ? 'M' : 'L'}${x(t).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(maxY * f));
+  const xTicks = [minX, (minX + maxX) / 2, maxX];
+
+  return (
+    <div className="enrollment-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Enrollment over time against target">
+        {yTicks.map((v) => (
+          <g key={v}>
+            <line className="chart-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(v)} y2={y(v)} />
+            <text className="chart-label" x={PAD.left - 6} y={y(v) + 4} textAnchor="end">{v}</text>
+          </g>
+        ))}
+        {xTicks.map((t) => (
+          <text key={t} className="chart-label" x={x(t)} y={HEIGHT - 10} textAnchor="middle">
+            {new Date(t).toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}
+          </text>
+        ))}
+
+        <line
+          className="chart-target"
+          x1={x(start)}
+          y1={y(0)}
+          x2={x(end)}
+          y2={y(target.estimatedEnrollment)}
+        />
+        <line className="chart-end-marker" x1={x(end)} x2={x(end)} y1={PAD.top} y2={HEIGHT - PAD.bottom} />
+        {now >= minX && now <= maxX && (
+          <line className="chart-today" x1={x(now)} x2={x(now)} y1={PAD.top} y2={HEIGHT - PAD.bottom} />
+        )}
+
+        {projected && (
+          <line
+            className="chart-projection"
+            x1={x(lineEnd)}
+            y1={y(current)}
+            x2={x(projected)}
+            y2={y(target.estimatedEnrollment)}
+          />
+        )}
+
+        <path className="chart-actual" d={actualPath} />
+        {actual.map((p) => (
+          <circle
+            key={`${p.date}-${p.enrolled}`}
+            className={`chart-point chart-point-${p.source}`}
+            cx={x(time(p.date))}
+            cy={y(p.enrolled)}
+            r={3}
+          >
+            <title>{`${new Date(p.date).toLocaleDateString()}: ${p.enrolled} enrolled (${p.source})`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="chart-legend">
+        <span><i className="legend-swatch legend-actual" /> Actual</span>
+        <span><i className="legend-swatch legend-target" /> Target (even enrollment to end date)</span>
+        {projected && <span><i className="legend-swatch legend-projection" /> Projection</span>}
+      </div>
+    </div>
+  );
+};
+
+export default EnrollmentChart;
@@ -0,0 +1,228 @@
+import React from 'react';
+import { MdAdd, MdArrowUpward, MdArrowDownward, MdClose } from 'react-icons/md';
+import { sitesAPI, handleApiError } from '../../services/api';
+import DirectoryAutocomplete from '../directory/DirectoryAutocomplete';
+
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Move up / move down / remove buttons shared by every repeatable row
+const RowControls = ({ index, count, label, onChange, items, disabled }) => (
+  <div className="repeatable-controls">
+    <button
+      type="button"
+      className="action-btn"
+      title="Move up"
+      aria-label={`Move ${label} ${index + 1} up`}
+      disabled={disabled || index === 0}
+      onClick={() => onChange(moveItem(items, index, index - 1))}
+    >
+      <MdArrowUpward />
+    </button>
+    <button
+      type="button"
+      className="action-btn"
+      title="Move down"
+      aria-label={`Move ${label} ${index + 1} down`}
+      disabled={disabled || index === count - 1}
+      onClick={() => onChange(moveItem(items, index, index + 1))}
+    >
+      <MdArrowDownward />
+    </button>
+    <button
+      type="button"
+      className="action-btn delete-btn"
+      title="Remove"
+      aria-label={`Remove ${label} ${index + 1}`}
+      disabled={disabled}
+      onClick={() => onChange(items.filter((_, i) => i !== index))}
+    >
+      <MdClose />
+    </button>
+  </div>
+);
+
+// Editable list of strings (endpoints, criteria); `disabled` shows the list read-only
+export const ListField = ({ id, label, itemLabel, items, onChange, maxLength, maxItems, placeholder, disabled = false }) => (
+  <div className="repeatable-field mb-4">
+    <label htmlFor={`${id}-0`} className="form-label">{label}</label>
+    {items.length === 0 && <p className="text-muted">None added</p>}
+    {items.map((item, index) => (
+      <div key={index} className="repeatable-row">
+        <span className="repeatable-index">{index + 1}.</span>
+        <input
+          id={`${id}-${index}`}
+          className="form-control"
+          value={item}
+          maxLength={maxLength}
+          placeholder={placeholder}
+          disabled={disabled}
+          onChange={(e) => onChange(items.map((v, i) => (i === index ? e.target.value : v)))}
+        />
+        <RowControls index={index} count={items.length} label={itemLabel} items={items} onChange={onChange} disabled={disabled} />
+      </div>
+    ))}
+    <button
+      type="button"
+      className="btn btn-outline btn-sm"
+      disabled={disabled || items.length >= maxItems}
+      onClick={() => onChange([...items, ''])}
+    >
+      <MdAdd /> Add {itemLabel}
+    </button>
+  </div>
+);
+
+const SITE_STATUS_OPTIONS = [
+  ['pending', 'Pending'],
+  ['active', 'Active'],
+  ['closed', 'Closed'],
+];
+
+const emptyLocation = {
+  site: '',
+  facility: '',
+  city: '',
+  country: '',
+  siteId: '',
+  sitePI: '',
+  status: 'pending',
+  activationDate: '',
+  enrollmentTarget: '',
+};
+
+const searchSites = async (term) => (await sitesAPI.getSites({ search: term, limit: 8 })).data.sites;
+
+const describeSite = (site) => `${site.city}, ${site.country}${site.aliases.length > 0 ? ` · also ${site.aliases.join(', ')}` : ''}`;
+
+// Editable list of study locations and their site details; existing rows keep their _id. Facilities
+// are picked from the site directory, which fills in city and country; editing them unlinks the site.
+export const LocationsField = ({ items, onChange, maxItems, onError }) => {
+  const update = (index, field, value) =>
+    onChange(items.map((loc, i) => (i === index ? { ...loc, [field]: value } : loc)));
+
+  const updatePlace = (index, field, value) =>
+    onChange(items.map((loc, i) => (i === index ? { ...loc, [field]: value, site: '' } : loc)));
+
+  const linkSite = (index, site) =>
+    onChange(items.map((loc, i) => (i === index
+      ? { ...loc, site: site._id, facility: site.name, city: site.city, country: site.country }
+      : loc)));
+
+  // A new directory entry needs the row's city and country as well as the facility name
+  const createSite = (index) => async (name) => {
+    const { city, country } = items[index];
+    if (!city.trim() || !country.trim()) {
+      onError('Enter the city and country before adding the facility to the site directory');
+      return null;
+    }
+    try {
+      const { data } = await sitesAPI.createSite({ name, city: city.trim(), country: country.trim() });
+      return data.site;
+    } catch (err) {
+      onError(handleApiError(err));
+      return null;
+    }
+  };
+
+  return (
+    <div className="repeatable-field mb-4">
+      <label htmlFor="location-facility-0" className="form-label">Study Locations</label>
+      {items.length === 0 && <p className="text-muted">None added</p>}
+      {items.map((loc, index) => (
+        <div key={loc._id || `new-${index}`} className="location-row">
+          <div className="repeatable-row">
+            <span className="repeatable-index">{index + 1}.</span>
+            <DirectoryAutocomplete
+              id={`location-facility-${index}`}
+              value={loc.facility}
+              linked={Boolean(loc.site)}
+              placeholder="Facility"
+              maxLength={200}
+              onInput={(text) => updatePlace(index, 'facility', text)}
+              onSelect={(site) => linkSite(index, site)}
+              onCreate={createSite(index)}
+              search={searchSites}
+              describe={describeSite}
+            />
+            <input
+              className="form-control"
+              placeholder="City"
+              aria-label={`Location ${index + 1} city`}
+              maxLength={100}
+              value={loc.city}
+              onChange={(e) => updatePlace(index, 'city', e.target.value)}
+            />
+            <input
+              className="form-control"
+              placeholder="Country"
+              aria-label={`Location ${index + 1} country`}
+              maxLength={100}
+              value={loc.country}
+              onChange={(e) => updatePlace(index, 'country', e.target.value)}
+            />
+            <RowControls index={index} count={items.length} label="location" items={items} onChange={onChange} />
+          </div>
+          <div className="location-site-fields">
+            <input
+              className="form-control"
+              placeholder="Site ID"
+              aria-label={`Location ${index + 1} site ID`}
+              maxLength={50}
+              value={loc.siteId}
+              onChange={(e) => update(index, 'siteId', e.target.value.toUpperCase())}
+            />
+            <input
+              className="form-control"
+              placeholder="Site PI"
+              aria-label={`Location ${index + 1} site PI`}
+              maxLength={100}
+              value={loc.sitePI}
+              onChange={(e) => update(index, 'sitePI', e.target.value)}
+            />
+            <select
+              className="form-select"
+              aria-label={`Location ${index + 1} site status`}
+              value={loc.status}
+              onChange={(e) => update(index, 'status', e.target.value)}
+            >
+              {SITE_STATUS_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              className="form-control"
+              title="Activation date"
+              aria-label={`Location ${index + 1} activation date`}
+              value={loc.activationDate}
+              onChange={(e) => update(index, 'activationDate', e.target.value)}
+            />
+            <input
+              type="number"
+              min="1"
+              max="100000"
+              className="form-control"
+              placeholder="Enrollment target"
+              aria-label={`Location ${index + 1} enrollment target`}
+              value={loc.enrollmentTarget}
+              onChange={(e) => update(index, 'enrollmentTarget', e.target.value)}
+            />
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline btn-sm"
+        disabled={items.length >= maxItems}
+        onClick={() => onChange([...items, { ...emptyLocation }])}
+      >
+        <MdAdd /> Add Location
+      </button>
+    </div>
+  );
+};
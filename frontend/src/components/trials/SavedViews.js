@@ -0,0 +1,199 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { viewsAPI, handleApiError } from '../../services/api';
+import {
+  MdBookmarkAdd,
+  MdSave,
+  MdStar,
+  MdStarBorder,
+  MdShare,
+  MdDelete
+} from 'react-icons/md';
+
+// Order-insensitive comparison of a view with the list's current filters and columns
+const configKey = ({ filters = {}, columns = [] }) => JSON.stringify([
+  Object.entries(filters).filter(([, v]) => v).sort(([a], [b]) => a.localeCompare(b)),
+  [...columns].sort(),
+]);
+
+// Saved views dropdown for TrialsList. `current` is the list's { filters, columns };
+// `onApply(view, options)` loads a view into the list; the default view is applied on
+// first load when the list was opened without any filters.
+const SavedViews = ({ current, onApply, applyDefault }) => {
+  const [views, setViews] = useState([]);
+  const [shared, setShared] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', isDefault: false, shared: false });
+  const [error, setError] = useState(null);
+  const defaultApplied = useRef(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data } = await viewsAPI.getViews();
+        setViews(data.views);
+        setShared(data.shared);
+        const defaultView = data.views.find((v) => v.isDefault);
+        if (applyDefault && defaultView && !defaultApplied.current) {
+          defaultApplied.current = true;
+          setSelectedId(defaultView._id);
+          onApply(defaultView, { replace: true });
+        }
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const ownView = views.find((v) => v._id === selectedId);
+  const selected = ownView || shared.find((v) => v._id === selectedId);
+  const isModified = selected && configKey(selected) !== configKey(current);
+
+  const run = async (request) => {
+    try {
+      const { data } = await request;
+      setViews(data.views);
+      setError(null);
+      return data;
+    } catch (err) {
+      setError(handleApiError(err));
+      return null;
+    }
+  };
+
+  const handleSelect = (e) => {
+    const id = e.target.value;
+    setSelectedId(id);
+    const view = views.find((v) => v._id === id) || shared.find((v) => v._id === id);
+    if (view) onApply(view);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    const data = await run(viewsAPI.createView({ ...form, name: form.name.trim(), ...current }));
+    if (data) {
+      setSelectedId(data.view._id);
+      setSaving(false);
+      setForm({ name: '', isDefault: false, shared: false });
+    }
+  };
+
+  const handleUpdate = () => run(viewsAPI.updateView(ownView._id, current));
+
+  const handleToggle = (field) => run(viewsAPI.updateView(ownView._id, { [field]: !ownView[field] }));
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${ownView.name}"?`)) return;
+    const data = await run(viewsAPI.deleteView(ownView._id));
+    if (data) setSelectedId('');
+  };
+
+  return (
+    <div className="saved-views">
+      <div className="saved-views-row">
+        <select
+          className="filter-select"
+          aria-label="Saved views"
+          value={selectedId}
+          onChange={handleSelect}
+        >
+          <option value="">Saved views...</option>
+          {views.length > 0 && (
+            <optgroup label="My views">
+              {views.map((v) => (
+                <option key={v._id} value={v._id}>
+                  {v.name}{v.isDefault ? ' (default)' : ''}{v.shared ? ' · shared' : ''}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {shared.length > 0 && (
+            <optgroup label="Shared by colleagues">
+              {shared.map((v) => (
+                <option key={v._id} value={v._id}>
+                  {v.name} — {v.owner.firstName} {v.owner.lastName}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+
+        {ownView && (
+          <div className="action-buttons">
+            <button
+              type="button"
+              className="action-btn edit-btn"
+              title="Save current filters to this view"
+              disabled={!isModified}
+              onClick={handleUpdate}
+            >
+              <MdSave />
+            </button>
+            <button
+              type="button"
+              className={`action-btn ${ownView.isDefault ? 'view-btn' : ''}`}
+              title={ownView.isDefault ? 'Default view (click to unset)' : 'Make default view'}
+              onClick={() => handleToggle('isDefault')}
+            >
+              {ownView.isDefault ? <MdStar /> : <MdStarBorder />}
+            </button>
+            <button
+              type="button"
+              className={`action-btn ${ownView.shared ? 'view-btn' : ''}`}
+              title={ownView.shared ? 'Shared with colleagues (click to stop sharing)' : 'Share with colleagues'}
+              onClick={() => handleToggle('shared')}
+            >
+              <MdShare />
+            </button>
+            <button type="button" className="action-btn delete-btn" title="Delete view" onClick={handleDelete}>
+              <MdDelete />
+            </button>
+          </div>
+        )}
+        {isModified && <small className="text-muted">Modified</small>}
+
+        <button type="button" className="btn btn-outline" onClick={() => setSaving((v) => !v)}>
+          <MdBookmarkAdd /> Save View
+        </button>
+      </div>
+
+      {saving && (
+        <form className="saved-views-form" onSubmit={handleCreate}>
+          <input
+            className="form-control"
+            placeholder="View name"
+            aria-label="View name"
+            maxLength={60}
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) => setForm((prev) => ({ ...prev, isDefault: e.target.checked }))}
+            />
+            {' '}Default
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={form.shared}
+              onChange={(e) => setForm((prev) => ({ ...prev, shared: e.target.checked }))}
+            />
+            {' '}Share with colleagues
+          </label>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!form.name.trim()}>Save</button>
+          <button type="button" className="btn btn-outline btn-sm" onClick={() => setSaving(false)}>Cancel</button>
+        </form>
+      )}
+
+      {error && <div className="alert alert-error mt-2">{error}</div>}
+    </div>
+  );
+};
+
+export default SavedViews;
@@ -0,0 +1,66 @@
+import React from 'react';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest terms first so a phrase wins over the words inside it
+const termsPattern = (terms) => {
+  const cleaned = [...new Set((terms || []).map((t) => t.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return cleaned.length ? new RegExp(`(${cleaned.join('|')})`, 'gi') : null;
+};
+
+// Wrap every occurrence of the search terms in <mark>
+export const Highlight = ({ text, terms }) => {
+  const pattern = termsPattern(terms);
+  if (!pattern || !text) return <>{text}</>;
+  return (
+    <>
+      {String(text).split(pattern).map((part, i) =>
+        i % 2 === 1 ? <mark key={i} className="search-highlight">{part}</mark> : part
+      )}
+    </>
+  );
+};
+
+// Fields not shown in the list that can still explain why a trial matched
+const CONTEXT_FIELDS = [
+  ['sponsor', 'Sponsor'],
+  ['drugName', 'Drug'],
+  ['therapeuticArea', 'Area'],
+  ['description', 'Description'],
+];
+
+const SNIPPET_RADIUS = 60;
+
+const snippet = (text, index) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// "Sponsor: <mark>Pfizer</mark> · Description: …<mark>lung</mark>…" for the fields that contain a term
+export const MatchContext = ({ trial, terms }) => {
+  const pattern = termsPattern(terms);
+  if (!pattern) return null;
+
+  const matches = CONTEXT_FIELDS
+    .map(([field, label]) => {
+      const value = trial[field] ? String(trial[field]) : '';
+      const found = value.search(pattern);
+      return found === -1 ? null : { field, label, text: field === 'description' ? snippet(value, found) : value };
+    })
+    .filter(Boolean);
+
+  if (matches.length === 0) return null;
+  return (
+    <div className="search-match-context">
+      {matches.map((m, i) => (
+        <span key={m.field}>
+          {i > 0 && ' · '}
+          {m.label}: <Highlight text={m.text} terms={terms} />
+        </span>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+import { amendmentsAPI, handleApiError } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { ListField } from './RepeatableFields';
+import { MdAssignment, MdNoteAdd, MdSend, MdCheck, MdClose, MdEdit, MdUndo } from 'react-icons/md';
+
+export const PROTOCOL_FIELD_LABELS = {
+  primaryEndpoint: 'Primary Endpoint',
+  secondaryEndpoints: 'Secondary Endpoints',
+  inclusionCriteria: 'Inclusion Criteria',
+  exclusionCriteria: 'Exclusion Criteria',
+};
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Awaiting review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn',
+};
+
+const CLOSED_STATUSES = ['Completed', 'Terminated'];
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : 'Unknown user');
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.map((v, i) => `${i + 1}. ${v}`).join('\n') : '—';
+  return value || '—';
+};
+
+const cleanList = (items) => items.map((item) => item.trim()).filter(Boolean);
+
+// Draft form values: the trial's current protocol, overlaid with an amendment's proposed values when editing it
+const draftForm = (trial, amendment = null) => {
+  const proposed = Object.fromEntries((amendment ? amendment.changes : []).map((c) => [c.field, c.proposedValue]));
+  return {
+    id: amendment ? amendment._id : null,
+    title: amendment ? amendment.title : '',
+    rationale: amendment ? amendment.rationale : '',
+    primaryEndpoint: proposed.primaryEndpoint ?? trial.primaryEndpoint ?? '',
+    secondaryEndpoints: proposed.secondaryEndpoints ?? trial.secondaryEndpoints ?? [],
+    inclusionCriteria: proposed.inclusionCriteria ?? trial.inclusionCriteria ?? [],
+    exclusionCriteria: proposed.exclusionCriteria ?? trial.exclusionCriteria ?? [],
+  };
+};
+
+// Protocol amendments of a trial: editors draft and submit changes to endpoints and criteria,
+// admins and the PI approve them (which applies them to the trial) or reject them
+const TrialAmendments = ({ trial, canEdit, canApprove, onApplied }) => {
+  const { user } = useAuth();
+  const [amendments, setAmendments] = useState(null);
+  const [form, setForm] = useState(null);
+  const [review, setReview] = useState({ id: null, comment: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchAmendments = async () => {
+    try {
+      const { data } = await amendmentsAPI.getAmendments(trial._id);
+      setAmendments(data.amendments);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  useEffect(() => {
+    fetchAmendments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trial._id]);
+
+  const isAuthor = (amendment) =>
+    user?.role === 'admin' || String(amendment.createdBy?._id || amendment.createdBy) === String(user?._id);
+
+  const setValue = (name) => (value) => setForm((prev) => ({ ...prev, [name]: value }));
+
+  // Run an amendment action, then show its message and reload the list
+  const perform = async (action) => {
+    try {
+      setSaving(true);
+      const { data } = await action();
+      setNotice(data.message);
+      setError(null);
+      await fetchAmendments();
+      return data;
+    } catch (err) {
+      setError(handleApiError(err));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const payload = {
+      title: form.title,
+      rationale: form.rationale,
+      changes: {
+        primaryEndpoint: form.primaryEndpoint.trim(),
+        secondaryEndpoints: cleanList(form.secondaryEndpoints),
+        inclusionCriteria: cleanList(form.inclusionCriteria),
+        exclusionCriteria: cleanList(form.exclusionCriteria),
+      },
+    };
+    const data = await perform(() => (form.id
+      ? amendmentsAPI.updateAmendment(trial._id, form.id, payload)
+      : amendmentsAPI.createAmendment(trial._id, payload)));
+    if (data) setForm(null);
+  };
+
+  const handleWithdraw = (amendment) => {
+    if (!window.confirm(`Withdraw the amendment "${amendment.title}"?`)) return;
+    perform(() => amendmentsAPI.withdrawAmendment(trial._id, amendment._id));
+  };
+
+  const handleApprove = async (amendment) => {
+    if (!window.confirm(`Approve "${amendment.title}"? Its changes are applied to the trial protocol immediately.`)) return;
+    const data = await perform(() => amendmentsAPI.approveAmendment(trial._id, amendment._id, review.comment));
+    if (data) {
+      setReview({ id: null, comment: '' });
+      onApplied();
+    }
+  };
+
+  const handleReject = async (amendment) => {
+    const data = await perform(() => amendmentsAPI.rejectAmendment(trial._id, amendment._id, review.comment));
+    if (data) setReview({ id: null, comment: '' });
+  };
+
+  if (!amendments) {
+    return error
+      ? <div className="alert alert-error">{error}</div>
+      : <div className="loading"><div className="spinner" /></div>;
+  }
+
+  const canPropose = canEdit && trial.status !== 'Planning' && !CLOSED_STATUSES.includes(trial.status);
+
+  return (
+    <div className="detail-section">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdAssignment /> Protocol Amendments
+        </h2>
+        {canPropose && !form && (
+          <button type="button" className="btn btn-outline btn-sm" onClick={() => { setNotice(null); setForm(draftForm(trial)); }}>
+            <MdNoteAdd /> Propose Amendment
+          </button>
+        )}
+      </div>
+      <p className="text-muted">
+        {trial.amendmentNumber > 0
+          ? `The protocol is at amendment ${trial.amendmentNumber}. `
+          : 'The protocol has not been amended. '}
+        {trial.status === 'Planning'
+          ? 'While the trial is in Planning, endpoints and criteria are edited directly on the trial.'
+          : 'Changes to endpoints and eligibility criteria take effect once an admin or the PI approves them.'}
+      </p>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+      {notice && <div className="alert alert-success mb-3">{notice}</div>}
+
+      {form && (
+        <form className="amendment-form" onSubmit={handleSave}>
+          <h3 className="amendment-form-title">{form.id ? 'Edit draft amendment' : 'New protocol amendment'}</h3>
+          <div className="form-group">
+            <label className="form-label" htmlFor="amendment-title">Title*</label>
+            <input
+              id="amendment-title"
+              className="form-control"
+              maxLength={200}
+              value={form.title}
+              onChange={(e) => setValue('title')(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="amendment-rationale">Rationale*</label>
+            <textarea
+              id="amendment-rationale"
+              className="form-control"
+              rows={3}
+              maxLength={2000}
+              placeholder="Why the protocol needs to change"
+              value={form.rationale}
+              onChange={(e) => setValue('rationale')(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="amendment-primaryEndpoint">Primary Endpoint*</label>
+            <input
+              id="amendment-primaryEndpoint"
+              className="form-control"
+              maxLength={500}
+              value={form.primaryEndpoint}
+              onChange={(e) => setValue('primaryEndpoint')(e.target.value)}
+              required
+            />
+          </div>
+          <ListField
+            id="amendment-secondaryEndpoints"
+            label="Secondary Endpoints"
+            itemLabel="endpoint"
+            items={form.secondaryEndpoints}
+            onChange={setValue('secondaryEndpoints')}
+            maxLength={500}
+            maxItems={20}
+          />
+          <div className="row">
+            <div className="col-md-6">
+              <ListField
+                id="amendment-inclusionCriteria"
+                label="Inclusion Criteria"
+                itemLabel="criterion"
+                items={form.inclusionCriteria}
+                onChange={setValue('inclusionCriteria')}
+                maxLength={300}
+                maxItems={50}
+              />
+            </div>
+            <div className="col-md-6">
+              <ListField
+                id="amendment-exclusionCriteria"
+                label="Exclusion Criteria"
+                itemLabel="criterion"
+                items={form.exclusionCriteria}
+                onChange={setValue('exclusionCriteria')}
+                maxLength={300}
+                maxItems={50}
+              />
+            </div>
+          </div>
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Draft'}
+            </button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setForm(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {amendments.length === 0 ? (
+        <p className="text-muted">No amendments proposed yet.</p>
+      ) : (
+        amendments.map((amendment) => (
+          <div key={amendment._id} className="amendment-card">
+            <div className="history-header">
+              <span className={`amendment-status amendment-status-${amendment.status}`}>
+                {amendment.number ? `Amendment ${amendment.number}` : STATUS_LABELS[amendment.status]}
+              </span>
+              <span className="history-author">{amendment.title}</span>
+              <span className="history-date">
+                by {userName(amendment.createdBy)}, {new Date(amendment.submittedAt || amendment.createdAt).toLocaleString()}
+              </span>
+            </div>
+            <p className="history-reason"><strong>Rationale:</strong> {amendment.rationale}</p>
+
+            <div className="table-responsive">
+              <table className="table diff-table">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>{amendment.status === 'approved' ? 'Previous' : 'Current'}</th>
+                    <th>Proposed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {amendment.changes.map((change) => (
+                    <tr key={change.field}>
+                      <td className="diff-field">{PROTOCOL_FIELD_LABELS[change.field]}</td>
+                      <td className="diff-old">{formatValue(change.previousValue)}</td>
+                      <td className="diff-new">{formatValue(change.proposedValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {amendment.reviewedBy && (
+              <p className="amendment-review">
+                <strong>{amendment.status === 'approved' ? 'Approved' : 'Rejected'}</strong> by {userName(amendment.reviewedBy)} on{' '}
+                {new Date(amendment.reviewedAt).toLocaleString()}
+                {amendment.reviewComment && <>: {amendment.reviewComment}</>}
+              </p>
+            )}
+
+            {amendment.status === 'submitted' && canApprove && review.id === amendment._id && (
+              <div className="amendment-review-form">
+                <textarea
+                  className="form-control"
+                  rows={2}
+                  maxLength={1000}
+                  aria-label="Review comment"
+                  placeholder="Review comment (required to reject)"
+                  value={review.comment}
+                  onChange={(e) => setReview({ id: amendment._id, comment: e.target.value })}
+                />
+                <div className="d-flex gap-2">
+                  <button type="button" className="btn btn-primary btn-sm" disabled={saving} onClick={() => handleApprove(amendment)}>
+                    <MdCheck /> Approve &amp; Apply
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-outline btn-sm"
+                    disabled={saving || !review.comment.trim()}
+                    onClick={() => handleReject(amendment)}
+                  >
+                    <MdClose /> Reject
+                  </button>
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setReview({ id: null, comment: '' })}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="d-flex gap-2">
+              {amendment.status === 'draft' && canEdit && isAuthor(amendment) && (
+                <>
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => { setNotice(null); setForm(draftForm(trial, amendment)); }}>
+                    <MdEdit /> Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    disabled={saving}
+                    onClick={() => perform(() => amendmentsAPI.submitAmendment(trial._id, amendment._id))}
+                  >
+                    <MdSend /> Submit for Review
+                  </button>
+                </>
+              )}
+              {amendment.status === 'submitted' && canApprove && review.id !== amendment._id && (
+                <button type="button" className="btn btn-primary btn-sm" onClick={() => setReview({ id: amendment._id, comment: '' })}>
+                  <MdCheck /> Review
+                </button>
+              )}
+              {['draft', 'submitted'].includes(amendment.status) && (isAuthor(amendment) || canApprove) && (
+                <button type="button" className="btn btn-outline btn-sm" disabled={saving} onClick={() => handleWithdraw(amendment)}>
+                  <MdUndo /> Withdraw
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default TrialAmendments;
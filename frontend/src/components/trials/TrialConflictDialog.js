@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { MdWarning } from 'react-icons/md';
+
+const renderValue = (value) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return <span className="text-muted">None</span>;
+    return (
+      <ul className="conflict-list">
+        {value.map((item, index) => (
+          <li key={index}>
+            {typeof item === 'object' ? [item.facility, item.city, item.country].join(', ') : item}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  return value === '' || value === null || value === undefined
+    ? <span className="text-muted">—</span>
+    : String(value);
+};
+
+// Side-by-side view of the fields where the user's edits and the saved trial disagree;
+// the user picks a version per field, or drops their edits entirely
+const TrialConflictDialog = ({ fields, server, onApply, onDiscard, onClose }) => {
+  const [choices, setChoices] = useState(() =>
+    fields.reduce((acc, f) => ({ ...acc, [f.name]: 'mine' }), {})
+  );
+
+  const modifiedBy = server.lastModifiedBy
+    ? `${server.lastModifiedBy.firstName} ${server.lastModifiedBy.lastName}`
+    : 'another user';
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+      <div className="modal-panel">
+        <div className="modal-header">
+          <MdWarning className="conflict-icon" />
+          <div>
+            <h3 id="conflict-title" className="section-title">This trial was changed while you were editing</h3>
+            <small className="text-muted">
+              Saved by {modifiedBy} on {new Date(server.updatedAt).toLocaleString()}
+            </small>
+          </div>
+        </div>
+
+        {fields.length === 0 ? (
+          <p>None of the fields on this form differ from the saved version. Apply to continue with your edits.</p>
+        ) : (
+          <div className="table-responsive">
+            <table className="table conflict-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Your version</th>
+                  <th>Saved version</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map((f) => (
+                  <tr key={f.name}>
+                    <td className="conflict-field">{f.label}</td>
+                    {['mine', 'theirs'].map((side) => (
+                      <td key={side} className={choices[f.name] === side ? 'conflict-choice selected' : 'conflict-choice'}>
+                        <label>
+                          <input
+                            type="radio"
+                            name={`conflict-${f.name}`}
+                            checked={choices[f.name] === side}
+                            onChange={() => setChoices((prev) => ({ ...prev, [f.name]: side }))}
+                          />
+                          <div>{renderValue(f[side])}</div>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-outline" onClick={onClose}>
+            Keep Editing
+          </button>
+          <button type="button" className="btn btn-outline" onClick={onDiscard}>
+            Discard My Changes
+          </button>
+          <button type="button" className="btn btn-primary" onClick={() => onApply(choices)}>
+            Apply Selection
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrialConflictDialog;
@@ -0,0 +1,312 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { trialsAPI, handleApiError, saveDownload } from '../../services/api';
+import TrialNotes from './TrialNotes';
+import TrialHistory from './TrialHistory';
+import TrialStatusPanel from './TrialStatusPanel';
+import TrialTeam from './TrialTeam';
+import TrialNotificationSettings from './TrialNotificationSettings';
+import TrialEnrollment from './TrialEnrollment';
+import TrialDocuments from './TrialDocuments';
+import TrialAmendments from './TrialAmendments';
+import { SITE_STATUS_LABELS } from '../sites/SiteLeagueTable';
+import {
+  MdScience,
+  MdEdit,
+  MdGroup,
+  MdArrowBack,
+  MdWarning,
+  MdPictureAsPdf
+} from 'react-icons/md';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : '—');
+
+const DetailItem = ({ label, children }) => (
+  <div className="detail-item">
+    <div className="detail-label">{label}</div>
+    <div className="detail-value">{children || '—'}</div>
+  </div>
+);
+
+const DetailList = ({ items, emptyText }) => (
+  items && items.length > 0 ? (
+    <ul className="detail-list">
+      {items.map((item, i) => (
+        <li key={i}>{item}</li>
+      ))}
+    </ul>
+  ) : (
+    <p className="text-muted">{emptyText}</p>
+  )
+);
+
+const TrialDetail = () => {
+  const { id } = useParams();
+  const [trial, setTrial] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [activeTab, setActiveTab] = useState('details');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+
+  const loadTrial = async () => {
+    try {
+      setLoading(true);
+      const { data } = await trialsAPI.getTrial(id);
+      setTrial(data.trial);
+      setPermissions(data.permissions || []);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      const { data } = await trialsAPI.getSummaryPdf(trial._id);
+      saveDownload(data, `${trial.trialId}-summary.pdf`);
+      setDownloadError(null);
+    } catch (err) {
+      setDownloadError(handleApiError(err));
+    }
+  };
+
+  useEffect(() => {
+    loadTrial();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="loading"><div className="spinner" /></div>
+    );
+  }
+
+  if (error || !trial) {
+    return (
+      <div className="container">
+        <div className="alert alert-error mt-4">{error || 'Clinical trial not found'}</div>
+        <Link to="/trials" className="btn btn-outline"><MdArrowBack /> Back to Trials</Link>
+      </div>
+    );
+  }
+
+  const isOverdue = new Date(trial.endDate) < new Date() && !['Completed', 'Terminated'].includes(trial.status);
+  const enrollmentPercentage = Math.min(trial.enrollmentPercentage || 0, 100);
+
+  return (
+    <div className="trial-detail-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdScience />
+            </div>
+            <div>
+              <h1 className="page-title">{trial.trialName}</h1>
+              <div className="trial-id">{trial.trialId}</div>
+            </div>
+          </div>
+          <div className="d-flex gap-2 align-items-center">
+            <span className={`status-badge status-${trial.status.toLowerCase()}`}>
+              {trial.status}
+            </span>
+            <Link to="/trials" className="btn btn-outline"><MdArrowBack /> Back</Link>
+            <Link to={`/trials/${trial._id}/participants`} className="btn btn-outline"><MdGroup /> Participants</Link>
+            <button type="button" className="btn btn-outline" onClick={handleDownloadPdf}><MdPictureAsPdf /> PDF</button>
+            {permissions.includes('edit') && (
+              <Link to={`/trials/${trial._id}/edit`} className="btn btn-primary"><MdEdit /> Edit</Link>
+            )}
+          </div>
+        </div>
+
+        {downloadError && <div className="alert alert-error mb-3">{downloadError}</div>}
+
+        {isOverdue && (
+          <div className="alert alert-warning">
+            <MdWarning /> This trial passed its end date without being completed or terminated.
+          </div>
+        )}
+
+        <div className="tabs" role="tablist">
+          {[
+            ['details', 'Details'],
+            ['enrollment', 'Enrollment'],
+            ['documents', 'Documents'],
+            ['amendments', 'Amendments'],
+            ['notes', 'Notes'],
+            ['team', 'Team'],
+            ['history', 'History'],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === key}
+              className={`tab-btn ${activeTab === key ? 'active' : ''}`}
+              onClick={() => setActiveTab(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'details' && (
+          <>
+            <div className="detail-section">
+              <h2 className="section-title">Overview</h2>
+              <p className="detail-description">{trial.description}</p>
+              <div className="detail-grid">
+                <DetailItem label="Principal Investigator">
+                  {trial.investigator
+                    ? <Link to={`/investigators/${trial.investigator}`}>Dr. {trial.principalInvestigator}</Link>
+                    : `Dr. ${trial.principalInvestigator}`}
+                </DetailItem>
+                <DetailItem label="Sponsor">
+                  {trial.sponsorOrganization
+                    ? <Link to={`/sponsors/${trial.sponsorOrganization}`}>{trial.sponsor}</Link>
+                    : trial.sponsor}
+                </DetailItem>
+                <DetailItem label="Phase"><span className="phase-badge">{trial.phase}</span></DetailItem>
+                <DetailItem label="Therapeutic Area">{trial.therapeuticArea}</DetailItem>
+                <DetailItem label="Drug Name">{trial.drugName}</DetailItem>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h2 className="section-title">Timeline & Enrollment</h2>
+              <div className="detail-grid">
+                <DetailItem label="Start Date">{formatDate(trial.startDate)}</DetailItem>
+                <DetailItem label="End Date">{formatDate(trial.endDate)}</DetailItem>
+                <DetailItem label="Duration">{trial.durationDays} days</DetailItem>
+                <DetailItem label="Enrollment">
+                  {trial.actualEnrollment || 0} / {trial.estimatedEnrollment} ({trial.enrollmentPercentage}%)
+                </DetailItem>
+              </div>
+              <div className="progress-bar" aria-label="Enrollment progress">
+                <div className="progress-fill" style={{ width: `${enrollmentPercentage}%` }} />
+              </div>
+            </div>
+
+            <TrialStatusPanel
+              trial={trial}
+              canChangeStatus={permissions.includes('changeStatus')}
+              onTransition={loadTrial}
+            />
+
+            <div className="detail-section">
+              <h2 className="section-title">Endpoints</h2>
+              {trial.amendmentNumber > 0 && (
+                <p className="text-muted">As of protocol amendment {trial.amendmentNumber}</p>
+              )}
+              <DetailItem label="Primary Endpoint">{trial.primaryEndpoint}</DetailItem>
+              <div className="detail-label mt-3">Secondary Endpoints</div>
+              <DetailList items={trial.secondaryEndpoints} emptyText="No secondary endpoints" />
+            </div>
+
+            <div className="detail-section">
+              <h2 className="section-title">Eligibility Criteria</h2>
+              <div className="detail-columns">
+                <div>
+                  <div className="detail-label">Inclusion</div>
+                  <DetailList items={trial.inclusionCriteria} emptyText="No inclusion criteria" />
+                </div>
+                <div>
+                  <div className="detail-label">Exclusion</div>
+                  <DetailList items={trial.exclusionCriteria} emptyText="No exclusion criteria" />
+                </div>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h2 className="section-title">Study Locations</h2>
+              {trial.studyLocations && trial.studyLocations.length > 0 ? (
+                <div className="table-responsive">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Site ID</th>
+                        <th>Facility</th>
+                        <th>City</th>
+                        <th>Country</th>
+                        <th>Site PI</th>
+                        <th>Status</th>
+                        <th>Enrolled</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {trial.studyLocations.map((loc) => (
+                        <tr key={loc._id}>
+                          <td className="trial-id">{loc.siteId || '—'}</td>
+                          <td>{loc.site ? <Link to={`/sites/${loc.site}`}>{loc.facility}</Link> : loc.facility}</td>
+                          <td>{loc.city}</td>
+                          <td>{loc.country}</td>
+                          <td>{loc.sitePI || '—'}</td>
+                          <td>
+                            <span className={`site-status site-status-${loc.status}`}>{SITE_STATUS_LABELS[loc.status]}</span>
+                            {loc.activationDate && (
+                              <div className="text-muted">since {new Date(loc.activationDate).toLocaleDateString()}</div>
+                            )}
+                          </td>
+                          <td>{loc.actualEnrollment}{loc.enrollmentTarget ? ` / ${loc.enrollmentTarget}` : ''}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-muted">No study locations</p>
+              )}
+            </div>
+
+            <div className="detail-section">
+              <h2 className="section-title">Record</h2>
+              <div className="detail-grid">
+                <DetailItem label="Created By">{userName(trial.createdBy)}</DetailItem>
+                <DetailItem label="Created At">{new Date(trial.createdAt).toLocaleString()}</DetailItem>
+                <DetailItem label="Last Modified By">{userName(trial.lastModifiedBy)}</DetailItem>
+                <DetailItem label="Last Modified At">{new Date(trial.updatedAt).toLocaleString()}</DetailItem>
+              </div>
+            </div>
+          </>
+        )}
+
+        {activeTab === 'enrollment' && <TrialEnrollment trial={trial} canEdit={permissions.includes('edit')} />}
+
+        {activeTab === 'documents' && (
+          <TrialDocuments
+            trialId={trial._id}
+            canEdit={permissions.includes('edit')}
+            canDelete={permissions.includes('delete')}
+          />
+        )}
+
+        {activeTab === 'amendments' && (
+          <TrialAmendments
+            trial={trial}
+            canEdit={permissions.includes('edit')}
+            canApprove={permissions.includes('approveAmendment')}
+            onApplied={loadTrial}
+          />
+        )}
+
+        {activeTab === 'notes' && <TrialNotes trialId={trial._id} canComment={permissions.includes('comment')} />}
+
+        {activeTab === 'team' && (
+          <>
+            <TrialTeam trialId={trial._id} canManage={permissions.includes('manageTeam')} />
+            <TrialNotificationSettings trialId={trial._id} />
+          </>
+        )}
+
+        {activeTab === 'history' && <TrialHistory trialId={trial._id} />}
+      </div>
+    </div>
+  );
+};
+
+export default TrialDetail;
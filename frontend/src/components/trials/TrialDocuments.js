@@ -0,0 +1,328 @@
+import React, { useEffect, useState } from 'react';
+import { documentsAPI, handleApiError, saveDownload } from '../../services/api';
+import { MdDescription, MdUpload, MdDownload, MdHistory, MdDelete, MdNoteAdd } from 'react-icons/md';
+
+export const DOCUMENT_TYPE_LABELS = {
+  protocol: 'Protocol',
+  investigatorBrochure: 'Investigator Brochure',
+  informedConsent: 'Informed Consent Form',
+  amendment: 'Amendment',
+  other: 'Other',
+};
+
+const ACCEPTED_FILES = '.pdf,.doc,.docx,.odt,.rtf,.txt';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatDate = (d) => new Date(d).toLocaleDateString();
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : 'Unknown');
+
+const emptyUpload = (doc) => ({
+  file: null,
+  type: doc ? doc.type : 'protocol',
+  title: doc ? doc.title : '',
+  version: '',
+  effectiveDate: today(),
+  notes: '',
+});
+
+// Controlled documents of a trial: the current version of each, their superseded versions,
+// uploads for editors and removal of a mistaken upload for users who may delete the trial
+const TrialDocuments = ({ trialId, canEdit, canDelete }) => {
+  const [documents, setDocuments] = useState(null);
+  const [upload, setUpload] = useState(null);
+  const [history, setHistory] = useState({ series: null, versions: [] });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchDocuments = async () => {
+    try {
+      const { data } = await documentsAPI.getDocuments(trialId);
+      setDocuments(data.documents);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  useEffect(() => {
+    fetchDocuments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trialId]);
+
+  // `doc` is set when uploading a new version of it
+  const startUpload = (doc = null) => {
+    setNotice(null);
+    setUpload({ doc, values: emptyUpload(doc) });
+  };
+
+  const setValue = (name, value) => setUpload((prev) => ({ ...prev, values: { ...prev.values, [name]: value } }));
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    const { doc, values } = upload;
+    try {
+      setSaving(true);
+      const { data } = doc
+        ? await documentsAPI.uploadVersion(trialId, doc._id, {
+          file: values.file,
+          title: values.title,
+          version: values.version,
+          effectiveDate: values.effectiveDate,
+          notes: values.notes,
+        })
+        : await documentsAPI.uploadDocument(trialId, values);
+      setNotice(data.message);
+      setUpload(null);
+      setHistory({ series: null, versions: [] });
+      await fetchDocuments();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleHistory = async (doc) => {
+    if (history.series === doc.series) {
+      setHistory({ series: null, versions: [] });
+      return;
+    }
+    try {
+      const { data } = await documentsAPI.getHistory(trialId, doc._id);
+      setHistory({ series: doc.series, versions: data.versions.filter((v) => v._id !== doc._id) });
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      const { data } = await documentsAPI.downloadDocument(trialId, doc._id);
+      saveDownload(data, doc.fileName);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    const message = doc.versionCount > 1
+      ? `Delete version ${doc.version} of ${doc.title}? The previous version becomes current again.`
+      : `Delete ${doc.title}? This cannot be undone.`;
+    if (!window.confirm(message)) return;
+    try {
+      const { data } = await documentsAPI.deleteDocument(trialId, doc._id);
+      setNotice(data.message);
+      setHistory({ series: null, versions: [] });
+      await fetchDocuments();
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  if (!documents) {
+    return error
+      ? <div className="alert alert-error">{error}</div>
+      : <div className="loading"><div className="spinner" /></div>;
+  }
+
+  const versionRow = (doc, superseded = false) => (
+    <tr key={doc._id} className={superseded ? 'document-superseded' : ''}>
+      <td>
+        {superseded ? <span className="text-muted">Superseded</span> : DOCUMENT_TYPE_LABELS[doc.type]}
+      </td>
+      <td>
+        <span className="trial-name">{doc.title}</span>
+        {doc.notes && <div className="text-muted">{doc.notes}</div>}
+      </td>
+      <td>
+        v{doc.version}
+        {!superseded && doc.versionCount > 1 && <div className="trial-id">{doc.versionCount} versions</div>}
+      </td>
+      <td>
+        {formatDate(doc.effectiveDate)}
+        {superseded && doc.supersededAt && <div className="trial-id">until {formatDate(doc.supersededAt)}</div>}
+      </td>
+      <td>
+        {doc.fileName}
+        <div className="trial-id">{formatSize(doc.size)}</div>
+      </td>
+      <td>
+        <code className="document-checksum" title={`SHA-256 ${doc.checksum}`}>{doc.checksum.slice(0, 12)}</code>
+      </td>
+      <td>
+        {userName(doc.uploadedBy)}
+        <div className="trial-id">{formatDate(doc.createdAt)}</div>
+      </td>
+      <td className="actions-cell">
+        <div className="action-buttons">
+          <button type="button" className="action-btn" title="Download" onClick={() => handleDownload(doc)}>
+            <MdDownload />
+          </button>
+          {!superseded && doc.versionCount > 1 && (
+            <button type="button" className="action-btn" title="Version history" onClick={() => toggleHistory(doc)}>
+              <MdHistory />
+            </button>
+          )}
+          {!superseded && canEdit && (
+            <button type="button" className="action-btn edit-btn" title="Upload new version" onClick={() => startUpload(doc)}>
+              <MdUpload />
+            </button>
+          )}
+          {!superseded && canDelete && (
+            <button type="button" className="action-btn delete-btn" title="Delete this version" onClick={() => handleDelete(doc)}>
+              <MdDelete />
+            </button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="detail-section">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdDescription /> Documents
+        </h2>
+        {canEdit && (
+          <button type="button" className="btn btn-outline btn-sm" onClick={() => startUpload()}>
+            <MdNoteAdd /> Upload Document
+          </button>
+        )}
+      </div>
+      <p className="text-muted">
+        Protocols, investigator brochures, consent forms and amendments. Uploading a new version supersedes the
+        current one; superseded versions stay available in the version history.
+      </p>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+      {notice && <div className="alert alert-success mb-3">{notice}</div>}
+
+      {upload && (
+        <form className="document-upload-form" onSubmit={handleUpload}>
+          <h3 className="document-upload-title">
+            {upload.doc ? `New version of ${upload.doc.title} (now v${upload.doc.version})` : 'Upload a new document'}
+          </h3>
+          <div className="form-group">
+            <label className="form-label" htmlFor="doc-file">File*</label>
+            <input
+              id="doc-file"
+              type="file"
+              className="form-control"
+              accept={ACCEPTED_FILES}
+              onChange={(e) => setValue('file', e.target.files[0] || null)}
+              required
+            />
+          </div>
+          {!upload.doc && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="doc-type">Type*</label>
+              <select
+                id="doc-type"
+                className="form-select"
+                value={upload.values.type}
+                onChange={(e) => setValue('type', e.target.value)}
+              >
+                {Object.entries(DOCUMENT_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label className="form-label" htmlFor="doc-title">Title*</label>
+            <input
+              id="doc-title"
+              className="form-control"
+              maxLength={200}
+              value={upload.values.title}
+              onChange={(e) => setValue('title', e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="doc-version">Version*</label>
+            <input
+              id="doc-version"
+              className="form-control"
+              maxLength={20}
+              pattern="[0-9A-Za-z][0-9A-Za-z._\-]*"
+              placeholder="e.g. 2.0"
+              value={upload.values.version}
+              onChange={(e) => setValue('version', e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="doc-effective">Effective date*</label>
+            <input
+              id="doc-effective"
+              type="date"
+              className="form-control"
+              min={upload.doc ? upload.doc.effectiveDate.split('T')[0] : undefined}
+              value={upload.values.effectiveDate}
+              onChange={(e) => setValue('effectiveDate', e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group document-upload-notes">
+            <label className="form-label" htmlFor="doc-notes">Notes</label>
+            <input
+              id="doc-notes"
+              className="form-control"
+              maxLength={500}
+              placeholder={upload.doc ? 'What changed in this version' : ''}
+              value={upload.values.notes}
+              onChange={(e) => setValue('notes', e.target.value)}
+            />
+          </div>
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+              <MdUpload /> {saving ? 'Uploading...' : 'Upload'}
+            </button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setUpload(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {documents.length === 0 ? (
+        <p className="text-muted">No documents uploaded yet.</p>
+      ) : (
+        <div className="table-responsive">
+          <table className="table documents-table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Title</th>
+                <th>Version</th>
+                <th>Effective</th>
+                <th>File</th>
+                <th>Checksum</th>
+                <th>Uploaded</th>
+                <th className="actions-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {documents.map((doc) => [
+                versionRow(doc),
+                ...(history.series === doc.series ? history.versions.map((v) => versionRow(v, true)) : []),
+              ])}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialDocuments;
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import { enrollmentAPI, handleApiError } from '../../services/api';
+import EnrollmentChart from './EnrollmentChart';
+import SiteLeagueTable from '../sites/SiteLeagueTable';
+import { MdTrendingUp, MdAdd, MdDelete } from 'react-icons/md';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyEntry = () => ({ recordedAt: today(), studyLocation: '', enrolled: '', note: '' });
+
+const formatDate = (d) => new Date(d).toLocaleDateString();
+
+// One-line reading of the projection
+const projectionText = (p) => {
+  switch (p.status) {
+    case 'complete':
+      return `Enrollment target of ${p.target} reached${p.projectedCompletionDate ? ` on ${formatDate(p.projectedCompletionDate)}` : ''}.`;
+    case 'notStarted':
+      return 'The trial has not started yet.';
+    case 'stalled':
+      return `No enrollment in the last ${p.windowDays} days, so no completion date can be projected.`;
+    case 'onTrack':
+      return `At ${p.ratePerWeek} participants/week (last ${p.windowDays} days) the target of ${p.target} is reached around ${formatDate(p.projectedCompletionDate)}, before the end date of ${formatDate(p.endDate)}.`;
+    default:
+      return `At ${p.ratePerWeek} participants/week (last ${p.windowDays} days) the target of ${p.target} is reached around ${formatDate(p.projectedCompletionDate)}, ${p.daysBeyondEnd} days after the end date of ${formatDate(p.endDate)}.`;
+  }
+};
+
+const PROJECTION_LABELS = {
+  complete: 'Target reached',
+  notStarted: 'Not started',
+  stalled: 'Stalled',
+  onTrack: 'On track',
+  behind: 'Behind',
+};
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : 'System');
+
+const TrialEnrollment = ({ trial, canEdit }) => {
+  const [data, setData] = useState(null);
+  const [entry, setEntry] = useState(emptyEntry);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data: response } = await enrollmentAPI.getEnrollment(trial._id);
+        setData(response);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, [trial._id]);
+
+  const locationName = (id) => {
+    const loc = trial.studyLocations.find((l) => l._id === id);
+    return loc ? `${loc.facility}, ${loc.city}` : 'Whole trial';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data: response } = await enrollmentAPI.addSnapshot(trial._id, {
+        ...entry,
+        enrolled: Number(entry.enrolled),
+      });
+      setData(response);
+      setEntry(emptyEntry());
+      setShowForm(false);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm('Delete this enrollment entry?')) return;
+    try {
+      const { data: response } = await enrollmentAPI.deleteSnapshot(trial._id, snapshot._id);
+      setData(response);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  if (!data) {
+    return error
+      ? <div className="alert alert-error">{error}</div>
+      : <div className="loading"><div className="spinner" /></div>;
+  }
+
+  const { projection } = data;
+
+  return (
+    <>
+      <div className="detail-section">
+        <div className="section-header">
+          <h2 className="section-title">
+            <MdTrendingUp /> Enrollment Progress
+          </h2>
+          <span className={`projection-badge projection-${projection.status}`}>
+            {PROJECTION_LABELS[projection.status]}
+          </span>
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+
+        <p className="projection-summary">
+          <strong>{projection.current} of {projection.target}</strong> enrolled. {projectionText(projection)}
+        </p>
+
+        <EnrollmentChart target={data.target} actual={data.actual} projection={projection} />
+      </div>
+
+      {data.sites.length > 0 && (
+        <div className="detail-section">
+          <h2 className="section-title">Site League Table</h2>
+          <p className="text-muted">
+            Sites are ranked by enrolled participants against the number their target calls for by now.
+          </p>
+          <SiteLeagueTable sites={data.sites} />
+        </div>
+      )}
+
+      <div className="detail-section">
+        <div className="section-header">
+          <h2 className="section-title">Enrollment Entries</h2>
+          {canEdit && (
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowForm((v) => !v)}>
+              <MdAdd /> Manual Entry
+            </button>
+          )}
+        </div>
+        <p className="text-muted">
+          Snapshots are recorded automatically whenever the participant registry changes the enrolled count.
+          Add manual entries for counts reported by a site, or to backfill earlier history.
+        </p>
+
+        {showForm && (
+          <form className="enrollment-entry-form" onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label" htmlFor="entry-date">Date</label>
+              <input
+                id="entry-date"
+                type="date"
+                className="form-control"
+                max={today()}
+                value={entry.recordedAt}
+                onChange={(e) => setEntry({ ...entry, recordedAt: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="entry-location">Location</label>
+              <select
+                id="entry-location"
+                className="form-select"
+                value={entry.studyLocation}
+                onChange={(e) => setEntry({ ...entry, studyLocation: e.target.value })}
+              >
+                <option value="">Whole trial</option>
+                {trial.studyLocations.map((loc) => (
+                  <option key={loc._id} value={loc._id}>{loc.facility}, {loc.city}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="entry-enrolled">Enrolled (cumulative)</label>
+              <input
+                id="entry-enrolled"
+                type="number"
+                min="0"
+                max={trial.estimatedEnrollment}
+                className="form-control"
+                value={entry.enrolled}
+                onChange={(e) => setEntry({ ...entry, enrolled: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="entry-note">Note</label>
+              <input
+                id="entry-note"
+                className="form-control"
+                maxLength={500}
+                value={entry.note}
+                onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+              />
+            </div>
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>Add Entry</button>
+              <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowForm(false)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {data.snapshots.length === 0 ? (
+          <p className="text-muted">No enrollment recorded yet.</p>
+        ) : (
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Scope</th>
+                  <th>Enrolled</th>
+                  <th>Source</th>
+                  <th>Note</th>
+                  {canEdit && <th />}
+                </tr>
+              </thead>
+              <tbody>
+                {data.snapshots.map((s) => (
+                  <tr key={s._id}>
+                    <td>{formatDate(s.recordedAt)}</td>
+                    <td>{locationName(s.studyLocation)}</td>
+                    <td>{s.enrolled}</td>
+                    <td>
+                      {s.source === 'manual' ? 'Manual' : 'Registry'}
+                      <div className="trial-id">{userName(s.recordedBy)}</div>
+                    </td>
+                    <td className="text-muted">{s.note || '—'}</td>
+                    {canEdit && (
+                      <td>
+                        {s.source === 'manual' && (
+                          <button className="action-btn delete-btn" title="Delete entry" onClick={() => handleDelete(s)}>
+                            <MdDelete />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default TrialEnrollment;
@@ -1,32 +1,141 @@
 import React, { useEffect, useState } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
-import { trialsAPI, handleApiError } from '../../services/api';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { trialsAPI, investigatorsAPI, sponsorsAPI, handleApiError } from '../../services/api';
+import { ListField, LocationsField } from './RepeatableFields';
+import TrialConflictDialog from './TrialConflictDialog';
+import DirectoryAutocomplete from '../directory/DirectoryAutocomplete';
+import { SPONSOR_TYPE_LABELS } from '../directory/SponsorDirectory';
 
 const defaultForm = {
   trialName: '',
   trialId: '',
   description: '',
   principalInvestigator: '',
+  investigator: '',
   sponsor: '',
+  sponsorOrganization: '',
   phase: 'Phase I',
   status: 'Planning',
   startDate: '',
   endDate: '',
   estimatedEnrollment: 1,
-  actualEnrollment: 0,
   primaryEndpoint: '',
   therapeuticArea: '',
   drugName: '',
+  secondaryEndpoints: [],
+  inclusionCriteria: [],
+  exclusionCriteria: [],
+  studyLocations: [],
+  changeReason: '',
+};
+
+const STATUS_OPTIONS = ['Planning', 'Active', 'Recruiting', 'Suspended', 'Completed', 'Terminated'];
+
+// Transitions into these statuses must be justified (mirrors the backend lifecycle rules)
+const REASON_REQUIRED_STATUSES = ['Terminated'];
+
+// Fields compared when a save conflicts with someone else's changes
+const CONFLICT_FIELDS = [
+  ['trialName', 'Trial Name'],
+  ['trialId', 'Trial ID'],
+  ['description', 'Description'],
+  ['principalInvestigator', 'Principal Investigator'],
+  ['sponsor', 'Sponsor'],
+  ['phase', 'Phase'],
+  ['status', 'Status'],
+  ['startDate', 'Start Date'],
+  ['endDate', 'End Date'],
+  ['estimatedEnrollment', 'Estimated Enrollment'],
+  ['primaryEndpoint', 'Primary Endpoint'],
+  ['therapeuticArea', 'Therapeutic Area'],
+  ['drugName', 'Drug Name'],
+  ['secondaryEndpoints', 'Secondary Endpoints'],
+  ['inclusionCriteria', 'Inclusion Criteria'],
+  ['exclusionCriteria', 'Exclusion Criteria'],
+  ['studyLocations', 'Study Locations'],
+];
+
+// Map a trial from the API onto form state
+const toFormValues = (t) => ({
+  trialName: t.trialName || '',
+  trialId: t.trialId || '',
+  description: t.description || '',
+  principalInvestigator: t.principalInvestigator || '',
+  investigator: t.investigator || '',
+  sponsor: t.sponsor || '',
+  sponsorOrganization: t.sponsorOrganization || '',
+  phase: t.phase || 'Phase I',
+  status: t.status || 'Planning',
+  startDate: t.startDate ? new Date(t.startDate).toISOString().split('T')[0] : '',
+  endDate: t.endDate ? new Date(t.endDate).toISOString().split('T')[0] : '',
+  estimatedEnrollment: t.estimatedEnrollment ?? 1,
+  primaryEndpoint: t.primaryEndpoint || '',
+  therapeuticArea: t.therapeuticArea || '',
+  drugName: t.drugName || '',
+  secondaryEndpoints: t.secondaryEndpoints || [],
+  inclusionCriteria: t.inclusionCriteria || [],
+  exclusionCriteria: t.exclusionCriteria || [],
+  studyLocations: (t.studyLocations || []).map((loc) => ({
+    _id: loc._id,
+    site: loc.site || '',
+    facility: loc.facility,
+    city: loc.city,
+    country: loc.country,
+    siteId: loc.siteId || '',
+    sitePI: loc.sitePI || '',
+    status: loc.status || 'active',
+    activationDate: loc.activationDate ? new Date(loc.activationDate).toISOString().split('T')[0] : '',
+    enrollmentTarget: loc.enrollmentTarget ?? '',
+  })),
+  changeReason: '',
+});
+
+const LOCATION_TEXT_FIELDS = ['facility', 'city', 'country', 'siteId', 'sitePI'];
+
+// Sum of the study locations' enrollment targets when every location has one (the backend then
+// uses it as the trial's estimated enrollment), otherwise null
+const siteTargetTotal = (locations) => {
+  const filled = locations.filter((loc) => loc.facility.trim() || loc.city.trim() || loc.country.trim());
+  if (filled.length === 0 || filled.some((loc) => !Number(loc.enrollmentTarget))) return null;
+  return filled.reduce((sum, loc) => sum + Number(loc.enrollmentTarget), 0);
+};
+
+const cleanList = (items) => items.map((item) => item.trim()).filter(Boolean);
+
+// Comparable form of a field value (blank list rows and location ids are ignored)
+const comparable = (name, value) => {
+  if (name === 'studyLocations') {
+    return JSON.stringify(value
+      .filter((loc) => [loc.facility, loc.city, loc.country].some((part) => part.trim()))
+      .map((loc) => [
+        ...LOCATION_TEXT_FIELDS.map((field) => (loc[field] || '').trim()),
+        loc.status,
+        loc.activationDate || '',
+        String(loc.enrollmentTarget ?? ''),
+      ]));
+  }
+  if (Array.isArray(value)) return JSON.stringify(cleanList(value));
+  return String(value ?? '').trim();
 };
 
 const TrialForm = ({ editMode = false }) => {
   const navigate = useNavigate();
   const { id } = useParams();
   const [form, setForm] = useState(defaultForm);
+  const [originalStatus, setOriginalStatus] = useState(null);
+  const [nextStatuses, setNextStatuses] = useState([]);
+  const [actualEnrollment, setActualEnrollment] = useState(0);
+  const [version, setVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [notice, setNotice] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(editMode);
 
+  // Site targets, when every location has one, add up to the trial's estimated enrollment
+  const siteTotal = siteTargetTotal(form.studyLocations);
+  const estimatedEnrollment = siteTotal ?? form.estimatedEnrollment;
+
   useEffect(() => {
     if (editMode && id) {
       loadTrial(id);
@@ -38,23 +147,8 @@ const TrialForm = ({ editMode = false }) => {
     try {
       setInitialLoading(true);
       const { data } = await trialsAPI.getTrial(trialId);
-      const t = data.trial;
-      setForm({
-        trialName: t.trialName || '',
-        trialId: t.trialId || '',
-        description: t.description || '',
-        principalInvestigator: t.principalInvestigator || '',
-        sponsor: t.sponsor || '',
-        phase: t.phase || 'Phase I',
-        status: t.status || 'Planning',
-        startDate: t.startDate ? new Date(t.startDate).toISOString().split('T')[0] : '',
-        endDate: t.endDate ? new Date(t.endDate).toISOString().split('T')[0] : '',
-        estimatedEnrollment: t.estimatedEnrollment ?? 1,
-        actualEnrollment: t.actualEnrollment ?? 0,
-        primaryEndpoint: t.primaryEndpoint || '',
-        therapeuticArea: t.therapeuticArea || '',
-        drugName: t.drugName || '',
-      });
+      setForm(toFormValues(data.trial));
+      adoptServerState(data.trial);
       setError(null);
     } catch (err) {
       setError(handleApiError(err));
@@ -63,6 +157,45 @@ const TrialForm = ({ editMode = false }) => {
     }
   };
 
+  // Server-derived state that follows the saved trial rather than the user's edits
+  const adoptServerState = (t) => {
+    setActualEnrollment(t.actualEnrollment ?? 0);
+    setOriginalStatus(t.status);
+    setNextStatuses(t.nextStatuses || []);
+    setVersion(t.__v);
+  };
+
+  const savedValues = conflict ? toFormValues(conflict) : null;
+  const conflictFields = conflict
+    ? CONFLICT_FIELDS
+      .map(([name, label]) => ({ name, label, mine: form[name], theirs: savedValues[name] }))
+      .filter((f) => comparable(f.name, f.mine) !== comparable(f.name, f.theirs))
+    : [];
+
+  // Start from the saved trial, put back the fields the user chose to keep, and
+  // take the saved version so the next save goes through
+  const handleConflictApply = (choices) => {
+    const kept = conflictFields.filter((f) => choices[f.name] === 'mine');
+    setForm((prev) => ({
+      ...savedValues,
+      ...kept.reduce((acc, f) => ({ ...acc, [f.name]: prev[f.name] }), {}),
+      // The directory link follows the name it was picked with
+      ...(kept.some((f) => f.name === 'principalInvestigator') ? { investigator: prev.investigator } : {}),
+      ...(kept.some((f) => f.name === 'sponsor') ? { sponsorOrganization: prev.sponsorOrganization } : {}),
+      changeReason: prev.changeReason,
+    }));
+    adoptServerState(conflict);
+    setConflict(null);
+    setNotice('Your form now combines the selected values. Review them and save again.');
+  };
+
+  const handleConflictDiscard = () => {
+    setForm(savedValues);
+    adoptServerState(conflict);
+    setConflict(null);
+    setNotice('Your changes were discarded; the form shows the latest saved version.');
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     
@@ -71,7 +204,7 @@ const TrialForm = ({ editMode = false }) => {
     setForm((prev) => {
       let newValue = value;
       
-      if (name === 'estimatedEnrollment' || name === 'actualEnrollment') {
+      if (name === 'estimatedEnrollment') {
         newValue = value === '' ? '' : Math.max(0, parseInt(value, 10) || 0);
       }
       
@@ -86,6 +219,39 @@ const TrialForm = ({ editMode = false }) => {
     });
   };
 
+  // Add a typed name to the investigator directory and link it
+  const createInvestigator = async (name) => {
+    try {
+      const { data } = await investigatorsAPI.createInvestigator({ name });
+      return data.investigator;
+    } catch (err) {
+      setError(handleApiError(err));
+      return null;
+    }
+  };
+
+  const searchInvestigators = async (term) =>
+    (await investigatorsAPI.getInvestigators({ search: term, limit: 8 })).data.investigators;
+
+  // Add a typed name to the sponsor directory and link it
+  const createSponsor = async (name) => {
+    try {
+      const { data } = await sponsorsAPI.createSponsor({ name });
+      return data.sponsor;
+    } catch (err) {
+      setError(handleApiError(err));
+      return null;
+    }
+  };
+
+  const searchSponsors = async (term) =>
+    (await sponsorsAPI.getSponsors({ search: term, limit: 8 })).data.sponsors;
+
+  const handleListChange = (name) => (items) => {
+    if (error) setError(null);
+    setForm((prev) => ({ ...prev, [name]: items }));
+  };
+
   const validateForm = () => {
     const requiredFields = {
       trialName: 'Trial Name',
@@ -131,20 +297,34 @@ const TrialForm = ({ editMode = false }) => {
       return 'Start date cannot be in the past for new trials';
     }
 
-    if (form.estimatedEnrollment <= 0) {
+    if (estimatedEnrollment <= 0) {
       return 'Estimated enrollment must be greater than 0';
     }
 
-    if (form.estimatedEnrollment > 100000) {
+    if (estimatedEnrollment > 100000) {
       return 'Estimated enrollment cannot exceed 100,000';
     }
 
-    if (form.actualEnrollment < 0) {
-      return 'Actual enrollment cannot be negative';
+    if (actualEnrollment > estimatedEnrollment) {
+      return `Estimated enrollment cannot be lower than current enrollment (${actualEnrollment})`;
     }
 
-    if (form.actualEnrollment > form.estimatedEnrollment) {
-      return 'Actual enrollment cannot exceed estimated enrollment';
+    const incompleteLocation = form.studyLocations.find((loc) => {
+      const filled = [loc.facility, loc.city, loc.country].filter((v) => v.trim()).length;
+      return filled > 0 && filled < 3;
+    });
+    if (incompleteLocation) {
+      return 'Each study location needs a facility, city and country';
+    }
+
+    const filledLocations = form.studyLocations.filter((loc) => loc.facility.trim());
+    const withTarget = filledLocations.filter((loc) => Number(loc.enrollmentTarget) > 0).length;
+    if (withTarget > 0 && withTarget < filledLocations.length) {
+      return 'Set an enrollment target on every study location, or on none';
+    }
+
+    if (editMode && form.status !== originalStatus && REASON_REQUIRED_STATUSES.includes(form.status) && !form.changeReason.trim()) {
+      return `Please provide a reason for changing the status to ${form.status}`;
     }
 
     return null;
@@ -168,10 +348,10 @@ const TrialForm = ({ editMode = false }) => {
     try {
       setLoading(true);
       setError(null);
+      setNotice(null);
 
       const numericFields = {
-        estimatedEnrollment: Number(form.estimatedEnrollment),
-        actualEnrollment: Number(form.actualEnrollment)
+        estimatedEnrollment: Number(estimatedEnrollment)
       };
 
       const payload = {
@@ -180,6 +360,19 @@ const TrialForm = ({ editMode = false }) => {
         startDate: form.startDate ? formatDateForBackend(form.startDate) : null,
         endDate: form.endDate ? formatDateForBackend(form.endDate) : null,
         trialId: form.trialId.toUpperCase(),
+        // Blank rows are dropped rather than rejected
+        secondaryEndpoints: cleanList(form.secondaryEndpoints),
+        inclusionCriteria: cleanList(form.inclusionCriteria),
+        exclusionCriteria: cleanList(form.exclusionCriteria),
+        studyLocations: form.studyLocations
+          .map((loc) => ({
+            ...loc,
+            ...Object.fromEntries(LOCATION_TEXT_FIELDS.map((field) => [field, (loc[field] || '').trim()])),
+            site: loc.site || null,
+            activationDate: loc.activationDate || null,
+            enrollmentTarget: Number(loc.enrollmentTarget) || null,
+          }))
+          .filter((loc) => loc.facility || loc.city || loc.country),
       };
       
       Object.keys(payload).forEach(key => {
@@ -187,9 +380,12 @@ const TrialForm = ({ editMode = false }) => {
           delete payload[key];
         }
       });
+      // Always sent so typing over a linked name unlinks it
+      payload.investigator = form.investigator || null;
+      payload.sponsorOrganization = form.sponsorOrganization || null;
 
       if (editMode) {
-        await trialsAPI.updateTrial(id, payload);
+        await trialsAPI.updateTrial(id, payload, version);
       } else {
         await trialsAPI.createTrial(payload);
         setForm(defaultForm);
@@ -197,6 +393,10 @@ const TrialForm = ({ editMode = false }) => {
 
       navigate('/trials');
     } catch (err) {
+      if (err.response?.status === 409 && err.response.data.trial) {
+        setConflict(err.response.data.trial);
+        return;
+      }
       console.error('API Error:', err);
       setError(handleApiError(err));
     } finally {
@@ -204,6 +404,14 @@ const TrialForm = ({ editMode = false }) => {
     }
   };
 
+  // When editing, only the current status and its allowed next states can be chosen
+  const statusOptions = editMode && originalStatus
+    ? [originalStatus, ...nextStatuses]
+    : STATUS_OPTIONS;
+
+  // Once a trial has left Planning its endpoints and criteria change only through protocol amendments
+  const protocolLocked = editMode && originalStatus && originalStatus !== 'Planning';
+
   if (initialLoading) {
     return <div className="loading">Loading trial data...</div>;
   }
@@ -220,6 +428,18 @@ const TrialForm = ({ editMode = false }) => {
         </div>
       )}
 
+      {notice && <div className="alert alert-warning mb-4">{notice}</div>}
+
+      {conflict && (
+        <TrialConflictDialog
+          fields={conflictFields}
+          server={conflict}
+          onApply={handleConflictApply}
+          onDiscard={handleConflictDiscard}
+          onClose={() => setConflict(null)}
+        />
+      )}
+
       <div className="card shadow-sm">
         <div className="card-body">
           <form onSubmit={handleSubmit}>
@@ -267,24 +487,34 @@ const TrialForm = ({ editMode = false }) => {
             <div className="row mb-3">
               <div className="col-md-6 mb-3">
                 <label htmlFor="principalInvestigator" className="form-label">Principal Investigator*</label>
-                <input
+                <DirectoryAutocomplete
                   id="principalInvestigator"
-                  name="principalInvestigator"
-                  className="form-control"
                   value={form.principalInvestigator}
-                  onChange={handleChange}
+                  linked={Boolean(form.investigator)}
+                  maxLength={100}
+                  placeholder="Search the investigator directory"
                   required
+                  onInput={(text) => setForm((prev) => ({ ...prev, principalInvestigator: text, investigator: '' }))}
+                  onSelect={(entry) => setForm((prev) => ({ ...prev, principalInvestigator: entry.name, investigator: entry._id }))}
+                  onCreate={createInvestigator}
+                  search={searchInvestigators}
+                  describe={(entry) => [entry.affiliation && entry.affiliation.name, entry.email].filter(Boolean).join(' · ')}
                 />
               </div>
               <div className="col-md-6 mb-3">
                 <label htmlFor="sponsor" className="form-label">Sponsor*</label>
-                <input
+                <DirectoryAutocomplete
                   id="sponsor"
-                  name="sponsor"
-                  className="form-control"
                   value={form.sponsor}
-                  onChange={handleChange}
+                  linked={Boolean(form.sponsorOrganization)}
+                  maxLength={200}
+                  placeholder="Search the sponsor directory"
                   required
+                  onInput={(text) => setForm((prev) => ({ ...prev, sponsor: text, sponsorOrganization: '' }))}
+                  onSelect={(entry) => setForm((prev) => ({ ...prev, sponsor: entry.name, sponsorOrganization: entry._id }))}
+                  onCreate={createSponsor}
+                  search={searchSponsors}
+                  describe={(entry) => SPONSOR_TYPE_LABELS[entry.type]}
                 />
               </div>
             </div>
@@ -315,12 +545,9 @@ const TrialForm = ({ editMode = false }) => {
                   value={form.status}
                   onChange={handleChange}
                 >
-                  <option value="Planning">Planning</option>
-                  <option value="Active">Active</option>
-                  <option value="Recruiting">Recruiting</option>
-                  <option value="Suspended">Suspended</option>
-                  <option value="Completed">Completed</option>
-                  <option value="Terminated">Terminated</option>
+                  {statusOptions.map((s) => (
+                    <option key={s} value={s}>{s}</option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -360,29 +587,36 @@ const TrialForm = ({ editMode = false }) => {
                   type="number"
                   id="estimatedEnrollment"
                   name="estimatedEnrollment"
-                  min="1"
+                  min={Math.max(1, actualEnrollment)}
                   max="100000"
                   className="form-control"
-                  value={form.estimatedEnrollment}
+                  value={estimatedEnrollment}
                   onChange={handleChange}
+                  readOnly={siteTotal !== null}
                   required
                 />
+                {siteTotal !== null && <small className="text-muted">Sum of the study locations' enrollment targets</small>}
               </div>
               <div className="col-md-6 mb-3">
                 <label htmlFor="actualEnrollment" className="form-label">Actual Enrollment</label>
                 <input
                   type="number"
                   id="actualEnrollment"
-                  name="actualEnrollment"
-                  min="0"
-                  max={form.estimatedEnrollment}
                   className="form-control"
-                  value={form.actualEnrollment}
-                  onChange={handleChange}
+                  value={actualEnrollment}
+                  disabled
                 />
+                <small className="text-muted">Derived from the participant registry</small>
               </div>
             </div>
 
+            {protocolLocked && (
+              <p className="text-muted protocol-locked-hint">
+                Endpoints and eligibility criteria of a {originalStatus} trial are changed through a protocol amendment
+                on the trial's <Link to={`/trials/${id}`}>Amendments</Link> tab.
+              </p>
+            )}
+
             <div className="row mb-3">
               <div className="col-md-6 mb-3">
                 <label htmlFor="primaryEndpoint" className="form-label">Primary Endpoint*</label>
@@ -392,6 +626,7 @@ const TrialForm = ({ editMode = false }) => {
                   className="form-control"
                   value={form.primaryEndpoint}
                   onChange={handleChange}
+                  disabled={protocolLocked}
                   required
                 />
               </div>
@@ -419,6 +654,69 @@ const TrialForm = ({ editMode = false }) => {
               />
             </div>
 
+            <ListField
+              id="secondaryEndpoints"
+              label="Secondary Endpoints"
+              itemLabel="endpoint"
+              items={form.secondaryEndpoints}
+              onChange={handleListChange('secondaryEndpoints')}
+              disabled={protocolLocked}
+              maxLength={500}
+              maxItems={20}
+            />
+
+            <div className="row">
+              <div className="col-md-6">
+                <ListField
+                  id="inclusionCriteria"
+                  label="Inclusion Criteria"
+                  itemLabel="criterion"
+                  items={form.inclusionCriteria}
+                  onChange={handleListChange('inclusionCriteria')}
+                  disabled={protocolLocked}
+                  maxLength={300}
+                  maxItems={50}
+                />
+              </div>
+              <div className="col-md-6">
+                <ListField
+                  id="exclusionCriteria"
+                  label="Exclusion Criteria"
+                  itemLabel="criterion"
+                  items={form.exclusionCriteria}
+                  onChange={handleListChange('exclusionCriteria')}
+                  disabled={protocolLocked}
+                  maxLength={300}
+                  maxItems={50}
+                />
+              </div>
+            </div>
+
+            <LocationsField
+              items={form.studyLocations}
+              onChange={handleListChange('studyLocations')}
+              onError={setError}
+              maxItems={100}
+            />
+
+            {editMode && (
+              <div className="mb-4">
+                <label htmlFor="changeReason" className="form-label">
+                  Reason for Change{REASON_REQUIRED_STATUSES.includes(form.status) && form.status !== originalStatus ? '*' : ' (optional)'}
+                </label>
+                <textarea
+                  id="changeReason"
+                  name="changeReason"
+                  className="form-control"
+                  rows="2"
+                  maxLength={500}
+                  placeholder="Recorded in the trial's audit history"
+                  value={form.changeReason}
+                  onChange={handleChange}
+                />
+              </div>
+            )}
+
             <div className="d-flex justify-content-between">
               <button
                 type="button"
@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { trialsAPI, handleApiError } from '../../services/api';
+import {
+  MdHistory,
+  MdChevronLeft,
+  MdChevronRight
+} from 'react-icons/md';
+
+const FIELD_LABELS = {
+  trialName: 'Trial Name',
+  trialId: 'Trial ID',
+  description: 'Description',
+  principalInvestigator: 'Principal Investigator',
+  sponsor: 'Sponsor',
+  phase: 'Phase',
+  status: 'Status',
+  startDate: 'Start Date',
+  endDate: 'End Date',
+  estimatedEnrollment: 'Estimated Enrollment',
+  actualEnrollment: 'Actual Enrollment',
+  primaryEndpoint: 'Primary Endpoint',
+  secondaryEndpoints: 'Secondary Endpoints',
+  inclusionCriteria: 'Inclusion Criteria',
+  exclusionCriteria: 'Exclusion Criteria',
+  studyLocations: 'Study Locations',
+  therapeuticArea: 'Therapeutic Area',
+  drugName: 'Drug Name',
+  team: 'Team',
+  deletedAt: 'Deleted At',
+  deletedBy: 'Deleted By',
+  deletionReason: 'Deletion Reason',
+};
+
+const PURGED_LABELS = {
+  participants: 'participants',
+  enrollmentSnapshots: 'enrollment snapshots',
+  documents: 'documents',
+  amendments: 'amendments',
+};
+
+const purgedSummary = (purged) => Object.keys(PURGED_LABELS)
+  .map((key) => `${purged[key] || 0} ${PURGED_LABELS[key]}`)
+  .join(', ');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return value
+      .map((v) => {
+        if (v && typeof v === 'object' && v.role && v.user) return `${v.role}: ${v.user}`;
+        return typeof v === 'object' ? Object.values(v).join(', ') : String(v);
+      })
+      .join('\n');
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+};
+
+const authorName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : 'Unknown user');
+
+const TrialHistory = ({ trialId }) => {
+  const [history, setHistory] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalEntries: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const { data } = await trialsAPI.getHistory(trialId, { page, limit: 10 });
+        setHistory(data.history);
+        setPagination(data.pagination);
+        setError(null);
+      } catch (err) {
+        setError(handleApiError(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [trialId, page]);
+
+  return (
+    <div className="history-panel">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdHistory /> Change History
+        </h2>
+        <span className="text-muted">{pagination.totalEntries} entries</span>
+      </div>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+
+      {loading ? (
+        <div className="loading"><div className="spinner" /></div>
+      ) : history.length === 0 ? (
+        <div className="empty-state">
+          <MdHistory />
+          <h3>No history recorded</h3>
+          <p>Changes to this trial will appear here</p>
+        </div>
+      ) : (
+        history.map((entry) => (
+          <div key={entry._id} className="history-entry">
+            <div className="history-header">
+              <span className={`history-action history-action-${entry.action}`}>
+                {entry.action === 'amendment' ? `Amendment ${entry.amendmentNumber}` : entry.action}
+              </span>
+              <span className="history-author">{authorName(entry.performedBy)}</span>
+              <span className="history-date">{new Date(entry.performedAt).toLocaleString()}</span>
+            </div>
+            {entry.reason && (
+              <p className="history-reason"><strong>Reason:</strong> {entry.reason}</p>
+            )}
+            {entry.purgedRecords && (
+              <p className="history-reason"><strong>Deleted with it:</strong> {purgedSummary(entry.purgedRecords)}</p>
+            )}
+            {entry.changes.length > 0 && (
+              <div className="table-responsive">
+                <table className="table diff-table">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Old Value</th>
+                      <th>New Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entry.changes.map((change) => (
+                      <tr key={change.field}>
+                        <td className="diff-field">{FIELD_LABELS[change.field] || change.field}</td>
+                        <td className="diff-old">{formatValue(change.oldValue)}</td>
+                        <td className="diff-new">{formatValue(change.newValue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="pagination-controls panel-pagination">
+          <button
+            className="pagination-btn"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setPage((p) => p - 1)}
+          >
+            <MdChevronLeft />
+          </button>
+          <span className="pagination-current">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            className="pagination-btn"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            <MdChevronRight />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialHistory;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { trialsAPI, handleApiError } from '../../services/api';
+import { MdUploadFile, MdArrowBack, MdCheckCircle, MdError } from 'react-icons/md';
+
+const TrialImport = () => {
+  const navigate = useNavigate();
+
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const runImport = async (dryRun) => {
+    if (!file) return;
+    try {
+      setLoading(true);
+      const { data } = await trialsAPI.importTrials(file, dryRun);
+      setError(null);
+      if (dryRun) {
+        setReport(data);
+      } else {
+        navigate('/trials');
+      }
+    } catch (err) {
+      // A rejected commit still returns the per-row report
+      if (err.response?.data?.rows) setReport(err.response.data);
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canImport = report && report.summary.totalRows > 0 && report.summary.invalidRows === 0;
+
+  return (
+    <div className="trials-page">
+      <div className="container">
+        <div className="page-header">
+          <div className="header-content">
+            <div className="header-icon">
+              <MdUploadFile />
+            </div>
+            <h1 className="page-title">Import Clinical Trials</h1>
+          </div>
+          <Link to="/trials" className="btn btn-outline"><MdArrowBack /> Back to Trials</Link>
+        </div>
+
+        <div className="filters-section">
+          <p className="text-muted mb-3">
+            Upload a .csv or .xlsx file with one trial per row and a header row using the trial field
+            names (e.g. trialName, trialId, sponsor, phase, startDate). Separate list items with <code>;</code> and
+            write study locations as <code>facility|city|country</code>. Enrollment counts are not imported.
+          </p>
+          <div className="filters-row">
+            <input
+              type="file"
+              className="form-control"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleFileChange}
+            />
+            <button
+              type="button"
+              className="btn btn-outline"
+              disabled={!file || loading}
+              onClick={() => runImport(true)}
+            >
+              {loading && !report ? 'Validating...' : 'Validate'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              disabled={!canImport || loading}
+              onClick={() => runImport(false)}
+            >
+              {canImport ? `Import ${report.summary.validRows} Trials` : 'Import'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-error mb-3">{error}</div>}
+
+        {report && (
+          <>
+            <div className="import-summary">
+              <span>Rows: <strong>{report.summary.totalRows}</strong></span>
+              <span className="import-valid">Valid: <strong>{report.summary.validRows}</strong></span>
+              <span className="import-invalid">Invalid: <strong>{report.summary.invalidRows}</strong></span>
+            </div>
+
+            <div className="trials-table-container">
+              <table className="trials-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Trial ID</th>
+                    <th>Trial Name</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map((r) => (
+                    <tr key={r.row} className={r.valid ? '' : 'import-row-invalid'}>
+                      <td>{r.row}</td>
+                      <td>{r.trialId || '—'}</td>
+                      <td>{r.trialName || '—'}</td>
+                      <td>
+                        {r.valid ? (
+                          <span className="import-valid"><MdCheckCircle /> Ready</span>
+                        ) : (
+                          <ul className="import-errors">
+                            {r.errors.map((msg) => (
+                              <li key={msg}><MdError /> {msg}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrialImport;
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import { trialsAPI, handleApiError } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  MdNotes,
+  MdEdit,
+  MdDelete,
+  MdChevronLeft,
+  MdChevronRight
+} from 'react-icons/md';
+
+const authorName = (author) => {
+  if (!author || !author.firstName) return 'Unknown user';
+  return `${author.firstName} ${author.lastName}`;
+};
+
+const TrialNotes = ({ trialId, canComment = true }) => {
+  const { user } = useAuth();
+
+  const [notes, setNotes] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalNotes: 0,
+    hasNextPage: false,
+    hasPrevPage: false,
+  });
+  const [content, setContent] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchNotes = async () => {
+    try {
+      setLoading(true);
+      const { data } = await trialsAPI.getNotes(trialId, { page, limit: 5 });
+      setNotes(data.notes);
+      setPagination(data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotes();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trialId, page]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    try {
+      setSaving(true);
+      await trialsAPI.addNote(trialId, { content });
+      setContent('');
+      if (page === 1) {
+        fetchNotes();
+      } else {
+        setPage(1);
+      }
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (note) => {
+    setEditingId(note._id);
+    setEditContent(note.content);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditContent('');
+  };
+
+  const handleUpdate = async (noteId) => {
+    if (!editContent.trim()) return;
+    try {
+      setSaving(true);
+      const { data } = await trialsAPI.updateNote(trialId, noteId, { content: editContent });
+      setNotes((prev) => prev.map((n) => (n._id === noteId ? data.note : n)));
+      cancelEdit();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (noteId) => {
+    if (!window.confirm('Are you sure you want to delete this note?')) return;
+    try {
+      await trialsAPI.deleteNote(trialId, noteId);
+      if (notes.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        fetchNotes();
+      }
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const isAuthor = (note) => String(note.createdBy?._id || note.createdBy) === String(user?._id);
+
+  return (
+    <div className="notes-panel">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdNotes /> Notes
+        </h2>
+        <span className="text-muted">{pagination.totalNotes} total</span>
+      </div>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+
+      {canComment && (
+        <form className="note-form" onSubmit={handleAdd}>
+          <textarea
+            className="form-control form-textarea"
+            rows="3"
+            maxLength={1000}
+            placeholder="Log a site visit, decision or other update... Use @username to notify a colleague."
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+          />
+          <div className="note-form-actions">
+            <span className="text-muted">{content.length}/1000</span>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !content.trim()}>
+              Add Note
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading"><div className="spinner" /></div>
+      ) : notes.length === 0 ? (
+        <div className="empty-state">
+          <MdNotes />
+          <h3>No notes yet</h3>
+          <p>Notes added to this trial will appear here</p>
+        </div>
+      ) : (
+        <ul className="notes-timeline">
+          {notes.map((note) => (
+            <li key={note._id} className="note-item">
+              <div className="note-header">
+                <span className="note-author">{authorName(note.createdBy)}</span>
+                <span className="note-date">
+                  {new Date(note.createdAt).toLocaleString()}
+                  {note.editedAt && ' (edited)'}
+                </span>
+              </div>
+              {editingId === note._id ? (
+                <div className="note-edit">
+                  <textarea
+                    className="form-control form-textarea"
+                    rows="3"
+                    maxLength={1000}
+                    value={editContent}
+                    onChange={(e) => setEditContent(e.target.value)}
+                  />
+                  <div className="note-form-actions">
+                    <button type="button" className="btn btn-outline btn-sm" onClick={cancelEdit} disabled={saving}>
+                      Cancel
+                    </button>
+                    <button type="button" className="btn btn-primary btn-sm" onClick={() => handleUpdate(note._id)} disabled={saving || !editContent.trim()}>
+                      Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="note-content">{note.content}</p>
+              )}
+              {editingId !== note._id && ((canComment && isAuthor(note)) || user?.role === 'admin') && (
+                <div className="action-buttons note-actions">
+                  {canComment && isAuthor(note) && (
+                    <button className="action-btn edit-btn" title="Edit" onClick={() => startEdit(note)}>
+                      <MdEdit />
+                    </button>
+                  )}
+                  <button className="action-btn delete-btn" title="Delete" onClick={() => handleDelete(note._id)}>
+                    <MdDelete />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="pagination-controls panel-pagination">
+          <button
+            className="pagination-btn"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setPage((p) => p - 1)}
+          >
+            <MdChevronLeft />
+          </button>
+          <span className="pagination-current">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            className="pagination-btn"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            <MdChevronRight />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialNotes;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { notificationsAPI, handleApiError } from '../../services/api';
+import NotificationPreferencesFields from '../settings/NotificationPreferencesFields';
+import { MdNotifications } from 'react-icons/md';
+
+// The current user's email notification settings for one trial
+const TrialNotificationSettings = ({ trialId }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [override, setOverride] = useState(false);
+  const [options, setOptions] = useState({ events: [], deliveryModes: [] });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const apply = (data) => {
+    setPreferences(data.preferences);
+    setOverride(data.override);
+    setError(null);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data } = await notificationsAPI.getTrialPreferences(trialId);
+        apply(data);
+        setOptions({ events: data.events, deliveryModes: data.deliveryModes });
+      } catch (err) {
+        setError(handleApiError(err));
+      }
+    };
+    load();
+  }, [trialId]);
+
+  const run = async (request) => {
+    try {
+      setSaving(true);
+      apply((await request).data);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="detail-section">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdNotifications /> My Notifications
+        </h2>
+        <span className="text-muted">
+          {override ? 'Custom for this trial' : <>Using your <Link to="/settings/notifications">defaults</Link></>}
+        </span>
+      </div>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+
+      {preferences && (
+        <form
+          className="trial-notification-settings"
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(notificationsAPI.updateTrialPreferences(trialId, preferences));
+          }}
+        >
+          <NotificationPreferencesFields
+            idPrefix={`trial-${trialId}`}
+            value={preferences}
+            events={options.events}
+            deliveryModes={options.deliveryModes}
+            onChange={setPreferences}
+          />
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>
+              Save for This Trial
+            </button>
+            {override && (
+              <button
+                type="button"
+                className="btn btn-outline btn-sm"
+                disabled={saving}
+                onClick={() => run(notificationsAPI.resetTrialPreferences(trialId))}
+              >
+                Use My Defaults
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TrialNotificationSettings;
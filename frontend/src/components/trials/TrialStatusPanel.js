@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { trialsAPI, handleApiError } from '../../services/api';
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : '—');
+
+const TrialStatusPanel = ({ trial, canChangeStatus = true, onTransition }) => {
+  const [status, setStatus] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const nextStatuses = trial.nextStatuses || [];
+  const history = [...(trial.statusHistory || [])].reverse();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!status) return;
+    try {
+      setSaving(true);
+      await trialsAPI.transitionStatus(trial._id, { status, reason: reason || undefined });
+      setStatus('');
+      setReason('');
+      setError(null);
+      onTransition();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="detail-section">
+      <h2 className="section-title">Status Lifecycle</h2>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+
+      {!canChangeStatus ? (
+        <p className="text-muted mb-3">
+          Current status: {trial.status}. Your team role does not allow status changes.
+        </p>
+      ) : nextStatuses.length === 0 ? (
+        <p className="text-muted mb-3">
+          This trial is {trial.status.toLowerCase()}; no further status changes are possible.
+        </p>
+      ) : (
+        <form className="status-form" onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="nextStatus" className="form-label">Move to</label>
+              <select
+                id="nextStatus"
+                className="form-select"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+              >
+                <option value="">Select next status</option>
+                {nextStatuses.map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="transitionReason" className="form-label">
+                Justification{status === 'Terminated' ? '*' : ' (optional)'}
+              </label>
+              <input
+                id="transitionReason"
+                className="form-control"
+                maxLength={500}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                required={status === 'Terminated'}
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !status}>
+            {saving ? 'Updating...' : 'Change Status'}
+          </button>
+        </form>
+      )}
+
+      {history.length > 0 && (
+        <div className="table-responsive mt-3">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>From</th>
+                <th>To</th>
+                <th>By</th>
+                <th>When</th>
+                <th>Justification</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h._id}>
+                  <td>{h.from}</td>
+                  <td>{h.to}</td>
+                  <td>{userName(h.changedBy)}</td>
+                  <td>{new Date(h.changedAt).toLocaleString()}</td>
+                  <td>{h.reason || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialStatusPanel;
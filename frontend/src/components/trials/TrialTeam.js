@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from 'react';
+import { teamAPI, handleApiError } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { MdGroups, MdPersonAdd, MdDelete } from 'react-icons/md';
+
+// What each team role may do, mirrored from the server
+const ROLE_DESCRIPTIONS = {
+  PI: 'Edit trial, change status, manage team',
+  Coordinator: 'Edit trial and participants',
+  Monitor: 'Read and add notes',
+  Viewer: 'Read only',
+};
+
+const userName = (u) => (u && u.firstName ? `${u.firstName} ${u.lastName}` : 'Unknown user');
+
+const TrialTeam = ({ trialId, canManage }) => {
+  const { user } = useAuth();
+
+  const [owner, setOwner] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_DESCRIPTIONS));
+  const [invite, setInvite] = useState({ user: '', role: 'Viewer' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyTeam = (data) => {
+    setOwner(data.owner);
+    setTeam(data.team);
+    setRoles(data.roles);
+  };
+
+  const fetchTeam = async () => {
+    try {
+      setLoading(true);
+      const { data } = await teamAPI.getTeam(trialId);
+      applyTeam(data);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTeam();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trialId]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = await teamAPI.addMember(trialId, invite);
+      applyTeam(data);
+      setInvite({ user: '', role: invite.role });
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const { data } = await teamAPI.updateMember(trialId, member._id, role);
+      applyTeam(data);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${userName(member.user)} from this trial?`)) return;
+    try {
+      const { data } = await teamAPI.removeMember(trialId, member._id);
+      applyTeam(data);
+      setError(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  };
+
+  const isSelf = (member) => String(member.user?._id) === String(user?._id);
+
+  return (
+    <div className="detail-section">
+      <div className="section-header">
+        <h2 className="section-title">
+          <MdGroups /> Trial Team
+        </h2>
+        <span className="text-muted">{team.length + (owner ? 1 : 0)} members</span>
+      </div>
+
+      {error && <div className="alert alert-error mb-3">{error}</div>}
+
+      {canManage && (
+        <form className="team-invite" onSubmit={handleInvite}>
+          <input
+            className="form-control"
+            placeholder="Email or username of an existing user"
+            value={invite.user}
+            onChange={(e) => setInvite({ ...invite, user: e.target.value })}
+            required
+          />
+          <select
+            className="form-select"
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+          >
+            {roles.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !invite.user.trim()}>
+            <MdPersonAdd /> Add to Team
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading"><div className="spinner" /></div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Role</th>
+                <th>Access</th>
+                <th>Added</th>
+                {canManage && <th />}
+              </tr>
+            </thead>
+            <tbody>
+              {owner && (
+                <tr>
+                  <td>
+                    {userName(owner)}
+                    <div className="trial-id">@{owner.username}</div>
+                  </td>
+                  <td><span className="team-role team-role-owner">Owner</span></td>
+                  <td className="text-muted">Full access</td>
+                  <td>—</td>
+                  {canManage && <td />}
+                </tr>
+              )}
+              {team.map((member) => (
+                <tr key={member._id}>
+                  <td>
+                    {userName(member.user)}
+                    <div className="trial-id">@{member.user?.username}</div>
+                  </td>
+                  <td>
+                    {canManage && !isSelf(member) ? (
+                      <select
+                        className="form-select"
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                      >
+                        {roles.map((r) => (
+                          <option key={r} value={r}>{r}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className={`team-role team-role-${member.role.toLowerCase()}`}>{member.role}</span>
+                    )}
+                  </td>
+                  <td className="text-muted">{ROLE_DESCRIPTIONS[member.role]}</td>
+                  <td>
+                    {new Date(member.addedAt).toLocaleDateString()}
+                    <div className="trial-id">by {userName(member.addedBy)}</div>
+                  </td>
+                  {canManage && (
+                    <td>
+                      <button className="action-btn delete-btn" title="Remove" onClick={() => handleRemove(member)}>
+                        <MdDelete />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrialTeam;
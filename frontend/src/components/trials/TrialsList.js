@@ -1,7 +1,8 @@
 import React, { useEffect, useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { trialsAPI, handleApiError } from '../../services/api';
-import { useAuth } from '../../contexts/AuthContext';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { trialsAPI, handleApiError, saveDownload } from '../../services/api';
+import { Highlight, MatchContext } from './SearchHighlight';
+import SavedViews from './SavedViews';
 import { 
   MdList, 
   MdAdd, 
@@ -11,24 +12,104 @@ import {
   MdEdit,
   MdDelete,
   MdChevronLeft,
-  MdChevronRight
+  MdChevronRight,
+  MdUploadFile,
+  MdDownload,
+  MdFilterList,
+  MdArrowUpward,
+  MdArrowDownward
 } from 'react-icons/md';
 
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// One-line summary of a trial's sites, endpoints and criteria for the list view
+const listSummary = (t) => {
+  const countries = [...new Set((t.studyLocations || []).map((l) => l.country))];
+  const parts = [];
+  if (t.studyLocations?.length) parts.push(`${plural(t.studyLocations.length, 'site')} (${countries.join(', ')})`);
+  if (t.secondaryEndpoints?.length) parts.push(plural(t.secondaryEndpoints.length, 'secondary endpoint'));
+  const criteria = (t.inclusionCriteria?.length || 0) + (t.exclusionCriteria?.length || 0);
+  if (criteria) parts.push(`${criteria} eligibility ${criteria === 1 ? 'criterion' : 'criteria'}`);
+  return parts.join(' · ');
+};
+
+// List filters kept in the URL under the same names the API uses, so views can be bookmarked
+const FILTER_PARAMS = [
+  'search', 'status', 'phase', 'therapeuticArea', 'sponsor', 'principalInvestigator', 'country',
+  'startDateFrom', 'startDateTo', 'endDateFrom', 'endDateTo', 'enrollmentMin', 'enrollmentMax', 'overdue',
+  'sortBy', 'sortOrder',
+];
+
+// Filters in the collapsible panel (counted on its toggle button)
+const PANEL_PARAMS = FILTER_PARAMS.filter((p) => !['search', 'sortBy', 'sortOrder'].includes(p));
+
+const DEFAULT_LIMIT = 10;
+
+// Optional table columns (trial name and actions are always shown); `columns` in the URL lists the visible ones
+const COLUMNS = [
+  { key: 'principalInvestigator', label: 'Principal Investigator', sortField: 'principalInvestigator',
+    render: (t, terms) => <>Dr. <Highlight text={t.principalInvestigator} terms={terms} /></> },
+  { key: 'sponsor', label: 'Sponsor', sortField: 'sponsor',
+    render: (t, terms) => <Highlight text={t.sponsor} terms={terms} /> },
+  { key: 'therapeuticArea', label: 'Therapeutic Area', sortField: 'therapeuticArea',
+    render: (t, terms) => <Highlight text={t.therapeuticArea} terms={terms} /> },
+  { key: 'phase', label: 'Phase', sortField: 'phase',
+    render: (t) => <span className="phase-badge">{t.phase}</span> },
+  { key: 'status', label: 'Status', sortField: 'status',
+    render: (t) => <span className={`status-badge status-${t.status.toLowerCase()}`}>{t.status}</span> },
+  { key: 'startDate', label: 'Start Date', sortField: 'startDate',
+    render: (t) => new Date(t.startDate).toLocaleDateString() },
+  { key: 'endDate', label: 'End Date', sortField: 'endDate',
+    render: (t) => new Date(t.endDate).toLocaleDateString() },
+  { key: 'enrollment', label: 'Enrollment', sortField: 'enrollmentPercentage',
+    render: (t) => (
+      <>
+        {t.actualEnrollment || 0} / {t.estimatedEnrollment}
+        <div className="trial-id">{t.enrollmentPercentage}%</div>
+      </>
+    ) },
+];
+const DEFAULT_COLUMNS = ['principalInvestigator', 'phase', 'status', 'startDate', 'endDate', 'enrollment'];
+
+const SortHeader = ({ label, field, sort, onSort }) => {
+  const active = sort.sortBy === field;
+  const ariaSort = sort.sortOrder === 'asc' ? 'ascending' : 'descending';
+  return (
+    <th aria-sort={active ? ariaSort : 'none'}>
+      <button type="button" className={`sort-header ${active ? 'active' : ''}`} onClick={() => onSort(field)}>
+        {label}
+        {active && (sort.sortOrder === 'asc' ? <MdArrowUpward /> : <MdArrowDownward />)}
+      </button>
+    </th>
+  );
+};
+
 const TrialsList = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = FILTER_PARAMS.reduce((acc, key) => ({ ...acc, [key]: searchParams.get(key) || '' }), {
+    page: parseInt(searchParams.get('page'), 10) || 1,
+    limit: parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT,
+  });
+  const selectedStatuses = filters.status ? filters.status.split(',') : [];
+  const selectedPhases = filters.phase ? filters.phase.split(',') : [];
+  const activePanelFilters = PANEL_PARAMS.filter((key) => filters[key]).length;
+  const visibleColumns = searchParams.has('columns')
+    ? searchParams.get('columns').split(',').filter((key) => COLUMNS.some((c) => c.key === key))
+    : DEFAULT_COLUMNS;
+  const columns = COLUMNS.filter((c) => visibleColumns.includes(c.key));
+
+  // The default saved view only applies when the list is opened without a query string
+  const [openedWithoutQuery] = useState(() => searchParams.toString() === '');
 
   const [trials, setTrials] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [hasLoaded, setHasLoaded] = useState(false);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    page: 1,
-    limit: 10,
-    status: '',
-    phase: '',
-    search: '',
-    therapeuticArea: '',
-  });
+  const [highlights, setHighlights] = useState([]);
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortOrder: 'desc' });
+  const [showFilters, setShowFilters] = useState(activePanelFilters > 0);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -46,46 +127,122 @@ const TrialsList = () => {
       const { data } = await trialsAPI.getTrials({
         page: filters.page,
         limit: filters.limit,
-        status: filters.status || undefined,
-        phase: filters.phase || undefined,
-        search: filters.search || undefined,
-        therapeuticArea: filters.therapeuticArea || undefined,
+        ...listParams(),
       });
       setTrials(data.trials);
+      setHighlights(data.highlights || []);
+      setSort(data.sort || { sortBy: 'createdAt', sortOrder: 'desc' });
       setPagination(data.pagination);
       setError(null);
     } catch (err) {
       setError(handleApiError(err));
     } finally {
       setLoading(false);
+      setHasLoaded(true);
     }
   };
 
   useEffect(() => {
     fetchTrials();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filters.page, filters.limit, filters.status, filters.phase, filters.search, filters.therapeuticArea]);
+  }, [searchParams.toString()]);
+
+  // API params for the current filters (empty ones are left out)
+  const listParams = () => FILTER_PARAMS.reduce((acc, key) => (filters[key] ? { ...acc, [key]: filters[key] } : acc), {});
+
+  // Write filter changes to the URL; any filter change starts again from page 1.
+  // Typing replaces the history entry instead of adding one per keystroke.
+  const updateParams = (changes, { replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) next.delete(key);
+        else next.set(key, String(value));
+      });
+      if (!('page' in changes)) next.delete('page');
+      return next;
+    }, { replace });
+  };
 
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this trial?')) return;
+    const reason = window.prompt('Are you sure you want to delete this trial? It will be moved to the trash. Enter a reason for the audit trail:');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to delete a trial');
+      return;
+    }
     try {
-      await trialsAPI.deleteTrial(id);
+      await trialsAPI.deleteTrial(id, reason.trim());
       fetchTrials();
     } catch (err) {
       setError(handleApiError(err));
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      const { data } = await trialsAPI.exportTrials(listParams(), format);
+      saveDownload(data, `clinical-trials-${new Date().toISOString().split('T')[0]}.${format}`);
+    } catch (err) {
+      // The error body arrives as a blob like the download would
+      if (err.response && err.response.data instanceof Blob) {
+        try {
+          err.response.data = JSON.parse(await err.response.data.text());
+        } catch (parseErr) {
+          err.response.data = {};
+        }
+      }
+      setError(handleApiError(err));
+    }
+  };
+
   const onFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilters((prev) => ({ ...prev, [name]: value, page: 1 }));
+    updateParams({ [name]: value }, { replace: true });
+  };
+
+  const toggleOption = (name, value) => {
+    const selected = filters[name] ? filters[name].split(',') : [];
+    const next = selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value];
+    updateParams({ [name]: next.join(',') });
+  };
+
+  // Clicking the sorted column flips the order; another column starts ascending
+  const handleSort = (field) => {
+    const sortOrder = sort.sortBy === field && sort.sortOrder === 'asc' ? 'desc' : 'asc';
+    updateParams({ sortBy: field, sortOrder });
   };
 
+  const toggleColumn = (key) => {
+    const next = COLUMNS
+      .map((c) => c.key)
+      .filter((k) => (k === key ? !visibleColumns.includes(k) : visibleColumns.includes(k)));
+    const value = next.join(',') === DEFAULT_COLUMNS.join(',') ? '' : next.join(',') || 'none';
+    updateParams({ columns: value }, { replace: true });
+  };
+
+  // Current list configuration as stored in a saved view
+  const currentView = {
+    filters: {
+      ...listParams(),
+      ...(searchParams.get('limit') ? { limit: searchParams.get('limit') } : {}),
+    },
+    columns: visibleColumns,
+  };
+
+  const applyView = (view, { replace = false } = {}) => {
+    const next = new URLSearchParams(view.filters);
+    const viewColumns = view.columns?.length ? view.columns.join(',') : '';
+    if (viewColumns && viewColumns !== DEFAULT_COLUMNS.join(',')) next.set('columns', viewColumns);
+    setSearchParams(next, { replace });
+  };
+
+  // Keeps the sort order; clears every filter including the search
   const clearFilters = () => {
-    setFilters({ page: 1, limit: 10, status: '', phase: '', search: '', therapeuticArea: '' });
+    updateParams(['search', ...PANEL_PARAMS].reduce((acc, key) => ({ ...acc, [key]: '' }), {}));
   };
 
-  if (loading) {
+  if (loading && !hasLoaded) {
     return (
       <div className="trials-page">
         <div className="container">
@@ -105,40 +262,160 @@ const TrialsList = () => {
             </div>
             <h1 className="page-title">All Clinical Trials</h1>
           </div>
-          <Link className="btn btn-primary" to="/trials/new">
-            <MdAdd /> New Trial
-          </Link>
+          <div className="d-flex gap-2 align-items-center">
+            <button type="button" className="btn btn-outline" onClick={() => handleExport('csv')}>
+              <MdDownload /> CSV
+            </button>
+            <button type="button" className="btn btn-outline" onClick={() => handleExport('json')}>
+              <MdDownload /> JSON
+            </button>
+            <Link className="btn btn-outline" to="/trials/import">
+              <MdUploadFile /> Import
+            </Link>
+            <Link className="btn btn-primary" to="/trials/new">
+              <MdAdd /> New Trial
+            </Link>
+          </div>
         </div>
 
         <div className="filters-section">
+          <SavedViews current={currentView} onApply={applyView} applyDefault={openedWithoutQuery} />
+
           <div className="filters-row">
             <div className="search-box">
               <MdSearch className="search-icon" aria-hidden="true" />
               <input 
                 name="search" 
                 className="search-input" 
-                placeholder="Search trials..." 
+                placeholder='Search trials, "exact phrase", sponsor:Pfizer...'
+                title="Prefixes: sponsor:, pi:, drug:, area:, name:, id:"
+                maxLength={200}
                 value={filters.search} 
                 onChange={onFilterChange} 
               />
             </div>
-            <div className="filter-group">
-              <select name="status" className="filter-select" value={filters.status} onChange={onFilterChange}>
-                <option value="">All Statuses</option>
-                {statusOptions.map((s) => (
-                  <option key={s} value={s}>{s}</option>
-                ))}
-              </select>
-            </div>
-            <div className="filter-group">
-              <select name="phase" className="filter-select" value={filters.phase} onChange={onFilterChange}>
-                <option value="">All Phases</option>
-                {phaseOptions.map((p) => (
-                  <option key={p} value={p}>{p}</option>
-                ))}
-              </select>
-            </div>
+            <button
+              type="button"
+              className={`btn btn-outline ${showFilters ? 'active' : ''}`}
+              aria-expanded={showFilters}
+              onClick={() => setShowFilters((v) => !v)}
+            >
+              <MdFilterList /> Filters{activePanelFilters > 0 && ` (${activePanelFilters})`}
+            </button>
+            {(filters.search || activePanelFilters > 0) && (
+              <button type="button" className="btn btn-outline" onClick={clearFilters}>
+                Clear
+              </button>
+            )}
           </div>
+
+          {showFilters && (
+            <div className="advanced-filters">
+              <div className="filter-field">
+                <span className="form-label">Status</span>
+                <div className="filter-chips">
+                  {statusOptions.map((s) => (
+                    <button
+                      type="button"
+                      key={s}
+                      className={`filter-chip ${selectedStatuses.includes(s) ? 'active' : ''}`}
+                      aria-pressed={selectedStatuses.includes(s)}
+                      onClick={() => toggleOption('status', s)}
+                    >
+                      {s}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="filter-field">
+                <span className="form-label">Phase</span>
+                <div className="filter-chips">
+                  {phaseOptions.map((p) => (
+                    <button
+                      type="button"
+                      key={p}
+                      className={`filter-chip ${selectedPhases.includes(p) ? 'active' : ''}`}
+                      aria-pressed={selectedPhases.includes(p)}
+                      onClick={() => toggleOption('phase', p)}
+                    >
+                      {p}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="advanced-filters-grid">
+                <div className="form-group">
+                  <label htmlFor="filter-sponsor" className="form-label">Sponsor</label>
+                  <input id="filter-sponsor" name="sponsor" className="form-control" maxLength={100} value={filters.sponsor} onChange={onFilterChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-pi" className="form-label">Principal Investigator</label>
+                  <input id="filter-pi" name="principalInvestigator" className="form-control" maxLength={100} value={filters.principalInvestigator} onChange={onFilterChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-country" className="form-label">Site Country</label>
+                  <input id="filter-country" name="country" className="form-control" maxLength={100} value={filters.country} onChange={onFilterChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-area" className="form-label">Therapeutic Area</label>
+                  <input id="filter-area" name="therapeuticArea" className="form-control" maxLength={100} value={filters.therapeuticArea} onChange={onFilterChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-start-from" className="form-label">Start Date</label>
+                  <div className="filter-range">
+                    <input id="filter-start-from" type="date" name="startDateFrom" className="form-control" aria-label="Start date from" value={filters.startDateFrom} onChange={onFilterChange} />
+                    <span>to</span>
+                    <input type="date" name="startDateTo" className="form-control" aria-label="Start date to" value={filters.startDateTo} onChange={onFilterChange} />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-end-from" className="form-label">End Date</label>
+                  <div className="filter-range">
+                    <input id="filter-end-from" type="date" name="endDateFrom" className="form-control" aria-label="End date from" value={filters.endDateFrom} onChange={onFilterChange} />
+                    <span>to</span>
+                    <input type="date" name="endDateTo" className="form-control" aria-label="End date to" value={filters.endDateTo} onChange={onFilterChange} />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filter-enrollment-min" className="form-label">Enrollment (% of target)</label>
+                  <div className="filter-range">
+                    <input id="filter-enrollment-min" type="number" min="0" max="1000" name="enrollmentMin" className="form-control" aria-label="Minimum enrollment percentage" placeholder="Min" value={filters.enrollmentMin} onChange={onFilterChange} />
+                    <span>to</span>
+                    <input type="number" min="0" max="1000" name="enrollmentMax" className="form-control" aria-label="Maximum enrollment percentage" placeholder="Max" value={filters.enrollmentMax} onChange={onFilterChange} />
+                  </div>
+                </div>
+                <div className="form-group filter-checkbox">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={filters.overdue === 'true'}
+                      onChange={(e) => updateParams({ overdue: e.target.checked ? 'true' : '' })}
+                    />
+                    {' '}Overdue only
+                  </label>
+                  <small className="text-muted">Past end date and not completed or terminated</small>
+                </div>
+              </div>
+
+              <div className="filter-field">
+                <span className="form-label">Columns</span>
+                <div className="filter-chips">
+                  {COLUMNS.map((c) => (
+                    <button
+                      type="button"
+                      key={c.key}
+                      className={`filter-chip ${visibleColumns.includes(c.key) ? 'active' : ''}`}
+                      aria-pressed={visibleColumns.includes(c.key)}
+                      onClick={() => toggleColumn(c.key)}
+                    >
+                      {c.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
         </div>
 
         {error && <div className="alert alert-error mb-3">{error}</div>}
@@ -147,20 +424,17 @@ const TrialsList = () => {
           <table className="trials-table">
             <thead>
               <tr>
-                <th>Trial Name</th>
-                <th>Principal Investigator</th>
-                <th>Phase</th>
-                <th>Status</th>
-                <th>Start Date</th>
-                <th>End Date</th>
-                <th>Participants</th>
+                <SortHeader label="Trial Name" field="trialName" sort={sort} onSort={handleSort} />
+                {columns.map((c) => (
+                  <SortHeader key={c.key} label={c.label} field={c.sortField} sort={sort} onSort={handleSort} />
+                ))}
                 <th className="actions-header">Actions</th>
               </tr>
             </thead>
             <tbody>
               {trials.length === 0 && (
                 <tr>
-                  <td colSpan="8" className="empty-row">
+                  <td colSpan={columns.length + 2} className="empty-row">
                     <div className="empty-state">
                       <MdDescription />
                       <h3>No trials found</h3>
@@ -172,38 +446,33 @@ const TrialsList = () => {
               {trials.map((t) => (
                 <tr key={t._id} className="trial-row">
                   <td className="trial-name-cell">
-                    <div className="trial-name">{t.trialName}</div>
-                    <div className="trial-id">{t.trialId}</div>
-                  </td>
-                  <td>Dr. {t.principalInvestigator}</td>
-                  <td>
-                    <span className="phase-badge">{t.phase}</span>
-                  </td>
-                  <td>
-                    <span className={`status-badge status-${t.status.toLowerCase()}`}>
-                      {t.status}
-                    </span>
+                    <div className="trial-name"><Highlight text={t.trialName} terms={highlights} /></div>
+                    <div className="trial-id"><Highlight text={t.trialId} terms={highlights} /></div>
+                    {listSummary(t) && <div className="trial-list-summary">{listSummary(t)}</div>}
+                    <MatchContext trial={t} terms={highlights} />
                   </td>
-                  <td>{new Date(t.startDate).toLocaleDateString()}</td>
-                  <td>{new Date(t.endDate).toLocaleDateString()}</td>
-                  <td>{t.actualEnrollment || 0}</td>
+                  {columns.map((c) => (
+                    <td key={c.key}>{c.render(t, highlights)}</td>
+                  ))}
                   <td className="actions-cell">
                     <div className="action-buttons">
                       <button 
                         className="action-btn view-btn" 
                         title="View"
-                        onClick={() => navigate(`/trials/${t._id}/edit`)}
+                        onClick={() => navigate(`/trials/${t._id}`)}
                       >
                         <MdVisibility />
                       </button>
-                      <button 
-                        className="action-btn edit-btn" 
-                        title="Edit"
-                        onClick={() => navigate(`/trials/${t._id}/edit`)}
-                      >
-                        <MdEdit />
-                      </button>
-                      {(user?.role === 'admin' || String(t.createdBy?._id || t.createdBy) === String(user?._id)) && (
+                      {t.permissions?.includes('edit') && (
+                        <button 
+                          className="action-btn edit-btn" 
+                          title="Edit"
+                          onClick={() => navigate(`/trials/${t._id}/edit`)}
+                        >
+                          <MdEdit />
+                        </button>
+                      )}
+                      {t.permissions?.includes('delete') && (
                         <button 
                           className="action-btn delete-btn" 
                           title="Delete"
@@ -228,7 +497,7 @@ const TrialsList = () => {
             <button 
               className="pagination-btn" 
               disabled={!pagination.hasPrevPage} 
-              onClick={() => setFilters((f) => ({ ...f, page: f.page - 1 }))}
+              onClick={() => updateParams({ page: filters.page - 1 })}
             >
               <MdChevronLeft />
             </button>
@@ -238,7 +507,7 @@ const TrialsList = () => {
             <button 
               className="pagination-btn" 
               disabled={!pagination.hasNextPage} 
-              onClick={() => setFilters((f) => ({ ...f, page: f.page + 1 }))}
+              onClick={() => updateParams({ page: filters.page + 1 })}
             >
               <MdChevronRight />
             </button>
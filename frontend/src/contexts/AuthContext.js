@@ -194,6 +194,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Change password function
+  const changePassword = async (passwordData) => {
+    try {
+      const response = await authAPI.changePassword(passwordData);
+      
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_PROFILE_SUCCESS,
+        payload: response.data.user,
+      });
+      
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = handleApiError(error);
+      return { success: false, message: errorMessage };
+    }
+  };
+
   // Clear error function
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -206,6 +223,7 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateProfile,
+    changePassword,
     loadUser,
     clearError,
   };
@@ -31,6 +31,9 @@ api.interceptors.response.use(
       // Redirect to login if unauthorized
       window.location.href = '/login';
     }
+    if (error.response?.data?.error === 'Password Change Required' && window.location.pathname !== '/change-password') {
+      window.location.href = '/change-password';
+    }
     return Promise.reject(error);
   }
 );
@@ -54,6 +57,144 @@ export const authAPI = {
   
   // Update user profile
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
+  
+  // Change own password
+  changePassword: (passwordData) => api.put('/auth/password', passwordData),
+};
+
+// Admin user management API calls
+export const usersAPI = {
+  // Get users with optional search and filters
+  getUsers: (params = {}) => api.get('/users', { params }),
+  
+  // Get single user
+  getUser: (id) => api.get(`/users/${id}`),
+  
+  // Change user role
+  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  
+  // Activate or deactivate user
+  updateStatus: (id, isActive) => api.put(`/users/${id}/status`, { isActive }),
+  
+  // Force password reset; returns a one-time temporary password
+  resetPassword: (id) => api.post(`/users/${id}/reset-password`),
+};
+
+// Saved trials list views API calls
+export const viewsAPI = {
+  // Own views plus views shared by colleagues
+  getViews: () => api.get('/views'),
+  
+  // Save a view ({ name, filters, columns, isDefault, shared })
+  createView: (view) => api.post('/views', view),
+  
+  // Update any of a view's fields
+  updateView: (id, changes) => api.put(`/views/${id}`, changes),
+  
+  // Delete a view
+  deleteView: (id) => api.delete(`/views/${id}`),
+};
+
+// In-app notifications and email notification preferences
+export const notificationsAPI = {
+  // Own notifications, newest first ({ page, limit, unread }); includes unreadCount
+  getNotifications: (params = {}) => api.get('/notifications', { params }),
+  
+  // Mark one notification as read
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  
+  // Mark every notification as read
+  markAllRead: () => api.put('/notifications/read-all'),
+  
+  // Live updates over Server-Sent Events, authenticated by the session cookie
+  openStream: () => new EventSource(`${api.defaults.baseURL}/notifications/stream`, { withCredentials: true }),
+  
+  // Default preferences, per-trial overrides and the available events/delivery modes
+  getPreferences: () => api.get('/notifications/preferences'),
+  
+  // Save default preferences ({ events, emailDelivery })
+  updatePreferences: (preferences) => api.put('/notifications/preferences', preferences),
+  
+  // Effective preferences for one trial and whether they override the defaults
+  getTrialPreferences: (trialId) => api.get(`/notifications/preferences/trials/${trialId}`),
+  
+  // Override the defaults for one trial
+  updateTrialPreferences: (trialId, preferences) => api.put(`/notifications/preferences/trials/${trialId}`, preferences),
+  
+  // Remove a trial override
+  resetTrialPreferences: (trialId) => api.delete(`/notifications/preferences/trials/${trialId}`),
+};
+
+// Trial alerts raised by the nightly job
+export const alertsAPI = {
+  // Open alerts on accessible trials ({ type, trial }); includes counts per type
+  getAlerts: (params = {}) => api.get('/alerts', { params }),
+};
+
+// Site directory API calls
+export const sitesAPI = {
+  // Directory entries by name ({ search, page, limit }); each includes trialCount
+  getSites: (params = {}) => api.get('/sites', { params }),
+  
+  // One site with the trials running there
+  getSite: (id) => api.get(`/sites/${id}`),
+  
+  // Add a site ({ name, city, country, aliases })
+  createSite: (site) => api.post('/sites', site),
+  
+  // Update a site; linked trial locations pick up the change
+  updateSite: (id, site) => api.put(`/sites/${id}`, site),
+  
+  // Delete a site no trial links to (admin)
+  deleteSite: (id) => api.delete(`/sites/${id}`),
+  
+  // Fold duplicate sites into this one (admin)
+  mergeSites: (id, duplicates) => api.post(`/sites/${id}/merge`, { duplicates }),
+  
+  // League table of the sites of open trials ({ status, country, behind }); includes a summary
+  getPerformance: (params = {}) => api.get('/sites/performance', { params }),
+};
+
+// Investigator directory API calls
+export const investigatorsAPI = {
+  // Directory entries by name ({ search, page, limit }); each includes trialCount
+  getInvestigators: (params = {}) => api.get('/investigators', { params }),
+  
+  // One investigator with the trials they lead
+  getInvestigator: (id) => api.get(`/investigators/${id}`),
+  
+  // Add an investigator ({ name, email, affiliation, aliases })
+  createInvestigator: (investigator) => api.post('/investigators', investigator),
+  
+  // Update an investigator; linked trials pick up a new name
+  updateInvestigator: (id, investigator) => api.put(`/investigators/${id}`, investigator),
+  
+  // Delete an investigator no trial links to (admin)
+  deleteInvestigator: (id) => api.delete(`/investigators/${id}`),
+  
+  // Fold duplicate entries into this one (admin)
+  mergeInvestigators: (id, duplicates) => api.post(`/investigators/${id}/merge`, { duplicates }),
+};
+
+// Sponsor directory API calls
+export const sponsorsAPI = {
+  // Directory entries by name ({ search, type, page, limit }); each includes trialCount
+  getSponsors: (params = {}) => api.get('/sponsors', { params }),
+  
+  // One sponsor with its portfolio of trials by phase and status
+  getSponsor: (id) => api.get(`/sponsors/${id}`),
+  
+  // Add a sponsor ({ name, type, contacts, aliases })
+  createSponsor: (sponsor) => api.post('/sponsors', sponsor),
+  
+  // Update a sponsor; linked trials pick up a new name
+  updateSponsor: (id, sponsor) => api.put(`/sponsors/${id}`, sponsor),
+  
+  // Delete a sponsor no trial links to (admin)
+  deleteSponsor: (id) => api.delete(`/sponsors/${id}`),
+  
+  // Fold duplicate sponsors into this one (admin)
+  mergeSponsors: (id, duplicates) => api.post(`/sponsors/${id}/merge`, { duplicates }),
 };
 
 // Clinical Trials API calls
@@ -67,17 +208,158 @@ export const trialsAPI = {
   // Create new trial
   createTrial: (trialData) => api.post('/trials', trialData),
   
-  // Update trial
-  updateTrial: (id, trialData) => api.put(`/trials/${id}`, trialData),
+  // Update trial; version is the __v the form was loaded with (a stale version gets a 409)
+  updateTrial: (id, trialData, version) => api.put(`/trials/${id}`, trialData, { headers: { 'If-Match': `"${version}"` } }),
+  
+  // Move a trial to the trash (a reason is required)
+  deleteTrial: (id, changeReason) => api.delete(`/trials/${id}`, { data: { changeReason } }),
+  
+  // Admin trash: list, restore and permanently purge deleted trials
+  getTrash: (params = {}) => api.get('/trials/trash', { params }),
+  restoreTrial: (id) => api.post(`/trials/${id}/restore`),
+  purgeTrial: (id) => api.delete(`/trials/${id}/purge`),
+  
+  // Change trial status along the lifecycle
+  transitionStatus: (id, data) => api.post(`/trials/${id}/status`, data),
+  
+  // Get audit trail for trial
+  getHistory: (id, params = {}) => api.get(`/trials/${id}/history`, { params }),
   
-  // Delete trial
-  deleteTrial: (id) => api.delete(`/trials/${id}`),
+  // Get notes for trial (paginated)
+  getNotes: (id, params = {}) => api.get(`/trials/${id}/notes`, { params }),
   
   // Add note to trial
   addNote: (id, noteData) => api.post(`/trials/${id}/notes`, noteData),
   
+  // Update own note
+  updateNote: (id, noteId, noteData) => api.put(`/trials/${id}/notes/${noteId}`, noteData),
+  
+  // Delete note
+  deleteNote: (id, noteId) => api.delete(`/trials/${id}/notes/${noteId}`),
+  
   // Get statistics overview
   getStats: () => api.get('/trials/stats/overview'),
+  
+  // Export filtered trials as a CSV or JSON file
+  exportTrials: (params = {}, format = 'csv') =>
+    api.get('/trials/export', { params: { ...params, format }, responseType: 'blob' }),
+  
+  // Download one-page PDF summary of a trial
+  getSummaryPdf: (id) => api.get(`/trials/${id}/summary.pdf`, { responseType: 'blob' }),
+  
+  // Bulk import trials from a CSV/XLSX file (dry run validates without saving)
+  importTrials: (file, dryRun = true) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/trials/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+};
+
+// Trial team API calls (per trial)
+export const teamAPI = {
+  // Get trial owner and team members
+  getTeam: (trialId) => api.get(`/trials/${trialId}/team`),
+  
+  // Add an existing user (email or username) with a team role
+  addMember: (trialId, data) => api.post(`/trials/${trialId}/team`, data),
+  
+  // Change a member's team role
+  updateMember: (trialId, memberId, role) => api.put(`/trials/${trialId}/team/${memberId}`, { role }),
+  
+  // Remove a member from the team
+  removeMember: (trialId, memberId) => api.delete(`/trials/${trialId}/team/${memberId}`),
+};
+
+// Enrollment history and projections (per trial)
+export const enrollmentAPI = {
+  // Actual and per-site curves, target, projection and recent snapshots
+  getEnrollment: (trialId) => api.get(`/trials/${trialId}/enrollment`),
+  
+  // Add a manual entry ({ recordedAt, enrolled, studyLocation, note })
+  addSnapshot: (trialId, data) => api.post(`/trials/${trialId}/enrollment/snapshots`, data),
+  
+  // Delete a manual entry
+  deleteSnapshot: (trialId, snapshotId) => api.delete(`/trials/${trialId}/enrollment/snapshots/${snapshotId}`),
+};
+
+// Controlled trial documents API calls (per trial)
+export const documentsAPI = {
+  // Current version of each document, with its version count
+  getDocuments: (trialId) => api.get(`/trials/${trialId}/documents`),
+  
+  // Every version of a document, newest first
+  getHistory: (trialId, documentId) => api.get(`/trials/${trialId}/documents/${documentId}/history`),
+  
+  // Upload a new document ({ file, type, title, version, effectiveDate, notes })
+  uploadDocument: (trialId, { file, ...fields }) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    formData.append('file', file);
+    return api.post(`/trials/${trialId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  
+  // Upload a new version superseding the current one ({ file, version, effectiveDate, notes, title })
+  uploadVersion: (trialId, documentId, { file, ...fields }) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    formData.append('file', file);
+    return api.post(`/trials/${trialId}/documents/${documentId}/versions`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  
+  // Download the file of any version
+  downloadDocument: (trialId, documentId) =>
+    api.get(`/trials/${trialId}/documents/${documentId}/download`, { responseType: 'blob' }),
+  
+  // Delete the current version of a document (the previous version becomes current again)
+  deleteDocument: (trialId, documentId) => api.delete(`/trials/${trialId}/documents/${documentId}`),
+};
+
+// Protocol amendment API calls (per trial)
+export const amendmentsAPI = {
+  // Amendments newest first, with the trial's current amendment number
+  getAmendments: (trialId) => api.get(`/trials/${trialId}/amendments`),
+  
+  // Create a draft ({ title, rationale, changes: { primaryEndpoint, secondaryEndpoints, ... } })
+  createAmendment: (trialId, data) => api.post(`/trials/${trialId}/amendments`, data),
+  
+  // Edit a draft
+  updateAmendment: (trialId, amendmentId, data) => api.put(`/trials/${trialId}/amendments/${amendmentId}`, data),
+  
+  // Send a draft for review
+  submitAmendment: (trialId, amendmentId) => api.post(`/trials/${trialId}/amendments/${amendmentId}/submit`),
+  
+  // Approve and apply a submitted amendment (admin or PI)
+  approveAmendment: (trialId, amendmentId, comment) =>
+    api.post(`/trials/${trialId}/amendments/${amendmentId}/approve`, { comment }),
+  
+  // Reject a submitted amendment with a comment (admin or PI)
+  rejectAmendment: (trialId, amendmentId, comment) =>
+    api.post(`/trials/${trialId}/amendments/${amendmentId}/reject`, { comment }),
+  
+  // Withdraw a draft or submitted amendment
+  withdrawAmendment: (trialId, amendmentId) => api.post(`/trials/${trialId}/amendments/${amendmentId}/withdraw`),
+};
+
+// Participant registry API calls (per trial)
+export const participantsAPI = {
+  // Get participants with optional filters
+  getParticipants: (trialId, params = {}) => api.get(`/trials/${trialId}/participants`, { params }),
+  
+  // Register participant for screening
+  createParticipant: (trialId, data) => api.post(`/trials/${trialId}/participants`, data),
+  
+  // Update participant details or status
+  updateParticipant: (trialId, participantId, data) => api.put(`/trials/${trialId}/participants/${participantId}`, data),
+  
+  // Delete participant (screening only)
+  deleteParticipant: (trialId, participantId) => api.delete(`/trials/${trialId}/participants/${participantId}`),
 };
 
 // Utility functions for handling API responses
@@ -108,6 +390,18 @@ export const handleApiError = (error) => {
   }
 };
 
+// Save a blob response as a file download in the browser
+export const saveDownload = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
 export const handleApiSuccess = (response) => {
   return response.data;
 };